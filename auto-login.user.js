@@ -1,57 +1,80 @@
 // ==UserScript==
-
 // @name         自动点击登录按钮
-
 // @namespace    http://tampermonkey.net/
-
 // @version      0.1
-
 // @description  在登录页面加载后自动点击登录按钮。
-
 // @author       CJeremy
-
 // @match        https://bdfz.xnykcxt.com:5002/*
-
 // @grant        none
-
 // @run-at       document-end
-
 // ==/UserScript==
+// 本文件由 v2/build.js 从 v2/src 生成，请勿直接修改
 
 (function() {
-
     'use strict';
 
-    // 确保在整个页面（包括所有资源如图片）完全加载后再执行脚本
-
-    window.addEventListener('load', function() {
-
-        // 查找带有 class "ant-btn-primary" 的按钮
-
-        var loginButton = document.querySelector('.ant-btn-lg');
-//alert(2);
-        // 如果找到了按钮，则模拟点击
-
-        if (loginButton && loginButton.innerText == "开始使用") {
-            //alert(1);
-            /*var txt = document.querySelector(".ant-input-lg[type='text']");
-            var pwd = document.querySelector(".ant-input-lg[type='password']");
-            txt.value="114514";
-            pwd.value="meiyoumima";*/
-            console.log('找到了登录按钮，正在尝试点击...');
-
-            setTimeout(function() {
-
-  loginButton.click();
-
-}, 750);
-
-        } else {
-
-            console.log('未找到指定的登录按钮。');
-
+    /* -------------------- 默认设置 -------------------- */
+    // 由 v2/build.js 按本脚本读取的设置项从 core/settings-schema 生成
+    const DEFAULT_SETTINGS = { autoLogin: true, autoLoginDelay: 750 };
+
+    /* -------------------- 功能模块 -------------------- */
+    // 每个功能模块在自己的文件末尾调用 defineModule 自注册，启动时按打包顺序依次初始化：
+    //   id                模块名，用于日志
+    //   styles            可选，脚本一启动就注入的 CSS，避免页面先以原样式闪现
+    //   setting           可选，控制启停的布尔设置键；省略则始终启用
+    //   init()            启动时调用一次，用于注入 DOM、注册命令等，可以是 async；
+    //                     返回 { enable, disable, onSettingsChange } 中的若干项时替换对应项，便于共享 init 中建立的闭包状态
+    //   enable/disable()  需可重复调用；设置变化（包括其他标签页中的修改）后由 syncModules 调用，无需刷新页面
+    //   onSettingsChange() 可选，任何设置保存后调用，用于同步界面
+    const modules = [];
+
+    function defineModule(module) { modules.push({ init() {}, enable() {}, disable() {}, ...module, active: false }); }
+
+    // 单个模块初始化失败不影响其他模块
+    async function initModules() {
+        for (const module of modules) {
+            try {
+                const controls = await module.init();
+                if (controls) Object.assign(module, controls);
+            }
+            catch (err) { console.error(`模块“${module.id}”初始化失败:`, err); }
         }
-
+    }
+
+    function syncModules() {
+        modules.forEach(module => {
+            const wanted = !module.setting || !!settings[module.setting];
+            if (wanted !== module.active) {
+                try {
+                    if (wanted) module.enable(); else module.disable();
+                    module.active = wanted;
+                } catch (err) { console.error(`模块“${module.id}”${wanted ? '启用' : '停用'}失败:`, err); }
+            }
+            if (module.onSettingsChange) module.onSettingsChange();
+        });
+    }
+
+    /* -------------------- 自动登录 -------------------- */
+    function setupAutoLogin() {
+        window.addEventListener('load', function() {
+            if (location.pathname === '/stu/' && location.hash === '#/login') {
+                var loginButton = document.querySelector('.ant-btn-lg');
+                if (loginButton && loginButton.innerText.trim() === "开始使用") { console.log('找到了登录按钮，正在尝试点击...'); setTimeout(function() { loginButton.click(); }, settings.autoLoginDelay); }
+                else { console.log('未找到指定的登录按钮。'); }
+            } else { console.log('当前不是登录页，不执行自动登录。'); }
+        });
+    }
+
+    // 只在页面加载时检查一次，开关变化在下次打开登录页时生效
+    defineModule({
+        id: 'auto-login',
+        init() { if (settings.autoLogin) setupAutoLogin(); },
     });
 
-})();
\ No newline at end of file
+    /* -------------------- 启动（v1 单功能脚本） -------------------- */
+    // v1 脚本没有设置页，也不读写存储，功能始终按默认设置运行
+    let settings = { ...DEFAULT_SETTINGS };
+
+    function start() { initModules().then(syncModules); }
+    if (document.body) start(); else document.addEventListener('DOMContentLoaded', start, { once: true });
+})();
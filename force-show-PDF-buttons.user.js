@@ -3,119 +3,120 @@
 // @namespace    https://github.com/botaothomaszhao
 // @version      1.2.0
 // @license      MIT
-// @author       c-jeremy botaothomaszhao
 // @description  Force show hidden PDF toolbar buttons (download/print, etc.) inside embedded PDF iframes. Lightweight, no polling retries; works on Via and Edge.
+// @author       c-jeremy botaothomaszhao
 // @match        *://bdfz.xnykcxt.com:5002/stu/*
-// @run-at       document-start
 // @grant        none
+// @run-at       document-start
 // ==/UserScript==
+// 本文件由 v2/build.js 从 v2/src 生成，请勿直接修改
 
-(function () {
-  'use strict';
-
-  const CSS =
-    '[hidden]:not(#errorWrapper), button.hidden, div#editorModeButtons.hidden { display: block !important; }';
-
-  function injectStyleInto(doc) {
-    if (!doc) return false;
-    try {
-      const styleId = 'tampermonkey-pdf-button-fix';
-      if (doc.getElementById(styleId)) return true; // avoid duplicates
-      const style = doc.createElement('style');
-      style.id = styleId;
-      style.textContent = CSS;
-      (doc.head || doc.documentElement).appendChild(style);
-      return true;
-    } catch (_) {
-      return false;
-    }
-  }
-
-  // Single-shot handling for an iframe: inject once if ready, and on load.
-  function processIframe(iframe) {
-    if (!iframe || iframe.__pdfFixBound) return;
-    iframe.__pdfFixBound = true;
-
-    // Immediate attempt if iframe is already accessible and ready.
-    try {
-      const doc = iframe.contentDocument || iframe.contentWindow?.document;
-      if (doc && doc.readyState === 'complete') {
-        injectStyleInto(doc);
-      }
-    } catch (_) {
-      // Cross-origin/sandbox access may throw; ignore and rely on load event.
+(function() {
+    'use strict';
+
+    /* -------------------- 默认设置 -------------------- */
+    // 由 v2/build.js 按本脚本读取的设置项从 core/settings-schema 生成
+    const DEFAULT_SETTINGS = { forceShowPDFButtons: true };
+
+    /* -------------------- 功能模块 -------------------- */
+    // 每个功能模块在自己的文件末尾调用 defineModule 自注册，启动时按打包顺序依次初始化：
+    //   id                模块名，用于日志
+    //   styles            可选，脚本一启动就注入的 CSS，避免页面先以原样式闪现
+    //   setting           可选，控制启停的布尔设置键；省略则始终启用
+    //   init()            启动时调用一次，用于注入 DOM、注册命令等，可以是 async；
+    //                     返回 { enable, disable, onSettingsChange } 中的若干项时替换对应项，便于共享 init 中建立的闭包状态
+    //   enable/disable()  需可重复调用；设置变化（包括其他标签页中的修改）后由 syncModules 调用，无需刷新页面
+    //   onSettingsChange() 可选，任何设置保存后调用，用于同步界面
+    const modules = [];
+
+    function defineModule(module) { modules.push({ init() {}, enable() {}, disable() {}, ...module, active: false }); }
+
+    // 单个模块初始化失败不影响其他模块
+    async function initModules() {
+        for (const module of modules) {
+            try {
+                const controls = await module.init();
+                if (controls) Object.assign(module, controls);
+            }
+            catch (err) { console.error(`模块“${module.id}”初始化失败:`, err); }
+        }
     }
 
-    // Inject on load.
-    iframe.addEventListener(
-      'load',
-      () => {
-        try {
-          injectStyleInto(iframe.contentDocument || iframe.contentWindow?.document);
-        } catch (_) {}
-      },
-      { once: false }
-    );
-  }
-
-  function watchIframes() {
-    // Handle iframes present at load.
-    document.querySelectorAll('iframe').forEach(processIframe);
-
-    // Watch for newly added iframes or fragments containing iframes.
-    const addMo = new MutationObserver((muts) => {
-      for (const mut of muts) {
-        mut.addedNodes.forEach((node) => {
-          if (node.nodeType !== 1) return;
-          if (node.tagName === 'IFRAME') {
-            processIframe(node);
-          }
-          node.querySelectorAll?.('iframe').forEach(processIframe);
+    function syncModules() {
+        modules.forEach(module => {
+            const wanted = !module.setting || !!settings[module.setting];
+            if (wanted !== module.active) {
+                try {
+                    if (wanted) module.enable(); else module.disable();
+                    module.active = wanted;
+                } catch (err) { console.error(`模块“${module.id}”${wanted ? '启用' : '停用'}失败:`, err); }
+            }
+            if (module.onSettingsChange) module.onSettingsChange();
         });
-      }
-    });
-    addMo.observe(document.documentElement, { childList: true, subtree: true });
-
-    // Watch iframe attribute changes (src/sandbox) and re-process once.
-    const attrMo = new MutationObserver((muts) => {
-      for (const mut of muts) {
-        const el = mut.target;
-        if (!el || el.tagName !== 'IFRAME') continue;
-        el.__pdfFixBound = false;
-        processIframe(el);
-        try {
-          const doc = el.contentDocument || el.contentWindow?.document;
-          if (doc && doc.readyState === 'complete') {
-            injectStyleInto(doc);
-          }
-        } catch (_) {}
-      }
-    });
-
-    function observeAttrsForIframes(root = document) {
-      root.querySelectorAll('iframe').forEach((f) => {
-        attrMo.observe(f, { attributes: true, attributeFilter: ['src', 'sandbox'] });
-      });
     }
-    observeAttrsForIframes(document);
-
-    const hookMo = new MutationObserver((muts) => {
-      for (const mut of muts) {
-        mut.addedNodes.forEach((node) => {
-          if (node.nodeType !== 1) return;
-          if (node.tagName === 'IFRAME') {
-            attrMo.observe(node, { attributes: true, attributeFilter: ['src', 'sandbox'] });
-          }
-          observeAttrsForIframes(node);
+
+    /* -------------------- PDF 下载按钮 -------------------- */
+    function initializePdfIframeObserver() {
+        const forceShowPDFButtonsCSS = '[hidden]:not(#errorWrapper), button.hidden, div#editorModeButtons.hidden { display: block !important; }';
+        const styleId = 'tampermonkey-pdf-button-fix';
+
+        function injectFix(iframe) {
+            // 再次确认设置是否开启，并确保iframe内容可访问
+            if (settings.forceShowPDFButtons && iframe.contentDocument) {
+                // 如果样式已注入，则不再重复操作
+                if (iframe.contentDocument.getElementById(styleId)) return;
+
+                const style = iframe.contentDocument.createElement('style');
+                style.id = styleId;
+                style.textContent = forceShowPDFButtonsCSS;
+                iframe.contentDocument.head.appendChild(style);
+            }
+        }
+
+        // 创建一个MutationObserver来监听iframe的动态添加
+        const observer = new MutationObserver(mutations => {
+            for (const mutation of mutations) {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === 1) { // 确保是元素节点
+                        if (node.tagName === 'IFRAME') {
+                            node.addEventListener('load', () => injectFix(node));
+                        }
+                        // 检查新添加的节点内部是否包含iframe
+                        node.querySelectorAll('iframe').forEach(iframe => {
+                            iframe.addEventListener('load', () => injectFix(iframe));
+                        });
+                    }
+                });
+            }
+        });
+
+        observer.observe(document.body, { childList: true, subtree: true });
+
+        // 为脚本运行时页面上已经存在的iframe注入样式
+        document.querySelectorAll('iframe').forEach(iframe => {
+            if (iframe.contentDocument && iframe.contentDocument.readyState === 'complete') {
+                injectFix(iframe);
+            } else {
+                iframe.addEventListener('load', () => injectFix(iframe));
+            }
         });
-      }
-    });
-    hookMo.observe(document.documentElement, { childList: true, subtree: true });
-  }
-
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', watchIframes, { once: true });
-  } else {
-    watchIframes();
-  }
+
+        // 观察者始终运行（injectFix 自行检查开关）；切换开关时补注入或移除已加载 iframe 中的样式
+        return {
+            enable: () => document.querySelectorAll('iframe').forEach(injectFix),
+            disable: () => document.querySelectorAll('iframe').forEach(iframe => {
+                const style = iframe.contentDocument && iframe.contentDocument.getElementById(styleId);
+                if (style) style.remove();
+            })
+        };
+    }
+
+    defineModule({ id: 'pdf', setting: 'forceShowPDFButtons', init: initializePdfIframeObserver });
+
+    /* -------------------- 启动（v1 单功能脚本） -------------------- */
+    // v1 脚本没有设置页，也不读写存储，功能始终按默认设置运行
+    let settings = { ...DEFAULT_SETTINGS };
+
+    function start() { initModules().then(syncModules); }
+    if (document.body) start(); else document.addEventListener('DOMContentLoaded', start, { once: true });
 })();
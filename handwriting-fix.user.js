@@ -1,157 +1,83 @@
 // ==UserScript==
-
 // @name         Optimized Handwriting Fix
-
 // @namespace    http://tampermonkey.net/
-
 // @version      4.0
-
 // @description  Efficiently disables scrolling on multiple, dynamically-loaded handwriting canvases without affecting the rest of the page.
-
 // @author       CJeremy
-
 // @match        https://bdfz.xnykcxt.com:5002/*
-
 // @grant        none
-
 // @run-at       document-body
-
 // ==/UserScript==
+// 本文件由 v2/build.js 从 v2/src 生成，请勿直接修改
 
 (function() {
-
     'use strict';
 
-    // --- CONFIGURATION ---
-
-    const containerSelector = 'body'; // The stable parent element to observe.
-
-    const canvasSelector = '.board.answerCanvas'; // The target element for our fix.
-
-    const fixedAttribute = 'data-tampermonkey-fixed'; // Attribute to mark elements we've already processed.
-
-    /**
-
-     * Applies the touch and scroll fixes to a single canvas element.
-
-     * @param {HTMLElement} element The canvas container element to fix.
-
-     */
-
-    function applyFix(element) {
-
-        // First, check if we have already fixed this element. If so, do nothing.
-
-        if (element.hasAttribute(fixedAttribute)) {
-
-            return;
-
+    /* -------------------- 默认设置 -------------------- */
+    // 由 v2/build.js 按本脚本读取的设置项从 core/settings-schema 生成
+    const DEFAULT_SETTINGS = { enableHandwritingFix: true };
+
+    /* -------------------- 功能模块 -------------------- */
+    // 每个功能模块在自己的文件末尾调用 defineModule 自注册，启动时按打包顺序依次初始化：
+    //   id                模块名，用于日志
+    //   styles            可选，脚本一启动就注入的 CSS，避免页面先以原样式闪现
+    //   setting           可选，控制启停的布尔设置键；省略则始终启用
+    //   init()            启动时调用一次，用于注入 DOM、注册命令等，可以是 async；
+    //                     返回 { enable, disable, onSettingsChange } 中的若干项时替换对应项，便于共享 init 中建立的闭包状态
+    //   enable/disable()  需可重复调用；设置变化（包括其他标签页中的修改）后由 syncModules 调用，无需刷新页面
+    //   onSettingsChange() 可选，任何设置保存后调用，用于同步界面
+    const modules = [];
+
+    function defineModule(module) { modules.push({ init() {}, enable() {}, disable() {}, ...module, active: false }); }
+
+    // 单个模块初始化失败不影响其他模块
+    async function initModules() {
+        for (const module of modules) {
+            try {
+                const controls = await module.init();
+                if (controls) Object.assign(module, controls);
+            }
+            catch (err) { console.error(`模块“${module.id}”初始化失败:`, err); }
         }
-
-        console.log('Tampermonkey: Applying fix to new canvas element.', element);
-
-        // 1. Prevent drawing from being interpreted as a scroll gesture.
-
-        element.addEventListener('touchmove', function(event) {
-
-            event.preventDefault();
-
-            event.stopPropagation();
-
-        }, { passive: false });
-
-        // 2. Prevent pull-to-refresh when drawing on this specific element.
-
-        element.style.overscrollBehaviorY = 'contain';
-
-        // 3. Mark the element as fixed to prevent re-processing.
-
-        element.setAttribute(fixedAttribute, 'true');
-
     }
 
-    /**
-
-     * Searches the page for the main container and starts observing it for changes.
-
-     */
-
-    function initializeObserver() {
-
-        const container = document.querySelector(containerSelector);
-
-        if (!container) {
-
-            // If the container isn't on the page yet, wait a moment and try again.
-
-            // This is a fallback for very slow-loading sites.
-
-            setTimeout(initializeObserver, 500);
-
-            return;
-
-        }
-
-        console.log('Tampermonkey: Found container. Observing for new canvases.', container);
-
-        // Create an observer that will watch for new elements being added inside the container.
-
-        const observer = new MutationObserver(function(mutations) {
-
-            for (const mutation of mutations) {
-
-                // We only care about nodes that have been added to the page.
-
-                if (mutation.addedNodes.length > 0) {
-
-                    // Find all unfixed canvas elements within the added nodes and apply the fix.
-
-                    mutation.addedNodes.forEach(node => {
-
-                        if (node.nodeType === 1) { // Ensure it's an element
-
-                            // Check if the added node itself is a canvas we need to fix
-
-                            if (node.matches(canvasSelector)) {
-
-                                applyFix(node);
-
-                            }
-
-                            // Also check if the added node CONTAINS any canvases (more common)
-
-                            node.querySelectorAll(canvasSelector).forEach(applyFix);
-
-                        }
-
-                    });
-
-                }
-
+    function syncModules() {
+        modules.forEach(module => {
+            const wanted = !module.setting || !!settings[module.setting];
+            if (wanted !== module.active) {
+                try {
+                    if (wanted) module.enable(); else module.disable();
+                    module.active = wanted;
+                } catch (err) { console.error(`模块“${module.id}”${wanted ? '启用' : '停用'}失败:`, err); }
             }
-
+            if (module.onSettingsChange) module.onSettingsChange();
         });
+    }
 
-        // Start observing the target container for child elements being added or removed.
-
-        observer.observe(container, {
-
-            childList: true, // Watch for direct children being added/removed.
-
-            subtree: true    // Watch for all descendants being added/removed.
-
-        });
-
-        // As a final check, run the fix once on page load for any canvases that
-
-        // might have loaded before the observer was attached.
-
-        document.querySelectorAll(canvasSelector).forEach(applyFix);
-
+    /* -------------------- 手写优化 -------------------- */
+    function initializeHandwritingFixObserver() {
+        const containerSelector = 'body', canvasSelector = '.board.answerCanvas', fixedAttribute = 'data-tampermonkey-fixed';
+        let observer = null, retryTimer = null;
+        function preventScroll(event) { event.preventDefault(); event.stopPropagation(); }
+        function applyFix(element) { if (element.hasAttribute(fixedAttribute)) { return; } element.addEventListener('touchmove', preventScroll, { passive: false }); element.style.overscrollBehaviorY = 'contain'; element.setAttribute(fixedAttribute, 'true'); }
+        function removeFix(element) { element.removeEventListener('touchmove', preventScroll, { passive: false }); element.style.overscrollBehaviorY = ''; element.removeAttribute(fixedAttribute); }
+        function enable() {
+            const container = document.querySelector(containerSelector);
+            if (!container) { retryTimer = setTimeout(enable, 500); return; }
+            observer = new MutationObserver(function(mutations) { for (const mutation of mutations) { if (mutation.addedNodes.length > 0) { mutation.addedNodes.forEach(node => { if (node.nodeType === 1) { if (node.matches(canvasSelector)) { applyFix(node); } node.querySelectorAll(canvasSelector).forEach(applyFix); } }); } } });
+            observer.observe(container, { childList: true, subtree: true });
+            document.querySelectorAll(canvasSelector).forEach(applyFix);
+        }
+        function disable() { clearTimeout(retryTimer); if (observer) { observer.disconnect(); observer = null; } document.querySelectorAll(`[${fixedAttribute}]`).forEach(removeFix); }
+        return { enable, disable };
     }
 
-    // Start the process.
+    defineModule({ id: 'handwriting', setting: 'enableHandwritingFix', init: initializeHandwritingFixObserver });
 
-    initializeObserver();
+    /* -------------------- 启动（v1 单功能脚本） -------------------- */
+    // v1 脚本没有设置页，也不读写存储，功能始终按默认设置运行
+    let settings = { ...DEFAULT_SETTINGS };
 
+    function start() { initModules().then(syncModules); }
+    if (document.body) start(); else document.addEventListener('DOMContentLoaded', start, { once: true });
 })();
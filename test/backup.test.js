@@ -0,0 +1,23 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript, plain } = require('./harness/load-userscript');
+
+function bundleWithSettings(settings) {
+    return { format: 'pkus-xny-ultra-backup', schemaVersion: 1, exportedAt: '2024-01-01T00:00:00.000Z', data: { favorites: [], folders: [], lastPath: null, settings } };
+}
+
+test('导入备份时按设置项的规则校验，超出范围或不在选项中的值拒绝导入', async (t) => {
+    const env = await loadUserscript({ expose: ['validateBackupBundle'] });
+    t.after(env.close);
+    const { validateBackupBundle } = env.xny;
+
+    assert.throws(() => validateBackupBundle(bundleWithSettings({ replayStepDelay: -100 })), /设置“回放步骤间隔”的值无效：请输入 0–3000 之间的数字。/);
+    assert.throws(() => validateBackupBundle(bundleWithSettings({ canvasGuide: 'hexagon' })), /设置“手写板辅助线”的值无效：请选择列表中的一项。/);
+    assert.throws(() => validateBackupBundle(bundleWithSettings({ searchHighlightColor: 'blue' })), /颜色格式应为 #RRGGBB。/);
+
+    // 其他版本的脚本才有的设置项直接忽略
+    const data = validateBackupBundle(bundleWithSettings({ replayStepDelay: 500, canvasGuide: 'grid', removedSetting: true }));
+    assert.deepEqual(plain(data.settings), { replayStepDelay: 500, canvasGuide: 'grid' });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript, waitFor, navigate } = require('./harness/load-userscript');
+const { drawOnCanvas } = require('./harness/canvas');
+
+const SETTINGS_KEY = 'bdfz_enhancer_settings_v3';
+
+async function openCanvas(settings) {
+    const env = await loadUserscript({ settings });
+    await navigate(env.document, '物理', ['力学', '牛顿定律']);
+    const board = await waitFor(() => env.document.querySelector('.board.answerCanvas'));
+    return { env, board, canvas: board.querySelector('canvas'), toolbar: board.previousElementSibling };
+}
+
+function drawnPoints(canvas) { return canvas.getContext('2d').drawn().map(stroke => stroke.points); }
+
+test('选择辅助线后在叠加层上绘制，站点画布不受影响', async (t) => {
+    const { env, board, canvas, toolbar } = await openCanvas();
+    t.after(env.close);
+    const layer = board.querySelector('canvas.canvas-guide');
+    const select = toolbar.querySelector('.guide-select');
+    assert.ok(layer.hidden);
+    assert.equal(select.value, 'none');
+    assert.equal(board.querySelector('canvas'), canvas);
+
+    select.value = 'coordinate';
+    select.dispatchEvent(new env.window.Event('change', { bubbles: true }));
+    await waitFor(() => !layer.hidden);
+    assert.equal(JSON.parse(env.gm.store[SETTINGS_KEY]).canvasGuide, 'coordinate');
+    // 300×150 的画布，格距 24：原点取最靠近中心的格点 (144, 72)
+    const [grid, axes] = layer.getContext('2d').drawn();
+    assert.ok(grid.points.some(([x, y]) => x === 24 && y === 0));
+    assert.deepEqual(axes.points, [[0, 72], [300, 72], [144, 0], [144, 150]]);
+    assert.deepEqual(canvas.getContext('2d').calls, []);
+    // 所有手写板同步切换
+    const layers = env.document.querySelectorAll('.canvas-guide');
+    assert.ok(layers.length > 1 && [...layers].every(item => !item.hidden));
+});
+
+test('直线吸附把接近直线的笔画拉直到格点，撤销时与这一笔一同撤销', async (t) => {
+    const { env, canvas, toolbar } = await openCanvas({ canvasGuide: 'grid', snapToGrid: true });
+    t.after(env.close);
+    assert.equal(toolbar.querySelector('.guide-snap').getAttribute('aria-pressed'), 'true');
+
+    drawOnCanvas(env.window, canvas, [[23, 25], [60, 27], [97, 26]]);
+    assert.deepEqual(drawnPoints(canvas), [[[24, 24], [96, 24]]]);
+    // 弯曲的笔画保持原样
+    drawOnCanvas(env.window, canvas, [[10, 100], [40, 130], [70, 100]]);
+    assert.deepEqual(drawnPoints(canvas), [[[24, 24], [96, 24]]]);
+
+    toolbar.querySelector('.stroke-undo').click();
+    toolbar.querySelector('.stroke-undo').click();
+    assert.deepEqual(drawnPoints(canvas), []);
+    assert.ok(toolbar.querySelector('.stroke-undo').disabled);
+});
+
+test('横线与无辅助线时不吸附', async (t) => {
+    const { env, canvas, toolbar } = await openCanvas({ canvasGuide: 'ruled', snapToGrid: true });
+    t.after(env.close);
+    assert.ok(toolbar.querySelector('.guide-snap').hidden);
+
+    drawOnCanvas(env.window, canvas, [[23, 25], [60, 27], [97, 26]]);
+    assert.ok(!canvas.getContext('2d').calls.some(call => call.name === 'clearRect'));
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript, waitFor, navigate } = require('./harness/load-userscript');
+const { drawOnCanvas } = require('./harness/canvas');
+
+// 打开有手写板的题目，并像站点的绘图代码一样在画布上记录收到的指针事件
+async function openCanvas(settings, expose) {
+    const env = await loadUserscript({ settings, expose });
+    await navigate(env.document, '物理', ['力学', '牛顿定律']);
+    const board = await waitFor(() => env.document.querySelector('.board.answerCanvas'));
+    const canvas = board.querySelector('canvas');
+    const received = [];
+    ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(type => canvas.addEventListener(type, event => received.push(`${event.type}:${event.pointerId}`)));
+    return { env, board, canvas, toolbar: board.previousElementSibling, received };
+}
+
+function pointer(env, target, type, pointerId, [clientX, clientY], pointerType = 'touch') {
+    target.dispatchEvent(new env.window.PointerEvent(type, { pointerType, pointerId, clientX, clientY, bubbles: true, cancelable: true }));
+}
+
+// 两指从 (100, 50)、(140, 50) 张开到 (100, 50)、(180, 50)：放大到 2 倍，中点 (120, 50) 下的内容移到新中点 (140, 50) 下
+function pinch(env, canvas) {
+    pointer(env, canvas, 'pointerdown', 1, [100, 50]);
+    pointer(env, canvas, 'pointerdown', 2, [140, 50]);
+    pointer(env, canvas, 'pointermove', 2, [180, 50]);
+    pointer(env, canvas, 'pointerup', 2, [180, 50]);
+    pointer(env, canvas, 'pointerup', 1, [100, 50]);
+}
+
+test('双指缩放平移画布与辅助线，第一根手指的笔画被取消', async (t) => {
+    const { env, board, canvas, toolbar, received } = await openCanvas({ canvasGuide: 'grid' });
+    t.after(env.close);
+
+    pinch(env, canvas);
+    assert.equal(canvas.style.transform, 'translate(-100px, -50px) scale(2)');
+    assert.equal(board.querySelector('.canvas-guide').style.transform, canvas.style.transform);
+    assert.deepEqual(received, ['pointerdown:1', 'pointercancel:1']);
+    assert.ok(toolbar.querySelector('.stroke-undo').disabled);
+    const reset = toolbar.querySelector('.canvas-zoom-reset');
+    assert.ok(!reset.hidden);
+    assert.equal(reset.textContent, '🔍 200%');
+
+    reset.click();
+    assert.equal(canvas.style.transform, '');
+    assert.ok(reset.hidden);
+});
+
+test('缩放状态下的笔画按缩放后的位置落在笔尖下', async (t) => {
+    const { env, canvas, toolbar, received } = await openCanvas();
+    t.after(env.close);
+    pinch(env, canvas);
+    received.length = 0;
+
+    // 屏幕上的 (100, 50) 对应画布上的 ((100 + 100) / 2, (50 + 50) / 2)
+    drawOnCanvas(env.window, canvas, [[100, 50], [120, 50], [120, 70]], { strokeStyle: '#ff0000', lineWidth: 2 });
+    assert.deepEqual(received, []);
+    const ctx = canvas.getContext('2d');
+    assert.deepEqual(ctx.drawn().map(stroke => stroke.points), [[[100, 50], [110, 50]], [[110, 50], [110, 60]]]);
+    assert.equal(ctx.drawn()[0].style.strokeStyle, '#ff0000');
+
+    // 画完的一笔记入笔画模型，可撤销、重做
+    const undo = toolbar.querySelector('.stroke-undo');
+    undo.click();
+    assert.deepEqual(ctx.drawn(), []);
+    toolbar.querySelector('.stroke-redo').click();
+    assert.deepEqual(ctx.drawn().map(stroke => stroke.points), [[[100, 50], [110, 50], [110, 60]]]);
+});
+
+test('仅手写笔模式下手指仍可缩放；关闭双指缩放后照常交给站点', async (t) => {
+    const stylus = await openCanvas({ stylusOnly: true });
+    t.after(stylus.env.close);
+    pinch(stylus.env, stylus.canvas);
+    assert.equal(stylus.canvas.style.transform, 'translate(-100px, -50px) scale(2)');
+    assert.deepEqual(stylus.received, []);
+
+    const disabled = await openCanvas({ enableCanvasZoom: false });
+    t.after(disabled.env.close);
+    pinch(disabled.env, disabled.canvas);
+    assert.equal(disabled.canvas.style.transform, '');
+    assert.deepEqual(disabled.received, ['pointerdown:1', 'pointerdown:2', 'pointermove:2', 'pointerup:2', 'pointerup:1']);
+});
+
+test('仅在开启双指缩放时接管手写板的 touch-action，关闭后恢复', async (t) => {
+    const { env, board, canvas } = await openCanvas({}, ['updateSetting']);
+    t.after(env.close);
+    assert.equal(board.style.touchAction, 'none');
+
+    pinch(env, canvas);
+    await env.xny.updateSetting('enableCanvasZoom', false);
+    assert.equal(board.style.touchAction, '');
+    assert.equal(canvas.style.transform, '');
+    await env.xny.updateSetting('enableCanvasZoom', true);
+    assert.equal(board.style.touchAction, 'none');
+
+    const disabled = await openCanvas({ enableCanvasZoom: false });
+    t.after(disabled.env.close);
+    assert.equal(disabled.board.style.touchAction, '');
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript, waitFor, navigate, treeNodes, plain } = require('./harness/load-userscript');
+
+const LAST_PATH_KEY = 'bdfz_persistent_path_v3';
+
+function parentTitle(node) {
+    const parent = node.closest('li[role="treeitem"]').parentElement.closest('li[role="treeitem"]');
+    return parent.querySelector(':scope > .ant-tree-node-content-wrapper').textContent.trim();
+}
+
+test('逐级点击后记录当前路径，树节点带有目录 ID', async (t) => {
+    const env = await loadUserscript({ expose: ['captureCurrentPath'] });
+    t.after(env.close);
+
+    await navigate(env.document, '物理', ['电磁学', '练习']);
+    const expected = [
+        { selector: 'div.menu > div', text: '课程' },
+        { selector: 'div.folderName', text: '物理' },
+        { selector: 'span.ant-tree-node-content-wrapper', text: '电磁学', catalogId: '102' },
+        { selector: 'span.ant-tree-node-content-wrapper', text: '练习', catalogId: '122' },
+    ];
+    assert.deepEqual(plain(env.xny.captureCurrentPath()), expected);
+    // 导航区的点击会在稍后自动保存，供下次打开时回放
+    const saved = await waitFor(() => env.gm.store[LAST_PATH_KEY]);
+    assert.deepEqual(JSON.parse(saved), expected);
+});
+
+test('回放按目录 ID 定位同名节点', async (t) => {
+    const env = await loadUserscript({ expose: ['replayPath'] });
+    t.after(env.close);
+
+    // 两个章节都展开后，页面上有两个“练习”，仅凭文字无法区分
+    await navigate(env.document, '物理', ['力学']);
+    await navigate(env.document, '物理', ['电磁学']);
+    await waitFor(() => treeNodes(env.document, '练习').length === 2);
+
+    const path = [
+        { selector: 'div.menu > div', text: '课程' },
+        { selector: 'div.folderName', text: '物理' },
+        { selector: 'span.ant-tree-node-content-wrapper', text: '练习', catalogId: '122' },
+    ];
+    const reached = await env.xny.replayPath(path);
+    assert.equal(parentTitle(reached), '电磁学');
+    assert.ok(reached.classList.contains('ant-tree-node-selected'));
+    assert.equal(env.document.getElementById('disambiguation-drawer'), null);
+});
+
+test('点击胶囊菜单的回放按钮回到上次保存的路径', async (t) => {
+    const lastPath = [
+        { selector: 'div.menu > div', text: '课程' },
+        { selector: 'div.folderName', text: '化学' },
+        { selector: 'span.ant-tree-node-content-wrapper', text: '有机化学', catalogId: '201' },
+        { selector: 'span.ant-tree-node-content-wrapper', text: '烃', catalogId: '211' },
+    ];
+    const env = await loadUserscript({ store: { [LAST_PATH_KEY]: JSON.stringify(lastPath) } });
+    t.after(env.close);
+
+    env.document.querySelector('#pillMenu button[title="Reload"]').click();
+    await waitFor(() => env.document.querySelector('.ant-tree-node-selected')?.textContent.trim() === '烃', { timeout: 5000 });
+    assert.ok(env.document.querySelector('.folderName.active').textContent.includes('化学'));
+    // 到达终点后题目内容随之加载
+    await waitFor(() => env.document.querySelectorAll('.content .question').length === 2);
+});
+
+test('新的回放取代等待用户决定的回放时，旧回放按放弃结束', async (t) => {
+    const env = await loadUserscript({ expose: ['replayPath'] });
+    t.after(env.close);
+
+    const first = env.xny.replayPath([
+        { selector: 'div.menu > div', text: '课程' },
+        { selector: 'span.ant-tree-node-content-wrapper', text: '不存在的章节' },
+    ]);
+    await waitFor(() => env.document.querySelector('.replay-progress-actions'), { timeout: 8000 });
+
+    const second = env.xny.replayPath([
+        { selector: 'div.menu > div', text: '课程' },
+        { selector: 'div.folderName', text: '物理' },
+    ]);
+    await assert.rejects(first, /Replay cancelled/);
+    const reached = await second;
+    assert.ok(reached.classList.contains('active'));
+    assert.equal(env.document.querySelectorAll('#replay-progress').length, 1);
+    assert.equal(env.document.querySelector('.replay-progress-actions'), null);
+});
+
+test('取消或被新的回放取代时，关闭同名节点的选择抽屉', async (t) => {
+    const env = await loadUserscript({ expose: ['replayPath'] });
+    t.after(env.close);
+    await navigate(env.document, '物理', ['力学']);
+    await navigate(env.document, '物理', ['电磁学']);
+    await waitFor(() => treeNodes(env.document, '练习').length === 2);
+    // 没有目录 ID 的旧路径无法区分两个“练习”
+    const ambiguous = [
+        { selector: 'div.menu > div', text: '课程' },
+        { selector: 'span.ant-tree-node-content-wrapper', text: '练习' },
+    ];
+
+    const cancelled = env.xny.replayPath(ambiguous);
+    await waitFor(() => env.document.querySelector('#disambiguation-drawer li'));
+    env.document.querySelector('.replay-progress-close').click();
+    await assert.rejects(cancelled, /Replay cancelled/);
+    await waitFor(() => env.document.getElementById('disambiguation-drawer') === null);
+
+    const replaced = env.xny.replayPath(ambiguous);
+    await waitFor(() => env.document.querySelector('#disambiguation-drawer li'));
+    const next = env.xny.replayPath([{ selector: 'div.menu > div', text: '课程' }]);
+    await assert.rejects(replaced, /Replay cancelled/);
+    await next;
+    await waitFor(() => env.document.getElementById('disambiguation-drawer') === null);
+});
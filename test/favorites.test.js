@@ -0,0 +1,30 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript, waitFor, navigate } = require('./harness/load-userscript');
+
+const FAVORITES_KEY = 'bdfz_path_favorites_v2';
+const LAST_PATH_KEY = 'bdfz_persistent_path_v3';
+
+test('收藏当前路径时，带目录 ID 的路径与旧版不带 ID 的收藏视为同一条', async (t) => {
+    const legacy = {
+        title: '练习',
+        path: [
+            { selector: 'div.menu > div', text: '课程' },
+            { selector: 'div.folderName', text: '物理' },
+            { selector: 'span.ant-tree-node-content-wrapper', text: '电磁学' },
+            { selector: 'span.ant-tree-node-content-wrapper', text: '练习' },
+        ],
+    };
+    const env = await loadUserscript({ store: { [FAVORITES_KEY]: JSON.stringify([legacy]) }, expose: ['addCurrentPathToFavorites', 'captureCurrentPath'] });
+    t.after(env.close);
+
+    await navigate(env.document, '物理', ['电磁学', '练习']);
+    assert.ok(env.xny.captureCurrentPath().slice(2).every(step => step.catalogId));
+    await env.xny.addCurrentPathToFavorites();
+    assert.equal(env.gm.notifications.at(-1).text, '该路径已在收藏夹中。');
+    assert.equal(JSON.parse(env.gm.store[FAVORITES_KEY]).length, 1);
+    // 等导航点击触发的路径保存完成再结束测试
+    await waitFor(() => env.gm.store[LAST_PATH_KEY]);
+});
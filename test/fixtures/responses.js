@@ -0,0 +1,52 @@
+// 模拟站点返回的数据，结构取自真实接口（字段只保留脚本用到的部分）
+'use strict';
+
+// catalog/entity：按科目返回目录树。物理中有两个同名的“练习”，用于验证按目录 ID 回放
+const catalogs = {
+    '物理': {
+        code: 1,
+        message: 'success',
+        extra: [
+            {
+                id: 101,
+                catalogName: '力学',
+                childList: [
+                    { id: 111, catalogName: '牛顿定律', childList: [] },
+                    { id: 112, catalogName: '练习', childList: [] },
+                ],
+            },
+            {
+                id: 102,
+                catalogName: '电磁学',
+                childList: [
+                    { id: 121, catalogName: '电场', childList: [] },
+                    { id: 122, catalogName: '练习', childList: [] },
+                ],
+            },
+        ],
+    },
+    '化学': {
+        code: 1,
+        message: 'success',
+        extra: [
+            { id: 201, catalogName: '有机化学', childList: [{ id: 211, catalogName: '烃', childList: [] }] },
+        ],
+    },
+};
+
+// /content：题目数据，答案相关开关默认关闭
+function content() {
+    return {
+        code: 1,
+        message: 'success',
+        extra: [
+            { id: 9001, content: { title: '第 1 题', previewAnswer: 0, answerWayHandle: 0, answerWayPhoto: 0, mustDoSwitch: 1 } },
+            { id: 9002, content: { title: '第 2 题', previewAnswer: 0, answerWayKeyboard: 0, questionTalkingSwitch: 0 } },
+        ],
+    };
+}
+
+// enchance（站点接口本身的拼写）：图片增强上传
+const enchance = { code: 1, message: '上传成功', time: 0, extra: 'https://bdfz.xnykcxt.com:5002/upload/answer.png' };
+
+module.exports = { catalogs, content, enchance };
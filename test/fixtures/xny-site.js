@@ -0,0 +1,96 @@
+// 模拟站点的前端行为，只实现脚本依赖的部分：
+//   - 点击主菜单项切换 active
+//   - 点击科目：选中并请求 catalog/entity 渲染目录树；重复点击已加载的科目不做任何事（搜索结果的路径会把科目步骤点两次）
+//   - 点击树节点：有子节点的展开/收起（与 antd 一样异步渲染子树），叶子节点请求 /content 并渲染题目、手写板与 PDF 查看器
+// transport 决定站点用 XMLHttpRequest 还是 fetch 发请求，两种方式下脚本的行为应完全一致
+'use strict';
+
+const API_BASE = '/exam/api/student';
+
+function installXnySite(window, { transport = 'xhr' } = {}) {
+    const { document } = window;
+    const treeBox = document.querySelector('.treeBox');
+    const contentBox = document.querySelector('.content');
+    let loadedSubject = null;
+
+    // 返回解析后的响应数据，非 200 或网络错误时为 null
+    function request(url) {
+        if (transport === 'fetch') return window.fetch(url).then(response => (response.status === 200 ? response.json() : null), () => null);
+        return new Promise(resolve => {
+            const xhr = new window.XMLHttpRequest();
+            xhr.open('GET', url);
+            xhr.addEventListener('load', () => resolve(xhr.status === 200 ? JSON.parse(xhr.responseText) : null));
+            xhr.send();
+        });
+    }
+
+    function renderTree(nodes, className) {
+        const ul = document.createElement('ul');
+        ul.className = className;
+        ul.setAttribute('role', className === 'ant-tree' ? 'tree' : 'group');
+        nodes.forEach(node => {
+            const li = document.createElement('li');
+            li.setAttribute('role', 'treeitem');
+            li.innerHTML = '<span class="ant-tree-switcher"></span><span class="ant-tree-node-content-wrapper ant-tree-node-content-wrapper-close"><span class="ant-tree-title"></span></span>';
+            li.querySelector('.ant-tree-title').textContent = node.catalogName;
+            li.querySelector('.ant-tree-node-content-wrapper').addEventListener('click', () => clickTreeNode(li, node));
+            ul.appendChild(li);
+        });
+        return ul;
+    }
+
+    function clickTreeNode(li, node) {
+        const wrapper = li.querySelector(':scope > .ant-tree-node-content-wrapper');
+        document.querySelectorAll('.ant-tree-node-selected').forEach(el => el.classList.remove('ant-tree-node-selected'));
+        wrapper.classList.add('ant-tree-node-selected');
+        if (!node.childList || node.childList.length === 0) {
+            request(`${API_BASE}/resource/${node.id}/content`).then(data => { if (data) renderContent(data, node.id); });
+            return;
+        }
+        const open = wrapper.classList.contains('ant-tree-node-content-wrapper-open');
+        wrapper.classList.toggle('ant-tree-node-content-wrapper-open', !open);
+        wrapper.classList.toggle('ant-tree-node-content-wrapper-close', open);
+        const childTree = li.querySelector(':scope > ul');
+        if (childTree) childTree.remove();
+        if (!open) setTimeout(() => li.appendChild(renderTree(node.childList, 'ant-tree-child-tree')), 20);
+    }
+
+    function renderContent(data, resourceId) {
+        contentBox.innerHTML = '<div class="top"></div>';
+        data.extra.forEach(item => {
+            const question = document.createElement('div');
+            question.className = 'question';
+            question.innerHTML = `<h3></h3>${item.content.previewAnswer ? '<button class="ant-btn view-answer">查看答案</button>' : ''}<button class="ant-btn">显示答题区</button><div class="board answerCanvas"><canvas></canvas></div>`;
+            question.querySelector('h3').textContent = item.content.title;
+            contentBox.appendChild(question);
+        });
+        // PDF.js 查看器，通过 file 参数指定 PDF 地址；下载、打印等按钮默认带 hidden。
+        // jsdom 不加载 iframe 的 src，这里直接写入查看器的文档
+        const iframe = document.createElement('iframe');
+        iframe.className = 'pdf-viewer';
+        iframe.src = `/pdfjs/web/viewer.html?file=${encodeURIComponent(`/upload/resource/${resourceId}.pdf`)}`;
+        contentBox.appendChild(iframe);
+        const viewerDocument = iframe.contentDocument;
+        if (!viewerDocument.documentElement) viewerDocument.appendChild(viewerDocument.createElement('html'));
+        viewerDocument.documentElement.innerHTML = '<head></head><body><div id="toolbarViewerRight"><button id="download" class="hidden">下载</button><button id="print" class="hidden">打印</button></div><div id="editorModeButtons" class="hidden"></div><div id="errorWrapper" hidden></div></body>';
+    }
+
+    document.querySelectorAll('.menu > div').forEach(item => item.addEventListener('click', () => {
+        document.querySelectorAll('.menu > div').forEach(el => el.classList.toggle('active', el === item));
+    }));
+
+    document.querySelectorAll('.folderName').forEach(folder => folder.addEventListener('click', () => {
+        const subject = folder.textContent.trim();
+        if (loadedSubject === subject) return;
+        document.querySelectorAll('.folderName').forEach(el => el.classList.toggle('active', el === folder));
+        treeBox.innerHTML = '';
+        loadedSubject = subject;
+        request(`${API_BASE}/catalog/entity?subjectName=${encodeURIComponent(subject)}`).then(data => {
+            if (data && loadedSubject === subject && Array.isArray(data.extra)) treeBox.appendChild(renderTree(data.extra, 'ant-tree'));
+        });
+    }));
+
+    return { request, API_BASE };
+}
+
+module.exports = { installXnySite, API_BASE };
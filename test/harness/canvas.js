@@ -0,0 +1,69 @@
+// jsdom 没有实现 canvas 绘图。这里提供只记录调用的 2D 上下文：context.calls 按顺序记录方法调用，
+// 属性（strokeStyle、lineWidth 等）可读写；drawn() 返回自上次 clearRect 以来画出的线段，便于断言重绘结果
+'use strict';
+
+const METHODS = ['save', 'restore', 'beginPath', 'moveTo', 'lineTo', 'stroke', 'arc', 'fill', 'fillRect', 'clearRect', 'setTransform', 'drawImage', 'closePath', 'putImageData'];
+
+function createRecordingContext(canvas) {
+    const context = {
+        canvas,
+        calls: [],
+        strokeStyle: '#000000',
+        fillStyle: '#000000',
+        lineWidth: 1,
+        lineCap: 'butt',
+        lineJoin: 'miter',
+        globalCompositeOperation: 'source-over',
+        getImageData(x, y, width, height) { return { width, height, data: new Uint8ClampedArray(width * height * 4) }; },
+        // 每次 stroke 记录当前路径的点与样式；clearRect 清空
+        drawn() {
+            const strokes = [];
+            let path = [];
+            this.calls.forEach(call => {
+                if (call.name === 'clearRect') strokes.length = 0;
+                else if (call.name === 'beginPath') path = [];
+                else if (call.name === 'moveTo' || call.name === 'lineTo') path.push(call.args);
+                else if (call.name === 'arc') path.push(call.args.slice(0, 2));
+                else if (call.name === 'stroke' || call.name === 'fill') strokes.push({ points: path, style: call.style });
+            });
+            return strokes;
+        },
+    };
+    METHODS.forEach(name => {
+        context[name] = (...args) => {
+            context.calls.push({ name, args, style: { strokeStyle: context.strokeStyle, lineWidth: context.lineWidth, composite: context.globalCompositeOperation } });
+        };
+    });
+    return context;
+}
+
+// 布局：画布位于 (0, 0)，显示尺寸等于像素尺寸；style.transform 为 translate(x, y) scale(s) 时按其平移缩放
+function canvasLayout(canvas) {
+    const match = /translate\((-?[\d.]+)px, (-?[\d.]+)px\) scale\(([\d.]+)\)/.exec(canvas.style.transform);
+    const [x, y, scale] = match ? match.slice(1).map(Number) : [0, 0, 1];
+    const width = canvas.width * scale, height = canvas.height * scale;
+    return { x, y, left: x, top: y, width, height, right: x + width, bottom: y + height };
+}
+
+function installCanvasStub(window) {
+    const contexts = new WeakMap();
+    const proto = window.HTMLCanvasElement.prototype;
+    proto.getBoundingClientRect = function() { return canvasLayout(this); };
+    Object.defineProperty(proto, 'offsetWidth', { configurable: true, get() { return this.width; } });
+    Object.defineProperty(proto, 'offsetHeight', { configurable: true, get() { return this.height; } });
+    window.HTMLCanvasElement.prototype.getContext = function(type) {
+        if (type !== '2d') return null;
+        if (!contexts.has(this)) contexts.set(this, createRecordingContext(this));
+        return contexts.get(this);
+    };
+}
+
+// 像站点的绘图代码那样先设置画笔样式，再用一个手写笔指针画出经过 points（相对画布左上角）的一笔
+function drawOnCanvas(window, canvas, points, style = {}, pointerId = 1) {
+    Object.assign(canvas.getContext('2d'), style);
+    const dispatch = (type, [clientX, clientY]) => canvas.dispatchEvent(new window.PointerEvent(type, { pointerType: 'pen', pointerId, clientX, clientY, bubbles: true, cancelable: true }));
+    points.forEach((point, index) => dispatch(index === 0 ? 'pointerdown' : 'pointermove', point));
+    dispatch('pointerup', points[points.length - 1]);
+}
+
+module.exports = { installCanvasStub, drawOnCanvas };
@@ -0,0 +1,95 @@
+// 替换 jsdom 的 XMLHttpRequest 并提供 fetch（jsdom 未实现）：按 URL 返回 fixtures 中的数据并记录每个请求，不访问网络。
+// XHR 的响应属性定义在原型上的 getter 中，与浏览器一致，拦截器才能取到原始描述符并在实例上覆盖。
+// 路由返回 { networkError: true } 时模拟断网：XHR 触发 error，fetch 抛出 TypeError。
+'use strict';
+
+const responses = require('../fixtures/responses');
+
+function defaultRoutes() {
+    return [
+        {
+            match: url => url.pathname.endsWith('/catalog/entity'),
+            respond: url => {
+                const catalog = responses.catalogs[url.searchParams.get('subjectName')];
+                return catalog ? { status: 200, body: catalog } : { status: 200, body: { code: 0, message: '科目不存在', extra: null } };
+            },
+        },
+        { match: url => url.pathname.endsWith('/content'), respond: () => ({ status: 200, body: responses.content() }) },
+        { match: url => url.pathname.endsWith('enchance'), respond: () => ({ status: 200, body: responses.enchance }) },
+    ];
+}
+
+function createFakeServer(window) {
+    const server = { requests: [], routes: defaultRoutes() };
+
+    function handle(method, href, body) {
+        const url = new window.URL(href, window.location.href);
+        server.requests.push({ method, url: url.href, body });
+        const route = server.routes.find(candidate => candidate.match(url));
+        return route ? route.respond(url) : { status: 404, body: { code: 0, message: 'Not Found' } };
+    }
+
+    class FakeXMLHttpRequest extends window.EventTarget {
+        constructor() {
+            super();
+            this._readyState = 0;
+            this._status = 0;
+            this._responseText = '';
+            this._url = '';
+            this.responseType = '';
+            // 与浏览器一致：dispatchEvent 派发的事件也会触发 onload 等属性处理器
+            ['readystatechange', 'load', 'loadend', 'error'].forEach(type => {
+                this[`on${type}`] = null;
+                this.addEventListener(type, event => { if (typeof this[`on${type}`] === 'function') this[`on${type}`](event); });
+            });
+        }
+
+        open(method, url) {
+            this._method = method;
+            this._url = new window.URL(url, window.location.href).href;
+            this._readyState = 1;
+        }
+
+        setRequestHeader() {}
+
+        send(body = null) {
+            const response = handle(this._method, this._url, body);
+            setTimeout(() => {
+                this._readyState = 4;
+                if (response.networkError) {
+                    ['readystatechange', 'error', 'loadend'].forEach(type => this.dispatchEvent(new window.ProgressEvent(type)));
+                    return;
+                }
+                this._status = response.status;
+                this._responseText = JSON.stringify(response.body);
+                ['readystatechange', 'load', 'loadend'].forEach(type => this.dispatchEvent(new window.ProgressEvent(type)));
+            }, 0);
+        }
+
+        get readyState() { return this._readyState; }
+        get status() { return this._status; }
+        get statusText() { return this._status === 200 ? 'OK' : ''; }
+        get responseURL() { return this._readyState === 4 ? this._url : ''; }
+        get responseText() { return this._responseText; }
+        get response() { return this._responseText; }
+    }
+
+    // 供 GM_xmlhttpRequest 使用：与 fetch 一样以 JSON 文本作为响应内容，按 responseType 给出 ArrayBuffer
+    server.gmRespond = (details) => {
+        const response = handle(details.method || 'GET', details.url, details.data ?? null);
+        const text = JSON.stringify(response.body);
+        return { status: response.status, responseText: text, response: details.responseType === 'arraybuffer' ? new TextEncoder().encode(text).buffer : text };
+    };
+
+    server.XMLHttpRequest = FakeXMLHttpRequest;
+    server.fetch = async (input, init = {}) => {
+        const url = input && typeof input.url === 'string' ? input.url : String(input);
+        const response = handle(init.method || (input && input.method) || 'GET', url, init.body ?? null);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (response.networkError) throw new TypeError('Failed to fetch');
+        return new Response(JSON.stringify(response.body), { status: response.status, headers: { 'Content-Type': 'application/json' } });
+    };
+    return server;
+}
+
+module.exports = { createFakeServer };
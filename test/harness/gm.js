@@ -0,0 +1,51 @@
+// Tampermonkey GM_* API 的内存实现。store 即 GM 存储，键值与脚本写入的原样一致（多为 JSON 字符串）
+'use strict';
+
+function createGM(window, store = {}) {
+    const gm = { store, notifications: [], httpRequests: [], valueListeners: [], clipboard: null, respond: () => ({ status: 200, responseText: '' }) };
+
+    function notifyValueChange(key, oldValue, newValue, remote) {
+        gm.valueListeners.filter(listener => listener.key === key).forEach(listener => listener.callback(key, oldValue, newValue, remote));
+    }
+
+    Object.assign(window, {
+        // 测试中没有沙箱，页面的 window 就是脚本的 window
+        unsafeWindow: window,
+        GM_addStyle(css) {
+            const style = window.document.createElement('style');
+            style.textContent = css;
+            (window.document.head || window.document.documentElement).appendChild(style);
+            return style;
+        },
+        GM_getValue: (key, fallback) => (key in store ? store[key] : fallback),
+        GM_setValue(key, value) {
+            const oldValue = store[key];
+            store[key] = value;
+            notifyValueChange(key, oldValue, value, false);
+        },
+        GM_deleteValue(key) { delete store[key]; },
+        GM_listValues: () => Object.keys(store),
+        GM_notification: details => { gm.notifications.push(details); },
+        GM_setClipboard: text => { gm.clipboard = text; },
+        // 记录请求并异步返回 gm.respond(details) 的结果；默认以空响应成功返回（如强制刷新前的登出请求）
+        GM_xmlhttpRequest(details) {
+            gm.httpRequests.push(details);
+            setTimeout(() => { if (details.onload) details.onload(gm.respond(details)); }, 0);
+        },
+        GM_addValueChangeListener(key, callback) {
+            gm.valueListeners.push({ key, callback });
+            return gm.valueListeners.length;
+        },
+    });
+
+    // 模拟另一个标签页写入存储
+    gm.setRemoteValue = (key, value) => {
+        const oldValue = store[key];
+        store[key] = value;
+        notifyValueChange(key, oldValue, value, true);
+    };
+
+    return gm;
+}
+
+module.exports = { createGM };
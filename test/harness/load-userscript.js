@@ -0,0 +1,89 @@
+// 在 jsdom 中加载模拟站点与用户脚本。脚本直接从 v2/src 在内存中打包，测试的总是当前源码；
+// expose 中列出的内部函数会挂到 window.__xny 上供断言使用。
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const PinyinMatch = require('pinyin-match');
+const { TARGETS, bundle } = require('../../v2/build');
+const { createGM } = require('./gm');
+const { createFakeServer } = require('./fake-server');
+const { installCanvasStub } = require('./canvas');
+const { installXnySite } = require('../fixtures/xny-site');
+
+const SITE_HTML = fs.readFileSync(path.join(__dirname, '../fixtures/xny-site.html'), 'utf8');
+const SITE_URL = 'https://bdfz.xnykcxt.com:5002/stu/#/';
+const SETTINGS_KEY = 'bdfz_enhancer_settings_v3';
+
+async function waitFor(predicate, { timeout = 3000, interval = 10 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const value = await predicate();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(`等待超时：${predicate.toString()}`);
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+// jsdom 中创建的对象原型属于另一个 realm，转换为普通对象后才能用 deepEqual 比较
+function plain(value) { return JSON.parse(JSON.stringify(value)); }
+
+function treeNodes(document, title) {
+    return Array.from(document.querySelectorAll('.ant-tree-node-content-wrapper')).filter(node => node.textContent.trim() === title);
+}
+
+// 像用户一样逐级点击：科目，然后依次点击目录树中的节点；同名节点取上一级节点子树中的那个
+async function navigate(document, subject, titles = []) {
+    Array.from(document.querySelectorAll('.folderName')).find(folder => folder.textContent.trim() === subject).click();
+    let scope = document;
+    for (const title of titles) {
+        const node = await waitFor(() => Array.from(scope.querySelectorAll('.ant-tree-node-content-wrapper')).find(candidate => candidate.textContent.trim() === title));
+        node.click();
+        scope = node.closest('li[role="treeitem"]');
+    }
+}
+
+// settings 会与默认设置合并；回放步骤间隔默认设为 0 以加快测试。
+// 传入同一个 indexedDB 可模拟刷新页面后从本地索引恢复；transport 为 'fetch' 时站点改用 fetch 发请求。
+async function loadUserscript({ target = 'v2/main.js', url = SITE_URL, store = {}, settings = {}, indexedDB = new IDBFactory(), transport = 'xhr', expose = [] } = {}) {
+    // 脚本的日志收集到 logs 中而不是输出到终端，需要时可对其断言
+    const logs = [];
+    const virtualConsole = new VirtualConsole();
+    ['log', 'info', 'warn', 'error'].forEach(level => virtualConsole.on(level, (...args) => logs.push({ level, args })));
+    const dom = new JSDOM(SITE_HTML, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    const { window } = dom;
+    // jsdom 没有实现 innerText，脚本用它比较按钮文字
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', { get() { return this.textContent; }, configurable: true });
+    // jsdom 也没有实现 URL.createObjectURL；生成的地址与对应的 Blob 记录在 blobs 中
+    const blobs = new Map();
+    let blobCount = 0;
+    window.URL.createObjectURL = blob => { const blobUrl = `blob:${window.location.origin}/${++blobCount}`; blobs.set(blobUrl, blob); return blobUrl; };
+    window.URL.revokeObjectURL = blobUrl => { blobs.delete(blobUrl); };
+    installCanvasStub(window);
+    window.indexedDB = indexedDB;
+    window.IDBKeyRange = IDBKeyRange;
+    window.PinyinMatch = PinyinMatch;
+
+    const gm = createGM(window, { [SETTINGS_KEY]: JSON.stringify({ replayStepDelay: 0, ...settings }), ...store });
+    const server = createFakeServer(window);
+    window.XMLHttpRequest = server.XMLHttpRequest;
+    // 缓存 PDF 等通过 GM_xmlhttpRequest 下载的文件同样由假服务器响应
+    gm.respond = details => (new window.URL(details.url).pathname.endsWith('.pdf') ? server.gmRespond(details) : { status: 200, responseText: '' });
+    // jsdom 没有 fetch 相关的全局对象，使用 Node 自带的实现
+    Object.assign(window, { fetch: server.fetch, Request, Response, Headers });
+    const site = installXnySite(window, { transport });
+
+    const code = bundle(TARGETS.find(candidate => candidate.file === target));
+    const end = code.lastIndexOf('})();');
+    const hook = `    window.__xny = { modules, get settings() { return settings; }, ${expose.join(', ')} };\n`;
+    window.eval(code.slice(0, end) + hook + code.slice(end));
+
+    const xny = window.__xny;
+    // 所有模块都已按设置启停，即启动流程结束
+    await waitFor(() => xny.modules.length > 0 && xny.modules.every(module => module.active === (!module.setting || !!xny.settings[module.setting])));
+    return { window, document: window.document, gm, server, site, xny, logs, indexedDB, blobs, close: () => window.close() };
+}
+
+module.exports = { loadUserscript, waitFor, navigate, treeNodes, plain, SITE_URL };
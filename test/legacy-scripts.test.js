@@ -0,0 +1,39 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TARGETS, bundle } = require('../v2/build');
+const { loadUserscript, plain } = require('./harness/load-userscript');
+
+const LEGACY_SCRIPTS = {
+    'auto-login.user.js': ['auto-login'],
+    'handwriting-fix.user.js': ['handwriting'],
+    'force-show-PDF-buttons.user.js': ['pdf'],
+    'ui.user.js': ['theme', 'menu-indicator'],
+};
+
+test('v1 脚本只带有其模块读取的默认设置，不打包完整的设置项定义', () => {
+    const defaults = file => bundle(TARGETS.find(target => target.file === file)).match(/const DEFAULT_SETTINGS = (.*);/)[1];
+    assert.equal(defaults('auto-login.user.js'), '{ autoLogin: true, autoLoginDelay: 750 }');
+    assert.equal(defaults('handwriting-fix.user.js'), '{ enableHandwritingFix: true }');
+    assert.equal(defaults('ui.user.js'), '{}');
+    Object.keys(LEGACY_SCRIPTS).forEach(file => assert.doesNotMatch(bundle(TARGETS.find(target => target.file === file)), /SETTINGS_SCHEMA|网络记录条数/));
+});
+
+for (const [file, moduleIds] of Object.entries(LEGACY_SCRIPTS)) {
+    test(`${file} 按默认设置启用各模块`, async (t) => {
+        const env = await loadUserscript({ target: file });
+        t.after(env.close);
+        assert.deepEqual(plain(env.xny.modules.map(module => [module.id, module.active])), moduleIds.map(id => [id, true]));
+        assert.deepEqual(env.logs.filter(log => log.level === 'error'), []);
+    });
+}
+
+test('@license 取各脚本原有的值，原本没有的不生成；v2 脚本与 package.json 一致', () => {
+    const license = file => bundle(TARGETS.find(target => target.file === file)).match(/^\/\/ @license +(.*)$/m)?.[1] ?? null;
+    assert.equal(license('v2/main.js'), require('../package.json').license);
+    assert.equal(license('ui.user.js'), 'MIT');
+    assert.equal(license('force-show-PDF-buttons.user.js'), 'MIT');
+    assert.equal(license('auto-login.user.js'), null);
+    assert.equal(license('handwriting-fix.user.js'), null);
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript, waitFor, navigate } = require('./harness/load-userscript');
+
+function send(window, method, url, { headers = {}, body = null } = {}) {
+    return new Promise(resolve => {
+        const xhr = new window.XMLHttpRequest();
+        xhr.open(method, url);
+        Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+        xhr.onloadend = () => resolve(xhr);
+        xhr.send(body);
+    });
+}
+
+function rows(document) { return [...document.querySelectorAll('#network-inspector-drawer li.network-entry')]; }
+
+function summary(row) {
+    return ['method', 'path', 'status'].map(part => row.querySelector(`.network-${part}`).textContent);
+}
+
+for (const transport of ['xhr', 'fetch']) {
+    test(`[${transport}] 胶囊菜单打开网络面板，列出站点请求并格式化 JSON`, async (t) => {
+        const env = await loadUserscript({ transport });
+        t.after(env.close);
+
+        await navigate(env.document, '物理');
+        await waitFor(() => env.document.querySelector('.ant-tree'));
+        const networkBtn = env.document.querySelector('#pillMenu button[title="Network"]');
+        networkBtn.click();
+        const drawer = env.document.getElementById('network-inspector-drawer');
+        assert.ok(drawer.classList.contains('open'));
+
+        const [row] = await waitFor(() => rows(env.document).length === 1 && rows(env.document));
+        assert.deepEqual(summary(row), ['GET', '/exam/api/student/catalog/entity?subjectName=%E7%89%A9%E7%90%86', '200']);
+        assert.match(row.querySelector('.network-duration').textContent, /^\d+ ms$/);
+        assert.equal(row.querySelector('.network-details'), null);
+
+        row.querySelector('.network-summary').click();
+        const expanded = rows(env.document)[0];
+        assert.match(expanded.querySelector('.network-hooks').textContent, /catalog-index/);
+        assert.match(expanded.querySelector('.network-response').textContent, /^\{\n {2}"code": 1,\n/);
+
+        networkBtn.click();
+        assert.ok(!drawer.classList.contains('open'));
+    });
+}
+
+test('按地址筛选并只显示失败的请求', async (t) => {
+    const env = await loadUserscript({ expose: ['openNetworkInspector'] });
+    t.after(env.close);
+
+    await send(env.window, 'GET', '/exam/api/student/catalog/entity?subjectName=化学');
+    await send(env.window, 'GET', '/exam/api/missing');
+    // 站点接口以外的请求不记录
+    await send(env.window, 'GET', '/stu/config.json');
+    env.xny.openNetworkInspector();
+    assert.equal(rows(env.document).length, 2);
+
+    const failedOnly = env.document.querySelector('.network-failed-only');
+    failedOnly.checked = true;
+    failedOnly.dispatchEvent(new env.window.Event('change'));
+    assert.deepEqual(rows(env.document).map(summary), [['GET', '/exam/api/missing', '404']]);
+    assert.ok(rows(env.document)[0].classList.contains('failed'));
+
+    failedOnly.checked = false;
+    failedOnly.dispatchEvent(new env.window.Event('change'));
+    const filter = env.document.querySelector('.network-filter');
+    filter.value = 'CATALOG';
+    filter.dispatchEvent(new env.window.Event('input'));
+    await waitFor(() => rows(env.document).length === 1);
+    assert.match(summary(rows(env.document)[0])[1], /catalog\/entity/);
+
+    filter.value = '不存在';
+    filter.dispatchEvent(new env.window.Event('input'));
+    await waitFor(() => env.document.querySelector('#network-inspector-drawer .network-empty')?.textContent === '没有符合筛选条件的请求');
+});
+
+test('复制为 cURL 包含方法、请求头与请求体；本地响应的请求也会记录', async (t) => {
+    const env = await loadUserscript({ settings: { enableMockEnhance: true }, expose: ['openNetworkInspector'] });
+    t.after(env.close);
+
+    await send(env.window, 'POST', '/exam/api/upload/enchance', { headers: { 'Content-Type': 'application/json' }, body: `{"name":"it's"}` });
+    env.xny.openNetworkInspector();
+    rows(env.document)[0].querySelector('.network-summary').click();
+    const row = rows(env.document)[0];
+    assert.deepEqual(summary(row), ['POST', '/exam/api/upload/enchance', '200（本地）']);
+    assert.match(row.querySelector('.network-hooks').textContent, /mock-enhance/);
+
+    row.querySelector('.network-copy-curl').click();
+    assert.equal(env.gm.clipboard, `curl 'https://bdfz.xnykcxt.com:5002/exam/api/upload/enchance' -X POST -H 'Content-Type: application/json' --data-raw '{"name":"it'\\''s"}'`);
+    assert.equal(row.querySelector('.network-copy-curl').textContent, '已复制');
+});
+
+test('只保留设置的最近若干条记录', async (t) => {
+    const env = await loadUserscript({ settings: { networkLogLimit: 10 }, expose: ['openNetworkInspector'] });
+    t.after(env.close);
+
+    for (let i = 0; i < 12; i++) await send(env.window, 'GET', `/exam/api/missing?page=${i}`);
+    env.xny.openNetworkInspector();
+    const paths = rows(env.document).map(row => summary(row)[1]);
+    assert.equal(paths.length, 10);
+    assert.equal(paths[0], '/exam/api/missing?page=11');
+});
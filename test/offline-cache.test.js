@@ -0,0 +1,158 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadUserscript, waitFor, navigate } = require('./harness/load-userscript');
+
+const offline = { match: () => true, respond: () => ({ networkError: true }) };
+
+// 打开一次目录与题目，等待异步写入 IndexedDB 完成后关闭页面
+async function visitOnline(transport) {
+    const env = await loadUserscript({ transport });
+    await navigate(env.document, '物理', ['力学', '牛顿定律']);
+    await waitFor(() => env.document.querySelectorAll('.content .question').length === 2);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    env.close();
+    return env.indexedDB;
+}
+
+function drawer(document) { return document.getElementById('offline-drawer'); }
+
+// 绕过脚本直接读出 responses 仓库中的全部记录
+function storedResponses(indexedDB) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open('pkus-xny-ultra');
+        request.onsuccess = () => {
+            const db = request.result;
+            const all = db.transaction('responses').objectStore('responses').getAll();
+            all.onsuccess = () => { db.close(); resolve(all.result); };
+            all.onerror = () => { db.close(); reject(all.error); };
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+for (const transport of ['xhr', 'fetch']) {
+    test(`[${transport}] 断网时题目请求失败，显示缓存的题目并标明缓存时间`, async (t) => {
+        const indexedDB = await visitOnline(transport);
+        const env = await loadUserscript({ transport, indexedDB });
+        t.after(env.close);
+
+        await navigate(env.document, '物理', ['力学']);
+        env.server.routes.unshift(offline);
+        await navigate(env.document, '物理', ['牛顿定律']);
+
+        await waitFor(() => drawer(env.document).classList.contains('open'));
+        const titles = await waitFor(() => {
+            const nodes = drawer(env.document).querySelectorAll('.offline-question-title');
+            return nodes.length === 2 && [...nodes].map(node => node.textContent);
+        });
+        assert.deepEqual(titles, ['第 1 题', '第 2 题']);
+        assert.equal(drawer(env.document).querySelector('.drawer-header h2').textContent, '牛顿定律');
+        assert.match(drawer(env.document).querySelector('.offline-badge').textContent, /^只读 · 缓存于 \d{4}年\d{1,2}月\d{1,2}日 \d{2}:\d{2}$/);
+    });
+}
+
+for (const transport of ['xhr', 'fetch']) {
+    test(`[${transport}] 开启强制显示答案时缓存服务器返回的原始题目，而不是修改后的内容`, async (t) => {
+        const env = await loadUserscript({ transport, settings: { enableAnswerForce: true } });
+        t.after(env.close);
+
+        await navigate(env.document, '物理', ['力学', '牛顿定律']);
+        const cached = await waitFor(async () => (await storedResponses(env.indexedDB)).find(record => record.kind === 'content'));
+        assert.equal(cached.data.extra[0].content.previewAnswer, 0);
+        assert.equal(cached.data.extra[1].content.answerWayKeyboard, 0);
+    });
+}
+
+test('断网时目录请求失败，显示缓存的目录树并可进入已缓存的题目', async (t) => {
+    const indexedDB = await visitOnline('xhr');
+    const env = await loadUserscript({ indexedDB });
+    t.after(env.close);
+
+    env.server.routes.unshift(offline);
+    await navigate(env.document, '物理');
+    await waitFor(() => drawer(env.document).classList.contains('open'));
+    const tree = await waitFor(() => drawer(env.document).querySelector('.offline-tree'));
+    assert.equal(drawer(env.document).querySelector('.drawer-header h2').textContent, '物理');
+
+    // 只有打开过的“牛顿定律”可以进入，其余叶子节点标为未缓存
+    const links = [...tree.querySelectorAll('.offline-link')];
+    assert.deepEqual(links.map(link => link.textContent), ['牛顿定律']);
+    assert.equal(tree.querySelectorAll('.offline-meta').length, 3);
+
+    links[0].click();
+    await waitFor(() => drawer(env.document).querySelectorAll('.offline-question-title').length === 2);
+    drawer(env.document).querySelector('.offline-back').click();
+    await waitFor(() => drawer(env.document).querySelector('.offline-tree'));
+    assert.equal(drawer(env.document).querySelector('.drawer-header h2').textContent, '物理');
+});
+
+test('胶囊菜单打开离线浏览，列出缓存的目录', async (t) => {
+    const indexedDB = await visitOnline('xhr');
+    const env = await loadUserscript({ indexedDB });
+    t.after(env.close);
+
+    env.document.querySelector('#pillMenu button[title="Offline"]').click();
+    assert.ok(drawer(env.document).classList.contains('open'));
+    const link = await waitFor(() => drawer(env.document).querySelector('.offline-link'));
+    assert.equal(link.firstElementChild.textContent, '物理');
+    link.click();
+    (await waitFor(() => drawer(env.document).querySelector('.offline-tree .offline-link'))).click();
+    await waitFor(() => drawer(env.document).querySelectorAll('.offline-question-title').length === 2);
+    assert.equal(drawer(env.document).querySelector('.drawer-header h2').textContent, '牛顿定律');
+});
+
+test('404 等普通错误与未缓存的请求不打开离线浏览', async (t) => {
+    const indexedDB = await visitOnline('xhr');
+    const env = await loadUserscript({ indexedDB });
+    t.after(env.close);
+
+    env.server.routes.unshift({ match: url => url.pathname.endsWith('/catalog/entity'), respond: () => ({ status: 404, body: { code: 0 } }) });
+    await navigate(env.document, '物理');
+    env.server.routes.unshift(offline);
+    await navigate(env.document, '化学');
+    await waitFor(() => env.server.requests.length === 2);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(!drawer(env.document).classList.contains('open'));
+});
+
+test('关闭离线缓存后不保存响应', async (t) => {
+    const env = await loadUserscript({ settings: { enableOfflineCache: false } });
+    t.after(env.close);
+
+    await navigate(env.document, '物理', ['力学', '牛顿定律']);
+    await waitFor(() => env.document.querySelectorAll('.content .question').length === 2);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal((await storedResponses(env.indexedDB)).length, 0);
+});
+
+test('其他标签页仍在使用旧版本数据库时不等待升级，页面功能照常', async (t) => {
+    const indexedDB = new IDBFactory();
+    // 旧版本脚本所在的标签页：持有连接且不响应升级请求
+    const oldTab = await new Promise((resolve, reject) => {
+        const request = indexedDB.open('pkus-xny-ultra', 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('catalogs', { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    t.after(() => oldTab.close());
+    const env = await loadUserscript({ indexedDB, expose: ['loadOfflineCatalogs', 'getAllSearchableItems'] });
+    t.after(env.close);
+
+    await assert.rejects(env.xny.loadOfflineCatalogs(), /数据库升级被其他标签页阻塞/);
+    await navigate(env.document, '物理');
+    await waitFor(() => env.xny.getAllSearchableItems().length === 6);
+});
+
+test('缓存超出上限时删除最早缓存的记录', async (t) => {
+    const env = await loadUserscript({ expose: ['saveOfflineResponse'] });
+    t.after(env.close);
+
+    for (let i = 0; i < 302; i++) await env.xny.saveOfflineResponse({ key: `/content/${i}`, kind: 'content', capturedAt: 1000 + i, data: { extra: [] } });
+    const keys = (await storedResponses(env.indexedDB)).map(record => record.key);
+    assert.equal(keys.length, 300);
+    assert.ok(!keys.includes('/content/0') && !keys.includes('/content/1'));
+    assert.ok(keys.includes('/content/2') && keys.includes('/content/301'));
+});
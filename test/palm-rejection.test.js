@@ -0,0 +1,91 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript, waitFor, navigate } = require('./harness/load-userscript');
+
+const SETTINGS_KEY = 'bdfz_enhancer_settings_v3';
+
+// 打开有手写板的题目，并像站点的绘图代码一样在画布上记录收到的事件
+async function openCanvas(settings) {
+    const env = await loadUserscript({ settings });
+    await navigate(env.document, '物理', ['力学', '牛顿定律']);
+    const board = await waitFor(() => env.document.querySelector('.board.answerCanvas'));
+    const canvas = board.querySelector('canvas');
+    const received = [];
+    ['pointerdown', 'pointermove', 'pointerup', 'touchstart', 'touchmove', 'touchend'].forEach(type => canvas.addEventListener(type, event => received.push(`${event.type}:${event.pointerType ?? 'touch'}`)));
+    return { env, board, canvas, received };
+}
+
+function pointer(env, target, type, pointerType, pointerId = 1) {
+    const event = new env.window.PointerEvent(type, { pointerType, pointerId, bubbles: true, cancelable: true });
+    target.dispatchEvent(event);
+    return event;
+}
+
+// jsdom 无法构造 Touch 对象，用普通事件附带 changedTouches 代替
+function touch(env, target, type, touches) {
+    const event = new env.window.Event(type, { bubbles: true, cancelable: true });
+    Object.defineProperty(event, 'changedTouches', { value: touches });
+    target.dispatchEvent(event);
+    return event;
+}
+
+test('仅手写笔模式下忽略手指与手掌，手写笔与鼠标照常书写', async (t) => {
+    const { env, canvas, received } = await openCanvas({ stylusOnly: true });
+    t.after(env.close);
+
+    const down = pointer(env, canvas, 'pointerdown', 'touch', 1);
+    assert.ok(down.defaultPrevented);
+    // 手指移出手写板后的事件同样不会传给站点
+    pointer(env, canvas, 'pointermove', 'touch', 1);
+    pointer(env, canvas, 'pointerup', 'touch', 1);
+    ['pointerdown', 'pointermove', 'pointerup'].forEach(type => pointer(env, canvas, type, 'pen', 2));
+    ['pointerdown', 'pointerup'].forEach(type => pointer(env, canvas, type, 'mouse', 3));
+    assert.deepEqual(received, ['pointerdown:pen', 'pointermove:pen', 'pointerup:pen', 'pointerdown:mouse', 'pointerup:mouse']);
+});
+
+test('按 touchType 区分手写笔与手指的触摸事件', async (t) => {
+    const { env, canvas, received } = await openCanvas({ stylusOnly: true });
+    t.after(env.close);
+
+    assert.ok(touch(env, canvas, 'touchstart', [{ identifier: 1, touchType: 'direct' }]).defaultPrevented);
+    touch(env, canvas, 'touchstart', [{ identifier: 2, touchType: 'stylus' }]);
+    touch(env, canvas, 'touchmove', [{ identifier: 2, touchType: 'stylus' }]);
+    touch(env, canvas, 'touchmove', [{ identifier: 1, touchType: 'direct' }]);
+    touch(env, canvas, 'touchend', [{ identifier: 2, touchType: 'stylus' }]);
+    assert.deepEqual(received, ['touchstart:touch', 'touchmove:touch', 'touchend:touch']);
+});
+
+test('关闭时不拦截，手写板以外的触碰始终不受影响', async (t) => {
+    const { env, canvas, received } = await openCanvas();
+    t.after(env.close);
+
+    pointer(env, canvas, 'pointerdown', 'touch');
+    assert.deepEqual(received, ['pointerdown:touch']);
+
+    const page = [];
+    env.document.body.addEventListener('pointerdown', event => page.push(event.pointerType));
+    env.window.__xny.settings.stylusOnly = true;
+    const outside = pointer(env, env.document.querySelector('.content .question h3'), 'pointerdown', 'touch', 4);
+    assert.ok(!outside.defaultPrevented);
+    assert.deepEqual(page, ['touch']);
+});
+
+test('手写板上方的快捷按钮切换并保存设置', async (t) => {
+    const { env, canvas, received } = await openCanvas();
+    t.after(env.close);
+
+    const toggles = env.document.querySelectorAll('.canvas-toolbar .stylus-toggle');
+    assert.equal(toggles.length, env.document.querySelectorAll('.board.answerCanvas').length);
+    assert.equal(toggles[0].getAttribute('aria-pressed'), 'false');
+
+    toggles[0].click();
+    await waitFor(() => [...toggles].every(toggle => toggle.classList.contains('active')));
+    assert.equal(JSON.parse(env.gm.store[SETTINGS_KEY]).stylusOnly, true);
+    pointer(env, canvas, 'pointerdown', 'touch');
+    assert.deepEqual(received, []);
+
+    toggles[1].click();
+    await waitFor(() => toggles[0].getAttribute('aria-pressed') === 'false');
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript, waitFor, navigate, plain } = require('./harness/load-userscript');
+
+const LIBRARY_KEY = 'bdfz_pdf_library_v1';
+const EXPOSE = ['openPdfLibrary', 'loadCachedPdf'];
+
+function library(env) { return JSON.parse(env.gm.store[LIBRARY_KEY] || '[]'); }
+
+function libraryItems(document) {
+    return [...document.querySelectorAll('#pdf-library-drawer .drawer-content li:not(.pdf-library-empty)')];
+}
+
+test('记录查看器中打开的 PDF 及其目录路径，并在资料库中列出', async (t) => {
+    const env = await loadUserscript({ expose: EXPOSE });
+    t.after(env.close);
+
+    await navigate(env.document, '物理', ['力学', '牛顿定律']);
+    await waitFor(() => library(env).length === 1);
+    await navigate(env.document, '物理', ['电磁学', '电场']);
+    const entries = await waitFor(() => library(env).length === 2 && library(env));
+
+    assert.equal(entries[0].title, '电场');
+    assert.equal(entries[0].url, 'https://bdfz.xnykcxt.com:5002/upload/resource/121.pdf');
+    assert.equal(entries[0].viewerUrl, 'https://bdfz.xnykcxt.com:5002/pdfjs/web/viewer.html?file=%2Fupload%2Fresource%2F121.pdf');
+    assert.deepEqual(entries[1].path.map(step => step.text), ['课程', '物理', '力学', '牛顿定律']);
+    assert.equal(entries[1].path[3].catalogId, '111');
+
+    // 胶囊菜单中的“资料库”按钮打开列表
+    env.document.querySelector('#pillMenu button[title="Library"]').click();
+    assert.ok(env.document.getElementById('pdf-library-drawer').classList.contains('open'));
+    const items = await waitFor(() => libraryItems(env.document).length === 2 && libraryItems(env.document));
+    assert.deepEqual(items.map(item => item.querySelector('.item-title').textContent), ['电场', '牛顿定律']);
+    assert.equal(items[1].querySelector('.item-fullpath').textContent, '物理 / 力学 / 牛顿定律');
+
+    const filter = env.document.querySelector('.pdf-library-filter');
+    filter.value = '牛顿';
+    filter.dispatchEvent(new env.window.Event('input'));
+    await waitFor(() => libraryItems(env.document).length === 1);
+});
+
+test('从资料库重新打开 PDF，并可回到其所在目录', async (t) => {
+    const env = await loadUserscript({ expose: EXPOSE });
+    t.after(env.close);
+    await navigate(env.document, '物理', ['力学', '牛顿定律']);
+    await waitFor(() => library(env).length === 1);
+    await navigate(env.document, '化学', ['有机化学']);
+
+    env.xny.openPdfLibrary();
+    (await waitFor(() => libraryItems(env.document)[0])).click();
+    const viewer = await waitFor(() => env.document.getElementById('pdf-library-viewer'));
+    assert.equal(viewer.querySelector('iframe').getAttribute('src'), 'https://bdfz.xnykcxt.com:5002/pdfjs/web/viewer.html?file=https%3A%2F%2Fbdfz.xnykcxt.com%3A5002%2Fupload%2Fresource%2F111.pdf');
+    assert.ok(!env.document.getElementById('pdf-library-drawer').classList.contains('open'));
+    // 资料库自己的查看器不会被再次记录
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(library(env).length, 1);
+    assert.ok(library(env)[0].lastOpenedAt > 0);
+
+    viewer.querySelector('.pdf-viewer-locate').click();
+    assert.equal(env.document.getElementById('pdf-library-viewer'), null);
+    await waitFor(() => env.document.querySelector('.ant-tree-node-selected')?.textContent.trim() === '牛顿定律', { timeout: 5000 });
+    await waitFor(() => env.document.querySelector('.replay-progress-title')?.textContent === '已到达');
+});
+
+test('不在目录中打开的 PDF 以文件名记录，查看器中不显示定位按钮', async (t) => {
+    const env = await loadUserscript({ expose: EXPOSE });
+    t.after(env.close);
+    // 没有选中任何菜单与目录节点时，当前路径为空
+    env.document.querySelectorAll('.menu > div.active').forEach(item => item.classList.remove('active'));
+    const iframe = env.document.createElement('iframe');
+    iframe.src = '/upload/resource/notes.pdf';
+    env.document.body.appendChild(iframe);
+
+    const [entry] = await waitFor(() => library(env).length === 1 && library(env));
+    assert.equal(entry.title, 'notes.pdf');
+    assert.deepEqual(entry.path, []);
+
+    env.xny.openPdfLibrary();
+    (await waitFor(() => libraryItems(env.document)[0])).click();
+    const viewer = await waitFor(() => env.document.getElementById('pdf-library-viewer'));
+    assert.ok(viewer.querySelector('.pdf-viewer-locate').hidden);
+});
+
+test('同时打开的多个 PDF 都记入资料库，缓存完成后的大小更新不覆盖新记录', async (t) => {
+    const env = await loadUserscript({ settings: { cachePdfFiles: true }, expose: EXPOSE });
+    t.after(env.close);
+    env.server.routes.unshift({ match: url => url.pathname.endsWith('.pdf'), respond: () => ({ status: 200, body: 'pdf' }) });
+
+    // 同一次 DOM 变化中插入的 iframe 各自触发一次记录，同时读写资料库
+    const iframes = ['a', 'b', 'c'].map(name => {
+        const iframe = env.document.createElement('iframe');
+        iframe.src = `/upload/resource/${name}.pdf`;
+        return iframe;
+    });
+    env.document.body.append(...iframes);
+    // 插入后立即改变 src：插入与属性变化两次记录同一个 iframe
+    iframes[2].src = '/upload/resource/d.pdf';
+
+    const entries = await waitFor(() => library(env).length === 3 && library(env).every(entry => entry.size) && library(env));
+    assert.deepEqual(entries.map(entry => entry.title).sort(), ['a.pdf', 'b.pdf', 'd.pdf']);
+    assert.equal(env.gm.httpRequests.filter(request => request.url.endsWith('/d.pdf')).length, 1);
+});
+
+test('开启缓存PDF文件后保存文件，重新打开时使用本地缓存', async (t) => {
+    const env = await loadUserscript({ settings: { cachePdfFiles: true }, expose: EXPOSE });
+    t.after(env.close);
+    env.server.routes.unshift({ match: url => url.pathname.endsWith('.pdf'), respond: () => ({ status: 200, body: '%PDF-1.4 测试文件' }) });
+
+    await navigate(env.document, '物理', ['力学', '牛顿定律']);
+    const cached = await waitFor(() => env.xny.loadCachedPdf('https://bdfz.xnykcxt.com:5002/upload/resource/111.pdf'));
+    assert.equal(Buffer.from(cached.data).toString(), '"%PDF-1.4 测试文件"');
+    // 通过 GM_xmlhttpRequest 下载，跨域的 PDF 同样可以缓存
+    assert.deepEqual(env.gm.httpRequests.map(request => [request.url, request.responseType]), [['https://bdfz.xnykcxt.com:5002/upload/resource/111.pdf', 'arraybuffer']]);
+    await waitFor(() => library(env)[0]?.size === cached.data.byteLength);
+
+    env.xny.openPdfLibrary();
+    const item = await waitFor(() => libraryItems(env.document)[0]);
+    assert.equal(item.querySelector('.pdf-library-meta').textContent, '已缓存 · 1 KB');
+    item.click();
+    const viewer = await waitFor(() => env.document.getElementById('pdf-library-viewer'));
+    const file = new env.window.URL(viewer.querySelector('iframe').src).searchParams.get('file');
+    assert.ok(env.blobs.has(file));
+    assert.equal(env.blobs.get(file).type, 'application/pdf');
+    assert.match(viewer.querySelector('.pdf-viewer-title').textContent, /（本地缓存）$/);
+
+    viewer.querySelector('.pdf-viewer-close').click();
+    assert.equal(env.blobs.size, 0);
+});
+
+test('从资料库移除条目时一并删除缓存的文件', async (t) => {
+    const env = await loadUserscript({ settings: { cachePdfFiles: true }, expose: EXPOSE });
+    t.after(env.close);
+    env.server.routes.unshift({ match: url => url.pathname.endsWith('.pdf'), respond: () => ({ status: 200, body: 'pdf' }) });
+    await navigate(env.document, '物理', ['力学', '牛顿定律']);
+    await waitFor(() => library(env)[0]?.size);
+
+    env.xny.openPdfLibrary();
+    (await waitFor(() => libraryItems(env.document)[0])).querySelector('.pdf-library-remove').click();
+    await waitFor(() => env.document.querySelector('#pdf-library-drawer .pdf-library-empty')?.textContent === '还没有打开过PDF');
+    assert.deepEqual(plain(library(env)), []);
+    assert.equal(await env.xny.loadCachedPdf('https://bdfz.xnykcxt.com:5002/upload/resource/111.pdf'), undefined);
+});
+
+test('关闭资料库后不再记录 PDF', async (t) => {
+    const env = await loadUserscript({ settings: { enablePdfLibrary: false } });
+    t.after(env.close);
+    await navigate(env.document, '物理', ['力学', '牛顿定律']);
+    await waitFor(() => env.document.querySelector('iframe.pdf-viewer'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(library(env).length, 0);
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript, waitFor, navigate, plain } = require('./harness/load-userscript');
+
+const TRANSPORTS = ['xhr', 'fetch'];
+
+function upload(window, transport) {
+    if (transport === 'fetch') {
+        return window.fetch('/exam/api/upload/enchance', { method: 'POST', body: 'image' }).then(response => response.json());
+    }
+    return new Promise(resolve => {
+        const xhr = new window.XMLHttpRequest();
+        xhr.open('POST', '/exam/api/upload/enchance');
+        xhr.onload = () => resolve(JSON.parse(xhr.responseText));
+        xhr.send('image');
+    });
+}
+
+// 去掉随时间变化的字段，便于比较两种请求方式得到的索引
+function indexedItems(env) {
+    return plain(env.xny.getAllSearchableItems()).map(({ capturedAt, ...item }) => item);
+}
+
+for (const transport of TRANSPORTS) {
+    test(`[${transport}] 开启图片极速上传时 enchance 请求由本地直接响应`, async (t) => {
+        const env = await loadUserscript({ transport, settings: { enableMockEnhance: true } });
+        t.after(env.close);
+
+        const response = await upload(env.window, transport);
+        assert.equal(response.code, 1);
+        assert.equal(response.message, '新能源ULTRA加速上传中…');
+        assert.equal(env.server.requests.length, 0);
+    });
+
+    test(`[${transport}] 关闭图片极速上传时 enchance 请求照常发出`, async (t) => {
+        const env = await loadUserscript({ transport });
+        t.after(env.close);
+
+        const response = await upload(env.window, transport);
+        assert.equal(response.message, '上传成功');
+        assert.equal(env.server.requests.length, 1);
+    });
+
+    test(`[${transport}] 开启强制显示答案时修改 /content 数据`, async (t) => {
+        const env = await loadUserscript({ transport, settings: { enableAnswerForce: true } });
+        t.after(env.close);
+
+        await navigate(env.document, '物理', ['力学', '牛顿定律']);
+        await waitFor(() => env.document.querySelectorAll('.content .question').length === 2);
+        assert.equal(env.document.querySelectorAll('.content .view-answer').length, 2);
+
+        const data = await env.site.request(`${env.site.API_BASE}/resource/111/content`);
+        assert.deepEqual(data.extra.map(item => item.content.previewAnswer), [1, 1]);
+        assert.equal(data.extra[0].content.mustDoSwitch, 0);
+    });
+
+    test(`[${transport}] 关闭强制显示答案时 /content 数据保持原样`, async (t) => {
+        const env = await loadUserscript({ transport });
+        t.after(env.close);
+
+        await navigate(env.document, '物理', ['力学', '牛顿定律']);
+        await waitFor(() => env.document.querySelectorAll('.content .question').length === 2);
+        assert.equal(env.document.querySelectorAll('.content .view-answer').length, 0);
+    });
+
+    test(`[${transport}] 不在站点域名下时不处理任何请求`, async (t) => {
+        const env = await loadUserscript({ transport, url: 'https://example.com/stu/#/', settings: { enableMockEnhance: true }, expose: ['getAllSearchableItems'] });
+        t.after(env.close);
+
+        await navigate(env.document, '物理');
+        await waitFor(() => env.document.querySelector('.ant-tree'));
+        assert.equal(env.xny.getAllSearchableItems().length, 0);
+        const response = await upload(env.window, transport);
+        assert.equal(response.message, '上传成功');
+    });
+}
+
+test('XHR 与 fetch 拦截到的目录生成相同的搜索索引', async (t) => {
+    const results = {};
+    for (const transport of TRANSPORTS) {
+        const env = await loadUserscript({ transport, expose: ['getAllSearchableItems'] });
+        t.after(env.close);
+        await navigate(env.document, '物理');
+        await waitFor(() => env.xny.getAllSearchableItems().length === 6);
+        results[transport] = indexedItems(env);
+        // 始终开启的目录索引钩子不在控制台逐条输出
+        assert.ok(!env.logs.some(log => String(log.args[0]).includes('Request intercepted')));
+    }
+    assert.equal(results.fetch.length, 6);
+    assert.deepEqual(results.fetch, results.xhr);
+});
+
+test('fetch 传入 Request 对象时同样按 URL 识别目录请求', async (t) => {
+    const env = await loadUserscript({ transport: 'fetch', expose: ['getAllSearchableItems'] });
+    t.after(env.close);
+
+    // 只标记科目而不触发站点请求，由测试自行以 Request 对象发出目录请求
+    [...env.document.querySelectorAll('.folderName')].find(folder => folder.textContent.includes('化学')).classList.add('active');
+    const url = new env.window.URL(`${env.site.API_BASE}/catalog/entity?subjectName=${encodeURIComponent('化学')}`, env.window.location.href).href;
+    const response = await env.window.fetch(new env.window.Request(url));
+    assert.equal((await response.json()).extra[0].catalogName, '有机化学');
+    const items = await waitFor(() => env.xny.getAllSearchableItems().length === 2 && env.xny.getAllSearchableItems());
+    assert.ok(items.every(item => item.catalogKey === '课程/化学'));
+});
+
+for (const transport of TRANSPORTS) {
+    test(`[${transport}] 请求钩子按 order 依次执行，单个钩子出错不影响其他钩子`, async (t) => {
+        const env = await loadUserscript({ transport, expose: ['registerRequestHook', 'requestLog'] });
+        t.after(env.close);
+        env.server.routes.unshift({ match: url => url.pathname.endsWith('/hook-test'), respond: () => ({ status: 200, body: { calls: [] } }) });
+
+        const calls = [];
+        env.xny.registerRequestHook({ id: 'append-b', order: 2, match: url => url.endsWith('/hook-test'), onResponse: data => ({ calls: [...data.calls, 'b'] }) });
+        env.xny.registerRequestHook({ id: 'broken', order: 1, match: url => url.endsWith('/hook-test'), onResponse: () => { throw new Error('故意出错'); } });
+        env.xny.registerRequestHook({ id: 'append-a', order: 0, match: url => url.endsWith('/hook-test'), onResponse: data => ({ calls: [...data.calls, 'a'] }) });
+        env.xny.registerRequestHook({ id: 'observer', order: 3, match: url => url.endsWith('/hook-test'), onResponse: (data, response) => { calls.push([data.calls, response.status, response.transport]); } });
+
+        const data = await env.site.request('/exam/api/hook-test');
+        assert.deepEqual(plain(data.calls), ['a', 'b']);
+        assert.deepEqual(plain(calls), [[['a', 'b'], 200, transport]]);
+
+        const entry = env.xny.requestLog[0];
+        assert.equal(entry.status, 200);
+        assert.deepEqual(plain(entry.fired).map(({ id, phase, changed, error }) => [id, phase, changed ?? error]), [
+            ['append-a', 'response', true],
+            ['broken', 'response', '故意出错'],
+            ['append-b', 'response', true],
+            ['observer', 'response', false],
+        ]);
+    });
+
+    test(`[${transport}] onRequest 给出本地响应后不再发出请求，也不执行后续钩子`, async (t) => {
+        const env = await loadUserscript({ transport, expose: ['registerRequestHook'] });
+        t.after(env.close);
+
+        const later = [];
+        env.xny.registerRequestHook({ id: 'local', match: url => url.endsWith('/hook-test'), onRequest: request => ({ method: request.method }) });
+        env.xny.registerRequestHook({ id: 'later', order: 1, match: url => url.endsWith('/hook-test'), onRequest: () => { later.push('request'); }, onResponse: () => { later.push('response'); } });
+
+        const data = await env.site.request('/exam/api/hook-test');
+        assert.equal(data.method, 'GET');
+        assert.equal(env.server.requests.length, 0);
+        assert.deepEqual(later, []);
+    });
+}
+
+test('关闭设置的钩子不匹配请求，调试面板列出最近请求触发的钩子', async (t) => {
+    const env = await loadUserscript({ expose: ['openRequestHookPanel'] });
+    t.after(env.close);
+
+    await navigate(env.document, '物理', ['力学', '牛顿定律']);
+    await waitFor(() => env.document.querySelectorAll('.content .question').length === 2);
+    env.xny.openRequestHookPanel();
+
+    const rows = [...env.document.querySelectorAll('#request-hooks-drawer .drawer-content li')];
+    // /content 请求没有匹配到钩子（强制显示答案未开启），不会出现在面板中
+    assert.equal(rows.length, 1);
+    assert.match(rows[0].querySelector('.item-title').textContent, /^GET .*catalog\/entity/);
+    assert.equal(rows[0].querySelector('.request-hook-calls').textContent, 'catalog-index · 响应');
+    assert.match(rows[0].querySelector('.request-hook-meta').textContent, /^xhr · 200/);
+
+    env.document.querySelector('#request-hooks-drawer .drawer-header-action').click();
+    assert.equal(env.document.querySelector('#request-hooks-drawer .request-hook-empty').textContent, '还没有经过钩子的请求');
+});
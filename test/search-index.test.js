@@ -0,0 +1,107 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript, waitFor, navigate, plain } = require('./harness/load-userscript');
+
+const EXPOSE = ['getAllSearchableItems', 'createSearchUI'];
+
+test('拦截到的目录展开为可回放的搜索项', async (t) => {
+    const env = await loadUserscript({ expose: EXPOSE });
+    t.after(env.close);
+
+    await navigate(env.document, '物理');
+    const items = plain(await waitFor(() => env.xny.getAllSearchableItems().length === 6 && env.xny.getAllSearchableItems()));
+    assert.deepEqual(items.map(item => item.title), ['力学', '牛顿定律', '练习', '电磁学', '电场', '练习']);
+    const field = items.find(item => item.title === '电场');
+    assert.equal(field.displayPath, '物理 / 电磁学 / 电场');
+    assert.equal(field.catalogKey, '课程/物理');
+    // 科目步骤重复一次，对应在站点上“双击”科目
+    assert.deepEqual(field.replayablePath.map(step => step.text), ['课程', '物理', '物理', '电磁学', '电场']);
+    assert.deepEqual(field.replayablePath.slice(3).map(step => step.catalogId), ['102', '121']);
+});
+
+test('主菜单与科目作为索引的上下文', async (t) => {
+    const env = await loadUserscript({ expose: EXPOSE });
+    t.after(env.close);
+
+    env.document.querySelectorAll('.menu > div')[1].click();
+    await navigate(env.document, '化学');
+    const items = await waitFor(() => env.xny.getAllSearchableItems().length === 2 && env.xny.getAllSearchableItems());
+    assert.ok(items.every(item => item.mainMenu === '作业' && item.catalogKey === '作业/化学'));
+});
+
+test('刷新页面后从 IndexedDB 恢复目录索引', async (t) => {
+    const first = await loadUserscript({ expose: EXPOSE });
+    await navigate(first.document, '物理');
+    await waitFor(() => first.xny.getAllSearchableItems().length === 6);
+    // 等待异步写入 IndexedDB 完成
+    await new Promise(resolve => setTimeout(resolve, 50));
+    first.close();
+
+    const second = await loadUserscript({ expose: EXPOSE, indexedDB: first.indexedDB });
+    t.after(second.close);
+    // 本地索引在后台读取，不阻塞其他模块初始化
+    await waitFor(() => second.xny.getAllSearchableItems().length === 6);
+});
+
+test('格式不正确的目录数据不进入索引', async (t) => {
+    const env = await loadUserscript({ expose: EXPOSE });
+    t.after(env.close);
+    env.server.routes.unshift({
+        match: url => url.pathname.endsWith('/catalog/entity'),
+        respond: () => ({ status: 200, body: { code: 1, extra: { catalogName: '不是数组' } } }),
+    });
+
+    await navigate(env.document, '化学');
+    await waitFor(() => env.server.requests.some(request => request.url.includes('catalog/entity')));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(env.xny.getAllSearchableItems().length, 0);
+});
+
+test('搜索浮层按拼音匹配、高亮并回放所选结果', async (t) => {
+    const env = await loadUserscript({ expose: EXPOSE });
+    t.after(env.close);
+    await navigate(env.document, '物理');
+    await waitFor(() => env.xny.getAllSearchableItems().length === 6);
+
+    env.xny.createSearchUI();
+    const input = env.document.querySelector('.search-spotlight-input');
+    input.value = 'dianchang';
+    input.dispatchEvent(new env.window.Event('input'));
+    const result = await waitFor(() => env.document.querySelector('.search-results-list li'));
+    assert.equal(result.querySelector('.search-result-title').textContent, '电场');
+    assert.equal(result.querySelector('.search-result-title mark.search-highlight').textContent, '电场');
+
+    result.click();
+    await waitFor(() => env.document.querySelector('.ant-tree-node-selected')?.textContent.trim() === '电场', { timeout: 5000 });
+    assert.equal(env.document.getElementById('search-spotlight-overlay'), null);
+    // 等回放收尾完成再结束测试，避免关闭窗口后仍有回放中的异步操作
+    await waitFor(() => env.document.querySelector('.replay-progress-title')?.textContent === '已到达');
+});
+
+test('in:收藏 也能匹配记录目录 ID 之前保存的收藏', async (t) => {
+    const legacyFavorite = {
+        title: '电场',
+        path: [
+            { selector: 'div.menu > div', text: '课程' },
+            { selector: 'div.folderName', text: '物理' },
+            { selector: 'span.ant-tree-node-content-wrapper', text: '电磁学' },
+            { selector: 'span.ant-tree-node-content-wrapper', text: '电场' },
+        ],
+    };
+    const env = await loadUserscript({ store: { bdfz_path_favorites_v2: JSON.stringify([legacyFavorite]) }, expose: EXPOSE });
+    t.after(env.close);
+    await navigate(env.document, '物理');
+    await waitFor(() => env.xny.getAllSearchableItems().length === 6);
+
+    env.xny.createSearchUI();
+    const input = env.document.querySelector('.search-spotlight-input');
+    input.value = 'in:收藏 电';
+    input.dispatchEvent(new env.window.Event('input'));
+    const titles = await waitFor(() => {
+        const nodes = env.document.querySelectorAll('.search-results-list li .search-result-title');
+        return nodes.length > 0 && [...nodes].map(node => node.textContent);
+    });
+    assert.deepEqual(titles, ['电场']);
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript, waitFor, navigate } = require('./harness/load-userscript');
+const { drawOnCanvas } = require('./harness/canvas');
+
+const EXPOSE = ['loadDraft'];
+const DRAFT_KEY = '111#0'; // “牛顿定律”（目录 ID 111）下第一个手写板
+
+async function openBoards(env, folder = '物理', steps = ['力学', '牛顿定律']) {
+    await navigate(env.document, folder, steps);
+    await waitFor(() => env.document.querySelector('.canvas-toolbar'));
+    return [...env.document.querySelectorAll('.board.answerCanvas')].map(board => board.querySelector('canvas'));
+}
+
+function draw(env, canvas, points, style) { drawOnCanvas(env.window, canvas, points, style); }
+
+function statusText(canvas) { return canvas.closest('.board').previousElementSibling.querySelector('.draft-status').textContent; }
+
+async function drawAndSave(style) {
+    const env = await loadUserscript({ expose: EXPOSE });
+    const [canvas] = await openBoards(env);
+    draw(env, canvas, [[10, 10], [20, 15], [30, 25]], style);
+    await waitFor(() => statusText(canvas).startsWith('草稿已保存'));
+    env.close();
+    return env.indexedDB;
+}
+
+test('画完后自动保存草稿，再次打开同一题时可恢复', async (t) => {
+    const indexedDB = await drawAndSave({ strokeStyle: '#ff0000', lineWidth: 3 });
+    const env = await loadUserscript({ indexedDB, expose: EXPOSE });
+    t.after(env.close);
+
+    const [canvas, other] = await openBoards(env);
+    const prompt = await waitFor(() => env.document.querySelector('.draft-prompt'));
+    assert.equal(prompt.parentElement.nextElementSibling, canvas.parentElement);
+    assert.equal(other.closest('.board').previousElementSibling.querySelector('.draft-prompt'), null);
+
+    // 询问期间画的一笔不覆盖已保存的草稿，恢复后与草稿一起保留
+    draw(env, canvas, [[50, 50], [60, 60]], { strokeStyle: '#0000ff', lineWidth: 1 });
+    prompt.querySelector('.draft-restore').click();
+    const drawn = canvas.getContext('2d').drawn();
+    assert.deepEqual(drawn.map(stroke => stroke.points), [[[10, 10], [20, 15], [30, 25]], [[50, 50], [60, 60]]]);
+    assert.deepEqual(drawn.map(stroke => [stroke.style.strokeStyle, stroke.style.lineWidth]), [['#ff0000', 3], ['#0000ff', 1]]);
+    assert.equal(env.document.querySelector('.draft-prompt'), null);
+    const saved = await waitFor(async () => (await env.xny.loadDraft(DRAFT_KEY))?.strokes.length === 2);
+    assert.ok(saved);
+    assert.match(statusText(canvas), /^草稿已保存 \d\d:\d\d$/);
+});
+
+test('其他题目不显示草稿；丢弃后不再询问', async (t) => {
+    const indexedDB = await drawAndSave();
+    const env = await loadUserscript({ indexedDB, expose: EXPOSE });
+    t.after(env.close);
+
+    await openBoards(env, '物理', ['电磁学', '电场']);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(env.document.querySelector('.draft-prompt'), null);
+
+    // 同一次访问中切回原题时手写板重新出现，同样询问
+    await openBoards(env);
+    (await waitFor(() => env.document.querySelector('.draft-prompt .draft-discard'))).click();
+    await waitFor(async () => !(await env.xny.loadDraft(DRAFT_KEY)));
+    assert.equal(env.document.querySelector('.draft-prompt'), null);
+
+
+    const reloaded = await loadUserscript({ indexedDB, expose: EXPOSE });
+    t.after(reloaded.close);
+    await openBoards(reloaded);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(reloaded.document.querySelector('.draft-prompt'), null);
+});
+
+test('关闭手写草稿后不保存也不询问', async (t) => {
+    const indexedDB = await drawAndSave();
+    const env = await loadUserscript({ indexedDB, settings: { enableStrokeDrafts: false }, expose: EXPOSE });
+    t.after(env.close);
+
+    const [canvas] = await openBoards(env);
+    draw(env, canvas, [[5, 5], [6, 6]]);
+    await new Promise(resolve => setTimeout(resolve, 400));
+    assert.equal(env.document.querySelector('.draft-prompt'), null);
+    assert.equal((await env.xny.loadDraft(DRAFT_KEY)).strokes.length, 1);
+    assert.ok(env.document.querySelector('.draft-status').hidden);
+});
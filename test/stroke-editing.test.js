@@ -0,0 +1,83 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript, waitFor, navigate } = require('./harness/load-userscript');
+const { drawOnCanvas } = require('./harness/canvas');
+
+async function openCanvas() {
+    const env = await loadUserscript();
+    await navigate(env.document, '物理', ['力学', '牛顿定律']);
+    const board = await waitFor(() => env.document.querySelector('.board.answerCanvas'));
+    const canvas = board.querySelector('canvas');
+    const toolbar = board.previousElementSibling;
+    return { env, board, canvas, toolbar, ctx: canvas.getContext('2d') };
+}
+
+function key(env, target, options) {
+    const event = new env.window.KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
+
+function drawnPoints(ctx) { return ctx.drawn().map(stroke => stroke.points); }
+
+const STROKES = [[[10, 10], [40, 10]], [[10, 30], [40, 30]], [[10, 50], [40, 50]]];
+
+test('Ctrl+Z 与 Ctrl+Shift+Z 按整笔撤销、重做并重绘站点的画布', async (t) => {
+    const { env, canvas, toolbar, ctx } = await openCanvas();
+    t.after(env.close);
+    const undo = toolbar.querySelector('.stroke-undo'), redo = toolbar.querySelector('.stroke-redo');
+    assert.ok(undo.disabled && redo.disabled);
+
+    STROKES.forEach(points => drawOnCanvas(env.window, canvas, points, { strokeStyle: '#112233', lineWidth: 4 }));
+    assert.ok(key(env, env.document.body).defaultPrevented);
+    key(env, env.document.body);
+    assert.deepEqual(drawnPoints(ctx), STROKES.slice(0, 1));
+    assert.deepEqual(ctx.drawn()[0].style, { strokeStyle: '#112233', lineWidth: 4, composite: 'source-over' });
+    // 重绘前先画回第一次落笔前画布上已有的内容
+    assert.ok(ctx.calls.some(call => call.name === 'putImageData'));
+
+    key(env, env.document.body, { shiftKey: true });
+    assert.deepEqual(drawnPoints(ctx), STROKES.slice(0, 2));
+    assert.ok(!redo.disabled);
+    // 撤销后画了新的一笔，重做记录随之清空
+    drawOnCanvas(env.window, canvas, [[60, 60], [70, 70]]);
+    assert.ok(redo.disabled);
+    undo.click();
+    assert.deepEqual(drawnPoints(ctx), STROKES.slice(0, 2));
+});
+
+test('输入框中的 Ctrl+Z 不受影响，没有可撤销的笔画时不拦截', async (t) => {
+    const { env, canvas, ctx } = await openCanvas();
+    t.after(env.close);
+
+    assert.ok(!key(env, env.document.body).defaultPrevented);
+    drawOnCanvas(env.window, canvas, STROKES[0]);
+    const input = env.document.createElement('input');
+    env.document.body.appendChild(input);
+    assert.ok(!key(env, input).defaultPrevented);
+    assert.ok(!ctx.calls.some(call => call.name === 'clearRect'));
+});
+
+test('橡皮擦整笔擦除划过的笔画，笔迹不交给站点，一次拖动可一步撤销', async (t) => {
+    const { env, canvas, toolbar, ctx } = await openCanvas();
+    t.after(env.close);
+    STROKES.forEach(points => drawOnCanvas(env.window, canvas, points));
+    const received = [];
+    canvas.addEventListener('pointerdown', event => received.push(event.type));
+
+    const eraser = toolbar.querySelector('.stroke-eraser');
+    eraser.click();
+    assert.equal(eraser.getAttribute('aria-pressed'), 'true');
+    // 竖直划过前两笔，第三笔（y = 50）不在范围内
+    drawOnCanvas(env.window, canvas, [[25, 5], [25, 20], [25, 36]]);
+    assert.deepEqual(drawnPoints(ctx), STROKES.slice(2));
+    assert.deepEqual(received, []);
+
+    toolbar.querySelector('.stroke-undo').click();
+    assert.deepEqual(drawnPoints(ctx), STROKES);
+    eraser.click();
+    drawOnCanvas(env.window, canvas, [[80, 80], [90, 90]]);
+    assert.deepEqual(received, ['pointerdown']);
+});
@@ -1,406 +1,237 @@
 // ==UserScript==
-
 // @name         纯黑背景模式 - 新能源课程系统
-
 // @namespace    http://tampermonkey.net/
-
 // @version      3.2
-
-// @license MIT
-
+// @license      MIT
 // @description  将指定元素的背景修改为纯黑色，实现极简的暗黑风格，并为侧边栏添加平滑切换动画。
-
 // @author       c-jeremy & ZhongChuTaFei
-
 // @match        *://bdfz.xnykcxt.com:5002/*
-
 // @grant        GM_addStyle
-
 // @run-at       document-start
-
 // ==/UserScript==
+// 本文件由 v2/build.js 从 v2/src 生成，请勿直接修改
 
 (function() {
-
     'use strict';
 
-    GM_addStyle(`
-
-        @import url('https://fonts.googleapis.com/css2?family=Noto+Serif+SC:wght@400;500;700&display=swap');
-
-        /* ---- 全局与基础样式 ---- */
-
-        body * {
-
-            font-family: 'Noto Serif SC', serif !important;
-
-        }
-
-        body,
-
-        body html {
-
-            background-color: #fff !important;
-
-        }
-
-        /* ---- 按背景颜色分组 ---- */
-
-        /* 白色背景 */
-
-        body .app,
-
-        body .folder,
-
-        body .treeBox,
-
-        body .wrap,
-
-        body .ant-tree-node-selected,
-
-        body .ant-tree-node-content-wrapper-open,
-
-        body .ant-tree-treenode-selected {
-
-            background-color: #ffffff !important;
-
-        }
-
-        /* 黑色背景 */
-
-        body .slider,
-
-        body .put,
-
-        body .ant-tag-has-color,
-
-        body .sideActive {
-
-            background-color: #000000 !important;
-
-        }
-
-        /* 浅灰色背景 */
-
-        body .score,
-
-        body .tips,
-
-        body .maxAvgScore {
-
-            background-color: #eee !important;
-
-            color: #000000 !important;
-
-            font-size: 15px !important;
-
-        }
-
-        /* 中灰色背景 */
-
-        body .swiper-box,
-
-        body .swiper-container {
-
-            background-color: #ddd !important;
-
-        }
-
-        /* ---- 按组件/功能分类 ---- */
-
-        /* 按钮 */
-
-        body .ant-btn-danger {
-
-            background-color: #fff !important;
-
-            color: #000 !important;
-
-            border-color: #000000 !important;
-
-            border-width: 1px !important;
-
-            border-style: solid !important;
-
-        }
-
-        body .ant-btn-primary {
-
-            background-color: #fff !important;
-
-            border-color: #000000 !important;
-
-            color: #000 !important;
-
-        }
-
-
-
-        /* 侧边栏与菜单 (带平滑移动动画) */
-
-        body .menu {
-
-            position: relative !important;
-
-            background-color: #000000 !important;
-
-            color: rgba(255, 255, 255, 0.7) !important;
-
-        }
-
-        body .menu div {
-
-            position: relative;
-
-            z-index: 1;
-
-            transition: color 0.4s ease;
-
-            border-radius: 8px !important;
-
-        }
-
-        body .menu div.active {
-
-            background-color: transparent !important;
-
-            color: #ffffff !important;
-
-            font-weight: 500 !important;
-
-        }
-
-        .menu-active-indicator {
-
-            position: absolute !important;
-
-            z-index: 0;
-
-            left: 4px !important;
-
-            right: 4px !important;
-
-            background-color: #333 !important;
-
-            border-radius: 8px !important;
-
-            /* 核心动画：增加时长并使用自定义 cubic-bezier 使缓动更明显 */
-
-            transition: top 0.4s cubic-bezier(0.65, 0, 0.35, 1), height 0.4s cubic-bezier(0.65, 0, 0.35, 1) !important;
-
-        }
-
-
-
-        body .put {
-
-            z-index: 190 !important;
-
-        }
-
-        /* 文件树 */
-
-        body .treeBox {
-
-            border-color: #000000 !important;
-
-            border-width: 1px !important;
-
-            border-style: solid !important;
-
-        }
-
-        body .ant-tree.ant-tree-directory .ant-tree-child-tree > li.ant-tree-treenode-selected > span.ant-tree-node-content-wrapper::before,
-
-        body .ant-tree.ant-tree-directory > li.ant-tree-treenode-selected > span.ant-tree-node-content-wrapper::before {
-
-            background-color: #eee !important;
-
-            border-radius: 5px !important;
-
-            font-weight: 500 !important;
-
-        }
-
-
-
-        body .wrap .nav .treeBox .folder .folderName[data-v-56a2485d]:hover {
-
-            color: #fff !important;
-
-            background-color: #eee !important;
-
-        }
-
-        /* 弹窗 */
-
-        body .ant-modal-content {
-
-            background-color: rgba(255, 255, 255, 0.6) !important;
-
-            -webkit-backdrop-filter: blur(10px) !important;
-
-            backdrop-filter: blur(10px) !important;
-
-            border-radius: 12px !important;
-
-        }
-
-        body .ant-modal-header {
-
-            background-color: rgba(255, 255, 255, 0.6) !important;
-
-            backdrop-filter: blur(10px) !important;
-
-            border-bottom: 1px solid #000;
-
-            border-radius: 12px 12px 0 0;
-
-        }
-
-        /* 分数显示 */
-
-        body .scoreRate {
-
-            background-color: #eee !important;
-
-            color: #000000 !important;
-
-            font-size: 15px !important;
-
-            margin-top: 1.5rem;
-
-            border-left-width: 2px;
-
-            border-left-style: solid;
-
-            border-left-color: currentColor;
-
-            padding-left: 1.5rem;
-
-            border-radius: 0px !important;
-
-           // height: 70px !important;
-
-        }
-
-        /* 其他独立元素 */
-
-        body .donw {
-
-            display: block !important;
-
-        }
-
-        body .ant-row-flex, body .tips1, body .name-box {
-            color: #000 !important;
-        }
-
-        body .folderName {
-            color: #000000 !important;
-        }
-        body .folderName.active {
-            background-color: #eeeeee !important;
-            color: #000000 !important;
-        }
-
-        body .ant-badge {
-            color: #000000 !important;
-        }
-
-        body .title {
-            background-color: transparent !important;
-        }
-    `);
-
-    // --- 平滑移动动画逻辑 ---
-
-    // 初始观察器：等待 .menu 元素出现在页面上
-
-    const initialObserver = new MutationObserver((mutations, obs) => {
-
-        const menu = document.querySelector('.menu');
-
-        if (menu) {
-
-            setupSlidingIndicator(menu);
-
-            obs.disconnect(); // 找到并设置后，停止观察
-
+    /* -------------------- 默认设置 -------------------- */
+    // 由 v2/build.js 按本脚本读取的设置项从 core/settings-schema 生成
+    const DEFAULT_SETTINGS = {};
+
+    /* -------------------- 功能模块 -------------------- */
+    // 每个功能模块在自己的文件末尾调用 defineModule 自注册，启动时按打包顺序依次初始化：
+    //   id                模块名，用于日志
+    //   styles            可选，脚本一启动就注入的 CSS，避免页面先以原样式闪现
+    //   setting           可选，控制启停的布尔设置键；省略则始终启用
+    //   init()            启动时调用一次，用于注入 DOM、注册命令等，可以是 async；
+    //                     返回 { enable, disable, onSettingsChange } 中的若干项时替换对应项，便于共享 init 中建立的闭包状态
+    //   enable/disable()  需可重复调用；设置变化（包括其他标签页中的修改）后由 syncModules 调用，无需刷新页面
+    //   onSettingsChange() 可选，任何设置保存后调用，用于同步界面
+    const modules = [];
+
+    function defineModule(module) { modules.push({ init() {}, enable() {}, disable() {}, ...module, active: false }); }
+
+    // 单个模块初始化失败不影响其他模块
+    async function initModules() {
+        for (const module of modules) {
+            try {
+                const controls = await module.init();
+                if (controls) Object.assign(module, controls);
+            }
+            catch (err) { console.error(`模块“${module.id}”初始化失败:`, err); }
         }
+    }
 
-    });
-
-    initialObserver.observe(document.body, { childList: true, subtree: true });
-
-    function setupSlidingIndicator(menu) {
-
-        // 1. 创建并插入指示器元素
-
-        if (menu.querySelector('.menu-active-indicator')) return; // 防止重复添加
-
-        const indicator = document.createElement('div');
-
-        indicator.className = 'menu-active-indicator';
-
-        menu.prepend(indicator);
-
-        // 2. 定义更新指示器位置的核心函数
-
-        const updateIndicator = () => {
-
-            const activeElement = menu.querySelector('div.active');
-
-            if (activeElement) {
-
-                indicator.style.top = `${activeElement.offsetTop}px`;
-
-                indicator.style.height = `${activeElement.offsetHeight}px`;
-
-                indicator.style.opacity = '1';
-
-            } else {
-
-                // 如果没有任何 active 项，则平滑地隐藏指示器
-
-                indicator.style.opacity = '0';
-
+    function syncModules() {
+        modules.forEach(module => {
+            const wanted = !module.setting || !!settings[module.setting];
+            if (wanted !== module.active) {
+                try {
+                    if (wanted) module.enable(); else module.disable();
+                    module.active = wanted;
+                } catch (err) { console.error(`模块“${module.id}”${wanted ? '启用' : '停用'}失败:`, err); }
             }
+            if (module.onSettingsChange) module.onSettingsChange();
+        });
+    }
 
-        };
-
-        // 3. 首次加载时定位指示器
-
-        setTimeout(updateIndicator, 150);
+    /* -------------------- 模块样式 -------------------- */
+    // 单独成文件：没有样式的 v1 脚本不打包它，也就不必申请 GM_addStyle
+    function injectModuleStyles() { modules.forEach(module => { if (module.styles) GM_addStyle(module.styles); }); }
+
+    /* -------------------- 全局黑白主题 -------------------- */
+    // 只有样式，没有行为；ui-only 脚本只包含此模块
+    defineModule({
+        id: 'theme',
+        styles: `
+            /* ========== 全局 / 纯黑背景样式（来自你的脚本） ========== */
+            @import url('https://fonts.googleapis.com/css2?family=Noto+Serif+SC:wght@400;500;700&display=swap');
+
+            /* ---- 全局与基础样式 ---- */
+            body * {
+                font-family: 'Noto Serif SC', serif !important;
+            }
+            body, body html {
+                background-color: #fff !important;
+            }
 
-        // 4. 【鲁棒性核心】创建第二个观察器，专门监听 .menu 内部的 class 变化
+            /* ---- 按背景颜色分组 ---- */
+            /* 白色背景 */
+            body .app,
+            body .folder,
+            body .treeBox,
+            body .wrap,
+            body .ant-tree-node-selected,
+            body .ant-tree-node-content-wrapper-open,
+            body .ant-tree-treenode-selected {
+                background-color: #ffffff !important;
+            }
+            body .tag, body .time {
+                display: none !important;
+            }
 
-        const menuObserver = new MutationObserver((mutations) => {
+            /* 黑色背景 */
+            body .slider,
+            body .put,
+            body .ant-tag-has-color,
+            body .sideActive {
+                background-color: #000000 !important;
+            }
 
-            // 只要 class 发生变化，就重新计算指示器位置
+            /* 浅灰色背景 */
+            body .score,
+            body .tips,
+            body .maxAvgScore {
+                background-color: #eee !important;
+                color: #000000 !important;
+                font-size: 15px !important;
+            }
 
-            // 不再关心是哪个元素变化，直接查找新的 active 元素
+            /* 中灰色背景 */
+            body .swiper-box,
+            body .swiper-container {
+                background-color: #ddd !important;
+            }
 
-            updateIndicator();
+            /* ---- 按组件/功能分类 ---- */
+            /* 按钮 */
+            body .ant-btn-danger {
+                background-color: #fff !important;
+                color: #000 !important;
+                border-color: #000000 !important;
+                border-width: 1px !important;
+                border-style: solid !important;
+            }
+            body .ant-btn-primary {
+                background-color: #fff !important;
+                border-color: #000000 !important;
+                color: #000 !important;
+            }
 
-        });
+            /* 侧边栏与菜单 (带平滑移动动画) */
+            body .menu {
+                position: relative !important;
+                background-color: #000000 !important;
+                color: rgba(255, 255, 255, 0.7) !important;
+            }
+            body .menu div {
+                position: relative;
+                z-index: 1;
+                transition: color 0.4s ease;
+                border-radius: 8px !important;
+            }
+            body .menu div.active {
+                background-color: transparent !important;
+                color: #ffffff !important;
+                font-weight: 500 !important;
+            }
+            .menu-active-indicator {
+                position: absolute !important;
+                z-index: 0;
+                left: 4px !important;
+                right: 4px !important;
+                background-color: #333 !important;
+                border-radius: 8px !important;
+                transition: top 0.4s cubic-bezier(0.65, 0, 0.35, 1),
+                            height 0.4s cubic-bezier(0.65, 0, 0.35, 1) !important;
+            }
 
-        // 5. 启动对 .menu 的观察
+            body .put {
+                z-index: 190 !important;
+            }
 
-        menuObserver.observe(menu, {
+            /* 文件树 */
+            body .treeBox {
+                border-color: #000000 !important;
+                border-width: 1px !important;
+                border-style: solid !important;
+            }
+            body .ant-tree.ant-tree-directory .ant-tree-child-tree > li.ant-tree-treenode-selected > span.ant-tree-node-content-wrapper::before,
+            body .ant-tree.ant-tree-directory > li.ant-tree-treenode-selected > span.ant-tree-node-content-wrapper::before {
+                background-color: #eee !important;
+                border-radius: 5px !important;
+                font-weight: 500 !important;
+            }
+            body .wrap .nav .treeBox .folder .folderName[data-v-56a2485d]:hover {
+                color: #fff !important;
+                background-color: #eee !important;
+            }
 
-            attributes: true, // 监视属性变化
+            /* 弹窗 */
+            body .ant-modal-content {
+                background-color: rgba(255, 255, 255, 0.6) !important;
+                -webkit-backdrop-filter: blur(10px) !important;
+                backdrop-filter: blur(10px) !important;
+                border-radius: 12px !important;
+            }
+            body .ant-modal-header {
+                background-color: rgba(255, 255, 255, 0.6) !important;
+                backdrop-filter: blur(10px) !important;
+                border-bottom: 1px solid #000;
+                border-radius: 12px 12px 0 0;
+            }
 
-            attributeFilter: ['class'], // 只关心 class 属性
+            /* 分数显示 */
+            body .scoreRate {
+                background-color: #eee !important;
+                color: #000000 !important;
+                font-size: 15px !important;
+                margin-top: 1.5rem;
+                border-left-width: 2px;
+                border-left-style: solid;
+                border-left-color: currentColor;
+                padding-left: 1.5rem;
+                border-radius: 0px !important;
+            }
 
-            subtree: true // 监视所有后代元素（即菜单中的每个 div）
+            /* 其他独立元素 */
+            body .ant-row-flex, body .tips1, body .name-box { color: #000 !important; }
+            body .folderName { color: #000000 !important; }
+            body .folderName.active {
+                background-color: #eeeeee !important;
+                color: #000000 !important;
+            }
+            body .ant-badge { color: #000000 !important; }
+            body .title { background-color: transparent !important; }
+        `,
+    });
 
-        });
+    /* -------------------- 左侧菜单滑动指示条 -------------------- */
+    function setupMenuIndicator() {
+        const initialObserver = new MutationObserver((mutations, obs) => { const menu = document.querySelector('.menu'); if (menu) { setupSlidingIndicator(menu); obs.disconnect(); } });
+        initialObserver.observe(document.body, { childList: true, subtree: true });
+        function setupSlidingIndicator(menu) { if (menu.querySelector('.menu-active-indicator')) return; const indicator = document.createElement('div'); indicator.className = 'menu-active-indicator'; menu.prepend(indicator); const updateIndicator = () => { const activeElement = menu.querySelector('div.active'); if (activeElement) { indicator.style.top = `${activeElement.offsetTop}px`; indicator.style.height = `${activeElement.offsetHeight}px`; indicator.style.opacity = '1'; } else { indicator.style.opacity = '0'; } }; setTimeout(updateIndicator, 150); const menuObserver = new MutationObserver(() => updateIndicator()); menuObserver.observe(menu, { attributes: true, attributeFilter: ['class'], subtree: true }); window.addEventListener('resize', updateIndicator); }
+    }
 
-        // 6. 监听窗口大小变化，以防万一
+    defineModule({ id: 'menu-indicator', init: setupMenuIndicator });
 
-        window.addEventListener('resize', updateIndicator);
+    /* -------------------- 启动 -------------------- */
+    injectModuleStyles();
 
-    }
+    /* -------------------- 启动（v1 单功能脚本） -------------------- */
+    // v1 脚本没有设置页，也不读写存储，功能始终按默认设置运行
+    let settings = { ...DEFAULT_SETTINGS };
 
+    function start() { initModules().then(syncModules); }
+    if (document.body) start(); else document.addEventListener('DOMContentLoaded', start, { once: true });
 })();
@@ -0,0 +1,225 @@
+// 从 v2/src 生成所有可直接安装的用户脚本：v2 的完整版、功能版、样式版，以及由同一份模块打包的 v1 单功能脚本。
+// 用法：npm run build（生成）/ npm run check:build（只检查已提交的产物是否与源码一致，不一致时以非零状态退出）
+// 打包方式：按下方顺序拼接源文件，整体缩进后包进同一个 IIFE，模块之间通过共享作用域互相调用。
+// 元数据块由构建生成，请勿手动修改产物：
+//   @version、@namespace、@author、@license  取 TARGETS 中的同名字段；v2 脚本未填写，分别为 package.json 的 version、默认命名空间、c-jeremy 与 package.json 的 license。
+//            v1 脚本保留各自原有的值，已安装的用户不会因版本号变小而收不到更新；license 为 null 的脚本原本没有 @license，不生成这一行
+//   @match    TARGETS 中填写了 matches 时照用；否则汇总各源文件开头的 “// @match” 声明（声明行不会出现在产物中）
+//   @grant    扫描产物代码中实际出现的 GM_* API 与 unsafeWindow，没有则为 none
+//   @connect  GM_xmlhttpRequest 以字面量地址请求的主机，加上各源文件开头的 “// @connect” 声明（用于运行时才知道的地址）
+//   @require  代码中用到的外部全局变量，按 package.json 锁定的版本引用并附带 sha256 校验
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const SRC = path.join(__dirname, 'src');
+const pkg = require('../package.json');
+
+// 顺序即初始化顺序：core 必须在最前；依赖其他模块 DOM 的模块排在后面（如 hints 依赖 pill）
+const CORE = ['core/utils', 'core/storage', 'core/idb', 'core/settings-schema', 'core/settings', 'core/modules', 'core/styles', 'core/commands', 'core/hooks'];
+const FEATURES = [
+    'modules/pill', 'modules/favorites', 'modules/replay', 'modules/history', 'modules/search',
+    'modules/request-hooks', 'modules/network-inspector', 'modules/offline-cache', 'modules/pdf', 'modules/pdf-library',
+    'modules/answer-area', 'modules/handwriting', 'modules/canvas-toolbar', 'modules/canvas-viewport', 'modules/palm-rejection', 'modules/canvas-strokes', 'modules/stroke-drafts', 'modules/stroke-editing', 'modules/canvas-guides', 'modules/menu-indicator',
+    'modules/auto-login', 'modules/hints', 'modules/hotkeys', 'modules/backup', 'modules/settings-page',
+];
+// v1 脚本只需要模块机制与默认设置，不包含存储、设置页与命令；带样式的模块还需加上 core/styles。
+// 默认设置不打包完整的 core/settings-schema，而是在 SETTINGS_DEFAULTS_SHIM 的位置生成只含其模块实际读取的设置项的 DEFAULT_SETTINGS
+const SETTINGS_DEFAULTS_SHIM = '<settings-defaults>';
+const LEGACY_CORE = [SETTINGS_DEFAULTS_SHIM, 'core/modules'];
+
+// 外部依赖：全局变量名 → npm 包与 CDN 上的文件
+const DEFAULT_NAMESPACE = 'http://tampermonkey.net/';
+const DEFAULT_AUTHOR = 'c-jeremy';
+
+const EXTERNALS = [
+    { global: 'PinyinMatch', package: 'pinyin-match', file: 'dist/main.js' },
+];
+
+// file 相对于仓库根目录。其余 v1 脚本（如 ask-gemini、hard-refresh）与 v2 没有可复用的模块，仍在根目录手动维护
+const TARGETS = [
+    {
+        file: 'v2/main.js',
+        name: '新能源课程系统增强',
+        description: '为新能源课程系统增加UI美化、路径收藏夹、断点恢复、手写优化和自定义设置等功能。',
+        runAt: 'document-start',
+        sources: [...CORE, 'modules/theme', ...FEATURES, 'main'],
+    },
+    {
+        file: 'v2/features.user.js',
+        name: '新能源课程系统增强 - 功能脚本（不含样式）',
+        description: '从 v2/main.js 拆出的完整功能脚本：收藏夹、路径回放、目录搜索、XHR 拦截、手写修复、设置页、Pill 菜单与智能提示等；不包含站点的全局黑白配色与字体样式（这些在 ui-only 脚本中）。',
+        runAt: 'document-start',
+        sources: [...CORE, ...FEATURES, 'main'],
+    },
+    {
+        file: 'v2/ui-only.user.js',
+        name: '新能源课程系统 - 黑白UI（仅样式）',
+        description: '仅应用黑白配色与字体，不包含任何功能性改动（按钮、菜单、设置等）。',
+        runAt: 'document-start',
+        sources: ['core/modules', 'core/styles', 'modules/theme', 'ui-only'],
+    },
+    {
+        file: 'auto-login.user.js',
+        name: '自动点击登录按钮',
+        version: '0.1',
+        author: 'CJeremy',
+        license: null,
+        description: '在登录页面加载后自动点击登录按钮。',
+        matches: ['https://bdfz.xnykcxt.com:5002/*'],
+        runAt: 'document-end',
+        sources: [...LEGACY_CORE, 'modules/auto-login', 'legacy'],
+    },
+    {
+        file: 'handwriting-fix.user.js',
+        name: 'Optimized Handwriting Fix',
+        version: '4.0',
+        author: 'CJeremy',
+        license: null,
+        description: 'Efficiently disables scrolling on multiple, dynamically-loaded handwriting canvases without affecting the rest of the page.',
+        matches: ['https://bdfz.xnykcxt.com:5002/*'],
+        runAt: 'document-body',
+        sources: [...LEGACY_CORE, 'modules/handwriting', 'legacy'],
+    },
+    {
+        file: 'force-show-PDF-buttons.user.js',
+        name: '强制显示PDF完整操作栏',
+        namespace: 'https://github.com/botaothomaszhao',
+        version: '1.2.0',
+        author: 'c-jeremy botaothomaszhao',
+        license: 'MIT',
+        description: 'Force show hidden PDF toolbar buttons (download/print, etc.) inside embedded PDF iframes. Lightweight, no polling retries; works on Via and Edge.',
+        runAt: 'document-start',
+        sources: [...LEGACY_CORE, 'modules/pdf', 'legacy'],
+    },
+    {
+        file: 'ui.user.js',
+        name: '纯黑背景模式 - 新能源课程系统',
+        version: '3.2',
+        author: 'c-jeremy & ZhongChuTaFei',
+        license: 'MIT',
+        description: '将指定元素的背景修改为纯黑色，实现极简的暗黑风格，并为侧边栏添加平滑切换动画。',
+        matches: ['*://bdfz.xnykcxt.com:5002/*'],
+        runAt: 'document-start',
+        sources: [...LEGACY_CORE, 'core/styles', 'modules/theme', 'modules/menu-indicator', 'ui-only', 'legacy'],
+    },
+];
+
+// 读取源文件，分离开头的 “// @match” 与 “// @connect” 声明
+function readSource(name) {
+    const lines = fs.readFileSync(path.join(SRC, `${name}.js`), 'utf8').trimEnd().split('\n');
+    const declared = { match: [], connect: [] };
+    let declaration;
+    while (lines.length && (declaration = /^\/\/ @(match|connect)\s+(.+)$/.exec(lines[0]))) {
+        declared[declaration[1]].push(declaration[2].trim());
+        lines.shift();
+    }
+    return { matches: declared.match, connects: declared.connect, code: lines.join('\n') };
+}
+
+function indent(code) { return code.split('\n').map(line => (line.trim() ? `    ${line}` : '')).join('\n'); }
+
+// 只扫描代码行，避免注释中提到的 API 被误当作依赖
+function codeLines(code) { return code.split('\n').filter(line => !/^\s*(\/\/|\*|\/\*)/.test(line)).join('\n'); }
+
+function detectGrants(code) { return [...new Set(codeLines(code).match(/\b(GM_\w+|unsafeWindow)\b/g) || [])].sort(); }
+
+function detectConnects(code, declared) {
+    const hosts = [...declared];
+    for (const match of codeLines(code).matchAll(/GM_xmlhttpRequest\(\{[^}]*?\burl:\s*(['"`])(https?:\/\/[^'"`]+)\1/g)) hosts.push(new URL(match[2]).hostname);
+    return [...new Set(hosts)].sort();
+}
+
+function externalRequire(external) {
+    const dir = path.join(ROOT, 'node_modules', external.package);
+    const pinned = pkg.devDependencies[external.package];
+    let installed;
+    try { installed = require(path.join(dir, 'package.json')).version; }
+    catch (err) { throw new Error(`未找到依赖 ${external.package}，请先运行 npm install`); }
+    if (installed !== pinned) throw new Error(`${external.package} 已安装 ${installed}，与 package.json 锁定的 ${pinned} 不一致，请重新运行 npm install`);
+    const hash = crypto.createHash('sha256').update(fs.readFileSync(path.join(dir, external.file))).digest('hex');
+    return `https://unpkg.com/${external.package}@${installed}/${external.file}#sha256=${hash}`;
+}
+
+function detectRequires(code) {
+    const lines = codeLines(code);
+    return EXTERNALS.filter(external => new RegExp(`\\b${external.global}\\b`).test(lines)).map(externalRequire);
+}
+
+function header(target, matches, connects, code) {
+    const grants = detectGrants(code);
+    const lines = [
+        ['name', target.name],
+        ['namespace', target.namespace || DEFAULT_NAMESPACE],
+        ['version', target.version || pkg.version],
+        ['license', target.license === undefined ? pkg.license : target.license],
+        ['description', target.description],
+        ['author', target.author || DEFAULT_AUTHOR],
+        ...matches.map(pattern => ['match', pattern]),
+        ...(grants.length ? grants : ['none']).map(grant => ['grant', grant]),
+        ...detectConnects(code, connects).map(host => ['connect', host]),
+        ['run-at', target.runAt],
+        ...detectRequires(code).map(url => ['require', url]),
+    ].filter(([, value]) => value !== null);
+    return ['// ==UserScript==', ...lines.map(([key, value]) => `// @${key.padEnd(12)} ${value}`), '// ==/UserScript=='].join('\n');
+}
+
+// 在 Node 中执行设置项定义，取得各设置项的默认值
+function loadDefaultSettings() {
+    return vm.runInNewContext(`${readSource('core/settings-schema').code}\nDEFAULT_SETTINGS;`);
+}
+
+// 读取方式只有 settings.xxx 与 defineModule 的 setting: 'xxx' 两种
+function settingsDefaultsShim(code) {
+    const defaults = loadDefaultSettings();
+    const keys = [...new Set([...codeLines(code).matchAll(/\bsettings\.(\w+)|\bsetting:\s*'(\w+)'/g)].map(match => match[1] || match[2]))];
+    const unknown = keys.filter(key => !(key in defaults));
+    if (unknown.length) throw new Error(`未定义的设置项：${unknown.join(', ')}`);
+    const entries = keys.sort().map(key => `${key}: ${JSON.stringify(defaults[key])}`);
+    return {
+        matches: [],
+        connects: [],
+        code: `/* -------------------- 默认设置 -------------------- */\n// 由 v2/build.js 按本脚本读取的设置项从 core/settings-schema 生成\nconst DEFAULT_SETTINGS = ${entries.length ? `{ ${entries.join(', ')} }` : '{}'};`,
+    };
+}
+
+function bundle(target) {
+    let sources = target.sources.map(name => (name === SETTINGS_DEFAULTS_SHIM ? null : readSource(name)));
+    if (sources.includes(null)) {
+        const shim = settingsDefaultsShim(sources.filter(Boolean).map(source => source.code).join('\n'));
+        sources = sources.map(source => source || shim);
+    }
+    const matches = target.matches || [...new Set(sources.flatMap(source => source.matches))];
+    if (!matches.length) throw new Error(`${target.file} 的源文件中没有任何 @match 声明`);
+    const connects = sources.flatMap(source => source.connects);
+    const code = sources.map(source => source.code).join('\n\n');
+    return `${header(target, matches, connects, code)}\n// 本文件由 v2/build.js 从 v2/src 生成，请勿直接修改\n\n(function() {\n    'use strict';\n\n${indent(code)}\n})();\n`;
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const outdated = [];
+    TARGETS.forEach(target => {
+        const output = bundle(target);
+        const file = path.join(ROOT, target.file);
+        if (checkOnly) {
+            if (!fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== output) outdated.push(target.file);
+            return;
+        }
+        fs.writeFileSync(file, output);
+        console.log(`已生成 ${target.file}`);
+    });
+    if (outdated.length) {
+        console.error(`以下文件与源码不一致，请运行 npm run build：\n  ${outdated.join('\n  ')}`);
+        process.exitCode = 1;
+    }
+}
+
+// 测试通过 require 直接在内存中打包源码，此时不写文件
+if (require.main === module) main();
+
+module.exports = { TARGETS, bundle };
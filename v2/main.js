@@ -1,1123 +1,4012 @@
 // ==UserScript==
 // @name         新能源课程系统增强
 // @namespace    http://tampermonkey.net/
-// @version      2.0
-// @license      MIT
+// @version      2.1.0
+// @license      GPL-3.0-only
 // @description  为新能源课程系统增加UI美化、路径收藏夹、断点恢复、手写优化和自定义设置等功能。
 // @author       c-jeremy
 // @match        *://bdfz.xnykcxt.com:5002/stu/*
 // @grant        GM_addStyle
-// @grant        GM_xmlhttpRequest
-// @grant        GM_setValue
+// @grant        GM_addValueChangeListener
 // @grant        GM_getValue
 // @grant        GM_notification
+// @grant        GM_setClipboard
+// @grant        GM_setValue
+// @grant        GM_xmlhttpRequest
+// @grant        unsafeWindow
+// @connect      *
+// @connect      bdfz.xnykcxt.com
 // @run-at       document-start
-// @require      https://unpkg.com/pinyin-match@1.2.8/dist/main.js
+// @require      https://unpkg.com/pinyin-match@1.2.8/dist/main.js#sha256=469087f00bede305347e507b82faf26c02dbc814aa643a4ced79f890168b1840
 // ==/UserScript==
+// 本文件由 v2/build.js 从 v2/src 生成，请勿直接修改
 
 (function() {
     'use strict';
 
-    /* -------------------- 合并 CSS（全局 + pill + 收藏夹抽屉 + 设置 + 提示） -------------------- */
-    GM_addStyle(`
-        /* ========== 全局 / 纯黑背景样式（来自你的脚本） ========== */
-        @import url('https://fonts.googleapis.com/css2?family=Noto+Serif+SC:wght@400;500;700&display=swap');
+    /* -------------------- 通用工具 -------------------- */
+    function escapeHTML(str) { return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c])); }
 
-        /* ---- 全局与基础样式 ---- */
-        body * {
-            font-family: 'Noto Serif SC', serif !important;
-        }
-        body, body html {
-            background-color: #fff !important;
-        }
+    function debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
 
-        /* ---- 按背景颜色分组 ---- */
-        /* 白色背景 */
-        body .app,
-        body .folder,
-        body .treeBox,
-        body .wrap,
-        body .ant-tree-node-selected,
-        body .ant-tree-node-content-wrapper-open,
-        body .ant-tree-treenode-selected {
-            background-color: #ffffff !important;
-        }
-        body .tag, body .time {
-            display: none !important;
-        }
+    function isValidPath(path) { return Array.isArray(path) && path.length > 0 && path.every(step => step && typeof step.selector === 'string' && typeof step.text === 'string'); }
+
+    // 只比较选择器与文本，忽略收藏上的其他元数据
+    function pathKey(path) { return JSON.stringify(path.map(step => [step.selector, step.text])); }
+
+    /* -------------------- 存储层：统一读写、版本迁移与损坏恢复 -------------------- */
+    // 逻辑名称 → 实际的 GM 键名。键名沿用历史值以兼容已有数据，今后如需改名请通过迁移完成
+    const STORAGE_KEYS = {
+        favorites: 'bdfz_path_favorites_v2',
+        folders: 'bdfz_favorite_folders_v1',
+        lastPath: 'bdfz_persistent_path_v3',
+        settings: 'bdfz_enhancer_settings_v3',
+        greetingsDone: 'bdfz_enhancer_greetings_done_v1',
+        history: 'bdfz_navigation_history_v1',
+        hotkeys: 'bdfz_hotkeys_v1',
+        pdfLibrary: 'bdfz_pdf_library_v1',
+    };
+    const STORAGE_SCHEMA_KEY = 'bdfz_storage_schema_version';
+    const STORAGE_SCHEMA_VERSION = 2;
+    const CORRUPTED_BACKUP_PREFIX = 'bdfz_corrupted_backup:';
+
+    // 每个逻辑键的默认值与结构校验；解析失败或校验不通过都视为数据损坏
+    const STORAGE_SCHEMAS = {
+        favorites: { fallback: () => [], validate: Array.isArray },
+        folders: { fallback: () => [], validate: Array.isArray },
+        lastPath: { fallback: () => null, validate: v => v === null || Array.isArray(v) },
+        settings: { fallback: () => ({}), validate: v => !!v && typeof v === 'object' && !Array.isArray(v) },
+        greetingsDone: { fallback: () => false, validate: v => typeof v === 'boolean' },
+        history: { fallback: () => ({ entries: [], cursor: null }), validate: v => !!v && Array.isArray(v.entries) },
+        hotkeys: { fallback: () => ({}), validate: v => !!v && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(combo => typeof combo === 'string') },
+        pdfLibrary: { fallback: () => [], validate: Array.isArray },
+    };
+
+    // 按版本号升序执行；每个迁移只负责从上一版本升到 version，失败时停在上一版本，下次启动重试
+    const STORAGE_MIGRATIONS = [
+        {
+            version: 1,
+            description: '旧版收藏（纯路径数组或缺少字段的对象）转换为带文件夹与标签的收藏对象',
+            async migrate() {
+                const migrated = [], invalid = [];
+                (await readStore('favorites')).forEach(entry => {
+                    if (isValidPath(entry)) { migrated.push({ title: entry[entry.length - 1].text, path: entry }); }
+                    else if (entry && isValidPath(entry.path)) { migrated.push({ ...entry, title: typeof entry.title === 'string' ? entry.title : entry.path[entry.path.length - 1].text }); }
+                    else { invalid.push(entry); }
+                });
+                if (invalid.length > 0) await backupCorruptedValue(STORAGE_KEYS.favorites, JSON.stringify(invalid), `${invalid.length} 条无法识别的收藏`);
+                await writeStore('favorites', migrated.map(normalizeFavorite));
+                const lastPath = await readStore('lastPath');
+                if (lastPath !== null && !isValidPath(lastPath)) {
+                    await backupCorruptedValue(STORAGE_KEYS.lastPath, JSON.stringify(lastPath), '路径格式不正确');
+                    await writeStore('lastPath', null);
+                }
+            },
+        },
+        {
+            version: 2,
+            description: '为收藏补充 createdAt / lastOpenedAt 元数据',
+            async migrate() {
+                const favorites = await readStore('favorites');
+                await writeStore('favorites', favorites.map(fav => ({ createdAt: null, lastOpenedAt: null, ...fav })));
+            },
+        },
+    ];
+
+    // 保留损坏的原始值而不是直接丢弃，便于用户或开发者事后手动恢复
+    async function backupCorruptedValue(key, raw, reason) {
+        const backupKey = `${CORRUPTED_BACKUP_PREFIX}${key}:${Date.now()}`;
+        await GM_setValue(backupKey, typeof raw === 'string' ? raw : String(raw));
+        console.warn(`[Storage] “${key}” 数据损坏（${reason}），原始内容已备份至 ${backupKey}`);
+        GM_notification({ title: '数据已自动修复', text: `检测到无法识别的本地数据（${reason}），原始内容已另行备份。`, timeout: 5000 });
+    }
+
+    async function readStore(name) {
+        const { fallback, validate } = STORAGE_SCHEMAS[name];
+        const key = STORAGE_KEYS[name];
+        const raw = await GM_getValue(key, null);
+        if (raw === null || raw === undefined) return fallback();
+        let value, reason = null;
+        try {
+            value = typeof raw === 'string' ? JSON.parse(raw) : raw; // 早期版本直接存过布尔值
+            if (!validate(value)) reason = '结构不符合预期';
+        } catch (e) { reason = '无法解析 JSON'; }
+        if (reason === null) return value;
+        await backupCorruptedValue(key, raw, reason);
+        await writeStore(name, fallback());
+        return fallback();
+    }
 
-        /* 黑色背景 */
-        body .slider,
-        body .put,
-        body .ant-tag-has-color,
-        body .sideActive {
-            background-color: #000000 !important;
+    async function writeStore(name, value) { await GM_setValue(STORAGE_KEYS[name], JSON.stringify(value)); }
+
+    async function migrateStorage() {
+        let current = Number(await GM_getValue(STORAGE_SCHEMA_KEY, 0)) || 0;
+        if (current > STORAGE_SCHEMA_VERSION) { console.warn(`[Storage] 存储版本 v${current} 高于脚本支持的 v${STORAGE_SCHEMA_VERSION}，跳过迁移。`); return; }
+        for (const { version, description, migrate } of STORAGE_MIGRATIONS) {
+            if (version <= current) continue;
+            try { await migrate(); } catch (e) { console.error(`[Storage] 迁移至 v${version} 失败（${description}）:`, e); return; }
+            current = version;
+            await GM_setValue(STORAGE_SCHEMA_KEY, current);
+            console.log(`[Storage] 已迁移至 v${version}：${description}`);
         }
+    }
 
-        /* 浅灰色背景 */
-        body .score,
-        body .tips,
-        body .maxAvgScore {
-            background-color: #eee !important;
-            color: #000000 !important;
-            font-size: 15px !important;
+    /* -------------------- IndexedDB：体积较大的缓存数据 -------------------- */
+    const IDB_NAME = 'pkus-xny-ultra';
+    const IDB_VERSION = 6;
+    let idbPromise = null;
+
+    // 新增对象仓库时提升 IDB_VERSION，并在 onupgradeneeded 中按 oldVersion 追加建表分支
+    function openDatabase() {
+        if (!idbPromise) {
+            idbPromise = new Promise((resolve, reject) => {
+                let blocked = false;
+                const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) db.createObjectStore('catalogs', { keyPath: 'key' });
+                    if (event.oldVersion < 2) db.createObjectStore('responses', { keyPath: 'key' });
+                    if (event.oldVersion < 3) db.createObjectStore('pdfs', { keyPath: 'url' });
+                    if (event.oldVersion < 4) db.createObjectStore('drafts', { keyPath: 'key' });
+                    if (event.oldVersion < 5) request.transaction.objectStore('responses').createIndex('capturedAt', 'capturedAt');
+                    if (event.oldVersion < 6) {
+                        const responses = request.transaction.objectStore('responses');
+                        responses.createIndex('kind', 'kind');
+                        responses.createIndex('catalogId', 'catalogId');
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // 其他标签页需要升级数据库时让出连接，下次访问再重新打开
+                    db.onversionchange = () => { db.close(); idbPromise = null; };
+                    if (blocked) db.close(); else resolve(db);
+                };
+                request.onerror = () => { idbPromise = null; reject(request.error); };
+                // 仍在使用旧版本的其他标签页不关闭连接时升级会一直等待：直接失败，由调用方按没有缓存处理
+                request.onblocked = () => { blocked = true; idbPromise = null; reject(new Error('数据库升级被其他标签页阻塞')); };
+            });
         }
+        return idbPromise;
+    }
 
-        /* 中灰色背景 */
-        body .swiper-box,
-        body .swiper-container {
-            background-color: #ddd !important;
+    // 在单个事务中执行 operate(store)，事务完成后返回其请求的结果
+    async function idbRun(storeName, mode, operate) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = operate(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /* -------------------- 设置项定义 -------------------- */
+    // 纯数据与校验，不读写存储；v1 单功能脚本不打包此文件，由构建按其读取的设置项生成只含默认值的 DEFAULT_SETTINGS
+    // 设置页按此结构分组渲染；type 决定控件与校验方式：boolean / number（min、max、step）/ enum（options）/ text（maxLength）/ color
+    const SETTINGS_SCHEMA = [
+        {
+            title: '常规',
+            fields: [
+                { key: 'autoLogin', type: 'boolean', default: true, title: '自动登录', desc: '在登录页面自动点击“开始使用”，跳过手动操作。' },
+                { key: 'autoLoginDelay', type: 'number', default: 750, min: 0, max: 5000, step: 50, unit: '毫秒', title: '自动登录延迟', desc: '找到“开始使用”按钮后等待多久再点击。' },
+                { key: 'enableSmartHints', type: 'boolean', default: true, title: '智能提示', desc: '在您可能需要时（如首次使用、长时间停留），主动提示相关功能。' },
+                { key: 'idleHintDelay', type: 'number', default: 2000, min: 500, max: 60000, step: 500, unit: '毫秒', title: '闲置提示等待时间', desc: '停留在首页多久后显示“去哪里？”提示。' },
+                { key: 'idleHintText', type: 'text', default: '去哪里？', maxLength: 20, title: '闲置提示文字', desc: '闲置提示中显示的文字。' },
+            ],
+        },
+        {
+            title: '导航与搜索',
+            fields: [
+                { key: 'replayStepDelay', type: 'number', default: 250, min: 0, max: 3000, step: 50, unit: '毫秒', title: '回放步骤间隔', desc: '回放路径时每点击一级目录后等待页面响应的时间，网络较慢时可适当调大。' },
+                { key: 'replayProgressMode', type: 'enum', default: 'always', options: [{ value: 'always', label: '始终显示' }, { value: 'onFailure', label: '仅在出错时显示' }], title: '回放进度面板', desc: '回放路径时何时显示逐级进度面板。' },
+                { key: 'searchHighlightColor', type: 'color', default: '#2563eb', title: '搜索高亮颜色', desc: '搜索结果中匹配文字的颜色。' },
+            ],
+        },
+        {
+            title: '题目与资料',
+            fields: [
+                { key: 'enableHandwritingFix', type: 'boolean', default: true, title: '手写优化', desc: '防止在平板或手机上手写时，因误触导致页面滚动或刷新。' },
+                { key: 'stylusOnly', type: 'boolean', default: false, title: '仅手写笔书写', desc: '答题手写板只响应手写笔（如 Apple Pencil）与鼠标，忽略手指和手掌的触碰；页面其他位置仍可用手指滚动。也可在手写板上方快速切换。' },
+                { key: 'enableStrokeDrafts', type: 'boolean', default: true, title: '手写草稿', desc: '自动把手写板上的笔迹保存在本地，再次打开同一道题时可恢复未提交的草稿。' },
+                { key: 'canvasGuide', type: 'enum', default: 'none', options: [{ value: 'none', label: '无' }, { value: 'grid', label: '方格' }, { value: 'ruled', label: '横线' }, { value: 'dotted', label: '点阵' }, { value: 'coordinate', label: '坐标系' }], title: '手写板辅助线', desc: '在手写板上叠加辅助线，便于画坐标轴、对齐书写。辅助线只显示在屏幕上，不会随作答提交。也可在手写板上方切换。' },
+                { key: 'snapToGrid', type: 'boolean', default: false, title: '直线吸附网格', desc: '使用方格、点阵或坐标系时，把接近直线的笔画拉直，并把两端吸附到最近的格点。' },
+                { key: 'enableCanvasZoom', type: 'boolean', default: true, title: '双指缩放手写板', desc: '在手写板上用两根手指平移与缩放，便于书写较小的字；单指或手写笔照常书写。' },
+                { key: 'forceShowPDFButtons', type: 'boolean', default: true, title: '强制下载', desc: '确保PDF阅读器中的下载、打印等按钮始终可见。<br>开启则表示你愿意为所有下载行为负责，并且已经解除了下列开发者对你下载行为的责任。' },
+                { key: 'autoExpandAnswerArea', type: 'boolean', default: true, title: '自动展开答题区', desc: '在题目页面自动点击“显示答题区”按钮，免去手动操作。' },
+                { key: 'enablePdfLibrary', type: 'boolean', default: true, title: '资料库', desc: '记录打开过的PDF及其所在目录，可在“资料库”中直接重新打开。' },
+                { key: 'cachePdfFiles', type: 'boolean', default: false, title: '缓存PDF文件', desc: '同时把PDF文件保存到本地，重新打开时无需联网。会占用较多的浏览器存储空间。' },
+                { key: 'enableOfflineCache', type: 'boolean', default: true, title: '离线缓存', desc: '保存打开过的目录与题目，网络中断时以只读方式显示上次缓存的内容。' },
+                { key: 'enableMockEnhance', type: 'boolean', default: false, title: '图片极速上传', desc: '拦截增强图片请求，从而使上传图片用时减少80%以上。' },
+                { key: 'enableAnswerForce', type: 'boolean', default: false, title: '强制显示答案', desc: '自动修改题目数据，强制显示“查看答案”等通常被隐藏的按钮。<br>开启即表示你完全对你的行为负责。' },
+            ],
+        },
+        {
+            title: '调试',
+            fields: [
+                { key: 'networkLogLimit', type: 'number', default: 50, min: 10, max: 200, step: 10, unit: '条', title: '网络记录条数', desc: '网络面板最多保留最近多少个站点请求。' },
+            ],
+        },
+    ];
+    const SETTING_FIELDS = Object.fromEntries(SETTINGS_SCHEMA.flatMap(section => section.fields).map(field => [field.key, field]));
+    const DEFAULT_SETTINGS = Object.fromEntries(Object.values(SETTING_FIELDS).map(field => [field.key, field.default]));
+
+    // 返回错误提示，合法时返回 null
+    function validateSetting(field, value) {
+        switch (field.type) {
+            case 'boolean': return typeof value === 'boolean' ? null : '应为开或关。';
+            case 'number': return Number.isFinite(value) && value >= field.min && value <= field.max ? null : `请输入 ${field.min}–${field.max} 之间的数字。`;
+            case 'enum': return field.options.some(option => option.value === value) ? null : '请选择列表中的一项。';
+            case 'color': return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? null : '颜色格式应为 #RRGGBB。';
+            default: return typeof value === 'string' && value.trim() && value.length <= field.maxLength ? null : `请输入 1–${field.maxLength} 个字符。`;
         }
+    }
+
+    /* -------------------- 设置管理 -------------------- */
+    let settings = {}; // 运行时缓存设置
+
+    // 未知或不合法的保存值回退到默认值，避免旧版本或手动修改的数据导致功能异常
+    async function getSettings() {
+        const saved = await readStore('settings');
+        const merged = { ...DEFAULT_SETTINGS, ...saved };
+        Object.values(SETTING_FIELDS).forEach(field => {
+            if (validateSetting(field, merged[field.key])) {
+                console.warn(`设置“${field.key}”的值无效，已使用默认值:`, merged[field.key]);
+                merged[field.key] = field.default;
+            }
+        });
+        return merged;
+    }
+
+    async function saveSettings(newSettings) {
+        await writeStore('settings', newSettings);
+        settings = newSettings;
+        syncModules();
+    }
 
-        /* ---- 按组件/功能分类 ---- */
-        /* 按钮 */
-        body .ant-btn-danger {
-            background-color: #fff !important;
-            color: #000 !important;
-            border-color: #000000 !important;
-            border-width: 1px !important;
-            border-style: solid !important;
+    // 其他标签页修改设置后，本页同步运行时设置并启停相应模块
+    function watchSettingsAcrossTabs() {
+        GM_addValueChangeListener(STORAGE_KEYS.settings, async (name, oldValue, newValue, remote) => {
+            if (!remote) return;
+            settings = await getSettings();
+            syncModules();
+        });
+    }
+
+    // 设置页与命令面板共用；值不合法时抛出带提示文字的错误
+    async function updateSetting(key, value) {
+        const field = SETTING_FIELDS[key];
+        const error = validateSetting(field, value);
+        if (error) throw new Error(error);
+        const newSettings = await getSettings();
+        newSettings[key] = value;
+        await saveSettings(newSettings);
+        GM_notification({ title: '设置已保存', text: field.type === 'boolean' ? `“${field.title}”已${value ? '开启' : '关闭'}。` : `“${field.title}”已更新。`, timeout: 2000 });
+    }
+
+    /* -------------------- 功能模块 -------------------- */
+    // 每个功能模块在自己的文件末尾调用 defineModule 自注册，启动时按打包顺序依次初始化：
+    //   id                模块名，用于日志
+    //   styles            可选，脚本一启动就注入的 CSS，避免页面先以原样式闪现
+    //   setting           可选，控制启停的布尔设置键；省略则始终启用
+    //   init()            启动时调用一次，用于注入 DOM、注册命令等，可以是 async；
+    //                     返回 { enable, disable, onSettingsChange } 中的若干项时替换对应项，便于共享 init 中建立的闭包状态
+    //   enable/disable()  需可重复调用；设置变化（包括其他标签页中的修改）后由 syncModules 调用，无需刷新页面
+    //   onSettingsChange() 可选，任何设置保存后调用，用于同步界面
+    const modules = [];
+
+    function defineModule(module) { modules.push({ init() {}, enable() {}, disable() {}, ...module, active: false }); }
+
+    // 单个模块初始化失败不影响其他模块
+    async function initModules() {
+        for (const module of modules) {
+            try {
+                const controls = await module.init();
+                if (controls) Object.assign(module, controls);
+            }
+            catch (err) { console.error(`模块“${module.id}”初始化失败:`, err); }
         }
-        body .ant-btn-primary {
-            background-color: #fff !important;
-            border-color: #000000 !important;
-            color: #000 !important;
+    }
+
+    function syncModules() {
+        modules.forEach(module => {
+            const wanted = !module.setting || !!settings[module.setting];
+            if (wanted !== module.active) {
+                try {
+                    if (wanted) module.enable(); else module.disable();
+                    module.active = wanted;
+                } catch (err) { console.error(`模块“${module.id}”${wanted ? '启用' : '停用'}失败:`, err); }
+            }
+            if (module.onSettingsChange) module.onSettingsChange();
+        });
+    }
+
+    /* -------------------- 模块样式 -------------------- */
+    // 单独成文件：没有样式的 v1 脚本不打包它，也就不必申请 GM_addStyle
+    function injectModuleStyles() { modules.forEach(module => { if (module.styles) GM_addStyle(module.styles); }); }
+
+    /* -------------------- 命令注册表 -------------------- */
+    // 搜索浮层的命令模式（输入 “>”）与全局快捷键都从这里取命令。各模块在 init 中通过 registerCommand 注册：
+    // { id, title, hint?, keywords?, run }，title 可以是函数（如随设置状态变化的“开启/关闭”），run 在浮层关闭后执行
+    const commandRegistry = new Map();
+
+    function registerCommand(command) { commandRegistry.set(command.id, command); }
+
+    function commandTitle(command) { return typeof command.title === 'function' ? command.title() : command.title; }
+
+    /* -------------------- 请求钩子注册表 -------------------- */
+    // XHR 与 fetch 拦截器都从这里取钩子。各模块在 init 中通过 registerRequestHook 注册：
+    //   id                钩子名，用于日志与调试面板
+    //   match(url, method) 是否处理该请求
+    //   setting           可选，控制启停的布尔设置键，每次请求时读取当前设置
+    //   order             可选，数字小的先执行，默认 0；相同时按注册顺序
+    //   onRequest(request) 可选，返回数据时请求不再发出，直接以该数据作为响应，后续钩子的 onRequest 不再执行
+    //   onResponse(data, response) 可选，data 为解析后的 JSON；返回新数据时替换响应，返回 undefined 则保持不变
+    // request 为 { url, method, transport, headers, body }，response 另带 status。单个钩子出错只记录日志，不影响其他钩子与站点
+    const requestHooks = [];
+
+    function registerRequestHook(hook) {
+        const index = requestHooks.findIndex(existing => existing.id === hook.id);
+        if (index !== -1) requestHooks.splice(index, 1);
+        requestHooks.push({ order: 0, ...hook });
+        // Array.prototype.sort 是稳定排序，order 相同的钩子保持注册顺序
+        requestHooks.sort((a, b) => a.order - b.order);
+    }
+
+    // 请求观察者：只读，在站点域名下的每个请求结束后（不论是否有钩子匹配）收到一份记录，用于网络面板等调试功能：
+    // { url（绝对地址）, method, transport, headers, body, startedAt, duration, status, statusText, responseText, rawResponseText, local, error, hooks }
+    // responseText 为站点实际收到的（经过钩子修改的）响应，rawResponseText 为服务器返回的原文；
+    // local 表示由钩子在本地响应，error 为网络错误、超时或取消时的说明，hooks 为处理过该请求的钩子 id
+    const requestObservers = [];
+
+    function observeRequests(observer) { requestObservers.push(observer); }
+
+    /* -------------------- 全局黑白主题 -------------------- */
+    // 只有样式，没有行为；ui-only 脚本只包含此模块
+    defineModule({
+        id: 'theme',
+        styles: `
+            /* ========== 全局 / 纯黑背景样式（来自你的脚本） ========== */
+            @import url('https://fonts.googleapis.com/css2?family=Noto+Serif+SC:wght@400;500;700&display=swap');
+
+            /* ---- 全局与基础样式 ---- */
+            body * {
+                font-family: 'Noto Serif SC', serif !important;
+            }
+            body, body html {
+                background-color: #fff !important;
+            }
+
+            /* ---- 按背景颜色分组 ---- */
+            /* 白色背景 */
+            body .app,
+            body .folder,
+            body .treeBox,
+            body .wrap,
+            body .ant-tree-node-selected,
+            body .ant-tree-node-content-wrapper-open,
+            body .ant-tree-treenode-selected {
+                background-color: #ffffff !important;
+            }
+            body .tag, body .time {
+                display: none !important;
+            }
+
+            /* 黑色背景 */
+            body .slider,
+            body .put,
+            body .ant-tag-has-color,
+            body .sideActive {
+                background-color: #000000 !important;
+            }
+
+            /* 浅灰色背景 */
+            body .score,
+            body .tips,
+            body .maxAvgScore {
+                background-color: #eee !important;
+                color: #000000 !important;
+                font-size: 15px !important;
+            }
+
+            /* 中灰色背景 */
+            body .swiper-box,
+            body .swiper-container {
+                background-color: #ddd !important;
+            }
+
+            /* ---- 按组件/功能分类 ---- */
+            /* 按钮 */
+            body .ant-btn-danger {
+                background-color: #fff !important;
+                color: #000 !important;
+                border-color: #000000 !important;
+                border-width: 1px !important;
+                border-style: solid !important;
+            }
+            body .ant-btn-primary {
+                background-color: #fff !important;
+                border-color: #000000 !important;
+                color: #000 !important;
+            }
+
+            /* 侧边栏与菜单 (带平滑移动动画) */
+            body .menu {
+                position: relative !important;
+                background-color: #000000 !important;
+                color: rgba(255, 255, 255, 0.7) !important;
+            }
+            body .menu div {
+                position: relative;
+                z-index: 1;
+                transition: color 0.4s ease;
+                border-radius: 8px !important;
+            }
+            body .menu div.active {
+                background-color: transparent !important;
+                color: #ffffff !important;
+                font-weight: 500 !important;
+            }
+            .menu-active-indicator {
+                position: absolute !important;
+                z-index: 0;
+                left: 4px !important;
+                right: 4px !important;
+                background-color: #333 !important;
+                border-radius: 8px !important;
+                transition: top 0.4s cubic-bezier(0.65, 0, 0.35, 1),
+                            height 0.4s cubic-bezier(0.65, 0, 0.35, 1) !important;
+            }
+
+            body .put {
+                z-index: 190 !important;
+            }
+
+            /* 文件树 */
+            body .treeBox {
+                border-color: #000000 !important;
+                border-width: 1px !important;
+                border-style: solid !important;
+            }
+            body .ant-tree.ant-tree-directory .ant-tree-child-tree > li.ant-tree-treenode-selected > span.ant-tree-node-content-wrapper::before,
+            body .ant-tree.ant-tree-directory > li.ant-tree-treenode-selected > span.ant-tree-node-content-wrapper::before {
+                background-color: #eee !important;
+                border-radius: 5px !important;
+                font-weight: 500 !important;
+            }
+            body .wrap .nav .treeBox .folder .folderName[data-v-56a2485d]:hover {
+                color: #fff !important;
+                background-color: #eee !important;
+            }
+
+            /* 弹窗 */
+            body .ant-modal-content {
+                background-color: rgba(255, 255, 255, 0.6) !important;
+                -webkit-backdrop-filter: blur(10px) !important;
+                backdrop-filter: blur(10px) !important;
+                border-radius: 12px !important;
+            }
+            body .ant-modal-header {
+                background-color: rgba(255, 255, 255, 0.6) !important;
+                backdrop-filter: blur(10px) !important;
+                border-bottom: 1px solid #000;
+                border-radius: 12px 12px 0 0;
+            }
+
+            /* 分数显示 */
+            body .scoreRate {
+                background-color: #eee !important;
+                color: #000000 !important;
+                font-size: 15px !important;
+                margin-top: 1.5rem;
+                border-left-width: 2px;
+                border-left-style: solid;
+                border-left-color: currentColor;
+                padding-left: 1.5rem;
+                border-radius: 0px !important;
+            }
+
+            /* 其他独立元素 */
+            body .ant-row-flex, body .tips1, body .name-box { color: #000 !important; }
+            body .folderName { color: #000000 !important; }
+            body .folderName.active {
+                background-color: #eeeeee !important;
+                color: #000000 !important;
+            }
+            body .ant-badge { color: #000000 !important; }
+            body .title { background-color: transparent !important; }
+        `,
+    });
+
+    /* -------------------- 胶囊菜单 -------------------- */
+    function injectPill() {
+        if (!document.getElementById('rebootOverlay')) { const rebootOverlay = document.createElement('div'); rebootOverlay.className = 'reboot-overlay'; rebootOverlay.id = 'rebootOverlay'; document.documentElement.appendChild(rebootOverlay); }
+        if (!document.getElementById('scanline')) { const scanline = document.createElement('div'); scanline.className = 'scanline'; scanline.id = 'scanline'; document.documentElement.appendChild(scanline); }
+        if (!document.getElementById('pillMenu')) {
+            const pillHTML = `
+                <div class="pill-container" id="pillMenu" role="button" aria-label="Pill Menu">
+                    <div class="pill-icon">
+                        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                            <line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line>
+                        </svg>
+                    </div>
+                    <div class="pill-message"><span class="message-text"></span></div>
+                    <div class="pill-buttons" id="pillButtons">
+                        <button class="pill-button" title="Bookmarks" aria-label="Bookmarks"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path></svg></button>
+                        <button class="pill-button" title="Add to Bookmarks" aria-label="Add to Bookmarks"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path><line x1="12" y1="7" x2="12" y2="13"></line><line x1="9" y1="10" x2="15" y2="10"></line></svg></button>
+                        <button class="pill-button" title="Recent" aria-label="Recent"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg></button>
+                        <button class="pill-button" title="Library" aria-label="Library"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"></path><path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"></path></svg></button>
+                        <button class="pill-button" title="Offline" aria-label="Offline"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="1" y1="1" x2="23" y2="23"></line><path d="M16.72 11.06A10.94 10.94 0 0 1 19 12.55"></path><path d="M5 12.55a10.94 10.94 0 0 1 5.17-2.39"></path><path d="M10.71 5.05A16 16 0 0 1 22.58 9"></path><path d="M1.42 9a15.91 15.91 0 0 1 4.7-2.88"></path><path d="M8.53 16.11a6 6 0 0 1 6.95 0"></path><line x1="12" y1="20" x2="12.01" y2="20"></line></svg></button>
+                        <button class="pill-button" title="Back" aria-label="Back" disabled><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 18 9 12 15 6"></polyline></svg></button>
+                        <button class="pill-button" title="Forward" aria-label="Forward" disabled><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"></polyline></svg></button>
+                        <button class="pill-button" title="Search" aria-label="Search"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg></button>
+                        <button class="pill-button" title="Reload" aria-label="Reload"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.2"></path></svg></button>
+                        <button class="pill-button" title="Network" aria-label="Network"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="22 12 18 12 15 21 9 3 6 12 2 12"></polyline></svg></button>
+                        <button class="pill-button" title="Settings" aria-label="Settings"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12.22 2h-.44a2 2 0 0 0-2 2v.18a2 2 0 0 1-1 1.73l-.43.25a2 2 0 0 1-2 0l-.15-.08a2 2 0 0 0-2.73.73l-.22.38a2 2 0 0 0 .73 2.73l.15.1a2 2 0 0 1 1 1.72v.51a2 2 0 0 1-1 1.74l-.15.09a2 2 0 0 0-.73 2.73l.22.38a2 2 0 0 0 2.73.73l.15-.08a2 2 0 0 1 2 0l.43.25a2 2 0 0 1 1 1.73V20a2 2 0 0 0 2 2h.44a2 2 0 0 0 2-2v-.18a2 2 0 0 1 1-1.73l.43-.25a2 2 0 0 1 2 0l.15.08a2 2 0 0 0 2.73-.73l.22-.39a2 2 0 0 0-.73-2.73l-.15-.08a2 2 0 0 1-1-1.74v-.5a2 2 0 0 1 1-1.74l.15-.09a2 2 0 0 0 .73-2.73l-.22-.38a2 2 0 0 0-2.73-.73l-.15.08a2 2 0 0 1-2 0l-.43-.25a2 2 0 0 1-1-1.73V4a2 2 0 0 0-2-2z"></path><circle cx="12" cy="12" r="3"></circle></svg></button>
+                    </div>
+                </div>`;
+            const wrapper = document.createElement('div');
+            wrapper.innerHTML = pillHTML;
+            document.body.appendChild(wrapper.firstElementChild);
         }
+    }
+
+    async function replayLastPath() {
+        const path = await readStore('lastPath');
+        if (!path) { GM_notification({ title: '提示', text: '尚未记录任何路径可供回放。', timeout: 3000 }); return; }
+        await replayPath(path);
+    }
 
-        /* 侧边栏与菜单 (带平滑移动动画) */
-        body .menu {
-            position: relative !important;
-            background-color: #000000 !important;
-            color: rgba(255, 255, 255, 0.7) !important;
+    function setupPillBehavior() {
+        const pillMenu = document.getElementById('pillMenu');
+        if (!pillMenu) return;
+        const rebootOverlay = document.getElementById('rebootOverlay'), scanline = document.getElementById('scanline');
+        const bookmarksBtn = pillMenu.querySelector('button[title="Bookmarks"]'), addBookmarkBtn = pillMenu.querySelector('button[title="Add to Bookmarks"]'), reloadBtn = pillMenu.querySelector('button[title="Reload"]'), settingsBtn = pillMenu.querySelector('button[title="Settings"]');
+        const searchBtn = pillMenu.querySelector('button[title="Search"]');
+        if (bookmarksBtn) { bookmarksBtn.addEventListener('click', (e) => { e.stopPropagation(); openFavoritesDrawer(); }); }
+        if (searchBtn) { searchBtn.addEventListener('click', (e) => { e.stopPropagation(); createSearchUI(); }); }
+        const networkBtn = pillMenu.querySelector('button[title="Network"]');
+        if (networkBtn) { networkBtn.addEventListener('click', (e) => { e.stopPropagation(); toggleNetworkInspector(); }); }
+        const recentBtn = pillMenu.querySelector('button[title="Recent"]'), backBtn = pillMenu.querySelector('button[title="Back"]'), forwardBtn = pillMenu.querySelector('button[title="Forward"]');
+        if (recentBtn) { recentBtn.addEventListener('click', (e) => { e.stopPropagation(); openHistoryDrawer(); }); }
+        const libraryBtn = pillMenu.querySelector('button[title="Library"]');
+        if (libraryBtn) { libraryBtn.addEventListener('click', (e) => { e.stopPropagation(); openPdfLibrary(); }); }
+        const offlineBtn = pillMenu.querySelector('button[title="Offline"]');
+        if (offlineBtn) { offlineBtn.addEventListener('click', (e) => { e.stopPropagation(); openOfflineView(null); }); }
+        if (backBtn) { backBtn.addEventListener('click', (e) => { e.stopPropagation(); navigateHistory(-1).catch(err => console.error('后退失败:', err)); }); }
+        if (forwardBtn) { forwardBtn.addEventListener('click', (e) => { e.stopPropagation(); navigateHistory(1).catch(err => console.error('前进失败:', err)); }); }
+        getHistory().then(updateHistoryButtons);
+        if (addBookmarkBtn) { const originalAddIconHTML = addBookmarkBtn.innerHTML; const checkmarkSVG = `<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>`; addBookmarkBtn.addEventListener('click', (e) => { e.stopPropagation(); addCurrentPathToFavorites(); addBookmarkBtn.innerHTML = checkmarkSVG; setTimeout(() => { addBookmarkBtn.innerHTML = originalAddIconHTML; }, 1000); }); }
+        if (reloadBtn) { const originalReloadIconHTML = reloadBtn.innerHTML; const loadingIconHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="animation: spin 1s linear infinite;"><path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.2"></path></svg>`; reloadBtn.addEventListener('click', async (e) => { e.stopPropagation(); if (reloadBtn.disabled) return; reloadBtn.disabled = true; reloadBtn.innerHTML = loadingIconHTML; try { await replayLastPath(); } catch (error) { console.error('路径回放失败:', error); } finally { reloadBtn.disabled = false; reloadBtn.innerHTML = originalReloadIconHTML; } }); }
+        if (settingsBtn) { settingsBtn.addEventListener('click', (e) => { e.stopPropagation(); window.location.hash = '#/settings/plugin'; }); }
+        let singleClickTimer = null, isAnimating = false;
+        function performLogoutRequest() { return new Promise((resolve) => { GM_xmlhttpRequest({ method: 'GET', url: 'https://bdfz.xnykcxt.com:5002/exam/login/api/logout', headers: { 'Accept': 'application/json, text/plain, */*', 'Cache-Control': 'no-cache' }, timeout: 5000, onload: (response) => { console.log('登出请求完成'); resolve(response); }, onerror: (error) => { console.warn('登出请求失败'); resolve(error); }, ontimeout: () => { console.warn('登出请求超时'); resolve(); } }); }); }
+        function initiateReboot() { isAnimating = true; pillMenu.classList.add('animating'); requestAnimationFrame(() => { pillMenu.style.animation = 'pill-implode 0.5s cubic-bezier(0.4, 0, 1, 1) forwards'; }); setTimeout(() => { requestAnimationFrame(() => { if (rebootOverlay) { rebootOverlay.style.animation = 'flash-reboot 0.8s ease-out forwards'; } setTimeout(() => { requestAnimationFrame(() => { if (scanline) { scanline.style.opacity = '1'; scanline.style.animation = 'scanline 0.6s ease-in forwards'; } }); }, 400); }); }, 300); setTimeout(() => { try { pillMenu.style.animation = ''; if (rebootOverlay) rebootOverlay.style.animation = ''; if (scanline) scanline.style.animation = ''; } catch (e) {} window.location.reload(); }, 900); }
+        function handleClick(e) {
+            if (isAnimating || e.target.closest('.pill-button') || e.target.closest('.message-text')) return;
+            if (pillMenu.classList.contains('show-message') || pillMenu.classList.contains('show-suggestion')) {
+                hidePillMessage();
+            }
+            clearTimeout(singleClickTimer);
+            singleClickTimer = setTimeout(() => { requestAnimationFrame(() => pillMenu.classList.toggle('expanded')); }, 200);
         }
-        body .menu div {
-            position: relative;
-            z-index: 1;
-            transition: color 0.4s ease;
-            border-radius: 8px !important;
+        pillMenu.addEventListener('click', handleClick);
+        registerCommand({ id: 'page.hardRefresh', title: '强制刷新页面', hint: '登出并重新加载，等同于双击胶囊', keywords: 'hard refresh reload logout', run: async () => { if (isAnimating) return; await performLogoutRequest().catch(() => {}); initiateReboot(); } });
+        pillMenu.addEventListener('dblclick', async (e) => { e.stopPropagation(); e.preventDefault(); if (isAnimating || e.target.closest('.pill-button')) return; clearTimeout(singleClickTimer); try { await performLogoutRequest(); } catch (err) { console.warn('logout request failed:', err); } finally { initiateReboot(); } }, { passive: false });
+        ['mousedown', 'touchstart', 'touchend', 'touchmove'].forEach(evt => { pillMenu.addEventListener(evt, (ev) => { ev.stopPropagation(); }, { passive: false }); });
+        pillMenu.tabIndex = 0;
+        pillMenu.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); pillMenu.classList.toggle('expanded'); } else if ((e.key === 'Enter' && (e.ctrlKey || e.metaKey)) || e.key === 'F5') { e.preventDefault(); (async () => { if (isAnimating) return; await performLogoutRequest().catch(()=>{}); initiateReboot(); })(); } });
+        window.addEventListener('load', () => { setTimeout(() => { if (!pillMenu.classList.contains('expanded')) { pillMenu.style.willChange = 'auto'; } }, 1000); });
+    }
+
+    defineModule({
+        id: 'pill',
+        styles: `
+            /* ========== Pill 样式（保留你原始的视觉和行为样式） ========== */
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+
+
+
+             /* [hidden]:not(#errorWrapper), button.hidden, div#editorModeButtons.hidden{display: block !important;}*/
+
+            .pill-container {
+                position: fixed;
+                bottom: 24px;
+                left: 55px;
+                background-color: #0a0a0a;
+                border-radius: 50px;
+                padding: 0;
+                display: flex;
+                align-items: center;
+                box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+                transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+                cursor: pointer; /* 不可拖，改为 pointer */
+                color: #ffffff;
+                -webkit-user-select: none;
+                user-select: none;
+                z-index: 10000;
+                will-change: transform, padding;
+                transform: translateZ(0);
+                backface-visibility: hidden;
+                -webkit-font-smoothing: antialiased;
+            }
+
+            .pill-container.dragging { cursor: grabbing; transition: none; }
+            .pill-container.expanded { padding: 0 12px 0 0; }
+
+            .pill-icon {
+                width: 44px;
+                height: 44px;
+                transition: transform 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                color: white;
+                flex-shrink: 0;
+                will-change: transform;
+                transform: translateZ(0);
+            }
+            .pill-container.expanded .pill-icon { transform: rotate(45deg) translateZ(0); }
+
+            .pill-buttons {
+                display: flex;
+                align-items: center;
+                max-width: 0;
+                opacity: 0;
+                transition: max-width 0.4s cubic-bezier(0.4, 0, 0.2, 1),
+                            opacity 0.3s ease,
+                            padding-left 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+                will-change: max-width, opacity, transform;
+                overflow: hidden;
+                white-space: nowrap;
+                gap: 4px;
+                margin-left: 0;
+                transform: translateZ(0);
+            }
+            .pill-container.expanded .pill-buttons, .pill-container.show-suggestion .pill-buttons {
+                max-width: 560px;
+                opacity: 1;
+                margin-left: 8px;
+            }
+            .pill-container.show-suggestion .pill-buttons {
+                padding-left: 70px; /* 为文字“去哪里？”腾出空间 */
+            }
+
+            .pill-button {
+                background: transparent;
+                color: #ffffff;
+                border: none;
+                padding: 8px;
+                border-radius: 50%;
+                cursor: pointer;
+                transition: background 0.2s ease, display 0.2s;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                width: 36px;
+                height: 36px;
+                will-change: background;
+                transform: translateZ(0);
+            }
+            .pill-button:hover { background: rgba(255, 255, 255, 0.15); }
+            .pill-button:disabled { opacity: 0.35; cursor: default; background: transparent; }
+
+            /* 重启效果 */
+            .reboot-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: #0a0a0a; opacity: 0; pointer-events: none; z-index: 10001; will-change: opacity; transform: translateZ(0); }
+            @keyframes flash-reboot { 0% { opacity: 0; } 15% { opacity: 1; } 30% { opacity: 0; } 45% { opacity: 1; } 100% { opacity: 1; } }
+            @keyframes pill-implode { 0% { transform: scale(1) translateZ(0); opacity: 1; } 60% { transform: scale(1.15) translateZ(0); opacity: 1; } 100% { transform: scale(0) translateZ(0); opacity: 0; } }
+            @keyframes scanline { 0% { transform: translateY(-100%) translateZ(0); } 100% { transform: translateY(100vh) translateZ(0); } }
+            .scanline { position: fixed; top: 0; left: 0; width: 100%; height: 3px; background: linear-gradient(to bottom, transparent, rgba(0, 0, 0, 0.8), transparent); pointer-events: none; z-index: 10002; opacity: 0; will-change: transform, opacity; transform: translateZ(0); }
+            .pill-container.animating { will-change: transform, opacity; }
+            @keyframes spin { from { transform: rotate(0deg); } to { transform: rotate(360deg); } }
+        `,
+        init() {
+            injectPill();
+            setupPillBehavior();
+            registerCommand({ id: 'replay.last', title: '回放上次路径', hint: '回到上次离开时的目录', keywords: 'reload replay', run: replayLastPath });
+        },
+    });
+
+    /* -------------------- 收藏夹 -------------------- */
+    const UNSORTED_FOLDER_ID = 'unsorted'; // 内置文件夹，不可删除；旧版收藏默认归入此处
+    let favoritesDrawer, favoritesOverlay, favoritesList, favoritesFilterInput;
+
+    // 兼容旧数据：没有 folder/tags 字段的收藏视为“未分类”、无标签，其余字段原样保留
+    function normalizeFavorite(fav) { return { ...fav, folder: fav.folder || UNSORTED_FOLDER_ID, tags: normalizeTags(fav.tags || []), createdAt: fav.createdAt ?? null, lastOpenedAt: fav.lastOpenedAt ?? null }; }
+
+    // 接受数组或以逗号、空格分隔的字符串，去掉前导 # 并去重
+    function normalizeTags(input) {
+        const list = Array.isArray(input) ? input : String(input || '').split(/[,，\s]+/);
+        return [...new Set(list.map(t => String(t).trim().replace(/^#/, '')).filter(Boolean))];
+    }
+
+    async function getFavorites() { return (await readStore('favorites')).map(normalizeFavorite); }
+
+    async function saveFavorites(favorites) { await writeStore('favorites', favorites); }
+
+    async function getFolders() {
+        const folders = (await readStore('folders')).filter(f => f && f.id);
+        if (!folders.some(f => f.id === UNSORTED_FOLDER_ID)) { folders.unshift({ id: UNSORTED_FOLDER_ID, name: '未分类', collapsed: false }); }
+        return folders;
+    }
+
+    async function saveFolders(folders) { await writeStore('folders', folders); }
+
+    function openFavoritesDrawer() { favoritesFilterInput.value = ''; renderFavoritesList(); favoritesDrawer.classList.add('open'); favoritesOverlay.classList.add('visible'); }
+
+    function closeFavoritesDrawer() { favoritesDrawer.classList.remove('open'); favoritesOverlay.classList.remove('visible'); }
+
+    async function addCurrentPathToFavorites() { const path = captureCurrentPath(); if (!path || path.length === 0) { GM_notification({ title: '收藏失败', text: '无法捕获当前路径。', timeout: 4000 }); return; } if (path.length < 2 && (document.querySelector('.folderName') || document.querySelector('.ant-tree'))) { GM_notification({ title: '收藏失败', text: '请先进入一个具体的课程目录。', timeout: 4000 }); return; } const favorites = await getFavorites(); if (favorites.some(fav => pathKey(fav.path) === pathKey(path))) { GM_notification({ title: '提示', text: '该路径已在收藏夹中。', timeout: 3000 }); return; } favorites.push({ title: path[path.length - 1].text, path: path, folder: UNSORTED_FOLDER_ID, tags: [], createdAt: Date.now(), lastOpenedAt: null }); await saveFavorites(favorites); GM_notification({ title: '收藏成功！', text: `已将“${path[path.length - 1].text}”加入收藏夹。`, timeout: 3000 }); }
+
+    async function deleteFavorite(index) { let f = await getFavorites(); f.splice(index, 1); await saveFavorites(f); renderFavoritesList(); }
+
+    const ICON_EDIT = `<svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M17.414 2.586a2 2 0 00-2.828 0L7 10.172V13h2.828l7.586-7.586a2 2 0 000-2.828z"></path><path fill-rule="evenodd" d="M2 6a2 2 0 012-2h4a1 1 0 010 2H4v10h10v-4a1 1 0 112 0v4a2 2 0 01-2 2H4a2 2 0 01-2-2V6z" clip-rule="evenodd"></path></svg>`;
+    const ICON_DELETE = `<svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"></path></svg>`;
+    const ICON_TAG = `<svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M17.707 9.293a1 1 0 010 1.414l-7 7a1 1 0 01-1.414 0l-7-7A.997.997 0 012 10V5a3 3 0 013-3h5c.256 0 .512.098.707.293l7 7zM5 6a1 1 0 100-2 1 1 0 000 2z" clip-rule="evenodd"></path></svg>`;
+    const ICON_FOLDER = `<svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M2 6a2 2 0 012-2h5l2 2h5a2 2 0 012 2v6a2 2 0 01-2 2H4a2 2 0 01-2-2V6z"></path></svg>`;
+    const ICON_GRIP = `<svg class="icon" viewBox="0 0 20 20" fill="currentColor"><circle cx="7" cy="5" r="1.5"></circle><circle cx="13" cy="5" r="1.5"></circle><circle cx="7" cy="10" r="1.5"></circle><circle cx="13" cy="10" r="1.5"></circle><circle cx="7" cy="15" r="1.5"></circle><circle cx="13" cy="15" r="1.5"></circle></svg>`;
+
+    // 用输入框临时替换 target；回车或失焦提交，Esc 放弃
+    function startInlineEdit(target, { value = '', placeholder = '', onCommit }) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'title-edit-input';
+        input.value = value;
+        input.placeholder = placeholder;
+        target.replaceWith(input);
+        input.focus();
+        input.select();
+        let finished = false;
+        const finish = async (commit) => {
+            if (finished) return;
+            finished = true;
+            if (commit) await onCommit(input.value.trim());
+            if (input.isConnected) input.replaceWith(target);
+        };
+        input.addEventListener('click', e => e.stopPropagation());
+        input.addEventListener('keydown', e => { if (e.key === 'Enter') input.blur(); else if (e.key === 'Escape') { e.stopPropagation(); finish(false); } });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    // 空格分隔的多个条件需同时满足；以 # 开头的条件只匹配标签
+    function matchesFavoriteFilter(fav, query) {
+        if (!query) return true;
+        return query.toLowerCase().split(/\s+/).every(token => {
+            if (token.startsWith('#')) { const tag = token.slice(1); return fav.tags.some(t => t.toLowerCase().includes(tag)); }
+            const fields = [fav.title, fav.path.map(p => p.text).join(' / '), ...fav.tags];
+            return fields.some(text => text.toLowerCase().includes(token) || (typeof PinyinMatch !== 'undefined' && PinyinMatch.match(text, token)));
+        });
+    }
+
+    async function renderFavoritesList() {
+        const [favorites, folders] = await Promise.all([getFavorites(), getFolders()]);
+        const query = favoritesFilterInput.value.trim();
+        favoritesList.innerHTML = '';
+        favoritesList.classList.toggle('favorites-filtering', !!query);
+        if (favorites.length === 0 && folders.length === 1) { favoritesList.innerHTML = '<li id="empty-favorites-msg" style="border:none;background:transparent;cursor:default;">您的收藏夹是空的<br>点击“+”按钮添加吧</li>'; return; }
+        const folderIds = new Set(folders.map(f => f.id));
+        const entries = favorites.map((fav, index) => ({ fav, index, folder: folderIds.has(fav.folder) ? fav.folder : UNSORTED_FOLDER_ID }));
+        let shown = 0;
+        folders.forEach(folder => {
+            const inFolder = entries.filter(e => e.folder === folder.id);
+            const matched = inFolder.filter(e => matchesFavoriteFilter(e.fav, query));
+            if (query && matched.length === 0) return;
+            favoritesList.appendChild(createFolderHeader(folder, inFolder.length));
+            if (folder.collapsed && !query) return;
+            if (inFolder.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'favorites-folder-empty';
+                empty.dataset.folder = folder.id;
+                empty.textContent = '拖动收藏到这里';
+                favoritesList.appendChild(empty);
+            }
+            matched.forEach(({ fav, index }) => favoritesList.appendChild(createFavoriteItem(fav, index, folders)));
+            shown += matched.length;
+        });
+        if (query && shown === 0) { favoritesList.innerHTML = '<li id="empty-favorites-msg" style="border:none;background:transparent;cursor:default;">没有符合条件的收藏</li>'; }
+    }
+
+    function createFolderHeader(folder, count) {
+        const li = document.createElement('li');
+        li.className = 'favorites-folder-header' + (folder.collapsed ? ' collapsed' : '');
+        li.dataset.folder = folder.id;
+        const isUnsorted = folder.id === UNSORTED_FOLDER_ID;
+        li.innerHTML = `<span class="folder-label"><span class="folder-caret">▾</span><span class="folder-name">${escapeHTML(folder.name)}</span><span class="folder-count">${count}</span></span>` +
+            (isUnsorted ? '' : `<div class="item-actions"><button class="action-btn edit" title="重命名文件夹">${ICON_EDIT}</button><button class="action-btn delete" title="删除文件夹（其中的收藏移入“未分类”）">${ICON_DELETE}</button></div>`);
+        li.addEventListener('click', async (e) => {
+            if (e.target.closest('.item-actions, input')) return;
+            const current = await getFolders();
+            const target = current.find(f => f.id === folder.id);
+            if (!target) return;
+            target.collapsed = !target.collapsed;
+            await saveFolders(current);
+            renderFavoritesList();
+        });
+        if (isUnsorted) return li;
+        li.querySelector('.edit').addEventListener('click', () => {
+            startInlineEdit(li.querySelector('.folder-name'), { value: folder.name, onCommit: async (name) => {
+                if (!name || name === folder.name) return;
+                const current = await getFolders();
+                const target = current.find(f => f.id === folder.id);
+                if (target) { target.name = name; await saveFolders(current); }
+                renderFavoritesList();
+            } });
+        });
+        li.querySelector('.delete').addEventListener('click', async () => {
+            if (!confirm(`删除文件夹“${folder.name}”？其中的收藏将移入“未分类”。`)) return;
+            const favorites = await getFavorites();
+            favorites.forEach(fav => { if (fav.folder === folder.id) fav.folder = UNSORTED_FOLDER_ID; });
+            await saveFavorites(favorites);
+            await saveFolders((await getFolders()).filter(f => f.id !== folder.id));
+            renderFavoritesList();
+        });
+        return li;
+    }
+
+    function createFavoriteItem(fav, index, folders) {
+        const li = document.createElement('li');
+        li.dataset.index = index;
+        const fullPath = fav.path.map(p => p.text).join(' / ');
+        const tagsHTML = fav.tags.length ? `<div class="item-tags">${fav.tags.map(t => `<span class="favorite-tag" data-tag="${escapeHTML(t)}">#${escapeHTML(t)}</span>`).join('')}</div>` : '';
+        li.innerHTML = `<span class="drag-handle" title="拖动排序">${ICON_GRIP}</span><div class="item-text-content"><span class="item-title">${escapeHTML(fav.title)}</span><span class="item-fullpath">${escapeHTML(fullPath)}</span>${tagsHTML}</div><div class="item-actions"><button class="action-btn tag" title="编辑标签">${ICON_TAG}</button><button class="action-btn move" title="移动到文件夹">${ICON_FOLDER}</button><button class="action-btn edit" title="编辑名称">${ICON_EDIT}</button><button class="action-btn delete" title="删除此收藏">${ICON_DELETE}</button></div>`;
+        const updateFavorite = async (mutate) => { const c = await getFavorites(); if (!c[index]) return; mutate(c[index]); await saveFavorites(c); renderFavoritesList(); };
+        li.addEventListener('click', async (e) => {
+            if (e.target.closest('.item-actions, .drag-handle, .favorite-tag, input, select')) return;
+            closeFavoritesDrawer();
+            updateFavorite(f => { f.lastOpenedAt = Date.now(); });
+            try { const lastClickedElement = await replayPath(fav.path); await checkForNextStep(lastClickedElement); } catch (error) { console.error("Replay or next step check failed:", error); }
+        });
+        li.querySelectorAll('.favorite-tag').forEach(chip => chip.addEventListener('click', () => { favoritesFilterInput.value = `#${chip.dataset.tag}`; renderFavoritesList(); }));
+        li.querySelector('.delete').addEventListener('click', () => deleteFavorite(index));
+        li.querySelector('.edit').addEventListener('click', () => {
+            startInlineEdit(li.querySelector('.item-title'), { value: fav.title, onCommit: async (title) => { if (title && title !== fav.title) await updateFavorite(f => { f.title = title; }); } });
+        });
+        li.querySelector('.tag').addEventListener('click', () => {
+            let tagsEl = li.querySelector('.item-tags');
+            if (!tagsEl) { tagsEl = document.createElement('div'); tagsEl.className = 'item-tags'; li.querySelector('.item-text-content').appendChild(tagsEl); }
+            startInlineEdit(tagsEl, { value: fav.tags.join(', '), placeholder: '用逗号或空格分隔多个标签', onCommit: async (value) => updateFavorite(f => { f.tags = normalizeTags(value); }) });
+        });
+        li.querySelector('.move').addEventListener('click', (e) => {
+            const moveBtn = e.currentTarget;
+            const select = document.createElement('select');
+            select.className = 'folder-select';
+            select.innerHTML = folders.map(f => `<option value="${escapeHTML(f.id)}"${f.id === fav.folder ? ' selected' : ''}>${escapeHTML(f.name)}</option>`).join('');
+            moveBtn.replaceWith(select);
+            select.focus();
+            select.addEventListener('click', ev => ev.stopPropagation());
+            select.addEventListener('change', () => updateFavorite(f => { f.folder = select.value; }));
+            select.addEventListener('blur', () => { if (select.isConnected) select.replaceWith(moveBtn); });
+        });
+        return li;
+    }
+
+    async function createFolder() {
+        const li = document.createElement('li');
+        li.className = 'favorites-folder-header';
+        const label = document.createElement('span');
+        li.appendChild(label);
+        favoritesList.prepend(li);
+        startInlineEdit(label, { placeholder: '新文件夹名称', onCommit: async (name) => {
+            if (name) {
+                const folders = await getFolders();
+                folders.push({ id: `f${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name, collapsed: false });
+                await saveFolders(folders);
+            }
+            renderFavoritesList();
+        } });
+    }
+
+    // 按 DOM 中的顺序与所在文件夹重写收藏数组；折叠或未渲染的收藏保持原有相对顺序
+    async function commitFavoritesOrder() {
+        const [favorites, folders] = await Promise.all([getFavorites(), getFolders()]);
+        const grouped = new Map(folders.map(f => [f.id, []]));
+        const placed = new Set();
+        let currentFolder = UNSORTED_FOLDER_ID;
+        favoritesList.querySelectorAll(':scope > li').forEach(li => {
+            if (li.classList.contains('favorites-folder-header') && grouped.has(li.dataset.folder)) { currentFolder = li.dataset.folder; return; }
+            if (li.dataset.index === undefined) return;
+            const index = Number(li.dataset.index);
+            if (!favorites[index] || placed.has(index)) return;
+            placed.add(index);
+            favorites[index].folder = currentFolder;
+            grouped.get(currentFolder).push(favorites[index]);
+        });
+        favorites.forEach((fav, index) => { if (!placed.has(index)) grouped.get(grouped.has(fav.folder) ? fav.folder : UNSORTED_FOLDER_ID).push(fav); });
+        await saveFavorites([].concat(...grouped.values()));
+        renderFavoritesList();
+    }
+
+    // 基于 Pointer Events 的拖拽排序，手指与鼠标通用；拖到文件夹标题上即移入该文件夹
+    function setupFavoritesDragAndDrop() {
+        let drag = null;
+        favoritesList.addEventListener('pointerdown', (e) => {
+            const handle = e.target.closest('.drag-handle');
+            const li = handle && handle.closest('li[data-index]');
+            if (!li) return;
+            e.preventDefault();
+            handle.setPointerCapture(e.pointerId);
+            li.classList.add('dragging');
+            drag = { li, pointerId: e.pointerId, scroller: favoritesList.closest('.drawer-content') };
+        });
+        favoritesList.addEventListener('pointermove', (e) => {
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            e.preventDefault();
+            const bounds = drag.scroller.getBoundingClientRect();
+            if (e.clientY < bounds.top + 40) drag.scroller.scrollTop -= 10;
+            else if (e.clientY > bounds.bottom - 40) drag.scroller.scrollTop += 10;
+            const under = document.elementFromPoint(e.clientX, e.clientY);
+            const target = under && under.closest('#favorites-drawer .drawer-content li');
+            if (!target || target === drag.li || target.parentElement !== favoritesList) return;
+            if (target.classList.contains('favorites-folder-header')) { target.after(drag.li); return; }
+            if (target.classList.contains('favorites-folder-empty')) { target.before(drag.li); return; }
+            const rect = target.getBoundingClientRect();
+            if (e.clientY < rect.top + rect.height / 2) target.before(drag.li); else target.after(drag.li);
+        });
+        const endDrag = (e) => {
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            drag.li.classList.remove('dragging');
+            drag = null;
+            commitFavoritesOrder();
+        };
+        favoritesList.addEventListener('pointerup', endDrag);
+        favoritesList.addEventListener('pointercancel', endDrag);
+    }
+
+    function initializeFavoritesDrawer() {
+        if (document.getElementById('favorites-drawer')) return;
+        favoritesOverlay = document.createElement('div'); favoritesOverlay.className = 'drawer-overlay'; favoritesDrawer = document.createElement('div'); favoritesDrawer.id = 'favorites-drawer'; favoritesDrawer.className = 'bottom-sheet-drawer'; favoritesDrawer.innerHTML = `<div class="drawer-header"><h2>收藏夹</h2></div><div class="favorites-toolbar"><input type="search" class="favorites-filter" placeholder="筛选：标题、路径或 #标签"><button class="favorites-new-folder">新建文件夹</button></div><div class="drawer-content"><ul></ul></div>`; favoritesList = favoritesDrawer.querySelector('.drawer-content ul'); favoritesFilterInput = favoritesDrawer.querySelector('.favorites-filter'); favoritesFilterInput.addEventListener('input', debounce(renderFavoritesList, 150)); favoritesDrawer.querySelector('.favorites-new-folder').addEventListener('click', createFolder); setupFavoritesDragAndDrop();
+        document.body.append(favoritesOverlay, favoritesDrawer);
+        favoritesOverlay.addEventListener('click', closeFavoritesDrawer);
+    }
+
+    // 抽屉的通用样式（.drawer-overlay、.bottom-sheet-drawer 等）也由本模块提供，历史记录与回放的抽屉共用
+    defineModule({
+        id: 'favorites',
+        styles: `
+            /* ========== Favorites Drawer & Buttons CSS ========== */
+            .drawer-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: rgba(0, 0, 0, 0.4); backdrop-filter: blur(4px); z-index: 2147483647; opacity: 0; visibility: hidden; transition: opacity 0.3s ease, visibility 0.3s; }
+            .drawer-overlay.visible { opacity: 1; visibility: visible; }
+            .bottom-sheet-drawer { position: fixed; left: 0; bottom: 0; right: 0; max-height: 70%; background-color: #f9f9f9; border-top-left-radius: 16px; border-top-right-radius: 16px; box-shadow: 0 -4px 20px rgba(0,0,0,0.1); z-index: 2147483647; transform: translateY(100%); transition: transform 0.35s cubic-bezier(0.32, 0.72, 0, 1); display: flex; flex-direction: column; }
+            .bottom-sheet-drawer.open { transform: translateY(0); }
+            .drawer-header { padding: 12px 16px; text-align: center; flex-shrink: 0; position: relative; }
+            .drawer-header::before { content: ''; position: absolute; top: 8px; left: 50%; transform: translateX(-50%); width: 40px; height: 4px; background-color: #d1d5db; border-radius: 2px; }
+            .drawer-header h2 { margin: 12px 0 0; font-size: 1.1rem; font-weight: 600; color: #111827; }
+            .drawer-content { padding: 0 16px 16px; overflow-y: auto; } .drawer-content ul { list-style: none; margin: 0; padding: 0; }
+            #favorites-drawer .drawer-content li, #history-drawer .drawer-content li { background-color: #fff; border-radius: 12px; padding: 14px 12px 14px 16px; margin-top: 12px; cursor: pointer; border: 1px solid #f0f0f0; transition: transform 0.2s ease, box-shadow 0.2s ease; display: flex; align-items: center; justify-content: space-between; gap: 8px; }
+            #favorites-drawer .drawer-content li:hover, #history-drawer .drawer-content li:hover { transform: translateY(-2px) scale(1.01); box-shadow: 0 4px 15px rgba(0,0,0,0.08); }
+            .item-text-content { flex-grow: 1; min-width: 0; }
+            .item-title, #next-step-drawer .item-title { font-size: 1rem; font-weight: 500; color: #1f2937; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: block; }
+            .item-fullpath { font-size: 0.8rem; color: #6b7280; margin-top: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: block; }
+            .title-edit-input { width: 100%; border: 1px solid #3b82f6; border-radius: 6px; padding: 2px 4px; font-size: 1rem; font-weight: 500; color: #1f2937; outline: none; box-shadow: 0 0 0 2px rgba(59, 130, 246, 0.2); }
+            .item-actions { display: flex; align-items: center; flex-shrink: 0; }
+            .action-btn { background: none; border: none; color: #9ca3af; cursor: pointer; padding: 8px; line-height: 1; border-radius: 50%; }
+            .action-btn:hover { background-color: #f3f4f6; color: #374151; } .action-btn.delete:hover { color: #ef4444; }
+            .action-btn .icon { width: 20px; height: 20px; display: block; }
+            .favorites-toolbar { display: flex; gap: 8px; padding: 4px 16px 8px; flex-shrink: 0; }
+            .favorites-filter { flex-grow: 1; min-width: 0; height: 36px; border: 1px solid #e5e7eb; border-radius: 8px; padding: 0 10px; font-size: 0.9rem; color: #1f2937; background-color: #fff; outline: none; }
+            .favorites-filter:focus { border-color: #9ca3af; }
+            .favorites-new-folder { flex-shrink: 0; height: 36px; border: 1px solid #e5e7eb; border-radius: 8px; padding: 0 12px; font-size: 0.85rem; color: #374151; background-color: #fff; cursor: pointer; }
+            .favorites-new-folder:hover { background-color: #f3f4f6; }
+            #favorites-drawer .drawer-content li.favorites-folder-header { background-color: transparent; border: none; border-radius: 0; padding: 0 4px; margin-top: 16px; }
+            #favorites-drawer .drawer-content li.favorites-folder-header:hover { transform: none; box-shadow: none; }
+            #favorites-drawer .drawer-content li.favorites-folder-empty { background-color: transparent; border: 1px dashed #d1d5db; padding: 10px; margin-top: 8px; justify-content: center; font-size: 0.8rem; color: #9ca3af; cursor: default; }
+            #favorites-drawer .drawer-content li.favorites-folder-empty:hover { transform: none; box-shadow: none; }
+            #favorites-drawer .drawer-content li.dragging { opacity: 0.7; transform: scale(1.02); box-shadow: 0 8px 24px rgba(0,0,0,0.15); transition: none; }
+            .folder-label { flex-grow: 1; min-width: 0; display: flex; align-items: center; font-size: 0.85rem; font-weight: 600; color: #6b7280; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+            .folder-caret { display: inline-block; margin-right: 6px; transition: transform 0.2s ease; }
+            .favorites-folder-header.collapsed .folder-caret { transform: rotate(-90deg); }
+            .folder-count { margin-left: 6px; font-weight: 400; color: #9ca3af; }
+            .drag-handle { flex-shrink: 0; display: flex; padding: 4px 0; color: #d1d5db; cursor: grab; touch-action: none; }
+            .drag-handle .icon { width: 16px; height: 16px; display: block; }
+            .favorites-filtering .drag-handle { display: none; }
+            .item-tags { display: flex; flex-wrap: wrap; gap: 4px; margin-top: 6px; }
+            .favorite-tag { font-size: 0.7rem; color: #374151; background-color: #f3f4f6; border-radius: 999px; padding: 1px 8px; cursor: pointer; }
+            .favorite-tag:hover { background-color: #e5e7eb; }
+            .folder-select { height: 32px; border: 1px solid #3b82f6; border-radius: 6px; padding: 0 4px; font-size: 0.85rem; color: #1f2937; background-color: #fff; outline: none; }
+            .drawer-header-action { position: absolute; right: 16px; top: 16px; background: none; border: none; font-size: 0.85rem; color: #6b7280; cursor: pointer; padding: 4px 8px; border-radius: 6px; }
+            .drawer-header-action:hover { background-color: #f3f4f6; color: #111827; }
+        `,
+        init() {
+            initializeFavoritesDrawer();
+            registerCommand({ id: 'favorites.open', title: '打开收藏夹', keywords: 'bookmarks favorites', run: openFavoritesDrawer });
+            registerCommand({ id: 'favorites.add', title: '收藏当前位置', keywords: 'bookmark add favorite', run: addCurrentPathToFavorites });
+        },
+    });
+
+    /* -------------------- 路径记录与回放 -------------------- */
+    let lastKnownPath = null;
+    let nextStepDrawer, nextStepOverlay, nextStepList;
+
+    function cleanInnerText(el) { if (!el) return ""; const clone = el.cloneNode(true); clone.querySelectorAll("i, svg, path").forEach(n => n.remove()); return clone.textContent.trim(); }
+
+    // 树节点步骤额外记录目录 ID，回放时优先按 ID 定位，文本仅作为后备
+    function captureCurrentPath() {
+        let path = [];
+        const root = document.querySelector('div.menu > div.active');
+        if (root) { path.push({ selector: "div.menu > div", text: cleanInnerText(root) }); }
+        const activeFolder = document.querySelector('div.folderName.active');
+        if (activeFolder) { path.push({ selector: "div.folderName", text: cleanInnerText(activeFolder) }); }
+        const searchContext = activeFolder ? (activeFolder.closest('div.infinite-list-wrapper') || document) : document;
+        const catalog = getActiveCatalog();
+        // 按元素而非文本去重，同名的不同章节各自保留
+        new Set(searchContext.querySelectorAll("span.ant-tree-node-content-wrapper-open, span.ant-tree-node-content-wrapper.ant-tree-node-selected")).forEach(node => {
+            const text = cleanInnerText(node);
+            if (!text) return;
+            const step = { selector: "span.ant-tree-node-content-wrapper", text: text };
+            const catalogNode = catalog && catalogNodeAt(catalog.nodes, treeIndexPath(node));
+            if (catalogNode && catalogNode.catalogName === text && catalogNodeId(catalogNode) !== null) { step.catalogId = catalogNodeId(catalogNode); }
+            path.push(step);
+        });
+        return path.length > 0 ? path : null;
+    }
+
+    /* -------------------- 目录 ID 定位 -------------------- */
+    function catalogKey(mainMenu, subject) { return `${mainMenu}/${subject}`; }
+
+    function catalogNodeId(node) { const id = node.id ?? node.catalogId; return id === undefined || id === null ? null : String(id); }
+
+    // 当前主菜单与科目对应的目录树；尚未拦截到时返回 null
+    function getActiveCatalog() {
+        const activeMainMenu = document.querySelector('.menu > div.active');
+        const activeSubject = document.querySelector('.folderName.active');
+        if (!activeSubject) return null;
+        return catalogIndex.get(catalogKey(activeMainMenu ? cleanInnerText(activeMainMenu) : '课程', cleanInnerText(activeSubject))) || null;
+    }
+
+    // antd 树按目录数据的顺序渲染，因此 DOM 中各层 <li> 的序号即目录数据中的下标
+    function treeIndexPath(wrapper) {
+        const indices = [];
+        let li = wrapper.closest('li[role="treeitem"]');
+        while (li) {
+            indices.unshift(Array.prototype.indexOf.call(li.parentElement.children, li));
+            li = li.parentElement.closest('li[role="treeitem"]');
         }
-        body .menu div.active {
-            background-color: transparent !important;
-            color: #ffffff !important;
-            font-weight: 500 !important;
+        return indices;
+    }
+
+    function catalogNodeAt(nodes, indexPath) {
+        let node = null;
+        for (const index of indexPath) {
+            if (!Array.isArray(nodes) || !nodes[index]) return null;
+            node = nodes[index];
+            nodes = node.childList;
         }
-        .menu-active-indicator {
-            position: absolute !important;
-            z-index: 0;
-            left: 4px !important;
-            right: 4px !important;
-            background-color: #333 !important;
-            border-radius: 8px !important;
-            transition: top 0.4s cubic-bezier(0.65, 0, 0.35, 1),
-                        height 0.4s cubic-bezier(0.65, 0, 0.35, 1) !important;
+        return node;
+    }
+
+    function findCatalogIndexPath(nodes, id, prefix = []) {
+        if (!Array.isArray(nodes)) return null;
+        for (let i = 0; i < nodes.length; i++) {
+            if (!nodes[i]) continue;
+            if (catalogNodeId(nodes[i]) === id) return [...prefix, i];
+            const found = findCatalogIndexPath(nodes[i].childList, id, [...prefix, i]);
+            if (found) return found;
         }
+        return null;
+    }
 
-        body .put {
-            z-index: 190 !important;
+    // 返回 { element } 表示已定位；{ missing: true } 表示目录已加载但不含该 ID；null 表示目录或树尚未就绪
+    function locateByCatalogId(catalogId) {
+        const catalog = getActiveCatalog();
+        if (!catalog) return null;
+        const indexPath = findCatalogIndexPath(catalog.nodes, catalogId);
+        if (!indexPath) return { missing: true };
+        const activeFolder = document.querySelector('div.folderName.active');
+        const context = activeFolder ? (activeFolder.closest('div.infinite-list-wrapper') || document) : document;
+        let list = context.querySelector('ul.ant-tree');
+        let li = null;
+        for (const index of indexPath) {
+            li = list && list.children[index];
+            if (!li) return null;
+            list = li.querySelector(':scope > ul.ant-tree-child-tree');
         }
+        const wrapper = li.querySelector(':scope > span.ant-tree-node-content-wrapper');
+        const expected = catalogNodeAt(catalog.nodes, indexPath).catalogName;
+        return wrapper && cleanInnerText(wrapper) === expected ? { element: wrapper } : null;
+    }
+
+    // 文本后备：优先在上一步节点的子树中查找，找不到再扩大到整个页面
+    function findStepCandidates(step, previous) {
+        const matches = root => Array.from(root.querySelectorAll(step.selector)).filter(node => cleanInnerText(node) === step.text);
+        const previousItem = previous && previous.closest('li[role="treeitem"]');
+        const scoped = previousItem ? matches(previousItem).filter(node => node !== previous) : [];
+        return scoped.length > 0 ? scoped : matches(document);
+    }
 
-        /* 文件树 */
-        body .treeBox {
-            border-color: #000000 !important;
-            border-width: 1px !important;
-            border-style: solid !important;
+    function describeTreeNode(node) {
+        const trail = [];
+        let li = node.closest('li[role="treeitem"]');
+        while (li) {
+            const wrapper = li.querySelector(':scope > span.ant-tree-node-content-wrapper');
+            if (wrapper) trail.unshift(cleanInnerText(wrapper));
+            li = li.parentElement.closest('li[role="treeitem"]');
         }
-        body .ant-tree.ant-tree-directory .ant-tree-child-tree > li.ant-tree-treenode-selected > span.ant-tree-node-content-wrapper::before,
-        body .ant-tree.ant-tree-directory > li.ant-tree-treenode-selected > span.ant-tree-node-content-wrapper::before {
-            background-color: #eee !important;
-            border-radius: 5px !important;
-            font-weight: 500 !important;
+        return trail.join(' / ') || cleanInnerText(node);
+    }
+
+    // 同名节点无法自动区分时，弹出抽屉让用户选择；点击遮罩或取消回放视为不选
+    function chooseAmongCandidates(text, candidates, replay) {
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = 'drawer-overlay';
+            const drawer = document.createElement('div');
+            drawer.id = 'disambiguation-drawer';
+            drawer.className = 'bottom-sheet-drawer';
+            drawer.innerHTML = `<div class="drawer-header"><h2>有 ${candidates.length} 个“${escapeHTML(text)}”，请选择</h2></div><div class="drawer-content"><ul></ul></div>`;
+            const list = drawer.querySelector('ul');
+            let settled = false;
+            const finish = (choice) => {
+                if (settled) return;
+                settled = true;
+                replay.cancelChoice = null;
+                drawer.classList.remove('open');
+                overlay.classList.remove('visible');
+                setTimeout(() => { drawer.remove(); overlay.remove(); }, 350);
+                resolve(choice);
+            };
+            candidates.forEach(candidate => {
+                const li = document.createElement('li');
+                li.innerHTML = `<span class="item-title">${escapeHTML(text)}</span><span class="item-fullpath">${escapeHTML(describeTreeNode(candidate))}</span>`;
+                li.addEventListener('click', () => finish(candidate));
+                list.appendChild(li);
+            });
+            overlay.addEventListener('click', () => finish(null));
+            replay.cancelChoice = () => finish(null);
+            document.body.append(overlay, drawer);
+            requestAnimationFrame(() => { drawer.classList.add('open'); overlay.classList.add('visible'); });
+        });
+    }
+
+    async function resolveStep(step, previous, replay) {
+        for (let i = 0; i < 50 && !replay.cancelled; i++) {
+            if (step.catalogId) {
+                const located = locateByCatalogId(step.catalogId);
+                if (located && located.element) return located.element;
+                // 目录尚未加载时先等待，避免过早退回到文本匹配
+                if (!located && i < 20) { await new Promise(r => setTimeout(r, 100)); continue; }
+            }
+            const candidates = findStepCandidates(step, previous);
+            if (candidates.length === 1) return candidates[0];
+            if (candidates.length > 1) return chooseAmongCandidates(step.text, candidates, replay);
+            await new Promise(r => setTimeout(r, 100));
         }
-        body .wrap .nav .treeBox .folder .folderName[data-v-56a2485d]:hover {
-            color: #fff !important;
-            background-color: #eee !important;
+        return null;
+    }
+
+    /* -------------------- 回放进度面板 -------------------- */
+    let activeReplay = null; // 同一时间只允许一个回放，新的回放会取消旧的
+
+    function createReplayProgress(path, replay) {
+        document.getElementById('replay-progress')?.remove();
+        const panel = document.createElement('div');
+        panel.id = 'replay-progress';
+        panel.className = 'replay-progress';
+        panel.innerHTML = `<div class="replay-progress-header"><span class="replay-progress-title">正在回放路径</span><button class="replay-progress-close" title="取消回放">✕</button></div><ol class="replay-steps">${path.map(step => `<li class="replay-step"><span class="replay-step-icon"></span><span class="replay-step-text">${escapeHTML(step.text)}</span></li>`).join('')}</ol><div class="replay-progress-footer"></div>`;
+        document.body.appendChild(panel);
+        // “仅在出错时显示”模式下面板先保持隐藏，等到需要用户决定时再出现
+        const show = () => requestAnimationFrame(() => panel.classList.add('visible'));
+        if (settings.replayProgressMode === 'always') show();
+        const title = panel.querySelector('.replay-progress-title');
+        const footer = panel.querySelector('.replay-progress-footer');
+        const stepItems = panel.querySelectorAll('.replay-step');
+        let settleDecision = null;
+        const close = (delay) => setTimeout(() => { panel.classList.remove('visible'); setTimeout(() => panel.remove(), 300); }, delay);
+        const abort = () => {
+            replay.cancelled = true;
+            if (settleDecision) settleDecision('cancel');
+            if (replay.cancelChoice) replay.cancelChoice();
+        };
+        panel.querySelector('.replay-progress-close').addEventListener('click', abort);
+        return {
+            // 取消回放；正在等待用户决定或选择同名节点时按“放弃”结束等待，让回放走完收尾
+            abort,
+            setStatus(index, status) {
+                stepItems[index].className = `replay-step ${status}`;
+                if (status === 'active' && stepItems[index].scrollIntoView) stepItems[index].scrollIntoView({ block: 'nearest' });
+            },
+            // 失败时暂停回放，等待用户选择：continue（已手动点击，从下一步继续）、retry 或 cancel
+            waitForDecision(index, step) {
+                show();
+                title.textContent = `第 ${index + 1} 步未找到`;
+                footer.innerHTML = `<p>找不到“${escapeHTML(step.text)}”。可先在页面上手动点击该项，再选择“从此处继续”。</p><div class="replay-progress-actions"><button data-action="continue">从此处继续</button><button data-action="retry">重试</button><button data-action="cancel">放弃</button></div>`;
+                return new Promise(resolve => {
+                    settleDecision = (decision) => {
+                        settleDecision = null;
+                        footer.innerHTML = '';
+                        title.textContent = '正在回放路径';
+                        resolve(decision);
+                    };
+                    footer.querySelectorAll('button').forEach(btn => btn.addEventListener('click', () => settleDecision && settleDecision(btn.dataset.action)));
+                });
+            },
+            finish(success) {
+                title.textContent = success ? '已到达' : '回放已取消';
+                close(success ? 1200 : 600);
+            },
+        };
+    }
+
+    // 用户手动点击后，页面上处于激活/选中状态的同类节点即视为该步骤的结果
+    function findManuallySelected(step) {
+        return Array.from(document.querySelectorAll(step.selector)).find(node => node.classList.contains('active') || node.classList.contains('ant-tree-node-selected')) || null;
+    }
+
+    async function replayPath(path) {
+        if (activeReplay) activeReplay.progress.abort();
+        const replay = { cancelled: false, progress: null, cancelChoice: null };
+        activeReplay = replay;
+        const progress = replay.progress = createReplayProgress(path, replay);
+        const cancel = () => { progress.finish(false); throw new Error('Replay cancelled'); };
+        let lastClickedElement = null, completed = false;
+        try {
+            const btn = Array.from(document.querySelectorAll("button span")).find(s => s.innerText.trim() === "开始使用");
+            if (btn) { btn.click(); await new Promise(r => setTimeout(r, 500)); }
+            for (let index = 0; index < path.length;) {
+                const step = path[index];
+                progress.setStatus(index, 'active');
+                const node = await resolveStep(step, lastClickedElement, replay);
+                if (replay.cancelled) cancel();
+                if (!node) {
+                    progress.setStatus(index, 'failed');
+                    const decision = await progress.waitForDecision(index, step);
+                    if (decision === 'retry') continue;
+                    if (decision !== 'continue' || replay.cancelled) cancel();
+                    lastClickedElement = findManuallySelected(step) || lastClickedElement;
+                } else {
+                    node.click();
+                    lastClickedElement = node;
+                    await new Promise(r => setTimeout(r, settings.replayStepDelay));
+                }
+                progress.setStatus(index, 'done');
+                index++;
+            }
+            progress.finish(true);
+            completed = true;
+            return lastClickedElement;
+        } finally {
+            if (activeReplay === replay) {
+                activeReplay = null;
+                // 回放过程中的中间位置不记录，只在到达终点后保存一次
+                if (completed) savePathImmediately("回放完成");
+            }
         }
+    }
+
+    function openNextStepDrawer(children) { renderNextStepList(children); nextStepDrawer.classList.add('open'); nextStepOverlay.classList.add('visible'); }
+
+    function closeNextStepDrawer() { nextStepDrawer.classList.remove('open'); nextStepOverlay.classList.remove('visible'); }
+
+    function renderNextStepList(children) { nextStepList.innerHTML = ''; children.forEach(childElement => { const li = document.createElement('li'); li.innerHTML = `<span class="item-title">${cleanInnerText(childElement)}</span>`; li.addEventListener('click', () => { childElement.click(); closeNextStepDrawer(); }); nextStepList.appendChild(li); }); }
+
+    async function checkForNextStep(lastElement) {
+        if (!lastElement) return;
+        const parentLi = lastElement.closest('li[role="treeitem"]');
+        if (!parentLi) { console.log("下一步检测：未能找到父级 treeitem 容器。"); return; }
+        const childTree = parentLi.querySelector('ul.ant-tree-child-tree');
+        if (childTree && childTree.children.length > 0) {
+            const childrenWrappers = Array.from(childTree.querySelectorAll(':scope > li > span.ant-tree-node-content-wrapper'));
+            if (childrenWrappers.length > 0) { console.log(`下一步检测：找到 ${childrenWrappers.length} 个子节点，准备弹出抽屉。`); openNextStepDrawer(childrenWrappers); }
+        } else { console.log("下一步检测：未找到子节点或子节点列表为空。"); }
+    }
+
+    function savePathImmediately(reason = "常规") {
+        if (activeReplay) return;
+        const path = captureCurrentPath();
+        if (path && JSON.stringify(path) !== JSON.stringify(lastKnownPath)) {
+            lastKnownPath = path;
+            writeStore('lastPath', path);
+            recordHistory(path);
+            console.log(`💾 路径已保存 (${reason}):`, path);
+        }
+    }
+
+    function attachGuardianListeners() {
+        window.addEventListener('beforeunload', () => savePathImmediately("页面卸载"));
+        document.body.addEventListener('click', (event) => {
+            const navContainer = event.target.closest('.menu-wrap, .folder-wrap');
+            if (navContainer) {
+                setTimeout(() => savePathImmediately("点击导航"), 100);
+            }
+        });
+        const leftPanel = document.querySelector('.stu-course-wrap');
+        if (leftPanel) { leftPanel.addEventListener('mouseleave', () => savePathImmediately("鼠标离开")); }
+        else { const observer = new MutationObserver((mutations, obs) => { const panel = document.querySelector('.stu-course-wrap'); if (panel) { panel.addEventListener('mouseleave', () => savePathImmediately("鼠标离开 (延迟附加)")); obs.disconnect(); } }); observer.observe(document.body, { childList: true, subtree: true }); }
+    }
+
+    function initializeNextStepDrawer() {
+        if (document.getElementById('next-step-drawer')) return;
+        nextStepOverlay = document.createElement('div'); nextStepOverlay.className = 'drawer-overlay'; nextStepDrawer = document.createElement('div'); nextStepDrawer.id = 'next-step-drawer'; nextStepDrawer.className = 'bottom-sheet-drawer'; nextStepDrawer.innerHTML = `<div class="drawer-header"><h2>下一步…</h2></div><div class="drawer-content"><ul></ul></div>`; nextStepList = nextStepDrawer.querySelector('.drawer-content ul');
+        document.body.append(nextStepOverlay, nextStepDrawer);
+        nextStepOverlay.addEventListener('click', closeNextStepDrawer);
+    }
+
+    defineModule({
+        id: 'replay',
+        styles: `
+            #next-step-drawer .drawer-content li, #disambiguation-drawer .drawer-content li { background-color: #fff; border-radius: 10px; padding: 16px; margin-top: 10px; cursor: pointer; border: 1px solid #f0f0f0; transition: background-color 0.2s ease; }
+            #next-step-drawer .drawer-content li:hover, #disambiguation-drawer .drawer-content li:hover { background-color: #f3f4f6; }
+            .replay-progress { position: fixed; left: 55px; bottom: 80px; width: 300px; max-width: calc(100vw - 70px); background-color: #0a0a0a; color: #fff; border-radius: 14px; padding: 12px 14px; box-shadow: 0 4px 16px rgba(0,0,0,0.2); z-index: 10000; font-size: 13px; opacity: 0; transform: translateY(8px); transition: opacity 0.25s ease, transform 0.25s ease; }
+            .replay-progress.visible { opacity: 1; transform: translateY(0); }
+            .replay-progress-header { display: flex; align-items: center; justify-content: space-between; margin-bottom: 8px; }
+            .replay-progress-title { font-weight: 600; }
+            .replay-progress-close { background: none; border: none; color: #9ca3af; cursor: pointer; font-size: 14px; padding: 2px 6px; border-radius: 6px; }
+            .replay-progress-close:hover { color: #fff; background-color: rgba(255,255,255,0.15); }
+            .replay-steps { list-style: none; margin: 0; padding: 0; max-height: 200px; overflow-y: auto; }
+            .replay-step { display: flex; align-items: center; gap: 8px; padding: 3px 0; color: #6b7280; }
+            .replay-step-text { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+            .replay-step-icon { flex-shrink: 0; width: 14px; height: 14px; border-radius: 50%; border: 1.5px solid currentColor; display: flex; align-items: center; justify-content: center; font-size: 10px; line-height: 1; }
+            .replay-step.active { color: #fff; }
+            .replay-step.active .replay-step-icon { border-color: #fff; border-top-color: transparent; animation: spin 0.8s linear infinite; }
+            .replay-step.done { color: #d1d5db; }
+            .replay-step.done .replay-step-icon { border: none; background-color: #22c55e; color: #fff; }
+            .replay-step.done .replay-step-icon::after { content: '✓'; }
+            .replay-step.failed { color: #fca5a5; }
+            .replay-step.failed .replay-step-icon { border: none; background-color: #ef4444; color: #fff; }
+            .replay-step.failed .replay-step-icon::after { content: '✕'; }
+            .replay-progress-footer p { margin: 10px 0 0; color: #d1d5db; line-height: 1.5; }
+            .replay-progress-actions { display: flex; gap: 6px; margin-top: 10px; }
+            .replay-progress-actions button { flex: 1; background-color: rgba(255,255,255,0.12); color: #fff; border: none; border-radius: 8px; padding: 6px 8px; font-size: 12px; cursor: pointer; }
+            .replay-progress-actions button:hover { background-color: rgba(255,255,255,0.22); }
+            .replay-progress-actions button[data-action="continue"] { background-color: #fff; color: #0a0a0a; }
+        `,
+        init() {
+            initializeNextStepDrawer();
+            attachGuardianListeners();
+        },
+    });
+
+    /* -------------------- 导航历史 -------------------- */
+    let historyDrawer, historyOverlay, historyList;
+    const HISTORY_LIMIT = 50;
+    let historyReplayTarget = null; // 正在通过历史记录回放的条目下标，回放结束后用实际路径更新该条目
+
+    // entries 按时间从旧到新排列且路径互不重复；cursor 为 null 表示位于最新位置
+    async function getHistory() {
+        const history = await readStore('history');
+        const entries = history.entries.filter(entry => entry && isValidPath(entry.path));
+        const cursor = Number.isInteger(history.cursor) && history.cursor < entries.length - 1 ? history.cursor : null;
+        return { entries, cursor };
+    }
+
+    function historyPosition(history) { return history.cursor ?? history.entries.length - 1; }
+
+    function isPathPrefix(prefix, path) { return prefix.length < path.length && prefix.every((step, i) => pathKey([step]) === pathKey([path[i]])); }
+
+    async function recordHistory(path) {
+        // 必须在第一个 await 之前读取，回放结束后 goToHistoryEntry 会立即清除该标记
+        const replayTarget = historyReplayTarget;
+        historyReplayTarget = null;
+        const history = await getHistory();
+        const now = Date.now();
+        if (replayTarget !== null && history.entries[replayTarget]) {
+            Object.assign(history.entries[replayTarget], { path, visitedAt: now });
+        } else {
+            const key = pathKey(path);
+            const last = history.entries[history.entries.length - 1];
+            // 沿最新位置继续深入时直接替换，避免一次逐级点击留下一串中间层级
+            if (history.cursor === null && last && isPathPrefix(last.path, path)) history.entries.pop();
+            history.entries = history.entries.filter(entry => pathKey(entry.path) !== key);
+            history.entries.push({ path, visitedAt: now });
+            history.entries = history.entries.slice(-HISTORY_LIMIT);
+            history.cursor = null;
+        }
+        await writeStore('history', history);
+        updateHistoryButtons(history);
+    }
+
+    async function goToHistoryEntry(index) {
+        const history = await getHistory();
+        const entry = history.entries[index];
+        if (!entry) return null;
+        history.cursor = index === history.entries.length - 1 ? null : index;
+        await writeStore('history', history);
+        updateHistoryButtons(history);
+        historyReplayTarget = index;
+        try { return await replayPath(entry.path); } finally { historyReplayTarget = null; }
+    }
+
+    async function navigateHistory(delta) {
+        const history = await getHistory();
+        const target = historyPosition(history) + delta;
+        if (target < 0 || target >= history.entries.length) { GM_notification({ title: '提示', text: delta < 0 ? '没有更早的访问记录。' : '已经是最新的位置。', timeout: 2000 }); return; }
+        await goToHistoryEntry(target);
+    }
+
+    function updateHistoryButtons(history) {
+        const pillMenu = document.getElementById('pillMenu');
+        if (!pillMenu) return;
+        const backBtn = pillMenu.querySelector('button[title="Back"]'), forwardBtn = pillMenu.querySelector('button[title="Forward"]');
+        if (backBtn) backBtn.disabled = historyPosition(history) <= 0;
+        if (forwardBtn) forwardBtn.disabled = history.cursor === null;
+    }
+
+    function formatRelativeTime(timestamp) {
+        const diff = Date.now() - timestamp;
+        if (diff < 60 * 1000) return '刚刚';
+        if (diff < 60 * 60 * 1000) return `${Math.floor(diff / 60000)} 分钟前`;
+        const date = new Date(timestamp), yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        const time = date.toTimeString().slice(0, 5);
+        if (date.toDateString() === new Date().toDateString()) return `今天 ${time}`;
+        if (date.toDateString() === yesterday.toDateString()) return `昨天 ${time}`;
+        return `${date.getMonth() + 1}月${date.getDate()}日 ${time}`;
+    }
+
+    function openHistoryDrawer() { renderHistoryList(); historyDrawer.classList.add('open'); historyOverlay.classList.add('visible'); }
+
+    function closeHistoryDrawer() { historyDrawer.classList.remove('open'); historyOverlay.classList.remove('visible'); }
+
+    async function renderHistoryList() {
+        const history = await getHistory();
+        historyList.innerHTML = '';
+        if (history.entries.length === 0) { historyList.innerHTML = '<li id="empty-history-msg" style="border:none;background:transparent;cursor:default;">还没有访问记录</li>'; return; }
+        const position = historyPosition(history);
+        for (let index = history.entries.length - 1; index >= 0; index--) {
+            const entry = history.entries[index];
+            const li = document.createElement('li');
+            if (index === position) li.className = 'current';
+            li.innerHTML = `<div class="item-text-content"><span class="item-title">${escapeHTML(entry.path[entry.path.length - 1].text)}</span><span class="item-fullpath">${escapeHTML(entry.path.map(p => p.text).join(' / '))}</span></div><span class="history-time">${formatRelativeTime(entry.visitedAt)}</span>`;
+            li.addEventListener('click', async () => {
+                closeHistoryDrawer();
+                try { await checkForNextStep(await goToHistoryEntry(index)); } catch (error) { console.error("History navigation failed:", error); }
+            });
+            historyList.appendChild(li);
+        }
+    }
+
+    function initializeHistoryDrawer() {
+        if (document.getElementById('history-drawer')) return;
+        historyOverlay = document.createElement('div');
+        historyOverlay.className = 'drawer-overlay';
+        historyDrawer = document.createElement('div');
+        historyDrawer.id = 'history-drawer';
+        historyDrawer.className = 'bottom-sheet-drawer';
+        historyDrawer.innerHTML = `<div class="drawer-header"><h2>最近访问</h2><button class="drawer-header-action" title="清空访问记录">清空</button></div><div class="drawer-content"><ul></ul></div>`;
+        historyList = historyDrawer.querySelector('.drawer-content ul');
+        document.body.append(historyOverlay, historyDrawer);
+        historyOverlay.addEventListener('click', closeHistoryDrawer);
+        historyDrawer.querySelector('.drawer-header-action').addEventListener('click', async () => {
+            if (!confirm('清空全部访问记录？')) return;
+            const empty = { entries: [], cursor: null };
+            await writeStore('history', empty);
+            updateHistoryButtons(empty);
+            renderHistoryList();
+        });
+    }
+
+    defineModule({
+        id: 'history',
+        styles: `
+            #history-drawer .drawer-content li.current { border-color: #000; }
+            .history-time { flex-shrink: 0; font-size: 0.75rem; color: #9ca3af; }
+        `,
+        init() {
+            initializeHistoryDrawer();
+            registerCommand({ id: 'history.open', title: '查看最近访问', keywords: 'recent history', run: openHistoryDrawer });
+            registerCommand({ id: 'history.back', title: '后退到上一个位置', keywords: 'back history', run: () => navigateHistory(-1) });
+            registerCommand({ id: 'history.forward', title: '前进到下一个位置', keywords: 'forward history', run: () => navigateHistory(1) });
+        },
+    });
+
+    /* -------------------- 课程目录解析 -------------------- */
+    function processCatalogData(response, mainMenuContext, subjectContext) {
+        // 安全检查：验证数据完整性
+        if (!response || !response.extra || subjectContext === '未知科目') {
+            console.warn('[Security] Invalid catalog data or context for processing');
+            return;
+        }
+
+        // 安全检查：验证响应结构
+        if (!Array.isArray(response.extra)) {
+            console.warn('[Security] Catalog data extra is not an array');
+            return;
+        }
+
+        const record = { key: catalogKey(mainMenuContext, subjectContext), mainMenu: mainMenuContext, subject: subjectContext, nodes: response.extra, capturedAt: Date.now() };
+        const itemCount = indexCatalog(record);
+        saveCatalogRecord(record).catch(e => console.warn('[CatalogIndex] 目录持久化失败，本次仅保存在内存中:', e));
+        console.log(`🔍 已为科目“${subjectContext}”处理 ${itemCount} 个可搜索项。`); // 此 console.log 在 sandbox 中不可见，但保留无害
+    }
+
+    // 以当前选中的主菜单与科目作为目录数据的上下文
+    function currentCatalogContext() {
+        const activeMainMenu = document.querySelector('.menu > div.active');
+        const activeSubject = document.querySelector('.folderName.active');
+        return { mainMenu: activeMainMenu ? cleanInnerText(activeMainMenu) : '课程', subject: activeSubject ? cleanInnerText(activeSubject) : '未知科目' };
+    }
+
+    function handleCatalogResponse(response) {
+        const { mainMenu, subject } = currentCatalogContext();
+        processCatalogData(response, mainMenu, subject);
+    }
+
+    // 将目录树展开为可搜索项；每项都带有可直接回放的完整路径
+    function flattenCatalog({ mainMenu: mainMenuContext, subject: subjectContext, nodes }) {
+        const flatList = [];
+
+        // 步骤1：构建正确的、包含双击逻辑的初始路径
+        const mainMenuStep = { selector: "div.menu > div", text: mainMenuContext };
+        const subjectStep = { selector: "div.folderName", text: subjectContext };
+
+        // 关键：将科目/教师步骤重复一次，以实现"双击"效果
+        const initialPath = [mainMenuStep, subjectStep, subjectStep];
+
+        function flattenTree(nodes, parentPath) {
+            if (!nodes || nodes.length === 0) return;
+
+            nodes.forEach(node => {
+                // 安全检查：验证节点数据
+                if (!node || typeof node.catalogName !== 'string') {
+                    console.warn('[Security] Invalid catalog node detected, skipping', node);
+                    return;
+                }
+
+                // 步骤2：修正选择器逻辑
+                // 根据您的分析，JSON 数据中的所有层级都对应 antd 树节点
+                const currentSelector = "span.ant-tree-node-content-wrapper";
+
+                const currentStep = { selector: currentSelector, text: node.catalogName };
+                if (catalogNodeId(node) !== null) currentStep.catalogId = catalogNodeId(node);
+                const replayablePath = [...parentPath, currentStep];
+                const displayPath = replayablePath.slice(1, 2) // 只显示科目
+                    .concat(replayablePath.slice(3)) // 和后续路径
+                    .map(p => p.text).join(' / ');
+
+                flatList.push({
+                    title: node.catalogName,
+                    displayPath: displayPath,
+                    replayablePath: replayablePath,
+                    trail: replayablePath.slice(3).map(p => p.text).join(' / '),
+                    mainMenu: mainMenuContext,
+                    subject: subjectContext,
+                    catalogKey: catalogKey(mainMenuContext, subjectContext)
+                });
+
+                // 安全检查：验证子节点结构
+                if (node.childList && Array.isArray(node.childList) && node.childList.length > 0) {
+                    flattenTree(node.childList, replayablePath);
+                }
+            });
+        }
+
+        flattenTree(nodes, initialPath);
+        return flatList;
+    }
+
+    /* -------------------- 跨科目目录索引（IndexedDB 持久化） -------------------- */
+    const catalogIndex = new Map(); // “主菜单/科目” → { mainMenu, subject, nodes, capturedAt, items }，跨科目累积并持久化到 IndexedDB
+    const CATALOG_STALE_AFTER = 7 * 24 * 60 * 60 * 1000; // 超过一周未更新的科目提示可能已过期
+
+    // 同一“主菜单/科目”只保留最新的一份目录，返回该科目的可搜索项数量
+    function indexCatalog(record) {
+        const items = flattenCatalog(record);
+        catalogIndex.set(record.key, { ...record, items });
+        return items.length;
+    }
+
+    async function saveCatalogRecord(record) { await idbRun('catalogs', 'readwrite', store => store.put(record)); }
+
+    async function loadCatalogIndex() {
+        try {
+            const records = await idbRun('catalogs', 'readonly', store => store.getAll());
+            // 本次会话中已拦截到的较新目录优先
+            records.forEach(record => { if (!catalogIndex.has(record.key) || catalogIndex.get(record.key).capturedAt < record.capturedAt) indexCatalog(record); });
+            console.log(`🔍 已从本地索引恢复 ${records.length} 个科目的目录。`);
+        } catch (e) {
+            console.warn('[CatalogIndex] 无法读取本地目录索引:', e);
+        }
+    }
+
+    function getAllSearchableItems() { return [].concat(...Array.from(catalogIndex.values(), entry => entry.items)); }
+
+    /* -------------------- 搜索排序与查询语法 -------------------- */
+    const SEARCH_SCOPES = { '收藏': 'favorites', 'fav': 'favorites', '最近': 'recent', 'recent': 'recent' };
+    const SEARCH_RECENCY_WINDOW = 14 * 24 * 60 * 60 * 1000; // 两周内访问过的目录获得递减的加分
+
+    // 解析查询：“科:物理”（或 subject:）限定科目，“in:收藏”/“in:最近”限定范围，其余为关键词（需全部命中）
+    function parseSearchQuery(query) {
+        const parsed = { terms: [], subjects: [], scopes: [], unknownScopes: [] };
+        query.split(/\s+/).filter(Boolean).forEach(token => {
+            const filter = token.match(/^(科|subject|in)[:：](.+)$/i);
+            if (!filter) { parsed.terms.push(token.toLowerCase()); return; }
+            if (filter[1].toLowerCase() !== 'in') { parsed.subjects.push(filter[2].toLowerCase()); return; }
+            const scope = SEARCH_SCOPES[filter[2].toLowerCase()];
+            if (scope) parsed.scopes.push(scope); else parsed.unknownScopes.push(filter[2]);
+        });
+        return parsed;
+    }
+
+    function indexRange(start, end) { return Array.from({ length: end - start }, (_, i) => start + i); }
+
+    // 返回 { score, indices }，indices 为命中的字符下标；按 精确 > 前缀 > 子串 > 拼音 > 模糊 依次尝试
+    function matchSearchText(text, term) {
+        const lower = text.toLowerCase();
+        if (lower === term) return { score: 100, indices: indexRange(0, text.length) };
+        if (lower.startsWith(term)) return { score: 80, indices: indexRange(0, term.length) };
+        const position = lower.indexOf(term);
+        if (position !== -1) return { score: 60, indices: indexRange(position, position + term.length) };
+        const pinyin = typeof PinyinMatch !== 'undefined' && PinyinMatch.match(text, term);
+        if (pinyin) return { score: pinyin[0] === 0 ? 50 : 40, indices: indexRange(pinyin[0], pinyin[1] + 1) };
+        const indices = [];
+        let from = 0;
+        for (const char of term) {
+            const index = lower.indexOf(char, from);
+            if (index === -1) return null;
+            indices.push(index);
+            from = index + 1;
+        }
+        const gaps = indices[indices.length - 1] - indices[0] + 1 - indices.length;
+        return { score: Math.max(5, 20 - gaps * 2), indices };
+    }
+
+    function pathTextKey(path) {
+        const subject = path.find(step => step.selector === 'div.folderName');
+        return `text:${subject ? subject.text : ''}/${path[path.length - 1].text}`;
+    }
+
+    // 用于把搜索项与历史记录、收藏对应起来：优先用目录 ID，否则用“科目/节点名”
+    function pathRecencyKey(path) {
+        const last = path[path.length - 1];
+        return last.catalogId ? `id:${last.catalogId}` : pathTextKey(path);
+    }
+
+    // 搜索项同时按两种键查找：记录目录 ID 之前保存的收藏与历史只有“科目/节点名”
+    function searchItemKeys(path) {
+        const key = pathRecencyKey(path), textKey = pathTextKey(path);
+        return key === textKey ? [key] : [key, textKey];
+    }
+
+    async function loadSearchContext() {
+        const [favorites, history] = await Promise.all([getFavorites(), getHistory()]);
+        const recency = new Map();
+        const touch = (path, time) => { const key = pathRecencyKey(path); if (time && time > (recency.get(key) || 0)) recency.set(key, time); };
+        history.entries.forEach(entry => touch(entry.path, entry.visitedAt));
+        favorites.forEach(fav => touch(fav.path, fav.lastOpenedAt));
+        return { recency, favorites: new Set(favorites.map(fav => pathRecencyKey(fav.path))), recent: new Set(history.entries.map(entry => pathRecencyKey(entry.path))) };
+    }
+
+    // 不满足过滤条件或有关键词未命中时返回 null；标题命中权重高于路径命中，浅层与最近访问的目录额外加分
+    function scoreSearchItem(item, parsed, context) {
+        if (parsed.subjects.some(subject => !item.subject.toLowerCase().includes(subject) && !(typeof PinyinMatch !== 'undefined' && PinyinMatch.match(item.subject, subject)))) return null;
+        const keys = searchItemKeys(item.replayablePath);
+        if (parsed.scopes.some(scope => !keys.some(key => context[scope].has(key)))) return null;
+        let score = 0;
+        const titleIndices = new Set(), pathIndices = new Set();
+        for (const term of parsed.terms) {
+            const inTitle = matchSearchText(item.title, term);
+            const inPath = matchSearchText(item.displayPath, term);
+            if (!inTitle && !inPath) return null;
+            if (inTitle && (!inPath || inTitle.score >= inPath.score / 2)) { score += inTitle.score; inTitle.indices.forEach(i => titleIndices.add(i)); }
+            else { score += inPath.score / 2; inPath.indices.forEach(i => pathIndices.add(i)); }
+        }
+        const depth = item.replayablePath.length - 3;
+        score += Math.max(0, 10 - depth * 2);
+        const visitedAt = Math.max(0, ...keys.map(key => context.recency.get(key) || 0));
+        if (visitedAt) score += 20 * Math.max(0, 1 - (Date.now() - visitedAt) / SEARCH_RECENCY_WINDOW);
+        return { item, score, titleIndices, pathIndices };
+    }
+
+    function highlightText(text, indices, offset = 0) {
+        let html = '', open = false;
+        text.split('').forEach((char, i) => {
+            const hit = indices.has(i + offset);
+            if (hit && !open) { html += '<mark class="search-highlight">'; open = true; }
+            if (!hit && open) { html += '</mark>'; open = false; }
+            html += escapeHTML(char);
+        });
+        return open ? `${html}</mark>` : html;
+    }
+
+    function describeCatalog(entry) { return entry.mainMenu === '课程' ? entry.subject : `${entry.mainMenu} · ${entry.subject}`; }
+
+    /* -------------------- 命令模式 -------------------- */
+    // 返回按匹配度排序的命令列表；未输入关键词时按注册顺序列出全部命令
+    function matchCommands(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return Array.from(commandRegistry.values()).map(command => {
+            const title = commandTitle(command);
+            let score = 0;
+            const titleIndices = new Set();
+            for (const term of terms) {
+                const inTitle = matchSearchText(title, term);
+                const inKeywords = command.keywords ? matchSearchText(command.keywords, term) : null;
+                if (!inTitle && !inKeywords) return null;
+                if (inTitle) { score += inTitle.score; inTitle.indices.forEach(i => titleIndices.add(i)); } else score += inKeywords.score / 2;
+            }
+            return { command, title, score, titleIndices };
+        }).filter(Boolean).sort((a, b) => b.score - a.score);
+    }
+
+    function createSearchUI() {
+        // 防止重复创建
+        if (document.getElementById('search-spotlight-overlay')) return;
+
+        const overlay = document.createElement('div');
+        overlay.id = 'search-spotlight-overlay';
+        overlay.className = 'search-spotlight-overlay';
+        overlay.style.setProperty('--search-highlight-color', settings.searchHighlightColor);
+
+        const containerHTML = `
+            <div class="search-spotlight-container">
+                <div class="search-input-wrapper">
+                    <svg class="icon" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg>
+                    <input type="text" class="search-spotlight-input" placeholder="搜索课程目录（支持拼音、科:物理、in:收藏），输入 > 执行命令...">
+                </div>
+                <div class="search-facets"></div>
+                <ul class="search-results-list"></ul>
+            </div>
+        `;
+        overlay.innerHTML = containerHTML;
+        document.body.appendChild(overlay);
+
+        const input = overlay.querySelector('.search-spotlight-input');
+        const resultsList = overlay.querySelector('.search-results-list');
+        const facetsBar = overlay.querySelector('.search-facets');
+        let currentHighlight = -1;
+        let activeFacet = null; // 选中的“主菜单/科目”，null 表示全部
+        let searchContext = { recency: new Map(), favorites: new Set(), recent: new Set() };
+        loadSearchContext().then(context => { searchContext = context; if (input.value.trim()) renderResults(input.value.trim()); }).catch(err => console.warn('搜索上下文加载失败:', err));
+
+        // 销毁函数
+        function destroySearchUI(callback) { // 增加一个 callback 参数
+        overlay.classList.remove('visible');
+        setTimeout(() => {
+            overlay.remove();
+            if (typeof callback === 'function') {
+                callback(); // 在移除后执行回调
+            }
+        }, 200);
+        }
+
+        // 渲染结果函数
+        function renderResults(query) {
+            resultsList.innerHTML = '';
+            facetsBar.innerHTML = '';
+            currentHighlight = -1;
+
+            if (query.startsWith('>')) { renderCommands(query.slice(1).trim()); return; }
+            if (catalogIndex.size === 0) {
+                 resultsList.innerHTML = '<div class="search-empty-state">请先点击一个科目以加载目录数据，或输入 > 执行命令。</div>';
+                 return;
+            }
+            if (!query) { renderIndexStatus(); return; }
+
+            const parsed = parseSearchQuery(query);
+            if (parsed.unknownScopes.length > 0) {
+                resultsList.innerHTML = `<div class="search-empty-state">不支持的范围“${escapeHTML(parsed.unknownScopes[0])}”，可用：in:收藏、in:最近</div>`;
+                return;
+            }
+            // 同分时保持目录树中的原始顺序（Array.prototype.sort 是稳定排序）
+            const ranked = getAllSearchableItems().map(item => scoreSearchItem(item, parsed, searchContext)).filter(Boolean).sort((a, b) => b.score - a.score);
+            renderFacets(ranked.map(result => result.item), query);
+            const results = activeFacet ? ranked.filter(result => result.item.catalogKey === activeFacet) : ranked;
+
+            if (results.length === 0) {
+                resultsList.innerHTML = '<div class="search-empty-state">无匹配结果</div>';
+            } else {
+                results.slice(0, 50).forEach(({ item, titleIndices, pathIndices }) => { // 最多显示50条结果
+                    const li = document.createElement('li');
+                    // displayPath 以“科目 / ”开头，路径部分只渲染 trail，因此高亮下标需要相应偏移
+                    const trailOffset = item.displayPath.length - item.trail.length;
+                    li.innerHTML = `<span class="search-result-title">${highlightText(item.title, titleIndices)}</span><span class="search-result-path"><span class="search-result-subject">${escapeHTML(describeCatalog(item))}</span>${highlightText(item.trail, pathIndices, trailOffset)}</span>`;
+                    li.dataset.path = JSON.stringify(item.replayablePath);
+                    resultsList.appendChild(li);
+                });
+            }
+        }
+
+        function renderCommands(query) {
+            const matched = matchCommands(query);
+            if (matched.length === 0) {
+                resultsList.innerHTML = '<div class="search-empty-state">没有匹配的命令</div>';
+                return;
+            }
+            matched.forEach(({ command, title, titleIndices }) => {
+                const li = document.createElement('li');
+                li.className = 'search-command';
+                li.innerHTML = `<span class="search-result-title">${highlightText(title, titleIndices)}</span>${command.hint ? `<span class="search-result-path">${escapeHTML(command.hint)}</span>` : ''}`;
+                li.dataset.command = command.id;
+                resultsList.appendChild(li);
+            });
+        }
+
+        // 按科目分面：只列出有匹配项的科目，并显示各自的命中数
+        function renderFacets(matched, query) {
+            const counts = new Map();
+            matched.forEach(item => counts.set(item.catalogKey, (counts.get(item.catalogKey) || 0) + 1));
+            if (activeFacet && !counts.has(activeFacet)) activeFacet = null;
+            if (counts.size < 2 && !activeFacet) return;
+            const chip = (key, label, count) => `<button class="search-facet${activeFacet === key ? ' active' : ''}" data-key="${escapeHTML(key || '')}">${escapeHTML(label)}<span class="search-facet-count">${count}</span></button>`;
+            facetsBar.innerHTML = chip(null, '全部', matched.length) + Array.from(counts, ([key, count]) => chip(key, describeCatalog(catalogIndex.get(key)), count)).join('');
+            facetsBar.querySelectorAll('.search-facet').forEach(btn => btn.addEventListener('click', () => {
+                activeFacet = btn.dataset.key || null;
+                renderResults(query);
+                input.focus();
+            }));
+        }
+
+        // 未输入关键词时展示索引概况，便于判断各科目的数据是否新鲜
+        function renderIndexStatus() {
+            const entries = Array.from(catalogIndex.values()).sort((a, b) => b.capturedAt - a.capturedAt);
+            const total = entries.reduce((sum, entry) => sum + entry.items.length, 0);
+            resultsList.innerHTML = `<div class="search-index-status"><div class="search-index-summary">已索引 ${entries.length} 个科目，共 ${total} 个目录项</div>${entries.map(entry => {
+                const stale = Date.now() - entry.capturedAt > CATALOG_STALE_AFTER;
+                return `<div class="search-index-row${stale ? ' stale' : ''}"><span class="search-index-name">${escapeHTML(describeCatalog(entry))}</span><span class="search-index-meta">${entry.items.length} 项 · ${stale ? '可能已过期，重新打开该科目即可更新' : `${formatRelativeTime(entry.capturedAt)}更新`}</span></div>`;
+            }).join('')}<div class="search-syntax-hint">提示：输入“科:物理”只搜索某个科目，“in:收藏”或“in:最近”只搜索收藏或最近访问过的目录；以“>”开头可执行命令。</div></div>`;
+        }
+
+        // 事件处理
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) destroySearchUI();
+        });
+
+        resultsList.addEventListener('click', (e) => {
+        const targetLi = e.target.closest('li');
+        if (targetLi && targetLi.dataset.command) {
+            const command = commandRegistry.get(targetLi.dataset.command);
+            destroySearchUI(() => {
+                Promise.resolve().then(() => command.run()).catch(err => console.error(`命令“${command.id}”执行失败:`, err));
+            });
+        } else if (targetLi && targetLi.dataset.path) {
+            const path = JSON.parse(targetLi.dataset.path);
+            // 将导航操作作为回调函数传递进去
+            destroySearchUI(() => {
+                replayPath(path).catch(err => console.error("Search navigation failed:", err));
+            });
+        }
+    });
+
+        const debouncedSearch = debounce(renderResults, 200);
+        input.addEventListener('input', () => debouncedSearch(input.value.trim()));
+
+        // 键盘导航
+        input.addEventListener('keydown', e => {
+            const items = resultsList.querySelectorAll('li');
+            if (!items.length) return;
+
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                if (currentHighlight < items.length - 1) {
+                    currentHighlight++;
+                    items.forEach(item => item.classList.remove('highlighted'));
+                    items[currentHighlight].classList.add('highlighted');
+                }
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (currentHighlight > 0) {
+                    currentHighlight--;
+                    items.forEach(item => item.classList.remove('highlighted'));
+                    items[currentHighlight].classList.add('highlighted');
+                }
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const highlightedItem = resultsList.querySelector('li.highlighted');
+                if (highlightedItem) {
+                    highlightedItem.click();
+                } else if (items.length > 0) {
+                    items[0].click(); // 默认选择第一项
+                }
+            } else if (e.key === 'Escape') {
+                 destroySearchUI();
+            }
+        });
+
+        renderResults('');
+
+        // 动画入场并聚焦
+        requestAnimationFrame(() => {
+            overlay.classList.add('visible');
+            input.focus();
+        });
+    }
+
+    // 新的双击处理函数，替换 setupMenuLongPress
+
+    function setupMenuDoubleClick() {
+
+        // 依然使用事件委托，以处理动态加载的 .menu 元素
+
+        document.body.addEventListener('dblclick', (event) => {
+
+            // 检查双击事件是否起源于 .menu 内部
+
+            const menuElement = event.target.closest('.slider');
+
+            if (menuElement) {
+
+                // 关键：阻止双击的默认行为（例如，选择文本）
+
+                event.preventDefault();
+
+                event.stopPropagation(); // 阻止事件进一步冒泡
+
+                // 呼出搜索栏
+
+                createSearchUI();
+
+            }
+
+        });
+
+    }
+
+    defineModule({
+        id: 'search',
+        styles: `
+            /* ========== Search Spotlight CSS ========== */
+    .search-spotlight-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: rgba(255, 255, 255, 0.5); backdrop-filter: blur(12px); -webkit-backdrop-filter: blur(12px); z-index: 21000; opacity: 0; transition: opacity 0.2s ease-out; }
+    .search-spotlight-overlay.visible { opacity: 1; }
+    .search-spotlight-container { position: fixed; top: 15vh; left: 50%; transform: translateX(-50%); width: 90%; max-width: 640px; background-color: #f9f9f9; border-radius: 12px; box-shadow: 0 10px 30px rgba(0,0,0,0.15); display: flex; flex-direction: column; overflow: hidden; }
+    .search-input-wrapper { display: flex; align-items: center; padding: 0 16px; border-bottom: 1px solid #eee; }
+    .search-input-wrapper .icon { color: #9ca3af; width: 20px; height: 20px; margin-right: 12px; }
+    .search-spotlight-input { width: 100%; height: 56px; border: none; outline: none; background: transparent; font-size: 1.1rem; color: #111827; }
+    .search-results-list { list-style: none; margin: 0; padding: 8px; max-height: 50vh; overflow-y: auto; }
+    .search-results-list li { padding: 12px 16px; border-radius: 8px; cursor: pointer; transition: background-color 0.15s ease; }
+    .search-results-list li:hover, .search-results-list li.highlighted { background-color: #eee; }
+    .search-result-title { font-size: 0.95rem; color: #1f2937; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: block; }
+    .search-result-path { font-size: 0.75rem; color: #6b7280; margin-top: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: block; }
+    .search-empty-state { padding: 40px; text-align: center; color: #9ca3af; }
+    .search-highlight { background-color: transparent; color: var(--search-highlight-color, inherit); font-weight: 700; text-decoration: underline; text-underline-offset: 2px; }
+    .search-syntax-hint { margin-top: 10px; color: #9ca3af; font-size: 0.75rem; }
+    .search-results-list li.search-command .search-result-title::before { content: '›'; margin-right: 8px; color: #9ca3af; }
+    .search-result-subject { display: inline-block; margin-right: 6px; padding: 0 6px; border-radius: 4px; background-color: #e5e7eb; color: #374151; }
+    .search-facets { display: flex; flex-wrap: wrap; gap: 6px; padding: 0 16px; }
+    .search-facets:not(:empty) { padding: 10px 16px 2px; }
+    .search-facet { display: flex; align-items: center; gap: 4px; border: 1px solid #e5e7eb; border-radius: 999px; background-color: #fff; padding: 2px 10px; font-size: 0.8rem; color: #374151; cursor: pointer; }
+    .search-facet.active { background-color: #111827; border-color: #111827; color: #fff; }
+    .search-facet-count { color: #9ca3af; font-size: 0.7rem; }
+    .search-index-status { padding: 8px; font-size: 0.85rem; color: #374151; }
+    .search-index-summary { color: #6b7280; margin-bottom: 8px; }
+    .search-index-row { display: flex; justify-content: space-between; gap: 12px; padding: 6px 0; border-top: 1px solid #eee; }
+    .search-index-meta { color: #9ca3af; font-size: 0.75rem; white-space: nowrap; }
+    .search-index-row.stale .search-index-meta { color: #b45309; }
+        `,
+        init() {
+            // 不等待本地索引读完：模块按顺序初始化，等待会推迟后面请求拦截器的安装，漏掉页面加载时的请求
+            loadCatalogIndex();
+            setupMenuDoubleClick();
+            // 只读取目录数据，不修改响应
+            registerRequestHook({
+                id: 'catalog-index',
+                match: url => url.includes('catalog/entity'),
+                onResponse(data, response) { if (response.status === 200) handleCatalogResponse(data); },
+            });
+            registerCommand({ id: 'search.open', title: '打开搜索', keywords: 'search spotlight', run: createSearchUI });
+        },
+    });
+
+    /* -------------------- 题目数据修改 -------------------- */
+    // --- 安全的题目内容修改函数 ---
+    function modifyContentData(data) {
+        try {
+            // 安全检查：验证数据来源和完整性
+            if (!data || !Array.isArray(data.extra)) {
+                console.warn('[Security] Invalid data structure for content modification');
+                return data;
+            }
+
+            // 安全检查：记录修改操作
+            const modificationLog = [];
+
+            data.extra.forEach((item, index) => {
+                if (item && item.content) {
+                    const content = item.content;
+
+                    // 安全检查：验证内容对象
+                    if (typeof content !== 'object' || content === null) {
+                        console.warn(`[Security] Invalid content at index ${index}`);
+                        return;
+                    }
+
+                    // 受控的答案功能启用列表
+                    const controlledKeysToEnable = [
+                        "previewAnswer", "answerWayHandle", "answerWayPhoto",
+                        "answerWayTalking", "answerWayVideo", "answerWayKeyboard",
+                        "questionTalkingSwitch"
+                    ];
+
+                    controlledKeysToEnable.forEach(key => {
+                        if (typeof content[key] !== 'undefined') {
+                            const originalValue = content[key];
+                            content[key] = 1;
+                            modificationLog.push({
+                                index,
+                                key,
+                                originalValue,
+                                newValue: 1,
+                                action: 'enabled'
+                            });
+                        }
+                    });
+
+                    if (typeof content.mustDoSwitch !== 'undefined') {
+                        const originalValue = content.mustDoSwitch;
+                        content.mustDoSwitch = 0;
+                        modificationLog.push({
+                            index,
+                            key: 'mustDoSwitch',
+                            originalValue,
+                            newValue: 0,
+                            action: 'disabled'
+                        });
+                    }
+                }
+            });
+
+            // 审计日志：记录所有修改操作
+            if (modificationLog.length > 0) {
+                console.info('[Security Audit] Content modification performed:', {
+                    timestamp: new Date().toISOString(),
+                    modifications: modificationLog,
+                    itemCount: data.extra.length
+                });
+            }
+
+            return data;
+        } catch (e) {
+            console.error('[Security] Error in content modification:', e);
+            // 安全失败：返回原始数据
+            return data;
+        }
+    }
+
+    /* -------------------- 请求拦截：共用规则 -------------------- */
+    // XHR 与 fetch 两条路径共用同一套钩子（见 core/hooks.js），站点改用哪种方式发请求都不影响功能
+    const ALLOWED_ORIGINS = ['https://bdfz.xnykcxt.com:5002', 'http://bdfz.xnykcxt.com:5002'];
+    const REQUEST_LOG_LIMIT = 30;
+    const requestLog = []; // 最近经过钩子的请求，新的在前，供调试面板显示
+
+    // 安全检查：只在站点域名下处理请求
+    function isInterceptionAllowed() {
+        const currentOrigin = window.location.origin;
+        if (ALLOWED_ORIGINS.includes(currentOrigin)) return true;
+        console.warn('[Security] Request interceptor blocked on unauthorized origin:', currentOrigin);
+        return false;
+    }
+
+    function recordHookCall(entry, hook, phase, extra) {
+        entry.fired.push({ id: hook.id, phase, ...extra });
+        refreshRequestHookPanel();
+    }
+
+    // 单个钩子出错时记录并跳过，返回 { ok, value }
+    function callHook(entry, hook, phase, fn) {
+        try { return { ok: true, value: fn() }; }
+        catch (err) {
+            console.error(`请求钩子“${hook.id}”执行失败:`, err);
+            recordHookCall(entry, hook, phase, { error: String(err && err.message || err) });
+            return { ok: false };
+        }
+    }
+
+    function createMockEnhanceResponse() { return { code: 1, message: "新能源ULTRA加速上传中…", time: Date.now(), extra: "" }; }
+
+    // 找出当前应处理该请求的钩子；既没有钩子也没有观察者时返回 null，拦截器直接放行
+    function beginHookedRequest(url, method, transport) {
+        if (typeof url !== 'string' || !isInterceptionAllowed()) return null;
+        const request = { url, method: String(method || 'GET').toUpperCase(), transport, headers: {}, body: null };
+        const entry = { url, method: request.method, transport, time: Date.now(), status: null, fired: [] };
+        const hooks = requestHooks.filter(hook => (!hook.setting || settings[hook.setting]) && callHook(entry, hook, 'match', () => hook.match(url, request.method)).value);
+        const hooked = hooks.length > 0 || entry.fired.length > 0;
+        if (!hooked && requestObservers.length === 0) return null;
+        // 不逐条输出日志：目录索引等钩子始终开启，经过钩子的请求在“请求钩子记录”面板中查看
+        if (hooked) {
+            requestLog.unshift(entry);
+            requestLog.length = Math.min(requestLog.length, REQUEST_LOG_LIMIT);
+            refreshRequestHookPanel();
+        }
+        return { request, hooks, entry, startedAt: null, local: false };
+    }
+
+    // 请求结束后通知观察者；每个请求只通知一次，单个观察者出错不影响其他观察者
+    function completeHookedRequest(context, result) {
+        if (context.completed || requestObservers.length === 0) return;
+        context.completed = true;
+        const { request } = context;
+        const record = {
+            ...request,
+            url: new URL(request.url, window.location.href).href,
+            headers: { ...request.headers },
+            startedAt: context.startedAt,
+            duration: Date.now() - context.startedAt,
+            status: 0,
+            statusText: '',
+            responseText: '',
+            local: context.local,
+            error: null,
+            hooks: [...new Set(context.entry.fired.filter(call => call.phase !== 'match').map(call => call.id))],
+            ...result,
+        };
+        if (result.rawResponseText === undefined) record.rawResponseText = record.responseText;
+        requestObservers.forEach(observer => {
+            try { observer(record); } catch (err) { console.error('请求观察者执行失败:', err); }
+        });
+    }
+
+    // 返回本地响应数据；没有钩子拦下请求时返回 undefined
+    function runRequestHooks(context) {
+        for (const hook of context.hooks.filter(hook => hook.onRequest)) {
+            const result = callHook(context.entry, hook, 'request', () => hook.onRequest(context.request));
+            if (!result.ok) continue;
+            recordHookCall(context.entry, hook, 'request', { changed: result.value !== undefined });
+            if (result.value !== undefined) { context.entry.status = 200; return result.value; }
+        }
+        return undefined;
+    }
+
+    function hasResponseHooks(context) { return context.hooks.some(hook => hook.onResponse); }
+
+    // 依次交给各钩子处理；无法解析为 JSON 或没有钩子修改数据时原样返回文本
+    function processResponseText(context, status, text) {
+        context.entry.status = status;
+        let data;
+        try { data = JSON.parse(text); } catch (e) { refreshRequestHookPanel(); return text; }
+        let changed = false;
+        for (const hook of context.hooks.filter(hook => hook.onResponse)) {
+            const result = callHook(context.entry, hook, 'response', () => hook.onResponse(data, { ...context.request, status }));
+            if (!result.ok) continue;
+            recordHookCall(context.entry, hook, 'response', { changed: result.value !== undefined });
+            if (result.value !== undefined) { data = result.value; changed = true; }
+        }
+        return changed ? JSON.stringify(data) : text;
+    }
+
+    /* -------------------- 安全的 XHR 请求拦截器 -------------------- */
+    function setupXHRInterceptor() {
+        const originalOpen = XMLHttpRequest.prototype.open;
+        const originalSend = XMLHttpRequest.prototype.send;
+
+        const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+        const originalResponseTextGetter = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'responseText').get;
+
+        XMLHttpRequest.prototype.open = function(method, url) {
+            this._hookContext = beginHookedRequest(typeof url === 'string' ? url : String(url), method, 'xhr');
+            originalOpen.apply(this, arguments);
+        };
+
+        XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+            if (this._hookContext) this._hookContext.request.headers[name] = String(value);
+            originalSetRequestHeader.apply(this, arguments);
+        };
+
+        XMLHttpRequest.prototype.send = function(body) {
+            const context = this._hookContext;
+            if (!context) return originalSend.apply(this, arguments);
+            context.request.body = body ?? null;
+            context.startedAt = Date.now();
+
+            // 0. 观察者：loadend 时记录站点实际收到的响应（经过钩子处理后）与服务器返回的原文
+            if (requestObservers.length > 0) {
+                let failure = null;
+                const failureLabels = { error: '网络错误', timeout: '请求超时', abort: '请求已取消' };
+                ['error', 'timeout', 'abort'].forEach(type => this.addEventListener(type, () => { failure = failureLabels[type]; }));
+                this.addEventListener('loadend', () => {
+                    const isText = this.responseType === '' || this.responseType === 'text';
+                    completeHookedRequest(context, { status: this.status, statusText: this.statusText, responseText: isText ? this.responseText : '', rawResponseText: isText && !context.local ? originalResponseTextGetter.call(this) : undefined, error: failure });
+                });
+            }
+
+            // 1. 钩子给出本地响应时请求不发出（这种请求会提前结束，需要 return）
+            const localData = runRequestHooks(context);
+            if (localData !== undefined) {
+                context.local = true;
+                console.log('⚡️ XHR Interceptor: Responding locally to', context.request.url);
+                const localResponseJSON = JSON.stringify(localData);
+                Object.defineProperties(this, {
+                    status: { value: 200, writable: false },
+                    statusText: { value: 'OK', writable: false },
+                    response: { value: localResponseJSON, writable: false },
+                    responseText: { value: localResponseJSON, writable: false },
+                    readyState: { value: 4, writable: false }
+                });
+                this.dispatchEvent(new Event('readystatechange'));
+                this.dispatchEvent(new ProgressEvent('load'));
+                this.dispatchEvent(new ProgressEvent('loadend'));
+                return;
+            }
+
+            // 2. 响应钩子：覆盖 responseText / response，完成后首次读取时运行钩子并缓存结果；
+            //    load 时主动读取一次，确保站点不读取响应体时只做记录的钩子也会执行。responseType 为 json 等时不做处理
+            if (hasResponseHooks(context)) {
+                const originalDescriptorText = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'responseText');
+                const originalDescriptorResponse = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'response');
+                const isTextResponse = () => this.responseType === '' || this.responseType === 'text';
+                let processedText = null;
+                const readResponseText = () => {
+                    const realResponseText = originalDescriptorText.get.call(this);
+                    if (this.readyState !== 4) return realResponseText;
+                    if (processedText === null) processedText = processResponseText(context, this.status, realResponseText);
+                    return processedText;
+                };
+
+                Object.defineProperty(this, 'responseText', { get: readResponseText, configurable: true });
+                Object.defineProperty(this, 'response', {
+                    get: () => (isTextResponse() ? readResponseText() : originalDescriptorResponse.get.call(this)),
+                    configurable: true
+                });
+                this.addEventListener('load', () => { if (isTextResponse()) readResponseText(); });
+            }
+
+            // 3. 最终总是调用原始的 send 方法
+            originalSend.apply(this, arguments);
+        };
+    }
+
+    /* -------------------- fetch 请求拦截器 -------------------- */
+    // 沙箱中的 window 不是页面的 window，需通过 unsafeWindow 替换页面实际使用的 fetch
+    function setupFetchInterceptor() {
+        const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+        const originalFetch = pageWindow.fetch;
+        if (typeof originalFetch !== 'function') return;
+
+        pageWindow.fetch = async function(input, init) {
+            const url = input && typeof input.url === 'string' ? input.url : String(input);
+            const method = (init && init.method) || (input && input.method) || 'GET';
+            const context = beginHookedRequest(url, method, 'fetch');
+            if (!context) return originalFetch.apply(this, arguments);
+            const headers = new Headers((init && init.headers) || (input && input.headers) || undefined);
+            headers.forEach((value, name) => { context.request.headers[name] = value; });
+            context.request.body = (init && init.body) ?? null;
+            context.startedAt = Date.now();
+
+            // 1. 钩子给出本地响应时请求不发出
+            const localData = runRequestHooks(context);
+            if (localData !== undefined) {
+                console.log('⚡️ Fetch Interceptor: Responding locally to', url);
+                const localResponseJSON = JSON.stringify(localData);
+                context.local = true;
+                completeHookedRequest(context, { status: 200, statusText: 'OK', responseText: localResponseJSON });
+                return new Response(localResponseJSON, { status: 200, statusText: 'OK', headers: { 'Content-Type': 'application/json' } });
+            }
+
+            let response;
+            try { response = await originalFetch.apply(this, arguments); }
+            catch (err) {
+                completeHookedRequest(context, { error: err && err.name === 'AbortError' ? '请求已取消' : '网络错误' });
+                throw err;
+            }
+            const complete = (responseText, rawResponseText) => completeHookedRequest(context, { status: response.status, statusText: response.statusText, responseText, rawResponseText });
+
+            // 2. 响应钩子：读取副本，数据被修改时构造新的响应，否则原样返回，不影响站点自己读取响应体
+            if (hasResponseHooks(context)) {
+                try {
+                    const realResponseText = await response.clone().text();
+                    const processedText = processResponseText(context, response.status, realResponseText);
+                    complete(processedText, realResponseText);
+                    if (processedText === realResponseText) return response;
+                    return new Response(processedText, { status: response.status, statusText: response.statusText, headers: response.headers });
+                } catch (e) { complete(''); return response; }
+            }
+
+            // 3. 只有观察者时在后台读取副本，不推迟站点拿到响应
+            if (requestObservers.length > 0) response.clone().text().then(complete, () => complete(''));
+            return response;
+        };
+    }
+
+    /* -------------------- 请求钩子调试面板 -------------------- */
+    let requestHookDrawer, requestHookOverlay, requestHookList;
+    const HOOK_PHASE_LABELS = { match: '匹配', request: '请求', response: '响应' };
+
+    function describeHookCall(call) {
+        const label = `${escapeHTML(call.id)} · ${HOOK_PHASE_LABELS[call.phase]}`;
+        if (call.error) return `<span class="request-hook-call error" title="${escapeHTML(call.error)}">${label} · 出错</span>`;
+        return `<span class="request-hook-call${call.changed ? ' changed' : ''}">${label}${call.changed ? ' · 已修改' : ''}</span>`;
+    }
+
+    function renderRequestHookList() {
+        requestHookList.innerHTML = '';
+        if (requestLog.length === 0) { requestHookList.innerHTML = '<li class="request-hook-empty">还没有经过钩子的请求</li>'; return; }
+        requestLog.forEach(entry => {
+            const li = document.createElement('li');
+            const status = entry.status === null ? '等待响应' : entry.status;
+            li.innerHTML = `<div class="item-text-content"><span class="item-title">${escapeHTML(`${entry.method} ${entry.url}`)}</span><span class="request-hook-calls">${entry.fired.map(describeHookCall).join('') || '<span class="request-hook-call">未执行任何钩子</span>'}</span></div><span class="request-hook-meta">${entry.transport} · ${status}<br>${formatRelativeTime(entry.time)}</span>`;
+            requestHookList.appendChild(li);
+        });
+    }
+
+    function refreshRequestHookPanel() { if (requestHookDrawer && requestHookDrawer.classList.contains('open')) renderRequestHookList(); }
+
+    function openRequestHookPanel() { renderRequestHookList(); requestHookDrawer.classList.add('open'); requestHookOverlay.classList.add('visible'); }
+
+    function closeRequestHookPanel() { requestHookDrawer.classList.remove('open'); requestHookOverlay.classList.remove('visible'); }
+
+    function initializeRequestHookPanel() {
+        if (document.getElementById('request-hooks-drawer')) return;
+        requestHookOverlay = document.createElement('div');
+        requestHookOverlay.className = 'drawer-overlay';
+        requestHookDrawer = document.createElement('div');
+        requestHookDrawer.id = 'request-hooks-drawer';
+        requestHookDrawer.className = 'bottom-sheet-drawer';
+        requestHookDrawer.innerHTML = `<div class="drawer-header"><h2>请求钩子</h2><button class="drawer-header-action" title="清空请求记录">清空</button></div><div class="drawer-content"><ul></ul></div>`;
+        requestHookList = requestHookDrawer.querySelector('.drawer-content ul');
+        document.body.append(requestHookOverlay, requestHookDrawer);
+        requestHookOverlay.addEventListener('click', closeRequestHookPanel);
+        requestHookDrawer.querySelector('.drawer-header-action').addEventListener('click', () => { requestLog.length = 0; renderRequestHookList(); });
+    }
+
+    // 拦截器始终安装；图片极速上传与强制显示答案的钩子带有 setting，在每次请求时读取当前设置，开关无需单独启停
+    defineModule({
+        id: 'request-hooks',
+        styles: `
+            #request-hooks-drawer .drawer-content li { background-color: #fff; border-radius: 12px; padding: 12px 16px; margin-top: 12px; border: 1px solid #f0f0f0; display: flex; align-items: flex-start; justify-content: space-between; gap: 8px; }
+            #request-hooks-drawer .drawer-content li.request-hook-empty { border: none; background: transparent; color: #9ca3af; }
+            #request-hooks-drawer .item-title { font-family: monospace; font-size: 0.85rem; white-space: normal; word-break: break-all; }
+            .request-hook-calls { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 6px; }
+            .request-hook-call { padding: 1px 8px; border-radius: 999px; background-color: #f3f4f6; color: #374151; font-size: 0.75rem; }
+            .request-hook-call.changed { background-color: #dbeafe; color: #1e40af; }
+            .request-hook-call.error { background-color: #fee2e2; color: #b91c1c; }
+            .request-hook-meta { flex-shrink: 0; text-align: right; font-size: 0.75rem; color: #9ca3af; }
+        `,
+        init() {
+            registerRequestHook({
+                id: 'mock-enhance',
+                setting: 'enableMockEnhance',
+                match: url => url.endsWith('enchance'), /* ATTENTION: 这里务必注意！新能源课程系统网站原始API有拼写错误，该API路径就是enchance，而不是enhance，严禁修改。*/
+                onRequest: () => createMockEnhanceResponse(),
+            });
+            registerRequestHook({
+                id: 'answer-force',
+                setting: 'enableAnswerForce',
+                match: url => url.endsWith('/content'),
+                onResponse: data => modifyContentData(data),
+            });
+            setupXHRInterceptor();
+            setupFetchInterceptor();
+            initializeRequestHookPanel();
+            registerCommand({ id: 'debug.requestHooks', title: '查看请求钩子记录', keywords: 'debug hooks request network', run: openRequestHookPanel });
+        },
+    });
+
+    /* -------------------- 网络面板 -------------------- */
+    // 记录拦截器看到的站点接口（/exam/...）请求，便于在不打开开发者工具的情况下准确报告站点问题
+    let networkDrawer, networkOverlay, networkList, networkFilterInput, networkFailedOnlyInput;
+    const NETWORK_BODY_LIMIT = 100000; // 单个请求体或响应体最多保留的字符数
+    const networkLog = []; // 新的在前，条数上限由设置 networkLogLimit 决定
+    const expandedNetworkEntries = new Set(); // 展开了详情的记录 id，重新渲染列表时保持展开
+    let nextNetworkEntryId = 1;
+
+    function isSiteApiRequest(record) {
+        try { return new URL(record.url).pathname.startsWith('/exam/'); } catch (e) { return false; }
+    }
+
+    function truncateBody(body) {
+        if (typeof body !== 'string' || body.length <= NETWORK_BODY_LIMIT) return body;
+        return `${body.slice(0, NETWORK_BODY_LIMIT)}\n…（已截断，共 ${body.length} 个字符）`;
+    }
+
+    function trimNetworkLog() {
+        networkLog.length = Math.min(networkLog.length, settings.networkLogLimit);
+        const ids = new Set(networkLog.map(entry => entry.id));
+        expandedNetworkEntries.forEach(id => { if (!ids.has(id)) expandedNetworkEntries.delete(id); });
+    }
+
+    function recordNetworkRequest(record) {
+        if (!isSiteApiRequest(record)) return;
+        // 只显示站点实际收到的响应，不另外保留钩子修改前的原文
+        networkLog.unshift({ ...record, id: nextNetworkEntryId++, body: truncateBody(record.body), responseText: truncateBody(record.responseText), rawResponseText: null });
+        trimNetworkLog();
+        if (networkDrawer && networkDrawer.classList.contains('open')) renderNetworkList();
+    }
+
+    function isFailedRequest(entry) { return !!entry.error || entry.status === 0 || entry.status >= 400; }
+
+    // JSON 格式化显示，其他文本原样显示；FormData、Blob 等只显示类型
+    function formatNetworkBody(body) {
+        if (body === null || body === undefined || body === '') return '（无）';
+        if (typeof body !== 'string') return `[${Object.prototype.toString.call(body).slice(8, -1)}]`;
+        try { return JSON.stringify(JSON.parse(body), null, 2); } catch (e) { return body; }
+    }
+
+    function shellQuote(value) { return `'${String(value).replace(/'/g, `'\\''`)}'`; }
+
+    // Cookie 由浏览器管理，脚本取不到，也就不会出现在命令中
+    function toCurlCommand(entry) {
+        const parts = ['curl', shellQuote(entry.url)];
+        if (entry.method !== 'GET') parts.push('-X', entry.method);
+        Object.entries(entry.headers).forEach(([name, value]) => parts.push('-H', shellQuote(`${name}: ${value}`)));
+        if (typeof entry.body === 'string' && entry.body) parts.push('--data-raw', shellQuote(entry.body));
+        return parts.join(' ');
+    }
+
+    function describeNetworkStatus(entry) {
+        if (entry.error) return entry.error;
+        if (entry.status === null || entry.status === undefined) return '等待响应';
+        return entry.local ? `${entry.status}（本地）` : String(entry.status);
+    }
+
+    function filterNetworkLog() {
+        const query = networkFilterInput.value.trim().toLowerCase();
+        return networkLog.filter(entry => {
+            if (networkFailedOnlyInput.checked && !isFailedRequest(entry)) return false;
+            return !query || `${entry.method} ${entry.url} ${describeNetworkStatus(entry)}`.toLowerCase().includes(query);
+        });
+    }
+
+    function renderNetworkDetails(entry) {
+        const headers = Object.entries(entry.headers).map(([name, value]) => `${name}: ${value}`).join('\n') || '（无）';
+        const hooks = entry.hooks.length ? `<p class="network-hooks">经过钩子：${entry.hooks.map(escapeHTML).join('、')}</p>` : '';
+        return `<div class="network-details">
+            <p class="network-url">${escapeHTML(entry.url)}</p>${hooks}
+            <h3>请求头</h3><pre>${escapeHTML(headers)}</pre>
+            <h3>请求体</h3><pre>${escapeHTML(formatNetworkBody(entry.body))}</pre>
+            <h3>响应</h3><pre class="network-response">${escapeHTML(formatNetworkBody(entry.responseText))}</pre>
+            <div class="network-actions"><button class="network-copy-curl">复制为 cURL</button></div>
+        </div>`;
+    }
+
+    function renderNetworkList() {
+        const entries = filterNetworkLog();
+        networkList.innerHTML = '';
+        if (entries.length === 0) { networkList.innerHTML = `<li class="network-empty">${networkLog.length ? '没有符合筛选条件的请求' : '还没有记录到站点请求'}</li>`; return; }
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = `network-entry${isFailedRequest(entry) ? ' failed' : ''}`;
+            const path = entry.url.replace(window.location.origin, '');
+            li.innerHTML = `<div class="network-summary"><span class="network-method">${escapeHTML(entry.method)}</span><span class="network-path" title="${escapeHTML(entry.url)}">${escapeHTML(path)}</span><span class="network-status">${escapeHTML(describeNetworkStatus(entry))}</span><span class="network-duration">${entry.duration} ms</span></div>`;
+            if (expandedNetworkEntries.has(entry.id)) {
+                li.classList.add('expanded');
+                li.insertAdjacentHTML('beforeend', renderNetworkDetails(entry));
+                const copyBtn = li.querySelector('.network-copy-curl');
+                copyBtn.addEventListener('click', () => {
+                    GM_setClipboard(toCurlCommand(entry), 'text');
+                    copyBtn.textContent = '已复制';
+                    setTimeout(() => { copyBtn.textContent = '复制为 cURL'; }, 1000);
+                });
+            }
+            li.querySelector('.network-summary').addEventListener('click', () => {
+                if (expandedNetworkEntries.has(entry.id)) expandedNetworkEntries.delete(entry.id); else expandedNetworkEntries.add(entry.id);
+                renderNetworkList();
+            });
+            networkList.appendChild(li);
+        });
+    }
+
+    function openNetworkInspector() { renderNetworkList(); networkDrawer.classList.add('open'); networkOverlay.classList.add('visible'); }
+
+    function closeNetworkInspector() { networkDrawer.classList.remove('open'); networkOverlay.classList.remove('visible'); }
+
+    function toggleNetworkInspector() { if (networkDrawer.classList.contains('open')) closeNetworkInspector(); else openNetworkInspector(); }
+
+    function initializeNetworkInspector() {
+        if (document.getElementById('network-inspector-drawer')) return;
+        networkOverlay = document.createElement('div');
+        networkOverlay.className = 'drawer-overlay';
+        networkDrawer = document.createElement('div');
+        networkDrawer.id = 'network-inspector-drawer';
+        networkDrawer.className = 'bottom-sheet-drawer';
+        networkDrawer.innerHTML = `<div class="drawer-header"><h2>网络请求</h2><button class="drawer-header-action" title="清空请求记录">清空</button></div><div class="network-toolbar"><input type="search" class="network-filter" placeholder="筛选：地址、方法或状态码"><label><input type="checkbox" class="network-failed-only">仅显示失败</label></div><div class="drawer-content"><ul></ul></div>`;
+        networkList = networkDrawer.querySelector('.drawer-content ul');
+        networkFilterInput = networkDrawer.querySelector('.network-filter');
+        networkFailedOnlyInput = networkDrawer.querySelector('.network-failed-only');
+        document.body.append(networkOverlay, networkDrawer);
+        networkOverlay.addEventListener('click', closeNetworkInspector);
+        networkFilterInput.addEventListener('input', debounce(renderNetworkList, 150));
+        networkFailedOnlyInput.addEventListener('change', renderNetworkList);
+        networkDrawer.querySelector('.drawer-header-action').addEventListener('click', () => { networkLog.length = 0; expandedNetworkEntries.clear(); renderNetworkList(); });
+    }
+
+    defineModule({
+        id: 'network-inspector',
+        styles: `
+            .network-toolbar { display: flex; align-items: center; gap: 12px; padding: 0 16px 8px; font-size: 0.85rem; color: #374151; }
+            .network-filter { flex: 1; min-width: 0; height: 34px; padding: 0 12px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #fff; outline: none; }
+            .network-toolbar label { display: flex; align-items: center; gap: 4px; white-space: nowrap; cursor: pointer; }
+            #network-inspector-drawer .drawer-content li { background-color: #fff; border-radius: 12px; margin-top: 8px; border: 1px solid #f0f0f0; }
+            #network-inspector-drawer .drawer-content li.network-empty { border: none; background: transparent; padding: 12px 16px; color: #9ca3af; }
+            #network-inspector-drawer li.failed { border-color: #fecaca; }
+            .network-summary { display: flex; align-items: center; gap: 10px; padding: 10px 14px; cursor: pointer; font-size: 0.85rem; }
+            .network-method { flex-shrink: 0; font-weight: 600; color: #1f2937; }
+            .network-path { flex: 1; min-width: 0; font-family: monospace; color: #374151; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+            .network-status { flex-shrink: 0; color: #059669; }
+            li.failed .network-status { color: #b91c1c; }
+            .network-duration { flex-shrink: 0; width: 64px; text-align: right; color: #9ca3af; }
+            .network-details { padding: 0 14px 12px; border-top: 1px solid #f3f4f6; font-size: 0.8rem; color: #374151; }
+            .network-details h3 { margin: 10px 0 4px; font-size: 0.8rem; color: #6b7280; }
+            .network-details pre { max-height: 240px; overflow: auto; padding: 8px; border-radius: 6px; background-color: #f9fafb; font-size: 0.75rem; white-space: pre-wrap; word-break: break-all; }
+            .network-url { margin-top: 10px; font-family: monospace; word-break: break-all; }
+            .network-hooks { margin-top: 4px; color: #6b7280; }
+            .network-actions { margin-top: 10px; text-align: right; }
+            .network-copy-curl { padding: 4px 12px; border: 1px solid #e5e7eb; border-radius: 6px; background-color: #fff; cursor: pointer; }
+        `,
+        init() {
+            observeRequests(recordNetworkRequest);
+            initializeNetworkInspector();
+            registerCommand({ id: 'network.open', title: '打开网络面板', keywords: 'network inspector request debug', run: openNetworkInspector });
+        },
+        onSettingsChange() { trimNetworkLog(); },
+    });
+
+    /* -------------------- 离线缓存 -------------------- */
+    // 把成功返回的目录（catalog/entity）与题目（/content）响应存入 IndexedDB；
+    // 同样的请求失败时（断网、超时或服务器出错）打开只读的离线浏览抽屉，显示上次缓存的内容并标明缓存时间
+    let offlineDrawer, offlineOverlay, offlineBody, offlineBadge;
+    const OFFLINE_CACHE_LIMIT = 300; // 超出后删除最早缓存的记录
+
+    // 返回 'catalog' / 'content'，其他请求返回 null
+    function offlineResponseKind(url) {
+        if (url.pathname.includes('catalog/entity')) return 'catalog';
+        if (url.pathname.endsWith('/content')) return 'content';
+        return null;
+    }
+
+    function offlineCacheKey(url) { return `${url.pathname}${url.search}`; }
+
+    function isOfflineFailure(record) { return !!record.error || record.status === 0 || record.status >= 500; }
+
+    function formatCaptureDate(timestamp) {
+        const date = new Date(timestamp);
+        return `${date.getFullYear()}年${date.getMonth() + 1}月${date.getDate()}日 ${date.toTimeString().slice(0, 5)}`;
+    }
+
+    // 超出上限时沿 capturedAt 索引从最早的记录开始删除；只计数、只遍历键，不读出响应内容
+    function saveOfflineResponse(record) {
+        return idbRun('responses', 'readwrite', store => {
+            store.put(record);
+            store.count().onsuccess = (event) => {
+                let excess = event.target.result - OFFLINE_CACHE_LIMIT;
+                if (excess <= 0) return;
+                store.index('capturedAt').openKeyCursor().onsuccess = (cursorEvent) => {
+                    const cursor = cursorEvent.target.result;
+                    if (!cursor || excess-- <= 0) return;
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                };
+            };
+        });
+    }
+
+    function loadOfflineResponse(key) { return idbRun('responses', 'readonly', store => store.get(key)); }
+
+    function loadOfflineCatalogs() { return idbRun('responses', 'readonly', store => store.index('kind').getAll('catalog')); }
+
+    // 已缓存题目的目录 ID → 记录键；沿 catalogId 索引只遍历键，不读出题目内容，进入题目时再按键读取
+    async function loadCachedContentKeys() {
+        const keys = new Map();
+        await idbRun('responses', 'readonly', store => {
+            store.index('catalogId').openKeyCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                keys.set(String(cursor.key), cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+        return keys;
+    }
 
-        /* 弹窗 */
-        body .ant-modal-content {
-            background-color: rgba(255, 255, 255, 0.6) !important;
-            -webkit-backdrop-filter: blur(10px) !important;
-            backdrop-filter: blur(10px) !important;
-            border-radius: 12px !important;
-        }
-        body .ant-modal-header {
-            background-color: rgba(255, 255, 255, 0.6) !important;
-            backdrop-filter: blur(10px) !important;
-            border-bottom: 1px solid #000;
-            border-radius: 12px 12px 0 0;
+    // 只缓存结构正确的成功响应；目录记下当时的主菜单与科目，题目记下所在的目录节点，供离线浏览时显示
+    function captureOfflineResponse(url, kind, responseText) {
+        let data;
+        try { data = JSON.parse(responseText); } catch (e) { return; }
+        if (!data || !Array.isArray(data.extra)) return;
+        const record = { key: offlineCacheKey(url), kind, capturedAt: Date.now(), data };
+        if (kind === 'catalog') Object.assign(record, currentCatalogContext());
+        else {
+            const catalogIdMatch = url.pathname.match(/\/(\d+)\/content$/);
+            const selectedNode = document.querySelector('.ant-tree-node-selected');
+            record.catalogId = catalogIdMatch ? catalogIdMatch[1] : null;
+            record.title = selectedNode ? cleanInnerText(selectedNode) : `资源 ${record.catalogId ?? ''}`.trim();
         }
+        saveOfflineResponse(record).catch(e => console.warn('[OfflineCache] 缓存写入失败:', e));
+    }
 
-        /* 分数显示 */
-        body .scoreRate {
-            background-color: #eee !important;
-            color: #000000 !important;
-            font-size: 15px !important;
-            margin-top: 1.5rem;
-            border-left-width: 2px;
-            border-left-style: solid;
-            border-left-color: currentColor;
-            padding-left: 1.5rem;
-            border-radius: 0px !important;
-        }
+    async function handleOfflineRequest(record) {
+        if (!settings.enableOfflineCache || record.local) return;
+        let url;
+        try { url = new URL(record.url); } catch (e) { return; }
+        const kind = offlineResponseKind(url);
+        if (!kind) return;
+        // 缓存服务器返回的原文，而不是经过“强制显示答案”等钩子修改后的内容
+        if (record.status === 200 && !record.error) { captureOfflineResponse(url, kind, record.rawResponseText); return; }
+        if (!isOfflineFailure(record)) return;
+        try {
+            const cached = await loadOfflineResponse(offlineCacheKey(url));
+            if (cached) openOfflineView(cached);
+            else console.warn('[OfflineCache] 请求失败且没有可用的离线缓存:', record.url);
+        } catch (e) { console.warn('[OfflineCache] 无法读取离线缓存:', e); }
+    }
 
-        /* 其他独立元素 */
-        body .ant-row-flex, body .tips1, body .name-box { color: #000 !important; }
-        body .folderName { color: #000000 !important; }
-        body .folderName.active {
-            background-color: #eeeeee !important;
-            color: #000000 !important;
-        }
-        body .ant-badge { color: #000000 !important; }
-        body .title { background-color: transparent !important; }
-
-        /* ========== Pill 样式（保留你原始的视觉和行为样式） ========== */
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-
-
-
-         /* [hidden]:not(#errorWrapper), button.hidden, div#editorModeButtons.hidden{display: block !important;}*/
-
-        .pill-container {
-            position: fixed;
-            bottom: 24px;
-            left: 55px;
-            background-color: #0a0a0a;
-            border-radius: 50px;
-            padding: 0;
-            display: flex;
-            align-items: center;
-            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
-            transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
-            cursor: pointer; /* 不可拖，改为 pointer */
-            color: #ffffff;
-            -webkit-user-select: none;
-            user-select: none;
-            z-index: 10000;
-            will-change: transform, padding;
-            transform: translateZ(0);
-            backface-visibility: hidden;
-            -webkit-font-smoothing: antialiased;
-        }
+    /* -------------------- 离线浏览抽屉 -------------------- */
+    function describeOfflineCatalog(record) { return record.mainMenu === '课程' ? record.subject : `${record.mainMenu} · ${record.subject}`; }
 
-        .pill-container.dragging { cursor: grabbing; transition: none; }
-        .pill-container.expanded { padding: 0 12px 0 0; }
-
-        .pill-icon {
-            width: 44px;
-            height: 44px;
-            transition: transform 0.4s cubic-bezier(0.4, 0, 0.2, 1);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            color: white;
-            flex-shrink: 0;
-            will-change: transform;
-            transform: translateZ(0);
-        }
-        .pill-container.expanded .pill-icon { transform: rotate(45deg) translateZ(0); }
-
-        .pill-buttons {
-            display: flex;
-            align-items: center;
-            max-width: 0;
-            opacity: 0;
-            transition: max-width 0.4s cubic-bezier(0.4, 0, 0.2, 1),
-                        opacity 0.3s ease,
-                        padding-left 0.4s cubic-bezier(0.4, 0, 0.2, 1);
-            will-change: max-width, opacity, transform;
-            overflow: hidden;
-            white-space: nowrap;
-            gap: 4px;
-            margin-left: 0;
-            transform: translateZ(0);
-        }
-        .pill-container.expanded .pill-buttons, .pill-container.show-suggestion .pill-buttons {
-            max-width: 500px;
-            opacity: 1;
-            margin-left: 8px;
-        }
-        .pill-container.show-suggestion .pill-buttons {
-            padding-left: 70px; /* 为文字“去哪里？”腾出空间 */
-        }
+    // 题目正文可能是 HTML，离线浏览中只显示其文字
+    function offlineQuestionText(content) {
+        const html = content.content ?? content.stem ?? '';
+        if (typeof html !== 'string' || !html) return '';
+        return new DOMParser().parseFromString(html, 'text/html').body.textContent.trim();
+    }
 
-        .pill-button {
-            background: transparent;
-            color: #ffffff;
-            border: none;
-            padding: 8px;
-            border-radius: 50%;
-            cursor: pointer;
-            transition: background 0.2s ease, display 0.2s;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            width: 36px;
-            height: 36px;
-            will-change: background;
-            transform: translateZ(0);
-        }
-        .pill-button:hover { background: rgba(255, 255, 255, 0.15); }
-
-        /* 重启效果 */
-        .reboot-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: #0a0a0a; opacity: 0; pointer-events: none; z-index: 10001; will-change: opacity; transform: translateZ(0); }
-        @keyframes flash-reboot { 0% { opacity: 0; } 15% { opacity: 1; } 30% { opacity: 0; } 45% { opacity: 1; } 100% { opacity: 1; } }
-        @keyframes pill-implode { 0% { transform: scale(1) translateZ(0); opacity: 1; } 60% { transform: scale(1.15) translateZ(0); opacity: 1; } 100% { transform: scale(0) translateZ(0); opacity: 0; } }
-        @keyframes scanline { 0% { transform: translateY(-100%) translateZ(0); } 100% { transform: translateY(100vh) translateZ(0); } }
-        .scanline { position: fixed; top: 0; left: 0; width: 100%; height: 3px; background: linear-gradient(to bottom, transparent, rgba(0, 0, 0, 0.8), transparent); pointer-events: none; z-index: 10002; opacity: 0; will-change: transform, opacity; transform: translateZ(0); }
-        .pill-container.animating { will-change: transform, opacity; }
-
-        /* ========== Favorites Drawer & Buttons CSS ========== */
-        .drawer-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: rgba(0, 0, 0, 0.4); backdrop-filter: blur(4px); z-index: 2147483647; opacity: 0; visibility: hidden; transition: opacity 0.3s ease, visibility 0.3s; }
-        .drawer-overlay.visible { opacity: 1; visibility: visible; }
-        .bottom-sheet-drawer { position: fixed; left: 0; bottom: 0; right: 0; max-height: 70%; background-color: #f9f9f9; border-top-left-radius: 16px; border-top-right-radius: 16px; box-shadow: 0 -4px 20px rgba(0,0,0,0.1); z-index: 2147483647; transform: translateY(100%); transition: transform 0.35s cubic-bezier(0.32, 0.72, 0, 1); display: flex; flex-direction: column; }
-        .bottom-sheet-drawer.open { transform: translateY(0); }
-        .drawer-header { padding: 12px 16px; text-align: center; flex-shrink: 0; position: relative; }
-        .drawer-header::before { content: ''; position: absolute; top: 8px; left: 50%; transform: translateX(-50%); width: 40px; height: 4px; background-color: #d1d5db; border-radius: 2px; }
-        .drawer-header h2 { margin: 12px 0 0; font-size: 1.1rem; font-weight: 600; color: #111827; }
-        .drawer-content { padding: 0 16px 16px; overflow-y: auto; } .drawer-content ul { list-style: none; margin: 0; padding: 0; }
-        #favorites-drawer .drawer-content li { background-color: #fff; border-radius: 12px; padding: 14px 12px 14px 16px; margin-top: 12px; cursor: pointer; border: 1px solid #f0f0f0; transition: transform 0.2s ease, box-shadow 0.2s ease; display: flex; align-items: center; justify-content: space-between; gap: 8px; }
-        #favorites-drawer .drawer-content li:hover { transform: translateY(-2px) scale(1.01); box-shadow: 0 4px 15px rgba(0,0,0,0.08); }
-        .item-text-content { flex-grow: 1; min-width: 0; }
-        .item-title, #next-step-drawer .item-title { font-size: 1rem; font-weight: 500; color: #1f2937; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: block; }
-        .item-fullpath { font-size: 0.8rem; color: #6b7280; margin-top: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: block; }
-        .title-edit-input { width: 100%; border: 1px solid #3b82f6; border-radius: 6px; padding: 2px 4px; font-size: 1rem; font-weight: 500; color: #1f2937; outline: none; box-shadow: 0 0 0 2px rgba(59, 130, 246, 0.2); }
-        .item-actions { display: flex; align-items: center; flex-shrink: 0; }
-        .action-btn { background: none; border: none; color: #9ca3af; cursor: pointer; padding: 8px; line-height: 1; border-radius: 50%; }
-        .action-btn:hover { background-color: #f3f4f6; color: #374151; } .action-btn.delete:hover { color: #ef4444; }
-        .action-btn .icon { width: 20px; height: 20px; display: block; }
-        #next-step-drawer .drawer-content li { background-color: #fff; border-radius: 10px; padding: 16px; margin-top: 10px; cursor: pointer; border: 1px solid #f0f0f0; transition: background-color 0.2s ease; }
-        #next-step-drawer .drawer-content li:hover { background-color: #f3f4f6; }
-        @keyframes spin { from { transform: rotate(0deg); } to { transform: rotate(360deg); } }
-
-        /* ========== Search Spotlight CSS ========== */
-.search-spotlight-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: rgba(255, 255, 255, 0.5); backdrop-filter: blur(12px); -webkit-backdrop-filter: blur(12px); z-index: 21000; opacity: 0; transition: opacity 0.2s ease-out; }
-.search-spotlight-overlay.visible { opacity: 1; }
-.search-spotlight-container { position: fixed; top: 15vh; left: 50%; transform: translateX(-50%); width: 90%; max-width: 640px; background-color: #f9f9f9; border-radius: 12px; box-shadow: 0 10px 30px rgba(0,0,0,0.15); display: flex; flex-direction: column; overflow: hidden; }
-.search-input-wrapper { display: flex; align-items: center; padding: 0 16px; border-bottom: 1px solid #eee; }
-.search-input-wrapper .icon { color: #9ca3af; width: 20px; height: 20px; margin-right: 12px; }
-.search-spotlight-input { width: 100%; height: 56px; border: none; outline: none; background: transparent; font-size: 1.1rem; color: #111827; }
-.search-results-list { list-style: none; margin: 0; padding: 8px; max-height: 50vh; overflow-y: auto; }
-.search-results-list li { padding: 12px 16px; border-radius: 8px; cursor: pointer; transition: background-color 0.15s ease; }
-.search-results-list li:hover, .search-results-list li.highlighted { background-color: #eee; }
-.search-result-title { font-size: 0.95rem; color: #1f2937; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: block; }
-.search-result-path { font-size: 0.75rem; color: #6b7280; margin-top: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: block; }
-.search-empty-state { padding: 40px; text-align: center; color: #9ca3af; }
-
-        /* ========== Settings Page CSS ========== */
-        .settings-page-container { font-family: 'Noto Serif SC', serif !important; position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: #fff; z-index: 20000; padding: 20px; box-sizing: border-box; display: flex; justify-content: center; align-items: flex-start; overflow-y: auto; }
-        .settings-page-content { max-width: 700px; width: 100%; margin-top: 5vh; }
-        .settings-header { display: flex; justify-content: space-between; align-items: center; border-bottom: 1px solid #000; padding-bottom: 15px; margin-bottom: 30px; }
-        .settings-header h1 { font-size: 2rem; font-weight: 700; margin: 0; }
-        .settings-header .close-btn { font-family: 'Noto Serif SC', serif !important; font-size: 1rem; color: #000; background: #eee; border: 1px solid #ccc; border-radius: 8px; padding: 8px 16px; cursor: pointer; transition: background-color 0.2s; }
-        .settings-header .close-btn:hover { background-color: #ddd; }
-        .setting-item { display: flex; justify-content: space-between; align-items: center; padding: 20px 0; border-bottom: 1px solid #eee; }
-        .setting-text h3 { font-size: 1.1rem; font-weight: 500; margin: 0 0 5px 0; }
-        .setting-text p { font-size: 0.9rem; color: #666; margin: 0; max-width: 450px; }
-        .toggle-switch { position: relative; display: inline-block; width: 50px; height: 28px; flex-shrink: 0; margin-left: 20px; }
-        .toggle-switch input { opacity: 0; width: 0; height: 0; }
-        .toggle-slider { position: absolute; cursor: pointer; top: 0; left: 0; right: 0; bottom: 0; background-color: #ccc; transition: .4s; border-radius: 28px; }
-        .toggle-slider:before { position: absolute; content: ""; height: 20px; width: 20px; left: 4px; bottom: 4px; background-color: white; transition: .4s; border-radius: 50%; box-shadow: 0 1px 3px rgba(0,0,0,0.2); }
-        input:checked + .toggle-slider { background-color: #000; }
-        input:checked + .toggle-slider:before { transform: translateX(22px); }
-        .settings-footer { text-align: justify; margin-top: 40px; padding: 20px; color: #999; font-size: 0.7rem; }
-        .settings-footer p { margin: 5px 0; }
-
-        /* ========== Pill Hints CSS ========== */
-        .pill-message {
-            position: absolute;
-            left: 48px; /* 从圆形icon的边缘开始 */
-            top: 0;
-            height: 100%;
-            display: flex;
-            align-items: center;
-            padding-left: 12px; /* 文字与icon的间距 */
-            white-space: nowrap;
-            overflow: hidden;
-            max-width: 0;
-            opacity: 0;
-            transition: max-width 0.4s cubic-bezier(0.4, 0, 0.2, 1), opacity 0.3s ease;
-            will-change: max-width, opacity;
-            transform: translateZ(0);
-            color: #fff;
-            font-size: 14px;
-            pointer-events: none; /* 默认让鼠标事件穿透消息背景 */
-        }
-        .pill-message .message-text {
-            pointer-events: auto; /* 恢复文本自身的点击能力 */
-        }
-        .pill-container.show-message, .pill-container.show-suggestion {
-            overflow: visible; /* 允许绝对定位的子元素溢出显示 */
-        }
-        .pill-container.show-message .pill-message, .pill-container.show-suggestion .pill-message {
-            max-width: 500px;
-            opacity: 1;
-        }
-        .pill-message .message-text {
-            cursor: pointer;
-            padding-right: 16px;
-        }
-        /* Suggestion state: show only specific buttons and hide others */
-        .pill-container.show-suggestion .pill-button {
-            display: none;
-        }
-        .pill-container.show-suggestion .pill-button[title="Bookmarks"],
-        .pill-container.show-suggestion .pill-button[title="Reload"] {
-            display: flex;
-        }
-    `);
+    function setOfflineHeader(title, capturedAt) {
+        offlineDrawer.querySelector('.drawer-header h2').textContent = title;
+        offlineBadge.textContent = capturedAt ? `只读 · 缓存于 ${formatCaptureDate(capturedAt)}` : '只读';
+    }
 
-    /* -------------------- 脚本配置与状态 -------------------- */
-    const FAVORITES_STORAGE_KEY = 'bdfz_path_favorites_v2';
-    const PATH_STORAGE_KEY = 'bdfz_persistent_path_v3';
-    const SETTINGS_STORAGE_KEY = 'bdfz_enhancer_settings_v3';
-    const GREETINGS_DONE_KEY = 'bdfz_enhancer_greetings_done_v1';
-    let lastKnownPath = null;
-    let favoritesDrawer, favoritesOverlay, favoritesList;
-    let nextStepDrawer, nextStepOverlay, nextStepList;
-    let settings = {}; // 运行时缓存设置
-    let searchableItems = []; // 用于存储所有可搜索的目录项
+    async function renderOfflineIndex() {
+        const catalogs = (await loadOfflineCatalogs()).sort((a, b) => b.capturedAt - a.capturedAt);
+        setOfflineHeader('离线浏览', null);
+        offlineBody.innerHTML = catalogs.length ? '' : '<p class="offline-empty">还没有缓存任何目录。打开过的目录与题目会自动缓存。</p>';
+        catalogs.forEach(record => {
+            const button = document.createElement('button');
+            button.className = 'offline-link';
+            button.innerHTML = `<span>${escapeHTML(describeOfflineCatalog(record))}</span><span class="offline-meta">${formatCaptureDate(record.capturedAt)}</span>`;
+            button.addEventListener('click', () => renderOfflineCatalog(record));
+            offlineBody.appendChild(button);
+        });
+    }
 
-    /* -------------------- 收藏夹核心逻辑 (来自旧脚本，未作修改) -------------------- */
-    function cleanInnerText(el) { if (!el) return ""; const clone = el.cloneNode(true); clone.querySelectorAll("i, svg, path").forEach(n => n.remove()); return clone.textContent.trim(); }
+    async function renderOfflineCatalog(record) {
+        const contentKeys = await loadCachedContentKeys();
+        setOfflineHeader(describeOfflineCatalog(record), record.capturedAt);
+        offlineBody.innerHTML = '<button class="offline-back">‹ 全部缓存</button>';
+        offlineBody.querySelector('.offline-back').addEventListener('click', renderOfflineIndex);
 
-    function captureCurrentPath() { let path = []; const root = document.querySelector('div.menu > div.active'); if (root) { path.push({ selector: "div.menu > div", text: cleanInnerText(root) }); } const activeFolder = document.querySelector('div.folderName.active'); if (activeFolder) { path.push({ selector: "div.folderName", text: cleanInnerText(activeFolder) }); } const searchContext = activeFolder ? (activeFolder.closest('div.infinite-list-wrapper') || document) : document; const uniqueNodes = new Map(); searchContext.querySelectorAll("span.ant-tree-node-content-wrapper-open, span.ant-tree-node-content-wrapper.ant-tree-node-selected").forEach(node => { const text = cleanInnerText(node); if (text) { uniqueNodes.set(text, { selector: "span.ant-tree-node-content-wrapper", text: text }); } }); path.push(...Array.from(uniqueNodes.values())); return path.length > 0 ? path : null; }
+        function renderNodes(nodes) {
+            const ul = document.createElement('ul');
+            ul.className = 'offline-tree';
+            nodes.filter(node => node && typeof node.catalogName === 'string').forEach(node => {
+                const li = document.createElement('li');
+                const children = Array.isArray(node.childList) ? node.childList : [];
+                const contentKey = contentKeys.get(catalogNodeId(node));
+                if (contentKey) {
+                    li.innerHTML = `<button class="offline-link">${escapeHTML(node.catalogName)}</button>`;
+                    li.firstElementChild.addEventListener('click', () => {
+                        loadOfflineResponse(contentKey)
+                            .then(cached => { if (cached) renderOfflineContent(cached, record); })
+                            .catch(e => console.warn('[OfflineCache] 无法读取离线缓存:', e));
+                    });
+                } else {
+                    li.innerHTML = `<span class="offline-node">${escapeHTML(node.catalogName)}</span>${children.length ? '' : '<span class="offline-meta">未缓存</span>'}`;
+                }
+                if (children.length) li.appendChild(renderNodes(children));
+                ul.appendChild(li);
+            });
+            return ul;
+        }
+        offlineBody.appendChild(renderNodes(record.data.extra));
+    }
 
-    async function getFavorites() { return JSON.parse(await GM_getValue(FAVORITES_STORAGE_KEY, '[]')); }
+    // catalogRecord 为进入该题目的目录，用于“返回”；直接因请求失败打开时为空
+    function renderOfflineContent(record, catalogRecord) {
+        setOfflineHeader(record.title, record.capturedAt);
+        offlineBody.innerHTML = `<button class="offline-back">‹ ${catalogRecord ? escapeHTML(describeOfflineCatalog(catalogRecord)) : '全部缓存'}</button><ol class="offline-questions"></ol>`;
+        offlineBody.querySelector('.offline-back').addEventListener('click', () => (catalogRecord ? renderOfflineCatalog(catalogRecord) : renderOfflineIndex()));
+        const list = offlineBody.querySelector('.offline-questions');
+        record.data.extra.forEach((item, index) => {
+            const content = item && item.content && typeof item.content === 'object' ? item.content : {};
+            const li = document.createElement('li');
+            li.innerHTML = `<span class="offline-question-title">${escapeHTML(content.title || `第 ${index + 1} 题`)}</span><p>${escapeHTML(offlineQuestionText(content))}</p>`;
+            list.appendChild(li);
+        });
+    }
 
-    async function saveFavorites(favorites) { await GM_setValue(FAVORITES_STORAGE_KEY, JSON.stringify(favorites)); }
+    function openOfflineView(record) {
+        if (!record) renderOfflineIndex().catch(e => console.warn('[OfflineCache] 无法读取离线缓存:', e));
+        else if (record.kind === 'catalog') renderOfflineCatalog(record).catch(e => console.warn('[OfflineCache] 无法读取离线缓存:', e));
+        else renderOfflineContent(record, null);
+        offlineDrawer.classList.add('open');
+        offlineOverlay.classList.add('visible');
+    }
 
-    async function replayPath(path) { let lastClickedElement = null; async function click(sel, txt) { for (let i = 0; i < 50; i++) { for (const node of document.querySelectorAll(sel)) { if (cleanInnerText(node) === txt) { node.click(); lastClickedElement = node; return true; } } await new Promise(r => setTimeout(r, 100)); } return false; } const btn = Array.from(document.querySelectorAll("button span")).find(s => s.innerText.trim() === "开始使用"); if(btn) { btn.click(); await new Promise(r => setTimeout(r, 500)); } for (const step of path) { if (!(await click(step.selector, step.text))) { GM_notification({ title: '导航失败', text: `无法找到 "${step.text}"`, timeout: 5000 }); throw new Error('Replay failed'); } await new Promise(r => setTimeout(r, 250)); } return lastClickedElement; }
+    function closeOfflineView() { offlineDrawer.classList.remove('open'); offlineOverlay.classList.remove('visible'); }
+
+    function initializeOfflineView() {
+        if (document.getElementById('offline-drawer')) return;
+        offlineOverlay = document.createElement('div');
+        offlineOverlay.className = 'drawer-overlay';
+        offlineDrawer = document.createElement('div');
+        offlineDrawer.id = 'offline-drawer';
+        offlineDrawer.className = 'bottom-sheet-drawer';
+        offlineDrawer.innerHTML = `<div class="drawer-header"><h2>离线浏览</h2><span class="offline-badge"></span></div><div class="drawer-content"></div>`;
+        offlineBody = offlineDrawer.querySelector('.drawer-content');
+        offlineBadge = offlineDrawer.querySelector('.offline-badge');
+        document.body.append(offlineOverlay, offlineDrawer);
+        offlineOverlay.addEventListener('click', closeOfflineView);
+    }
 
-    function openNextStepDrawer(children) { renderNextStepList(children); nextStepDrawer.classList.add('open'); nextStepOverlay.classList.add('visible'); }
+    defineModule({
+        id: 'offline-cache',
+        styles: `
+            #offline-drawer .drawer-header { display: flex; align-items: center; justify-content: center; gap: 8px; flex-wrap: wrap; }
+            .offline-badge { padding: 2px 10px; border-radius: 999px; background-color: #fef3c7; color: #92400e; font-size: 0.75rem; white-space: nowrap; }
+            .offline-empty { padding: 16px 0; color: #9ca3af; text-align: center; }
+            .offline-link { display: flex; justify-content: space-between; gap: 12px; width: 100%; margin-top: 8px; padding: 10px 14px; border: 1px solid #f0f0f0; border-radius: 10px; background-color: #fff; color: #1f2937; text-align: left; cursor: pointer; }
+            .offline-back { margin-top: 4px; border: none; background: none; color: #6b7280; cursor: pointer; }
+            .offline-tree { list-style: none; margin: 0; padding-left: 16px; }
+            #offline-drawer .drawer-content > .offline-tree { padding-left: 0; }
+            .offline-tree .offline-node { display: inline-block; margin-top: 8px; padding: 0 4px; color: #374151; }
+            .offline-meta { margin-left: 8px; color: #9ca3af; font-size: 0.75rem; white-space: nowrap; }
+            .offline-questions { margin: 8px 0 0; padding-left: 20px; }
+            .offline-questions li { margin-top: 12px; color: #374151; }
+            .offline-question-title { font-weight: 600; color: #1f2937; }
+            .offline-questions p { margin-top: 4px; white-space: pre-wrap; }
+        `,
+        init() {
+            observeRequests(record => { handleOfflineRequest(record); });
+            initializeOfflineView();
+            registerCommand({ id: 'offline.open', title: '离线浏览已缓存的内容', keywords: 'offline cache', run: () => openOfflineView(null) });
+        },
+    });
 
-    function closeNextStepDrawer() { nextStepDrawer.classList.remove('open'); nextStepOverlay.classList.remove('visible'); }
+    /* -------------------- PDF 下载按钮 -------------------- */
+    function initializePdfIframeObserver() {
+        const forceShowPDFButtonsCSS = '[hidden]:not(#errorWrapper), button.hidden, div#editorModeButtons.hidden { display: block !important; }';
+        const styleId = 'tampermonkey-pdf-button-fix';
+
+        function injectFix(iframe) {
+            // 再次确认设置是否开启，并确保iframe内容可访问
+            if (settings.forceShowPDFButtons && iframe.contentDocument) {
+                // 如果样式已注入，则不再重复操作
+                if (iframe.contentDocument.getElementById(styleId)) return;
+
+                const style = iframe.contentDocument.createElement('style');
+                style.id = styleId;
+                style.textContent = forceShowPDFButtonsCSS;
+                iframe.contentDocument.head.appendChild(style);
+            }
+        }
 
-    function renderNextStepList(children) { nextStepList.innerHTML = ''; children.forEach(childElement => { const li = document.createElement('li'); li.innerHTML = `<span class="item-title">${cleanInnerText(childElement)}</span>`; li.addEventListener('click', () => { childElement.click(); closeNextStepDrawer(); }); nextStepList.appendChild(li); }); }
+        // 创建一个MutationObserver来监听iframe的动态添加
+        const observer = new MutationObserver(mutations => {
+            for (const mutation of mutations) {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === 1) { // 确保是元素节点
+                        if (node.tagName === 'IFRAME') {
+                            node.addEventListener('load', () => injectFix(node));
+                        }
+                        // 检查新添加的节点内部是否包含iframe
+                        node.querySelectorAll('iframe').forEach(iframe => {
+                            iframe.addEventListener('load', () => injectFix(iframe));
+                        });
+                    }
+                });
+            }
+        });
 
-    async function checkForNextStep(lastElement) {
-        if (!lastElement) return;
-        const parentLi = lastElement.closest('li[role="treeitem"]');
-        if (!parentLi) { console.log("下一步检测：未能找到父级 treeitem 容器。"); return; }
-        const childTree = parentLi.querySelector('ul.ant-tree-child-tree');
-        if (childTree && childTree.children.length > 0) {
-            const childrenWrappers = Array.from(childTree.querySelectorAll(':scope > li > span.ant-tree-node-content-wrapper'));
-            if (childrenWrappers.length > 0) { console.log(`下一步检测：找到 ${childrenWrappers.length} 个子节点，准备弹出抽屉。`); openNextStepDrawer(childrenWrappers); }
-        } else { console.log("下一步检测：未找到子节点或子节点列表为空。"); }
-    }
+        observer.observe(document.body, { childList: true, subtree: true });
 
-    function openFavoritesDrawer() { renderFavoritesList(); favoritesDrawer.classList.add('open'); favoritesOverlay.classList.add('visible'); }
+        // 为脚本运行时页面上已经存在的iframe注入样式
+        document.querySelectorAll('iframe').forEach(iframe => {
+            if (iframe.contentDocument && iframe.contentDocument.readyState === 'complete') {
+                injectFix(iframe);
+            } else {
+                iframe.addEventListener('load', () => injectFix(iframe));
+            }
+        });
 
-    function closeFavoritesDrawer() { favoritesDrawer.classList.remove('open'); favoritesOverlay.classList.remove('visible'); }
+        // 观察者始终运行（injectFix 自行检查开关）；切换开关时补注入或移除已加载 iframe 中的样式
+        return {
+            enable: () => document.querySelectorAll('iframe').forEach(injectFix),
+            disable: () => document.querySelectorAll('iframe').forEach(iframe => {
+                const style = iframe.contentDocument && iframe.contentDocument.getElementById(styleId);
+                if (style) style.remove();
+            })
+        };
+    }
 
-    async function addCurrentPathToFavorites() { const path = captureCurrentPath(); if (!path || path.length === 0) { GM_notification({ title: '收藏失败', text: '无法捕获当前路径。', timeout: 4000 }); return; } if (path.length < 2 && (document.querySelector('.folderName') || document.querySelector('.ant-tree'))) { GM_notification({ title: '收藏失败', text: '请先进入一个具体的课程目录。', timeout: 4000 }); return; } const favorites = await getFavorites(); if (favorites.some(fav => JSON.stringify(fav.path) === JSON.stringify(path))) { GM_notification({ title: '提示', text: '该路径已在收藏夹中。', timeout: 3000 }); return; } favorites.push({ title: path[path.length - 1].text, path: path }); await saveFavorites(favorites); GM_notification({ title: '收藏成功！', text: `已将“${path[path.length - 1].text}”加入收藏夹。`, timeout: 3000 }); }
+    defineModule({ id: 'pdf', setting: 'forceShowPDFButtons', init: initializePdfIframeObserver });
+
+    /* -------------------- 资料库 -------------------- */
+    // 记录 PDF 查看器 iframe 中打开过的每个 PDF 及其所在的目录路径，可在“资料库”中直接重新打开；
+    // 开启“缓存PDF文件”时同时把文件存入 IndexedDB（pdfs 仓库，按 PDF 地址存放 ArrayBuffer），重新打开时无需联网。
+    // PDF 可能放在其他域名下，地址要到运行时才知道，因此 @connect 声明为 *
+    let pdfLibraryDrawer, pdfLibraryOverlay, pdfLibraryList, pdfLibraryFilterInput, pdfViewerOverlay;
+    const PDF_LIBRARY_LIMIT = 200;
+    const PDF_CACHE_MAX_BYTES = 30 * 1024 * 1024; // 超过此大小的文件只记录地址
+    let pdfViewerObjectUrl = null;
+    let pdfLibraryWrites = Promise.resolve();
+    const pdfDownloads = new Map(); // PDF 地址 → 进行中的缓存任务
+
+    // 站点使用 PDF.js 查看器，PDF 地址在 file 参数中；也兼容直接以 PDF 地址作为 src 的 iframe
+    function parsePdfViewerSrc(src) {
+        let viewerUrl;
+        try { viewerUrl = new URL(src, window.location.href); } catch (e) { return null; }
+        const file = viewerUrl.searchParams.get('file');
+        if (file) return file.startsWith('blob:') ? null : { url: new URL(file, viewerUrl).href, viewerUrl: viewerUrl.href };
+        if (/\.pdf$/i.test(viewerUrl.pathname)) return { url: viewerUrl.href, viewerUrl: null };
+        return null;
+    }
 
-    async function deleteFavorite(index) { let f = await getFavorites(); f.splice(index, 1); await saveFavorites(f); renderFavoritesList(); }
+    function pdfFileName(url) {
+        try { return decodeURIComponent(new URL(url).pathname.split('/').pop()) || url; } catch (e) { return url; }
+    }
 
-    async function renderFavoritesList() { const favorites = await getFavorites(); favoritesList.innerHTML = ''; if (favorites.length === 0) { favoritesList.innerHTML = '<li id="empty-favorites-msg" style="border:none;background:transparent;cursor:default;">您的收藏夹是空的<br>点击“+”按钮添加吧</li>'; return; } favorites.forEach((fav, index) => { const li = document.createElement('li'); const fullPath = fav.path.map(p => p.text).join(' / '); li.innerHTML = `<div class="item-text-content"><span class="item-title">${fav.title}</span><span class="item-fullpath">${fullPath}</span></div><div class="item-actions"><button class="action-btn edit" title="编辑名称"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M17.414 2.586a2 2 0 00-2.828 0L7 10.172V13h2.828l7.586-7.586a2 2 0 000-2.828z"></path><path fill-rule="evenodd" d="M2 6a2 2 0 012-2h4a1 1 0 010 2H4v10h10v-4a1 1 0 112 0v4a2 2 0 01-2 2H4a2 2 0 01-2-2V6z" clip-rule="evenodd"></path></svg></button><button class="action-btn delete" title="删除此收藏"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"></path></svg></button></div>`; const textContentDiv = li.querySelector('.item-text-content'); const titleSpan = li.querySelector('.item-title'); const editBtn = li.querySelector('.edit'); const deleteBtn = li.querySelector('.delete'); li.addEventListener('click', async (e) => { if (editBtn.contains(e.target) || deleteBtn.contains(e.target)) return; closeFavoritesDrawer(); try { const lastClickedElement = await replayPath(fav.path); await checkForNextStep(lastClickedElement); } catch (error) { console.error("Replay or next step check failed:", error); } }); deleteBtn.addEventListener('click', () => deleteFavorite(index)); editBtn.addEventListener('click', () => { const input = document.createElement('input'); input.type = 'text'; input.className = 'title-edit-input'; input.value = fav.title; textContentDiv.replaceChild(input, titleSpan); input.focus(); input.select(); const saveEdit = async () => { const newTitle = input.value.trim(); if (newTitle && newTitle !== fav.title) { const c = await getFavorites(); c[index].title = newTitle; await saveFavorites(c); fav.title = newTitle; } titleSpan.textContent = fav.title; textContentDiv.replaceChild(titleSpan, input); }; input.addEventListener('keydown', e => { if (e.key === 'Enter') input.blur(); }); input.addEventListener('blur', saveEdit); }); favoritesList.appendChild(li); }); }
+    function formatFileSize(bytes) {
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
 
-    function savePathImmediately(reason = "常规") {
-        const path = captureCurrentPath();
-        if (path && JSON.stringify(path) !== JSON.stringify(lastKnownPath)) {
-            lastKnownPath = path;
-            GM_setValue(PATH_STORAGE_KEY, JSON.stringify(path));
-            console.log(`💾 路径已保存 (${reason}):`, path);
-        }
+    async function getPdfLibrary() { return (await readStore('pdfLibrary')).filter(entry => entry && typeof entry.url === 'string'); }
+
+    // 资料库的读-改-写都排进同一条队列：同一 iframe 可能同时触发插入与 src 变化两次记录，还有缓存完成后的大小更新，
+    // 并发执行时后写入的会覆盖先写入的。update 收到当前列表，返回要保存的列表；返回 undefined 时不写入
+    function updatePdfLibrary(update) {
+        const task = pdfLibraryWrites.then(async () => {
+            const library = await getPdfLibrary();
+            const updated = update(library);
+            if (updated) await writeStore('pdfLibrary', updated);
+        });
+        pdfLibraryWrites = task.catch(() => {});
+        return task;
     }
 
-    function attachGuardianListeners() {
-        window.addEventListener('beforeunload', () => savePathImmediately("页面卸载"));
-        document.body.addEventListener('click', (event) => {
-            const navContainer = event.target.closest('.menu-wrap, .folder-wrap');
-            if (navContainer) {
-                setTimeout(() => savePathImmediately("点击导航"), 100);
-            }
+    function loadCachedPdf(url) { return idbRun('pdfs', 'readonly', store => store.get(url)); }
+
+    // 用 GM_xmlhttpRequest 下载：不受跨域限制，也不经过站点与请求拦截器改写过的 fetch
+    function downloadPdf(url) {
+        return new Promise((resolve, reject) => {
+            GM_xmlhttpRequest({
+                method: 'GET',
+                url,
+                responseType: 'arraybuffer',
+                onload: (response) => { if (response.status >= 200 && response.status < 300) resolve(response.response); else reject(new Error(`HTTP ${response.status}`)); },
+                onerror: () => reject(new Error('网络错误')),
+                ontimeout: () => reject(new Error('请求超时')),
+            });
         });
-        const leftPanel = document.querySelector('.stu-course-wrap');
-        if (leftPanel) { leftPanel.addEventListener('mouseleave', () => savePathImmediately("鼠标离开")); }
-        else { const observer = new MutationObserver((mutations, obs) => { const panel = document.querySelector('.stu-course-wrap'); if (panel) { panel.addEventListener('mouseleave', () => savePathImmediately("鼠标离开 (延迟附加)")); obs.disconnect(); } }); observer.observe(document.body, { childList: true, subtree: true }); }
     }
-    function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
+
+    async function downloadAndCachePdf(url) {
+        if (await loadCachedPdf(url)) return;
+        const data = await downloadPdf(url);
+        if (data.byteLength > PDF_CACHE_MAX_BYTES) { console.log(`[PdfLibrary] 文件过大（${formatFileSize(data.byteLength)}），只记录地址:`, url); return; }
+        await idbRun('pdfs', 'readwrite', store => store.put({ url, data, cachedAt: Date.now() }));
+        await updatePdfLibrary(library => {
+            const entry = library.find(item => item.url === url);
+            if (!entry) return undefined;
+            entry.size = data.byteLength;
+            return library;
+        });
     }
-// --- 安全的题目内容修改函数 ---
-function modifyContentData(data) {
-    try {
-        // 安全检查：验证数据来源和完整性
-        if (!data || !Array.isArray(data.extra)) {
-            console.warn('[Security] Invalid data structure for content modification');
-            return data;
-        }
 
-        // 安全检查：记录修改操作
-        const modificationLog = [];
+    // 同一个 PDF 同时只下载一次
+    function cachePdfFile(url) {
+        if (!pdfDownloads.has(url)) pdfDownloads.set(url, downloadAndCachePdf(url).finally(() => pdfDownloads.delete(url)));
+        return pdfDownloads.get(url);
+    }
 
-        data.extra.forEach((item, index) => {
-            if (item && item.content) {
-                const content = item.content;
+    // 同一个 PDF 只保留一条记录，再次打开时更新路径并移到最前
+    async function recordPdf(iframe) {
+        if (!settings.enablePdfLibrary || iframe.closest('#pdf-library-viewer')) return;
+        const pdf = parsePdfViewerSrc(iframe.getAttribute('src') || '');
+        if (!pdf) return;
+        const path = captureCurrentPath() || []; // 不在目录中打开的 PDF（如从收藏或其他页面）没有路径
+        let evicted = [];
+        await updatePdfLibrary(library => {
+            const existing = library.find(entry => entry.url === pdf.url);
+            const entry = {
+                size: null,
+                firstSeenAt: Date.now(),
+                ...existing,
+                ...pdf,
+                title: path.length > 2 ? path[path.length - 1].text : pdfFileName(pdf.url),
+                path,
+                lastSeenAt: Date.now(),
+            };
+            const updated = [entry, ...library.filter(item => item.url !== pdf.url)];
+            evicted = updated.slice(PDF_LIBRARY_LIMIT);
+            return updated.slice(0, PDF_LIBRARY_LIMIT);
+        });
+        await Promise.all(evicted.map(item => idbRun('pdfs', 'readwrite', store => store.delete(item.url))));
+        if (pdfLibraryDrawer && pdfLibraryDrawer.classList.contains('open')) renderPdfLibrary();
+        if (settings.cachePdfFiles) cachePdfFile(pdf.url).catch(e => console.warn('[PdfLibrary] PDF 缓存失败:', e));
+    }
 
-                // 安全检查：验证内容对象
-                if (typeof content !== 'object' || content === null) {
-                    console.warn(`[Security] Invalid content at index ${index}`);
-                    return;
-                }
+    function recordPdfSafely(iframe) { recordPdf(iframe).catch(e => console.warn('[PdfLibrary] 记录PDF失败:', e)); }
 
-                // 受控的答案功能启用列表
-                const controlledKeysToEnable = [
-                    "previewAnswer", "answerWayHandle", "answerWayPhoto",
-                    "answerWayTalking", "answerWayVideo", "answerWayKeyboard",
-                    "questionTalkingSwitch"
-                ];
-
-                controlledKeysToEnable.forEach(key => {
-                    if (typeof content[key] !== 'undefined') {
-                        const originalValue = content[key];
-                        content[key] = 1;
-                        modificationLog.push({
-                            index,
-                            key,
-                            originalValue,
-                            newValue: 1,
-                            action: 'enabled'
-                        });
-                    }
+    function initializePdfRecorder() {
+        const observer = new MutationObserver(mutations => {
+            for (const mutation of mutations) {
+                if (mutation.type === 'attributes') { recordPdfSafely(mutation.target); continue; }
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType !== 1) return;
+                    if (node.tagName === 'IFRAME') recordPdfSafely(node);
+                    node.querySelectorAll('iframe').forEach(recordPdfSafely);
                 });
-
-                if (typeof content.mustDoSwitch !== 'undefined') {
-                    const originalValue = content.mustDoSwitch;
-                    content.mustDoSwitch = 0;
-                    modificationLog.push({
-                        index,
-                        key: 'mustDoSwitch',
-                        originalValue,
-                        newValue: 0,
-                        action: 'disabled'
-                    });
-                }
             }
         });
+        // 站点可能先插入空的 iframe 再设置 src，因此同时监听 src 的变化
+        observer.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['src'] });
+        document.querySelectorAll('iframe').forEach(recordPdfSafely);
+    }
 
-        // 审计日志：记录所有修改操作
-        if (modificationLog.length > 0) {
-            console.info('[Security Audit] Content modification performed:', {
-                timestamp: new Date().toISOString(),
-                modifications: modificationLog,
-                itemCount: data.extra.length
+    /* -------------------- 资料库抽屉与查看器 -------------------- */
+    function pdfDisplayPath(entry) { return entry.path.slice(1).map(step => step.text).join(' / ') || pdfFileName(entry.url); }
+
+    async function renderPdfLibrary() {
+        const query = pdfLibraryFilterInput.value.trim().toLowerCase();
+        const library = await getPdfLibrary();
+        const entries = library.filter(entry => !query || `${entry.title} ${pdfDisplayPath(entry)} ${pdfFileName(entry.url)}`.toLowerCase().includes(query));
+        pdfLibraryList.innerHTML = '';
+        if (entries.length === 0) { pdfLibraryList.innerHTML = `<li class="pdf-library-empty">${library.length ? '没有符合筛选条件的资料' : '还没有打开过PDF'}</li>`; return; }
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.innerHTML = `<div class="item-text-content"><span class="item-title">${escapeHTML(entry.title)}</span><span class="item-fullpath">${escapeHTML(pdfDisplayPath(entry))}</span></div><span class="pdf-library-meta">${entry.size ? `已缓存 · ${formatFileSize(entry.size)}` : ''}</span><button class="pdf-library-remove" title="从资料库中移除">✕</button>`;
+            li.addEventListener('click', () => openPdfFromLibrary(entry).catch(e => console.error('打开资料失败:', e)));
+            li.querySelector('.pdf-library-remove').addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await updatePdfLibrary(library => library.filter(item => item.url !== entry.url));
+                await idbRun('pdfs', 'readwrite', store => store.delete(entry.url));
+                renderPdfLibrary();
             });
+            pdfLibraryList.appendChild(li);
+        });
+    }
+
+    function closePdfViewer() {
+        if (pdfViewerOverlay) { pdfViewerOverlay.remove(); pdfViewerOverlay = null; }
+        if (pdfViewerObjectUrl) { URL.revokeObjectURL(pdfViewerObjectUrl); pdfViewerObjectUrl = null; }
+    }
+
+    // 优先打开本地缓存的文件；沿用站点的查看器，下载按钮等同样由“强制下载”处理
+    async function openPdfFromLibrary(entry) {
+        closePdfLibrary();
+        closePdfViewer();
+        let fileUrl = entry.url;
+        const cached = await loadCachedPdf(entry.url).catch(() => null);
+        if (cached) fileUrl = pdfViewerObjectUrl = URL.createObjectURL(new Blob([cached.data], { type: 'application/pdf' }));
+        let src = fileUrl;
+        if (entry.viewerUrl) {
+            const viewerUrl = new URL(entry.viewerUrl);
+            viewerUrl.searchParams.set('file', fileUrl);
+            src = viewerUrl.href;
         }
+        pdfViewerOverlay = document.createElement('div');
+        pdfViewerOverlay.id = 'pdf-library-viewer';
+        pdfViewerOverlay.innerHTML = `<div class="pdf-viewer-header"><span class="pdf-viewer-title"></span><button class="pdf-viewer-locate">在目录中打开</button><button class="pdf-viewer-close" title="关闭">✕</button></div><iframe></iframe>`;
+        pdfViewerOverlay.querySelector('.pdf-viewer-title').textContent = `${entry.title}${cached ? '（本地缓存）' : ''}`;
+        pdfViewerOverlay.querySelector('iframe').src = src;
+        pdfViewerOverlay.querySelector('.pdf-viewer-locate').hidden = entry.path.length === 0;
+        pdfViewerOverlay.querySelector('.pdf-viewer-close').addEventListener('click', closePdfViewer);
+        pdfViewerOverlay.querySelector('.pdf-viewer-locate').addEventListener('click', async () => {
+            closePdfViewer();
+            try { await replayPath(entry.path); } catch (err) { console.error('资料定位失败:', err); }
+        });
+        document.body.appendChild(pdfViewerOverlay);
+        await updatePdfLibrary(library => {
+            const stored = library.find(item => item.url === entry.url);
+            if (!stored) return undefined;
+            stored.lastOpenedAt = Date.now();
+            return library;
+        });
+    }
 
-        return data;
-    } catch (e) {
-        console.error('[Security] Error in content modification:', e);
-        // 安全失败：返回原始数据
-        return data;
+    function openPdfLibrary() { renderPdfLibrary(); pdfLibraryDrawer.classList.add('open'); pdfLibraryOverlay.classList.add('visible'); }
+
+    function closePdfLibrary() { pdfLibraryDrawer.classList.remove('open'); pdfLibraryOverlay.classList.remove('visible'); }
+
+    function initializePdfLibraryDrawer() {
+        if (document.getElementById('pdf-library-drawer')) return;
+        pdfLibraryOverlay = document.createElement('div');
+        pdfLibraryOverlay.className = 'drawer-overlay';
+        pdfLibraryDrawer = document.createElement('div');
+        pdfLibraryDrawer.id = 'pdf-library-drawer';
+        pdfLibraryDrawer.className = 'bottom-sheet-drawer';
+        pdfLibraryDrawer.innerHTML = `<div class="drawer-header"><h2>资料库</h2></div><div class="pdf-library-toolbar"><input type="search" class="pdf-library-filter" placeholder="筛选：标题或路径"></div><div class="drawer-content"><ul></ul></div>`;
+        pdfLibraryList = pdfLibraryDrawer.querySelector('.drawer-content ul');
+        pdfLibraryFilterInput = pdfLibraryDrawer.querySelector('.pdf-library-filter');
+        pdfLibraryFilterInput.addEventListener('input', debounce(renderPdfLibrary, 150));
+        document.body.append(pdfLibraryOverlay, pdfLibraryDrawer);
+        pdfLibraryOverlay.addEventListener('click', closePdfLibrary);
     }
-}
 
-/* -------------------- 安全的 XHR 请求拦截器 -------------------- */
-function setupXHRInterceptor() {
-    const originalOpen = XMLHttpRequest.prototype.open;
-    const originalSend = XMLHttpRequest.prototype.send;
+    defineModule({
+        id: 'pdf-library',
+        styles: `
+            .pdf-library-toolbar { padding: 0 16px 8px; }
+            .pdf-library-filter { width: 100%; height: 34px; padding: 0 12px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #fff; outline: none; }
+            #pdf-library-drawer .drawer-content li { background-color: #fff; border-radius: 12px; padding: 14px 12px 14px 16px; margin-top: 12px; cursor: pointer; border: 1px solid #f0f0f0; display: flex; align-items: center; justify-content: space-between; gap: 8px; }
+            #pdf-library-drawer .drawer-content li.pdf-library-empty { border: none; background: transparent; color: #9ca3af; cursor: default; }
+            .pdf-library-meta { flex-shrink: 0; font-size: 0.75rem; color: #9ca3af; }
+            .pdf-library-remove { flex-shrink: 0; border: none; background: none; color: #9ca3af; cursor: pointer; padding: 4px 6px; border-radius: 6px; }
+            .pdf-library-remove:hover { background-color: #f3f4f6; color: #111827; }
+            #pdf-library-viewer { position: fixed; inset: 0; z-index: 2147483647; display: flex; flex-direction: column; background-color: #fff; }
+            .pdf-viewer-header { display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #e5e7eb; }
+            .pdf-viewer-title { flex: 1; min-width: 0; font-weight: 500; color: #1f2937; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+            .pdf-viewer-header button { border: 1px solid #e5e7eb; border-radius: 6px; background-color: #fff; padding: 4px 10px; cursor: pointer; }
+            #pdf-library-viewer iframe { flex: 1; width: 100%; border: none; }
+        `,
+        init() {
+            initializePdfRecorder();
+            initializePdfLibraryDrawer();
+            registerCommand({ id: 'pdf.library', title: '打开资料库', keywords: 'pdf library ziliao', run: openPdfLibrary });
+        },
+    });
 
-    // 安全检查：验证拦截器的调用上下文
-    const allowedOrigins = ['https://bdfz.xnykcxt.com:5002', 'http://bdfz.xnykcxt.com:5002'];
+    /* -------------------- 自动展开答题区 -------------------- */
+    function initializeAnswerAreaObserver() {
+        // 1. 总开关由 syncModules 通过返回的 enable/disable 控制
+        let sentinelObserver = null;
+        let buttonObserver = null;
 
-    XMLHttpRequest.prototype.open = function(method, url) {
-        // 安全检查：验证请求来源
-        const currentOrigin = window.location.origin;
-        if (!allowedOrigins.includes(currentOrigin)) {
-            console.warn('[Security] XHR interceptor blocked on unauthorized origin:', currentOrigin);
-            originalOpen.apply(this, arguments);
-            return;
+
+        // 2. 核心功能：检查并点击按钮（保持不变）
+        function checkAndClickButtons() {
+            const buttons = document.querySelectorAll('button.ant-btn');
+            buttons.forEach(btn => {
+                if (btn.innerText.trim().endsWith('答题区') && !btn.classList.contains('ant-btn-primary')) {
+                    btn.click();
+                }
+            });
         }
 
-        if (typeof url === 'string' && url.endsWith('enchance')) { /* ATTENTION: 这里务必注意！新能源课程系统网站原始API有拼写错误，该API路径就是enchance，而不是enhance，严禁修改。*/
-            this._isMockTarget = true;
-            console.log('[Security] Mock enhancement request intercepted');
-        } else if (typeof url === 'string' && url.includes('catalog/entity')) {
-            this._isCatalogTarget = true;
-            console.log('[Security] Catalog data request intercepted');
-        } else if (url && typeof url === 'string' && url.endsWith('/content')) {
-            this._isContentTarget = true;
-            console.log('[Security] Content data request intercepted');
+        // 3. 启动/停止核心功能的函数（保持不变）
+        function startFeature() {
+            if (buttonObserver) return;
+            checkAndClickButtons();
+            buttonObserver = new MutationObserver(checkAndClickButtons);
+            buttonObserver.observe(document.body, { childList: true, subtree: true });
+
         }
-        originalOpen.apply(this, arguments);
-    };
 
-    XMLHttpRequest.prototype.send = function() {
-        // 1. 处理 Mock 请求（这种请求会提前结束，需要 return）
-        if (this._isMockTarget && settings.enableMockEnhance) {
-            console.log('⚡️ XHR Interceptor: Mocking request to', this.responseURL);
-            const mockResponse = { code: 1, message: "新能源ULTRA加速上传中…", time: Date.now(), extra: "" };
-            const mockResponseJSON = JSON.stringify(mockResponse);
-            Object.defineProperties(this, {
-                status: { value: 200, writable: false },
-                statusText: { value: 'OK', writable: false },
-                response: { value: mockResponseJSON, writable: false },
-                responseText: { value: mockResponseJSON, writable: false },
-                readyState: { value: 4, writable: false }
-            });
-            this.dispatchEvent(new Event('readystatechange'));
-            this.dispatchEvent(new ProgressEvent('load'));
-            this.dispatchEvent(new ProgressEvent('loadend'));
-            return;
+        function stopFeature() {
+            if (buttonObserver) {
+                buttonObserver.disconnect();
+                buttonObserver = null;
+            }
+
         }
 
-        // 2. 独立处理“强制答案”请求
-        if (this._isContentTarget && settings.enableAnswerForce) {
-            const originalDescriptorText = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'responseText');
-            const originalDescriptorResponse = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'response');
+        // 4. 新的、更精准的“哨兵”设置函数
+        function setupSentinel(contentElement) {
+            // 如果已存在哨兵，先断开，以防重复
+            if (sentinelObserver) {
+                sentinelObserver.disconnect();
+            }
 
-            Object.defineProperty(this, 'responseText', {
-                get: function() {
-                    const realResponseText = originalDescriptorText.get.call(this);
-                    try {
-                        const data = JSON.parse(realResponseText);
-                        const modifiedData = modifyContentData(data);
-                        return JSON.stringify(modifiedData);
-                    } catch (e) { return realResponseText; }
-                },
-                configurable: true
+            // 创建哨兵，它的任务现在是观察 .content 内部
+            sentinelObserver = new MutationObserver(() => {
+                if (contentElement.querySelector('.top')) {
+                    startFeature();
+                } else {
+                    stopFeature();
+                }
             });
 
-            Object.defineProperty(this, 'response', {
-                get: function() {
-                    const realResponse = originalDescriptorResponse.get.call(this);
-                    try {
-                        const data = (typeof realResponse === 'string') ? JSON.parse(realResponse) : realResponse;
-                        return modifyContentData(data);
-                    } catch (e) { return realResponse; }
-                },
-                configurable: true
-            });
+            // 启动哨兵
+            sentinelObserver.observe(contentElement, { childList: true, subtree: true });
+
+            // 立即检查一次初始状态
+            if (contentElement.querySelector('.top')) {
+                startFeature();
+            } else {
+                stopFeature();
+            }
         }
 
-        // 3. 独立处理“搜索目录”请求
-        if (this._isCatalogTarget) {
-            this.addEventListener('load', function() {
-                if (this.status === 200) {
-                    try {
-                        const response = JSON.parse(this.responseText);
-                        const activeMainMenu = document.querySelector('.menu > div.active');
-                        const mainMenuContext = activeMainMenu ? cleanInnerText(activeMainMenu) : '课程';
-                        const activeSubject = document.querySelector('.folderName.active');
-                        const subjectContext = activeSubject ? cleanInnerText(activeSubject) : '未知科目';
-                        processCatalogData(response, mainMenuContext, subjectContext);
-                    } catch (e) {
-                        console.error('目录数据处理失败:', e);
-                    }
-                }
-            });
+        // 5. 创建一个“容器”观察者，它的唯一任务是寻找 .content 元素
+        const containerObserver = new MutationObserver(() => {
+            const contentEl = document.querySelector('div.content');
+            if (contentEl) {
+                // 找到 .content 后，为它设置哨兵
+                setupSentinel(contentEl);
+                // 任务完成，断开这个容器观察者，因为它是一次性的
+                containerObserver.disconnect();
+            }
+        });
+
+        // 6. 启动流程
+        function enable() {
+            const initialContentEl = document.querySelector('div.content');
+            if (initialContentEl) {
+                // 如果 .content 已存在，直接设置哨兵
+                setupSentinel(initialContentEl);
+            } else {
+                // 如果不存在，则启动“容器”观察者去等待它出现
+                containerObserver.observe(document.body, { childList: true, subtree: true });
+            }
         }
 
-        // 4. 最终总是调用原始的 send 方法
-        originalSend.apply(this, arguments);
-    };
-}
+        // 7. 关闭时断开全部观察者
+        function disable() {
+            containerObserver.disconnect();
+            if (sentinelObserver) {
+                sentinelObserver.disconnect();
+                sentinelObserver = null;
+            }
+            stopFeature();
+        }
 
-function processCatalogData(response, mainMenuContext, subjectContext) {
-    // 安全检查：验证数据完整性
-    if (!response || !response.extra || subjectContext === '未知科目') {
-        console.warn('[Security] Invalid catalog data or context for processing');
-        searchableItems = [];
-        return;
+        return { enable, disable };
     }
 
-    // 安全检查：验证响应结构
-    if (!Array.isArray(response.extra)) {
-        console.warn('[Security] Catalog data extra is not an array');
-        searchableItems = [];
-        return;
+    defineModule({ id: 'answer-area', setting: 'autoExpandAnswerArea', init: initializeAnswerAreaObserver });
+
+    /* -------------------- 手写优化 -------------------- */
+    function initializeHandwritingFixObserver() {
+        const containerSelector = 'body', canvasSelector = '.board.answerCanvas', fixedAttribute = 'data-tampermonkey-fixed';
+        let observer = null, retryTimer = null;
+        function preventScroll(event) { event.preventDefault(); event.stopPropagation(); }
+        function applyFix(element) { if (element.hasAttribute(fixedAttribute)) { return; } element.addEventListener('touchmove', preventScroll, { passive: false }); element.style.overscrollBehaviorY = 'contain'; element.setAttribute(fixedAttribute, 'true'); }
+        function removeFix(element) { element.removeEventListener('touchmove', preventScroll, { passive: false }); element.style.overscrollBehaviorY = ''; element.removeAttribute(fixedAttribute); }
+        function enable() {
+            const container = document.querySelector(containerSelector);
+            if (!container) { retryTimer = setTimeout(enable, 500); return; }
+            observer = new MutationObserver(function(mutations) { for (const mutation of mutations) { if (mutation.addedNodes.length > 0) { mutation.addedNodes.forEach(node => { if (node.nodeType === 1) { if (node.matches(canvasSelector)) { applyFix(node); } node.querySelectorAll(canvasSelector).forEach(applyFix); } }); } } });
+            observer.observe(container, { childList: true, subtree: true });
+            document.querySelectorAll(canvasSelector).forEach(applyFix);
+        }
+        function disable() { clearTimeout(retryTimer); if (observer) { observer.disconnect(); observer = null; } document.querySelectorAll(`[${fixedAttribute}]`).forEach(removeFix); }
+        return { enable, disable };
     }
 
-    const flatList = [];
+    defineModule({ id: 'handwriting', setting: 'enableHandwritingFix', init: initializeHandwritingFixObserver });
 
-    // 步骤1：构建正确的、包含双击逻辑的初始路径
-    const mainMenuStep = { selector: "div.menu > div", text: mainMenuContext };
-    const subjectStep = { selector: "div.folderName", text: subjectContext };
+    /* -------------------- 手写板工具栏 -------------------- */
+    // 在每个答题手写板（.board.answerCanvas）前插入一条工具栏；手写板相关的功能在 init 中通过 registerCanvasTool 注册：
+    // { id, attach(board, toolbar) }，attach 对页面上已有的和之后出现的每个手写板各调用一次，可在工具栏中添加控件
+    const ANSWER_CANVAS_SELECTOR = '.board.answerCanvas';
+    const canvasTools = [];
+    const canvasToolbars = new WeakMap(); // 手写板 → 工具栏
 
-    // 关键：将科目/教师步骤重复一次，以实现"双击"效果
-    const initialPath = [mainMenuStep, subjectStep, subjectStep];
+    function attachCanvasTool(tool, board) {
+        try { tool.attach(board, canvasToolbars.get(board)); }
+        catch (err) { console.error(`手写板工具“${tool.id}”初始化失败:`, err); }
+    }
 
-    function flattenTree(nodes, parentPath) {
-        if (!nodes || nodes.length === 0) return;
+    function setupCanvasBoard(board) {
+        if (canvasToolbars.has(board)) return;
+        const toolbar = document.createElement('div');
+        toolbar.className = 'canvas-toolbar';
+        board.before(toolbar);
+        canvasToolbars.set(board, toolbar);
+        canvasTools.forEach(tool => attachCanvasTool(tool, board));
+    }
 
-        nodes.forEach(node => {
-            // 安全检查：验证节点数据
-            if (!node || typeof node.catalogName !== 'string') {
-                console.warn('[Security] Invalid catalog node detected, skipping', node);
-                return;
+    function registerCanvasTool(tool) {
+        canvasTools.push(tool);
+        document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(board => { if (canvasToolbars.has(board)) attachCanvasTool(tool, board); });
+    }
+
+    function initializeCanvasToolbar() {
+        const observer = new MutationObserver(mutations => {
+            for (const mutation of mutations) {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType !== 1) return;
+                    if (node.matches(ANSWER_CANVAS_SELECTOR)) setupCanvasBoard(node);
+                    node.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(setupCanvasBoard);
+                });
             }
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+        document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(setupCanvasBoard);
+    }
 
-            // 步骤2：修正选择器逻辑
-            // 根据您的分析，JSON 数据中的所有层级都对应 antd 树节点
-            const currentSelector = "span.ant-tree-node-content-wrapper";
+    defineModule({
+        id: 'canvas-toolbar',
+        styles: `
+            .canvas-toolbar { display: flex; justify-content: flex-end; gap: 6px; margin-bottom: 6px; }
+            .canvas-toolbar:empty { display: none; }
+            .canvas-tool { display: inline-flex; align-items: center; gap: 4px; height: 28px; padding: 0 10px; border: 1px solid #e5e7eb; border-radius: 999px; background-color: #fff; color: #374151; font-size: 0.8rem; cursor: pointer; touch-action: manipulation; }
+            .canvas-tool.active { background-color: #111827; border-color: #111827; color: #fff; }
+            .canvas-tool:disabled { opacity: 0.4; cursor: default; }
+        `,
+        init: initializeCanvasToolbar,
+    });
 
-            const currentStep = { selector: currentSelector, text: node.catalogName };
-            const replayablePath = [...parentPath, currentStep];
-            const displayPath = replayablePath.slice(1, 2) // 只显示科目
-                .concat(replayablePath.slice(3)) // 和后续路径
-                .map(p => p.text).join(' / ');
+    /* -------------------- 手写板双指缩放 -------------------- */
+    // 两根手指同时按在手写板上时平移与缩放画布（以 CSS transform 作用于站点画布和辅助线层），单指或手写笔照常书写。
+    // 站点如何把指针位置换算为画布坐标无从得知，因此缩放状态下的书写不交给站点，由脚本按缩放后的位置换算后画入笔画模型；
+    // 未缩放时一切照旧。监听器须先于“仅手写笔书写”注册，这样开启该模式时手指仍可缩放
+    const VIEWPORT_MAX_SCALE = 4;
+    const viewports = new WeakMap(); // 手写板 → { scale, x, y, touches, gesture, gesturePointers, drawing, reset, touchAction }
+    const syntheticPointerEvents = new WeakSet(); // 脚本发给站点的事件，不再拦截
 
-            flatList.push({
-                title: node.catalogName,
-                displayPath: displayPath,
-                replayablePath: replayablePath
-            });
+    function isViewportZoomed(viewport) { return viewport.scale !== 1 || viewport.x !== 0 || viewport.y !== 0; }
 
-            // 安全检查：验证子节点结构
-            if (node.childList && Array.isArray(node.childList) && node.childList.length > 0) {
-                flattenTree(node.childList, replayablePath);
-            }
+    function viewportCanvas(board) { return board.querySelector('canvas'); }
+
+    // 内容始终铺满手写板：缩放不小于 1，平移不露出画布以外的区域
+    function clampViewport(viewport, width, height) {
+        viewport.scale = Math.min(VIEWPORT_MAX_SCALE, Math.max(1, viewport.scale));
+        viewport.x = Math.min(0, Math.max(width - width * viewport.scale, viewport.x));
+        viewport.y = Math.min(0, Math.max(height - height * viewport.scale, viewport.y));
+    }
+
+    function applyViewport(board) {
+        const viewport = viewports.get(board);
+        const transform = isViewportZoomed(viewport) ? `translate(${viewport.x}px, ${viewport.y}px) scale(${viewport.scale})` : '';
+        board.querySelectorAll('canvas').forEach(canvas => {
+            canvas.style.transform = transform;
+            canvas.style.transformOrigin = transform ? '0 0' : '';
         });
+        board.classList.toggle('canvas-zoomed', !!transform);
+        viewport.reset.hidden = !transform;
+        viewport.reset.textContent = `🔍 ${Math.round(viewport.scale * 100)}%`;
     }
 
-    flattenTree(response.extra, initialPath);
-    searchableItems = flatList;
-    console.log(`🔍 已为科目“${subjectContext}”处理 ${searchableItems.length} 个可搜索项。`); // 此 console.log 在 sandbox 中不可见，但保留无害
-}
+    function resetViewport(board) {
+        const viewport = viewports.get(board);
+        if (!viewport) return;
+        Object.assign(viewport, { scale: 1, x: 0, y: 0 });
+        applyViewport(board);
+    }
 
-function createSearchUI() {
-    // 防止重复创建
-    if (document.getElementById('search-spotlight-overlay')) return;
+    // 开启时双指手势由脚本处理，不交给浏览器缩放页面；关闭后恢复站点原有的 touch-action
+    function applyViewportTouchAction(board) {
+        const viewport = viewports.get(board);
+        if (viewport) board.style.touchAction = settings.enableCanvasZoom ? 'none' : viewport.touchAction;
+    }
 
-    const overlay = document.createElement('div');
-    overlay.id = 'search-spotlight-overlay';
-    overlay.className = 'search-spotlight-overlay';
+    function touchMidpoint(points) { return [(points[0][0] + points[1][0]) / 2, (points[0][1] + points[1][1]) / 2]; }
+
+    function touchDistance(points) { return Math.hypot(points[0][0] - points[1][0], points[0][1] - points[1][1]) || 1; }
+
+    // 以两指中点为锚点：手势开始时中点下的画布内容在缩放、平移后仍位于当前中点下
+    function updateGesture(board, viewport) {
+        const points = [...viewport.gesturePointers].map(id => viewport.touches.get(id));
+        const { gesture } = viewport;
+        const [midX, midY] = touchMidpoint(points);
+        const scale = Math.min(VIEWPORT_MAX_SCALE, Math.max(1, gesture.scale * touchDistance(points) / gesture.distance));
+        const localX = (gesture.mid[0] - gesture.origin[0] - gesture.x) / gesture.scale, localY = (gesture.mid[1] - gesture.origin[1] - gesture.y) / gesture.scale;
+        Object.assign(viewport, { scale, x: midX - gesture.origin[0] - scale * localX, y: midY - gesture.origin[1] - scale * localY });
+        const canvas = viewportCanvas(board);
+        clampViewport(viewport, canvas.offsetWidth, canvas.offsetHeight);
+        applyViewport(board);
+    }
 
-    const containerHTML = `
-        <div class="search-spotlight-container">
-            <div class="search-input-wrapper">
-                <svg class="icon" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg>
-                <input type="text" class="search-spotlight-input" placeholder="搜索课程目录 (支持拼音或拼音首字母)...">
-            </div>
-            <ul class="search-results-list"></ul>
-        </div>
-    `;
-    overlay.innerHTML = containerHTML;
-    document.body.appendChild(overlay);
-
-    const input = overlay.querySelector('.search-spotlight-input');
-    const resultsList = overlay.querySelector('.search-results-list');
-    let currentHighlight = -1;
-
-    // 销毁函数
-    function destroySearchUI(callback) { // 增加一个 callback 参数
-    overlay.classList.remove('visible');
-    setTimeout(() => {
-        overlay.remove();
-        if (typeof callback === 'function') {
-            callback(); // 在移除后执行回调
+    // 第二根手指落下前，第一根手指可能已经开始书写（仅手写笔模式下手指不会书写）：通知站点取消这一笔，并按笔画模型重绘以去掉已画出的部分
+    function startGesture(board, viewport, ids) {
+        const canvas = viewportCanvas(board);
+        const [firstId] = ids;
+        let drawn = false;
+        if (viewport.drawing) { viewport.drawing = null; drawn = true; }
+        else if (!isViewportZoomed(viewport) && !settings.stylusOnly) {
+            const [clientX, clientY] = viewport.touches.get(firstId);
+            const cancel = new PointerEvent('pointercancel', { pointerId: firstId, pointerType: 'touch', clientX, clientY, bubbles: true });
+            syntheticPointerEvents.add(cancel);
+            canvas.dispatchEvent(cancel);
+            drawn = true;
         }
-    }, 200);
+        if (drawn) renderBoardStrokes(board);
+        const points = ids.map(id => viewport.touches.get(id));
+        const rect = canvas.getBoundingClientRect();
+        viewport.gesturePointers = new Set(ids);
+        viewport.gesture = { distance: touchDistance(points), mid: touchMidpoint(points), scale: viewport.scale, x: viewport.x, y: viewport.y, origin: [rect.left - viewport.x, rect.top - viewport.y] };
     }
 
-    // 渲染结果函数
-    function renderResults(query) {
-        resultsList.innerHTML = '';
-        currentHighlight = -1;
+    // 缩放状态下代替站点书写：按缩放后的位置换算坐标，沿用站点当前的画笔样式，画完后记入笔画模型
+    function handleZoomedDrawing(board, viewport, event) {
+        const canvas = viewportCanvas(board);
+        const state = strokeBoards.get(board);
+        const ctx = canvas.getContext('2d');
+        if (!state || !ctx) return;
+        const { drawing } = viewport;
+        if (event.type === 'pointerdown') {
+            if (drawing || event.button > 0 || (settings.stylusOnly && event.pointerType === 'touch')) return;
+            captureCanvasBase(state);
+            viewport.drawing = { pointerId: event.pointerId, points: [canvasPointFromEvent(canvas, event)], style: currentStrokeStyle(canvas) };
+            return;
+        }
+        if (!drawing || drawing.pointerId !== event.pointerId) return;
+        if (event.type === 'pointermove') {
+            const point = canvasPointFromEvent(canvas, event);
+            drawStroke(ctx, { points: [drawing.points[drawing.points.length - 1], point], style: drawing.style });
+            drawing.points.push(point);
+        } else if (event.type === 'pointerup') {
+            viewport.drawing = null;
+            if (drawing.points.length === 1) drawStroke(ctx, drawing);
+            addBoardStroke(board, { points: drawing.points, style: drawing.style });
+        } else if (event.type === 'pointercancel') {
+            viewport.drawing = null;
+            renderBoardStrokes(board);
+        }
+    }
 
-        if (!query) return;
-        if (searchableItems.length === 0) {
-             resultsList.innerHTML = '<div class="search-empty-state">请先点击一个科目以加载目录数据。</div>';
-             return;
+    function attachCanvasViewport(board, toolbar) {
+        if (!viewportCanvas(board)) return;
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'canvas-tool canvas-zoom-reset';
+        reset.title = '恢复原始大小';
+        reset.hidden = true;
+        reset.addEventListener('click', () => resetViewport(board));
+        toolbar.append(reset);
+        const viewport = { scale: 1, x: 0, y: 0, touches: new Map(), gesture: null, gesturePointers: new Set(), drawing: null, reset, touchAction: board.style.touchAction };
+        viewports.set(board, viewport);
+        applyViewportTouchAction(board);
+
+        function stopEvent(event) {
+            if (!board.contains(event.target)) return;
+            if (event.cancelable) event.preventDefault();
+            event.stopImmediatePropagation();
         }
 
-        const results = searchableItems.filter(item => PinyinMatch.match(item.title, query));
+        function handlePointer(event) {
+            if (!settings.enableCanvasZoom || syntheticPointerEvents.has(event)) return;
+            const { pointerId: id, type } = event;
+            const ended = type === 'pointerup' || type === 'pointercancel';
+            if (event.pointerType === 'touch' && (type === 'pointerdown' || viewport.touches.has(id))) viewport.touches.set(id, [event.clientX, event.clientY]);
+            if (type === 'pointerdown' && event.pointerType === 'touch' && viewport.touches.size === 2 && !viewport.gesture) startGesture(board, viewport, [...viewport.touches.keys()]);
+            if (viewport.gesturePointers.has(id)) {
+                stopEvent(event);
+                if (type === 'pointermove' && viewport.gesture) updateGesture(board, viewport);
+                // 任一手指抬起即结束手势；另一根手指抬起前的事件同样不交给站点
+                if (ended) { viewport.gesture = null; viewport.gesturePointers.delete(id); }
+            } else if ((isViewportZoomed(viewport) || viewport.drawing) && !isErasing(board)) {
+                stopEvent(event);
+                handleZoomedDrawing(board, viewport, event);
+            }
+            if (ended) viewport.touches.delete(id);
+        }
 
-        if (results.length === 0) {
-            resultsList.innerHTML = '<div class="search-empty-state">无匹配结果</div>';
-        } else {
-            results.slice(0, 50).forEach(item => { // 最多显示50条结果
-                const li = document.createElement('li');
-                li.innerHTML = `<span class="search-result-title">${item.title}</span><span class="search-result-path">${item.displayPath}</span>`;
-                li.dataset.path = JSON.stringify(item.replayablePath);
-                resultsList.appendChild(li);
-            });
+        // 站点若直接使用触摸或鼠标事件绘图，缩放与手势期间同样不交给站点（橡皮擦模式下由橡皮擦拦截）
+        function handleOtherInput(event) {
+            if (!settings.enableCanvasZoom || isErasing(board)) return;
+            if (viewport.gesturePointers.size || isViewportZoomed(viewport)) stopEvent(event);
         }
+
+        ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(type => board.addEventListener(type, handlePointer, { capture: true, passive: false }));
+        ['touchstart', 'touchmove', 'touchend', 'touchcancel', 'mousedown', 'mousemove', 'mouseup'].forEach(type => board.addEventListener(type, handleOtherInput, { capture: true, passive: false }));
+        // 手指或笔可能在手写板之外抬起；手写板被站点移除后不再需要监听
+        const handleOutsideEnd = event => {
+            if (!board.isConnected) { ['pointerup', 'pointercancel'].forEach(type => window.removeEventListener(type, handleOutsideEnd)); return; }
+            if (!board.contains(event.target)) handlePointer(event);
+        };
+        ['pointerup', 'pointercancel'].forEach(type => window.addEventListener(type, handleOutsideEnd));
+    }
+
+    function initializeCanvasViewport() {
+        registerCanvasTool({ id: 'canvas-viewport', attach: attachCanvasViewport });
+        registerCommand({ id: 'canvas.resetZoom', title: '手写板恢复原始大小', keywords: 'zoom reset suofang', run: () => document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(resetViewport) });
+        return {
+            onSettingsChange() {
+                document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(board => {
+                    if (!settings.enableCanvasZoom) resetViewport(board);
+                    applyViewportTouchAction(board);
+                });
+            },
+        };
     }
 
-    // 事件处理
-    overlay.addEventListener('click', (e) => {
-        if (e.target === overlay) destroySearchUI();
+    defineModule({
+        id: 'canvas-viewport',
+        styles: `
+            .board.answerCanvas.canvas-zoomed { overflow: hidden; }
+        `,
+        init: initializeCanvasViewport,
     });
 
-    resultsList.addEventListener('click', (e) => {
-    const targetLi = e.target.closest('li');
-    if (targetLi && targetLi.dataset.path) {
-        const path = JSON.parse(targetLi.dataset.path);
-        // 将导航操作作为回调函数传递进去
-        destroySearchUI(() => {
-            replayPath(path).catch(err => console.error("Search navigation failed:", err));
-        });
-    }
-});
+    /* -------------------- 仅手写笔书写（防误触） -------------------- */
+    // 开启后手写板只响应手写笔与鼠标：手指与手掌的指针事件在手写板上被拦下，不会传到站点的绘图代码。
+    // 监听器挂在手写板上并使用捕获阶段，只影响手写板内的触碰，页面其他位置仍可用手指滚动
+    function initializePalmRejection() {
+        const rejectedPointers = new Set(); // 按下时被拦下的指针，其后续的移动与抬起一并拦下
+        const stylusTouches = new Set(); // 判定为手写笔的 Touch.identifier
+        let penDown = false;
+
+        function stopEvent(event) {
+            if (event.cancelable) event.preventDefault(); // pointerdown 上调用可同时阻止浏览器模拟出的鼠标事件
+            event.stopImmediatePropagation();
+        }
 
-    const debouncedSearch = debounce(renderResults, 200);
-    input.addEventListener('input', () => debouncedSearch(input.value.trim()));
+        function handlePointer(event) {
+            if (event.pointerType === 'pen') penDown = event.type === 'pointerdown' || (penDown && event.type === 'pointermove');
+            if (event.type === 'pointerdown') {
+                if (!settings.stylusOnly || event.pointerType !== 'touch') return;
+                rejectedPointers.add(event.pointerId);
+            } else if (!rejectedPointers.has(event.pointerId)) return;
+            if (event.type === 'pointerup' || event.type === 'pointercancel') rejectedPointers.delete(event.pointerId);
+            stopEvent(event);
+        }
 
-    // 键盘导航
-    input.addEventListener('keydown', e => {
-        const items = resultsList.querySelectorAll('li');
-        if (!items.length) return;
+        // 站点若直接使用触摸事件绘图：iPadOS 通过 Touch.touchType 区分手写笔，其他浏览器按是否有手写笔正在按下判断。
+        // 手写笔与手掌的触点出现在同一个事件中时无法拆分，此时放行以保证笔画连续
+        function handleTouch(event) {
+            const touches = [...(event.changedTouches || [])];
+            if (event.type === 'touchstart') touches.forEach(touch => { if (touch.touchType ? touch.touchType === 'stylus' : penDown) stylusTouches.add(touch.identifier); });
+            const fromStylus = touches.some(touch => stylusTouches.has(touch.identifier));
+            if (event.type === 'touchend' || event.type === 'touchcancel') touches.forEach(touch => stylusTouches.delete(touch.identifier));
+            if (settings.stylusOnly && !fromStylus) stopEvent(event);
+        }
 
-        if (e.key === 'ArrowDown') {
-            e.preventDefault();
-            if (currentHighlight < items.length - 1) {
-                currentHighlight++;
-                items.forEach(item => item.classList.remove('highlighted'));
-                items[currentHighlight].classList.add('highlighted');
-            }
-        } else if (e.key === 'ArrowUp') {
-            e.preventDefault();
-            if (currentHighlight > 0) {
-                currentHighlight--;
-                items.forEach(item => item.classList.remove('highlighted'));
-                items[currentHighlight].classList.add('highlighted');
-            }
-        } else if (e.key === 'Enter') {
-            e.preventDefault();
-            const highlightedItem = resultsList.querySelector('li.highlighted');
-            if (highlightedItem) {
-                highlightedItem.click();
-            } else if (items.length > 0) {
-                items[0].click(); // 默认选择第一项
-            }
-        } else if (e.key === 'Escape') {
-             destroySearchUI();
+        function updateToggle(button) {
+            button.classList.toggle('active', !!settings.stylusOnly);
+            button.setAttribute('aria-pressed', String(!!settings.stylusOnly));
         }
-    });
 
-    // 动画入场并聚焦
-    requestAnimationFrame(() => {
-        overlay.classList.add('visible');
-        input.focus();
-    });
-}
-    /* -------------------- 设置管理 -------------------- */
-    async function getSettings() {
-        const defaults = {
-            autoLogin: true,
-            enableHandwritingFix: true,
-            forceShowPDFButtons: true,
-            enableSmartHints: true,
-            enableMockEnhance: false,
-            enableAnswerForce: false,
-            autoExpandAnswerArea: true,
-        };
-        const saved = JSON.parse(await GM_getValue(SETTINGS_STORAGE_KEY, '{}'));
-        return { ...defaults, ...saved };
+        registerCanvasTool({
+            id: 'stylus-only',
+            attach(board, toolbar) {
+                ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(type => board.addEventListener(type, handlePointer, { capture: true, passive: false }));
+                ['touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(type => board.addEventListener(type, handleTouch, { capture: true, passive: false }));
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'canvas-tool stylus-toggle';
+                button.title = '开启后手指与手掌的触碰不会在手写板上留下笔迹';
+                button.textContent = '✍️ 仅手写笔';
+                updateToggle(button);
+                button.addEventListener('click', () => updateSetting('stylusOnly', !settings.stylusOnly).catch(err => console.error('切换仅手写笔模式失败:', err)));
+                toolbar.appendChild(button);
+            },
+        });
+
+        registerCommand({ id: 'canvas.stylusOnly', title: () => `${settings.stylusOnly ? '关闭' : '开启'}仅手写笔书写`, keywords: 'stylus pencil palm', run: () => updateSetting('stylusOnly', !settings.stylusOnly) });
+
+        return { onSettingsChange: () => document.querySelectorAll('.stylus-toggle').forEach(updateToggle) };
     }
 
-    async function saveSettings(newSettings) {
-        await GM_setValue(SETTINGS_STORAGE_KEY, JSON.stringify(newSettings));
-        settings = newSettings;
+    defineModule({ id: 'palm-rejection', init: initializePalmRejection });
+
+    /* -------------------- 手写笔画模型 -------------------- */
+    // 站点自己负责在手写板上绘图；这里在画布上旁听指针事件，把每一笔记录为画布像素坐标下的点列与笔画样式，
+    // 供草稿、撤销与橡皮擦等功能使用。需要改动笔画时用 setBoardStrokes 替换模型并重绘到站点的画布上，提交的内容随之一致。
+    // 重绘前画布上已有的内容（如站点载入的已提交作答）在第一次落笔时保存为底图，重绘时先画回底图。
+    // 笔画：{ points: [[x, y], ...], style: { color, width, cap, join, composite } }
+    const strokeBoards = new WeakMap(); // 手写板 → { canvas, strokes, current, base }
+    const strokeListeners = [];
+
+    // listener(board, state, reason)：reason 为 'draw'（画完一笔）或调用 setBoardStrokes 时给出的原因
+    function onStrokesChange(listener) { strokeListeners.push(listener); }
+
+    function notifyStrokesChange(board, reason) {
+        const state = strokeBoards.get(board);
+        strokeListeners.forEach(listener => {
+            try { listener(board, state, reason); } catch (err) { console.error('笔画变化处理失败:', err); }
+        });
     }
 
-    /* THIS FUNCTION IS DEPRECATED.
-    function updateConditionalStyles(currentSettings) {
-        let styleEl = document.getElementById('tampermonkey-conditional-styles');
-        if (!styleEl) { styleEl = document.createElement('style'); styleEl.id = 'tampermonkey-conditional-styles'; document.head.appendChild(styleEl); }
-        let cssText = '';
-        if (currentSettings.forceShowPDFButtons) { cssText += `[hidden]:not(#errorWrapper), button.hidden, div#editorModeButtons.hidden { display: block !important; }`; }
-        styleEl.textContent = cssText;
-    }*/
+    function getBoardStrokes(board) { const state = strokeBoards.get(board); return state ? state.strokes : []; }
 
-    function initializePdfIframeObserver() {
-    const forceShowPDFButtonsCSS = '[hidden]:not(#errorWrapper), button.hidden, div#editorModeButtons.hidden { display: block !important; }';
-
-    function injectFix(iframe) {
-        // 再次确认设置是否开启，并确保iframe内容可访问
-        if (settings.forceShowPDFButtons && iframe.contentDocument) {
-            const styleId = 'tampermonkey-pdf-button-fix';
-            // 如果样式已注入，则不再重复操作
-            if (iframe.contentDocument.getElementById(styleId)) return;
-
-            const style = iframe.contentDocument.createElement('style');
-            style.id = styleId;
-            style.textContent = forceShowPDFButtonsCSS;
-            iframe.contentDocument.head.appendChild(style);
-        }
+    // 布局尚未完成（宽高为 0）时按 1:1 换算
+    function canvasPointFromEvent(canvas, event) {
+        const rect = canvas.getBoundingClientRect();
+        const scaleX = rect.width ? canvas.width / rect.width : 1, scaleY = rect.height ? canvas.height / rect.height : 1;
+        return [Math.round((event.clientX - rect.left) * scaleX * 10) / 10, Math.round((event.clientY - rect.top) * scaleY * 10) / 10];
     }
 
-    // 创建一个MutationObserver来监听iframe的动态添加
-    const observer = new MutationObserver(mutations => {
-        for (const mutation of mutations) {
-            mutation.addedNodes.forEach(node => {
-                if (node.nodeType === 1) { // 确保是元素节点
-                    if (node.tagName === 'IFRAME') {
-                        node.addEventListener('load', () => injectFix(node));
-                    }
-                    // 检查新添加的节点内部是否包含iframe
-                    node.querySelectorAll('iframe').forEach(iframe => {
-                        iframe.addEventListener('load', () => injectFix(iframe));
-                    });
-                }
-            });
-        }
-    });
+    // 点到线段的距离，用于橡皮擦命中与直线判断
+    function pointSegmentDistance([px, py], [ax, ay], [bx, by]) {
+        const dx = bx - ax, dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared)) : 0;
+        return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+    }
 
-    observer.observe(document.body, { childList: true, subtree: true });
+    // 画完一笔时读取站点为画布设置的样式，重绘时原样使用
+    function currentStrokeStyle(canvas) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return { color: '#000000', width: 2, cap: 'round', join: 'round', composite: 'source-over' };
+        return { color: ctx.strokeStyle, width: ctx.lineWidth, cap: ctx.lineCap, join: ctx.lineJoin, composite: ctx.globalCompositeOperation };
+    }
 
-    // 为脚本运行时页面上已经存在的iframe注入样式
-    document.querySelectorAll('iframe').forEach(iframe => {
-        if (iframe.contentDocument && iframe.contentDocument.readyState === 'complete') {
-            injectFix(iframe);
+    function drawStroke(ctx, stroke) {
+        const [first, ...rest] = stroke.points;
+        if (!first) return;
+        ctx.save();
+        Object.assign(ctx, { strokeStyle: stroke.style.color, fillStyle: stroke.style.color, lineWidth: stroke.style.width, lineCap: stroke.style.cap, lineJoin: stroke.style.join, globalCompositeOperation: stroke.style.composite });
+        ctx.beginPath();
+        if (rest.length === 0) {
+            // 单击留下的点
+            ctx.arc(first[0], first[1], stroke.style.width / 2, 0, Math.PI * 2);
+            ctx.fill();
         } else {
-            iframe.addEventListener('load', () => injectFix(iframe));
+            ctx.moveTo(first[0], first[1]);
+            rest.forEach(([x, y]) => ctx.lineTo(x, y));
+            ctx.stroke();
         }
-    });
+        ctx.restore();
     }
 
+    // 模型中还没有笔画时，画布上的内容都来自站点；跨域图片污染画布时无法读取，此时没有底图
+    function captureCanvasBase(state) {
+        if (state.base || state.strokes.length) return;
+        const ctx = state.canvas.getContext('2d');
+        try { state.base = ctx ? ctx.getImageData(0, 0, state.canvas.width, state.canvas.height) : null; } catch (e) { state.base = null; }
+    }
 
-
-function initializeAnswerAreaObserver() {
-    // 1. 检查总开关
-    if (!settings.autoExpandAnswerArea) {
-        return;
+    function renderBoardStrokes(board) {
+        const state = strokeBoards.get(board);
+        const ctx = state && state.canvas.getContext('2d');
+        if (!ctx) return;
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, state.canvas.width, state.canvas.height);
+        const { base } = state;
+        if (base && base.width === state.canvas.width && base.height === state.canvas.height) ctx.putImageData(base, 0, 0);
+        ctx.restore();
+        state.strokes.forEach(stroke => drawStroke(ctx, stroke));
     }
 
-    let sentinelObserver = null;
-    let buttonObserver = null;
+    function setBoardStrokes(board, strokes, reason) {
+        const state = strokeBoards.get(board);
+        if (!state) return;
+        captureCanvasBase(state);
+        state.strokes = strokes;
+        state.current = null;
+        renderBoardStrokes(board);
+        notifyStrokesChange(board, reason);
+    }
 
+    // 记录一笔已经画在画布上的笔画（站点画的，或缩放时由脚本代画的）
+    function addBoardStroke(board, stroke) {
+        const state = strokeBoards.get(board);
+        if (!state) return;
+        state.strokes.push(stroke);
+        notifyStrokesChange(board, 'draw');
+    }
 
-    // 2. 核心功能：检查并点击按钮（保持不变）
-    function checkAndClickButtons() {
-        const buttons = document.querySelectorAll('button.ant-btn');
-        buttons.forEach(btn => {
-            if (btn.innerText.trim().endsWith('答题区') && !btn.classList.contains('ant-btn-primary')) {
-                btn.click();
-            }
+    function initializeStrokeModel() {
+        registerCanvasTool({
+            id: 'strokes',
+            attach(board) {
+                const canvas = board.querySelector('canvas');
+                if (!canvas) return;
+                const state = { canvas, strokes: [], current: null, base: null };
+                strokeBoards.set(board, state);
+                // 在画布上监听：被“仅手写笔书写”拦下的触碰到不了这里，也就不会被记录
+                canvas.addEventListener('pointerdown', event => {
+                    if (state.current || event.button > 0) return;
+                    captureCanvasBase(state);
+                    state.current = { pointerId: event.pointerId, points: [canvasPointFromEvent(canvas, event)] };
+                });
+                canvas.addEventListener('pointermove', event => {
+                    if (state.current && state.current.pointerId === event.pointerId) state.current.points.push(canvasPointFromEvent(canvas, event));
+                });
+                const finish = event => {
+                    if (!state.current || state.current.pointerId !== event.pointerId) return;
+                    const { points } = state.current;
+                    state.current = null;
+                    if (event.type !== 'pointercancel') addBoardStroke(board, { points, style: currentStrokeStyle(canvas) });
+                };
+                // 抬笔可能发生在画布之外；手写板被站点移除后不再需要监听
+                const finishOutside = event => {
+                    if (!board.isConnected) { window.removeEventListener('pointerup', finishOutside); return; }
+                    if (event.target !== canvas) finish(event);
+                };
+                canvas.addEventListener('pointerup', finish);
+                canvas.addEventListener('pointercancel', finish);
+                window.addEventListener('pointerup', finishOutside);
+            },
         });
     }
 
-    // 3. 启动/停止核心功能的函数（保持不变）
-    function startFeature() {
-        if (buttonObserver) return;
-        checkAndClickButtons();
-        buttonObserver = new MutationObserver(checkAndClickButtons);
-        buttonObserver.observe(document.body, { childList: true, subtree: true });
+    defineModule({ id: 'canvas-strokes', init: initializeStrokeModel });
+
+    /* -------------------- 手写草稿 -------------------- */
+    // 每画完一笔就把手写板上的笔画存入 IndexedDB（drafts 仓库），按“所在目录节点 + 第几个手写板”区分题目；
+    // 同一道题的手写板再次出现时在工具栏中询问是否恢复。恢复前的新笔画不会覆盖已保存的草稿
+    const DRAFT_SAVE_DELAY = 300;
+    const DRAFT_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 超过 30 天未更新的草稿在启动时清理
+    const draftBoards = new WeakMap(); // 手写板 → { key, title, status, pending, save }
+    const pendingDraftSaves = new Set(); // 尚未写入的保存，页面关闭前立即写入
+
+    function loadDraft(key) { return idbRun('drafts', 'readonly', store => store.get(key)); }
+
+    function deleteDraft(key) { return idbRun('drafts', 'readwrite', store => store.delete(key)); }
+
+    function formatDraftTime(timestamp) { return new Date(timestamp).toTimeString().slice(0, 5); }
+
+    // 题目以当前选中的目录节点标识：有目录 ID 时用 ID，否则用完整路径文字；尚未选中任何节点时返回 null
+    function draftQuestionKey(board) {
+        const selected = document.querySelector('.ant-tree-node-selected');
+        const path = captureCurrentPath();
+        if (!selected || !path) return null;
+        const text = cleanInnerText(selected);
+        const step = path.find(item => item.text === text && item.selector.startsWith('span'));
+        if (!step) return null;
+        const index = [...document.querySelectorAll(ANSWER_CANVAS_SELECTOR)].indexOf(board);
+        const question = board.closest('.question');
+        const heading = question && question.querySelector('h3');
+        return {
+            key: `${step.catalogId ?? path.map(item => item.text).join('/')}#${index}`,
+            title: heading && heading.textContent.trim() ? `${text} · ${heading.textContent.trim()}` : `${text} · 第 ${index + 1} 个手写板`,
+        };
+    }
+
+    function setDraftStatus(draft, text) {
+        draft.status.textContent = text;
+        draft.status.hidden = !text || !settings.enableStrokeDrafts;
+    }
 
+    async function saveDraft(board, draft) {
+        pendingDraftSaves.delete(draft.flush);
+        const state = strokeBoards.get(board);
+        if (!state) return;
+        if (state.strokes.length === 0) { await deleteDraft(draft.key); setDraftStatus(draft, ''); return; }
+        const savedAt = Date.now();
+        await idbRun('drafts', 'readwrite', store => store.put({ key: draft.key, title: draft.title, strokes: state.strokes, width: state.canvas.width, height: state.canvas.height, savedAt }));
+        setDraftStatus(draft, `草稿已保存 ${formatDraftTime(savedAt)}`);
     }
 
-    function stopFeature() {
-        if (buttonObserver) {
-            buttonObserver.disconnect();
-            buttonObserver = null;
-        }
+    // 画布尺寸与保存时不同（如窗口宽度变化）时按比例缩放
+    function scaleDraftStrokes(record, canvas) {
+        const scaleX = record.width ? canvas.width / record.width : 1, scaleY = record.height ? canvas.height / record.height : 1;
+        if (scaleX === 1 && scaleY === 1) return record.strokes;
+        return record.strokes.map(stroke => ({
+            points: stroke.points.map(([x, y]) => [x * scaleX, y * scaleY]),
+            style: { ...stroke.style, width: stroke.style.width * Math.min(scaleX, scaleY) },
+        }));
+    }
 
+    function showDraftPrompt(board, draft, record, toolbar) {
+        draft.pending = true;
+        const prompt = document.createElement('span');
+        prompt.className = 'draft-prompt';
+        prompt.innerHTML = `<span>有 ${formatDraftTime(record.savedAt)} 保存的草稿</span><button type="button" class="canvas-tool draft-restore">恢复</button><button type="button" class="canvas-tool draft-discard">丢弃</button>`;
+        prompt.querySelector('.draft-restore').addEventListener('click', () => {
+            prompt.remove();
+            draft.pending = false;
+            const state = strokeBoards.get(board);
+            if (state) setBoardStrokes(board, [...scaleDraftStrokes(record, state.canvas), ...state.strokes], 'restore');
+        });
+        prompt.querySelector('.draft-discard').addEventListener('click', async () => {
+            prompt.remove();
+            try { await deleteDraft(draft.key); } catch (err) { console.error('丢弃草稿失败:', err); }
+            draft.pending = false;
+            // 询问期间画的笔画照常保存
+            if (getBoardStrokes(board).length) draft.save(); else setDraftStatus(draft, '');
+        });
+        toolbar.prepend(prompt);
     }
 
-    // 4. 新的、更精准的“哨兵”设置函数
-    function setupSentinel(contentElement) {
-        // 如果已存在哨兵，先断开，以防重复
-        if (sentinelObserver) {
-            sentinelObserver.disconnect();
-        }
+    async function attachStrokeDrafts(board, toolbar) {
+        const question = draftQuestionKey(board);
+        if (!question || !strokeBoards.has(board)) return;
+        const status = document.createElement('span');
+        status.className = 'draft-status';
+        status.hidden = true;
+        toolbar.prepend(status);
+        const draft = { ...question, status, pending: false };
+        draft.flush = () => saveDraft(board, draft).catch(err => console.error('草稿保存失败:', err));
+        const save = debounce(draft.flush, DRAFT_SAVE_DELAY);
+        draft.save = () => { pendingDraftSaves.add(draft.flush); save(); };
+        draftBoards.set(board, draft);
+        if (!settings.enableStrokeDrafts) return;
+        const record = await loadDraft(draft.key);
+        if (record && record.strokes.length && board.isConnected) showDraftPrompt(board, draft, record, toolbar);
+    }
 
-        // 创建哨兵，它的任务现在是观察 .content 内部
-        sentinelObserver = new MutationObserver(() => {
-            if (contentElement.querySelector('.top')) {
-                startFeature();
-            } else {
-                stopFeature();
-            }
+    async function clearAllDrafts() {
+        if (!confirm('确定要删除所有题目的手写草稿吗？')) return;
+        await idbRun('drafts', 'readwrite', store => store.clear());
+        document.querySelectorAll('.draft-prompt').forEach(prompt => prompt.remove());
+        document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(board => {
+            const draft = draftBoards.get(board);
+            if (draft) { draft.pending = false; setDraftStatus(draft, ''); }
         });
+    }
 
-        // 启动哨兵
-        sentinelObserver.observe(contentElement, { childList: true, subtree: true });
+    async function pruneDrafts() {
+        const expiredBefore = Date.now() - DRAFT_MAX_AGE;
+        const records = await idbRun('drafts', 'readonly', store => store.getAll());
+        const expired = records.filter(record => !(record.savedAt > expiredBefore));
+        if (expired.length) await idbRun('drafts', 'readwrite', store => { expired.forEach(record => store.delete(record.key)); });
+    }
 
-        // 立即检查一次初始状态
-        if (contentElement.querySelector('.top')) {
-            startFeature();
-        } else {
-            stopFeature();
-        }
+    function initializeStrokeDrafts() {
+        registerCanvasTool({
+            id: 'stroke-drafts',
+            attach(board, toolbar) { attachStrokeDrafts(board, toolbar).catch(err => console.error('读取手写草稿失败:', err)); },
+        });
+        onStrokesChange(board => {
+            const draft = draftBoards.get(board);
+            if (draft && !draft.pending && settings.enableStrokeDrafts) draft.save();
+        });
+        window.addEventListener('pagehide', () => { [...pendingDraftSaves].forEach(flush => flush()); });
+        pruneDrafts().catch(err => console.warn('[StrokeDrafts] 清理过期草稿失败:', err));
+        registerCommand({ id: 'canvas.clearDrafts', title: '删除所有手写草稿', keywords: 'draft handwriting caogao', run: clearAllDrafts });
+
+        return {
+            onSettingsChange() {
+                document.querySelectorAll('.draft-status').forEach(status => { status.hidden = !status.textContent || !settings.enableStrokeDrafts; });
+                if (settings.enableStrokeDrafts) return;
+                document.querySelectorAll('.draft-prompt').forEach(prompt => prompt.remove());
+                document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(board => { const draft = draftBoards.get(board); if (draft) draft.pending = false; });
+            },
+        };
     }
 
-    // 5. 创建一个“容器”观察者，它的唯一任务是寻找 .content 元素
-    const containerObserver = new MutationObserver(() => {
-        const contentEl = document.querySelector('div.content');
-        if (contentEl) {
-            // 找到 .content 后，为它设置哨兵
-            setupSentinel(contentEl);
-            // 任务完成，断开这个容器观察者，因为它是一次性的
-            containerObserver.disconnect();
-        }
+    defineModule({
+        id: 'stroke-drafts',
+        styles: `
+            .draft-status { align-self: center; margin-right: auto; color: #9ca3af; font-size: 0.75rem; }
+            .draft-prompt { display: inline-flex; align-items: center; gap: 6px; margin-right: auto; color: #374151; font-size: 0.8rem; }
+        `,
+        init: initializeStrokeDrafts,
     });
 
-    // 6. 启动流程
-    const initialContentEl = document.querySelector('div.content');
-    if (initialContentEl) {
-        // 如果 .content 已存在，直接设置哨兵
-        setupSentinel(initialContentEl);
-    } else {
-        // 如果不存在，则启动“容器”观察者去等待它出现
-        containerObserver.observe(document.body, { childList: true, subtree: true });
+    /* -------------------- 撤销与橡皮擦 -------------------- */
+    // 以整笔为单位撤销、重做与擦除：改动笔画模型后重绘到站点的画布上，提交的仍是站点自己的画布。
+    // Ctrl+Z / Ctrl+Shift+Z 作用于最近落笔的手写板；焦点在输入框中时不处理，不影响输入框自身的撤销，因此不放进全局快捷键
+    const STROKE_HISTORY_LIMIT = 100;
+    const ERASER_RADIUS = 8; // 画布像素，另加笔画自身宽度的一半
+    const strokeHistories = new WeakMap(); // 手写板 → { undo, redo, last, erasing, gestureRecorded, controls }
+    let activeStrokeBoard = null;
+
+    function strokeHitTest(stroke, point) {
+        const reach = ERASER_RADIUS + stroke.style.width / 2;
+        const { points } = stroke;
+        if (points.length === 1) return Math.hypot(point[0] - points[0][0], point[1] - points[0][1]) <= reach;
+        return points.slice(1).some((next, index) => pointSegmentDistance(point, points[index], next) <= reach);
     }
-}
-
-    /* -------------------- 设置页面逻辑 -------------------- */
-    let settingsPage = null;
 
-    function createSettingsPage() {
-        if (settingsPage) return;
-        settingsPage = document.createElement('div');
-        settingsPage.className = 'settings-page-container';
-        const content = `
-            <div class="settings-page-content">
-                <div class="settings-header"><h1>插件设置</h1><button class="close-btn">返回</button></div>
-                <div id="settings-list"></div>
-                <div class="settings-footer">
-                    <p style="color:black">Note: 修改设置后需手动刷新页面方可生效。</p>
-                    <p>This software is developed under the joint effort of @c-jeremy, Aaron Tang ("ts"), and @ZhongChuTaFei.</p>
-                    <p>Special credits given to Gemini 2.5 Pro & Claude 4.5 Sonnet.</p>
-                    <p>Special thanks to Geeker LStar, who although never contributed to this project, played a vital role in making this all possible.</p>
-                </div>
-            </div>`;
-        settingsPage.innerHTML = content;
-        document.body.appendChild(settingsPage);
+    function isErasing(board) { const history = strokeHistories.get(board); return !!(history && history.erasing); }
 
-        const settingsList = settingsPage.querySelector('#settings-list');
-        const settingDefs = {
-            autoLogin: { title: '自动登录', desc: '在登录页面自动点击“开始使用”，跳过手动操作。' },
-            enableHandwritingFix: { title: '手写优化', desc: '防止在平板或手机上手写时，因误触导致页面滚动或刷新。' },
-            forceShowPDFButtons: { title: '强制下载', desc: '确保PDF阅读器中的下载、打印等按钮始终可见。<br>开启则表示你愿意为所有下载行为负责，并且已经解除了下列开发者对你下载行为的责任。' },
-            enableSmartHints: { title: '智能提示', desc: '在您可能需要时（如首次使用、长时间停留），主动提示相关功能。' },
-            enableMockEnhance: { title: '图片极速上传', desc: '拦截增强图片请求，从而使上传图片用时减少80%以上。' },
-            enableAnswerForce: { title: '强制显示答案', desc: '自动修改题目数据，强制显示“查看答案”等通常被隐藏的按钮。<br>开启即表示你完全对你的行为负责。' },
-            autoExpandAnswerArea: { title: '自动展开答题区', desc: '在题目页面自动点击“显示答题区”按钮，免去手动操作。' }
-        };
+    function updateHistoryControls(history) {
+        if (!history.controls) return;
+        const { undo, redo, eraser } = history.controls;
+        undo.disabled = history.undo.length === 0;
+        redo.disabled = history.redo.length === 0;
+        eraser.classList.toggle('active', history.erasing);
+        eraser.setAttribute('aria-pressed', String(history.erasing));
+    }
 
-        for (const key in settingDefs) {
-            const def = settingDefs[key];
-            const item = document.createElement('div');
-            item.className = 'setting-item';
-            item.innerHTML = `<div class="setting-text"><h3>${def.title}</h3><p>${def.desc}</p></div><label class="toggle-switch"><input type="checkbox" id="setting-${key}" ${settings[key] ? 'checked' : ''}><span class="toggle-slider"></span></label>`;
-            settingsList.appendChild(item);
-            item.querySelector(`#setting-${key}`).addEventListener('change', async function() {
-                const newSettings = await getSettings();
-                newSettings[key] = this.checked;
-                await saveSettings(newSettings);
-                updateConditionalStyles(newSettings);
-                GM_notification({ title: '设置已保存', text: `“${def.title}”已${this.checked ? '开启' : '关闭'}。`, timeout: 2000 });
-            });
+    // 撤销、重做以外的每次改动记为一步；一次橡皮擦拖动中擦掉的多笔合为一步，画完后被吸附拉直的一笔与画这一笔合为一步
+    function recordStrokeChange(board, state, reason) {
+        const history = strokeHistories.get(board);
+        if (!history) return;
+        if (!['undo', 'redo', 'snap'].includes(reason) && !(reason === 'erase' && history.gestureRecorded)) {
+            history.undo.push(history.last);
+            if (history.undo.length > STROKE_HISTORY_LIMIT) history.undo.shift();
+            history.redo = [];
+            if (reason === 'erase') history.gestureRecorded = true;
         }
-        settingsPage.querySelector('.close-btn').addEventListener('click', () => { window.history.back(); });
+        history.last = state.strokes.slice();
+        updateHistoryControls(history);
     }
 
-    function destroySettingsPage() {
-        if (settingsPage) { settingsPage.remove(); settingsPage = null; }
-        const appElement = document.querySelector('.app');
-        if (appElement) appElement.style.display = '';
+    function undoStrokes(board = activeStrokeBoard) {
+        const history = board && strokeHistories.get(board);
+        if (!history || history.undo.length === 0) return false;
+        history.redo.push(history.last);
+        setBoardStrokes(board, history.undo.pop(), 'undo');
+        return true;
     }
 
-    function handleHashChange() {
-        if (window.location.hash === '#/settings/plugin') {
-            const appElement = document.querySelector('.app');
-            if (appElement) appElement.style.display = 'none';
-            createSettingsPage();
-        } else { destroySettingsPage(); }
+    function redoStrokes(board = activeStrokeBoard) {
+        const history = board && strokeHistories.get(board);
+        if (!history || history.redo.length === 0) return false;
+        history.undo.push(history.last);
+        setBoardStrokes(board, history.redo.pop(), 'redo');
+        return true;
     }
 
-    function setupSettingsListener() {
-        window.addEventListener('hashchange', handleHashChange);
-        handleHashChange();
+    function createHistoryButton(className, label, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `canvas-tool ${className}`;
+        button.title = title;
+        button.textContent = label;
+        return button;
     }
 
-    /* -------------------- DOM 注入与功能初始化 -------------------- */
-    function injectPillAndDrawers() {
-        if (!document.getElementById('rebootOverlay')) { const rebootOverlay = document.createElement('div'); rebootOverlay.className = 'reboot-overlay'; rebootOverlay.id = 'rebootOverlay'; document.documentElement.appendChild(rebootOverlay); }
-        if (!document.getElementById('scanline')) { const scanline = document.createElement('div'); scanline.className = 'scanline'; scanline.id = 'scanline'; document.documentElement.appendChild(scanline); }
-        if (!document.getElementById('pillMenu')) {
-            const pillHTML = `
-                <div class="pill-container" id="pillMenu" role="button" aria-label="Pill Menu">
-                    <div class="pill-icon">
-                        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                            <line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line>
-                        </svg>
-                    </div>
-                    <div class="pill-message"><span class="message-text"></span></div>
-                    <div class="pill-buttons" id="pillButtons">
-                        <button class="pill-button" title="Bookmarks" aria-label="Bookmarks"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path></svg></button>
-                        <button class="pill-button" title="Add to Bookmarks" aria-label="Add to Bookmarks"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path><line x1="12" y1="7" x2="12" y2="13"></line><line x1="9" y1="10" x2="15" y2="10"></line></svg></button>
-                        <button class="pill-button" title="Search" aria-label="Search"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg></button>
-                        <button class="pill-button" title="Reload" aria-label="Reload"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.2"></path></svg></button>
-                        <button class="pill-button" title="Settings" aria-label="Settings"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12.22 2h-.44a2 2 0 0 0-2 2v.18a2 2 0 0 1-1 1.73l-.43.25a2 2 0 0 1-2 0l-.15-.08a2 2 0 0 0-2.73.73l-.22.38a2 2 0 0 0 .73 2.73l.15.1a2 2 0 0 1 1 1.72v.51a2 2 0 0 1-1 1.74l-.15.09a2 2 0 0 0-.73 2.73l.22.38a2 2 0 0 0 2.73.73l.15-.08a2 2 0 0 1 2 0l.43.25a2 2 0 0 1 1 1.73V20a2 2 0 0 0 2 2h.44a2 2 0 0 0 2-2v-.18a2 2 0 0 1 1-1.73l.43-.25a2 2 0 0 1 2 0l.15.08a2 2 0 0 0 2.73-.73l.22-.39a2 2 0 0 0-.73-2.73l-.15-.08a2 2 0 0 1-1-1.74v-.5a2 2 0 0 1 1-1.74l.15-.09a2 2 0 0 0 .73-2.73l-.22-.38a2 2 0 0 0-2.73-.73l-.15.08a2 2 0 0 1-2 0l-.43-.25a2 2 0 0 1-1-1.73V4a2 2 0 0 0-2-2z"></path><circle cx="12" cy="12" r="3"></circle></svg></button>
-                    </div>
-                </div>`;
-            const wrapper = document.createElement('div');
-            wrapper.innerHTML = pillHTML;
-            document.body.appendChild(wrapper.firstElementChild);
+    function attachStrokeEditing(board, toolbar) {
+        const canvas = board.querySelector('canvas');
+        if (!canvas || !strokeBoards.has(board)) return;
+        const history = { undo: [], redo: [], last: getBoardStrokes(board).slice(), erasing: false, gestureRecorded: false, controls: null };
+        strokeHistories.set(board, history);
+        let eraserPointer = null;
+
+        function eraseAt(event) {
+            const point = canvasPointFromEvent(canvas, event);
+            const strokes = getBoardStrokes(board);
+            const remaining = strokes.filter(stroke => !strokeHitTest(stroke, point));
+            if (remaining.length !== strokes.length) setBoardStrokes(board, remaining, 'erase');
+        }
+
+        // 橡皮擦模式下手写板上的指针、触摸与鼠标事件都不交给站点，避免留下笔迹
+        function handleEraserEvent(event) {
+            if (event.type === 'pointerdown') activeStrokeBoard = board;
+            if (!history.erasing) return;
+            if (event.cancelable) event.preventDefault();
+            event.stopImmediatePropagation();
+            if (event.type === 'pointerdown' && eraserPointer === null) {
+                eraserPointer = event.pointerId;
+                history.gestureRecorded = false;
+                eraseAt(event);
+            } else if (event.type === 'pointermove' && event.pointerId === eraserPointer) eraseAt(event);
+            else if ((event.type === 'pointerup' || event.type === 'pointercancel') && event.pointerId === eraserPointer) eraserPointer = null;
         }
-        (function initializeDrawers() { if (document.getElementById('favorites-drawer')) return; favoritesOverlay = document.createElement('div'); favoritesOverlay.className = 'drawer-overlay'; favoritesDrawer = document.createElement('div'); favoritesDrawer.id = 'favorites-drawer'; favoritesDrawer.className = 'bottom-sheet-drawer'; favoritesDrawer.innerHTML = `<div class="drawer-header"><h2>收藏夹</h2></div><div class="drawer-content"><ul></ul></div>`; favoritesList = favoritesDrawer.querySelector('.drawer-content ul'); nextStepOverlay = document.createElement('div'); nextStepOverlay.className = 'drawer-overlay'; nextStepDrawer = document.createElement('div'); nextStepDrawer.id = 'next-step-drawer'; nextStepDrawer.className = 'bottom-sheet-drawer'; nextStepDrawer.innerHTML = `<div class="drawer-header"><h2>下一步…</h2></div><div class="drawer-content"><ul></ul></div>`; nextStepList = nextStepDrawer.querySelector('.drawer-content ul'); document.body.append(favoritesOverlay, favoritesDrawer, nextStepOverlay, nextStepDrawer); favoritesOverlay.addEventListener('click', closeFavoritesDrawer); nextStepOverlay.addEventListener('click', closeNextStepDrawer); })();
+        ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'touchstart', 'touchmove', 'touchend', 'mousedown', 'mousemove', 'mouseup'].forEach(type => board.addEventListener(type, handleEraserEvent, { capture: true, passive: false }));
+
+        const undo = createHistoryButton('stroke-undo', '↶ 撤销', '撤销上一笔（Ctrl+Z）');
+        const redo = createHistoryButton('stroke-redo', '↷ 重做', '重做（Ctrl+Shift+Z）');
+        const eraser = createHistoryButton('stroke-eraser', '🧽 橡皮擦', '开启后划过的笔画整笔擦除');
+        undo.addEventListener('click', () => undoStrokes(board));
+        redo.addEventListener('click', () => redoStrokes(board));
+        eraser.addEventListener('click', () => { history.erasing = !history.erasing; updateHistoryControls(history); });
+        toolbar.append(undo, redo, eraser);
+        history.controls = { undo, redo, eraser };
+        updateHistoryControls(history);
     }
-// 新的双击处理函数，替换 setupMenuLongPress
 
-function setupMenuDoubleClick() {
+    function isStrokeUndoKey(event) { return (event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'z'; }
+
+    function initializeStrokeEditing() {
+        registerCanvasTool({ id: 'stroke-editing', attach: attachStrokeEditing });
+        onStrokesChange((board, state, reason) => {
+            if (reason === 'draw') activeStrokeBoard = board;
+            recordStrokeChange(board, state, reason);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.isComposing || !isStrokeUndoKey(e) || isEditableTarget(e.target)) return;
+            if (!activeStrokeBoard || !activeStrokeBoard.isConnected) return;
+            if (e.shiftKey ? redoStrokes() : undoStrokes()) e.preventDefault();
+        });
+        registerCommand({ id: 'canvas.undo', title: '撤销手写板上的上一笔', keywords: 'undo handwriting chexiao', run: () => undoStrokes() });
+        registerCommand({ id: 'canvas.redo', title: '重做手写板上的笔画', keywords: 'redo handwriting chongzuo', run: () => redoStrokes() });
+    }
 
-    // 依然使用事件委托，以处理动态加载的 .menu 元素
+    defineModule({ id: 'stroke-editing', init: initializeStrokeEditing });
 
-    document.body.addEventListener('dblclick', (event) => {
+    /* -------------------- 手写板辅助线 -------------------- */
+    // 在站点画布上方叠一层不接收指针事件的画布绘制辅助线，提交的仍是站点画布，不含辅助线。
+    // 辅助线按站点画布的像素坐标绘制，与笔画模型使用同一套坐标，直线吸附据此取格点
+    const GUIDE_SPACING = 24; // 格距，按屏幕像素计
+    const SNAP_STRAIGHTNESS = 0.06; // 笔画各点偏离首尾连线不超过其长度的这一比例时视为直线
+    const SNAPPABLE_GUIDES = ['grid', 'dotted', 'coordinate'];
+    const guideLayers = new WeakMap(); // 手写板 → 辅助线画布
 
-        // 检查双击事件是否起源于 .menu 内部
+    // 高分屏上画布像素多于屏幕像素，格距按比例放大；按未缩放时的显示宽度计算，双指缩放不改变格距。尚未布局时按 1:1
+    function guideSpacing(canvas) {
+        return GUIDE_SPACING * (canvas.offsetWidth ? canvas.width / canvas.offsetWidth : 1);
+    }
 
-        const menuElement = event.target.closest('.slider');
+    // 坐标系的原点取最靠近画布中心的格点
+    function guideOrigin(canvas, spacing) {
+        return [Math.round(canvas.width / 2 / spacing) * spacing, Math.round(canvas.height / 2 / spacing) * spacing];
+    }
 
-        if (menuElement) {
+    function drawGuideLines(ctx, width, height, spacing, { vertical = true, style }) {
+        ctx.strokeStyle = style;
+        ctx.beginPath();
+        for (let y = spacing; y < height; y += spacing) { ctx.moveTo(0, y); ctx.lineTo(width, y); }
+        if (vertical) for (let x = spacing; x < width; x += spacing) { ctx.moveTo(x, 0); ctx.lineTo(x, height); }
+        ctx.stroke();
+    }
 
-            // 关键：阻止双击的默认行为（例如，选择文本）
+    function renderGuide(board) {
+        const layer = guideLayers.get(board);
+        const canvas = board.querySelector('canvas:not(.canvas-guide)');
+        if (!layer || !canvas) return;
+        const guide = settings.canvasGuide;
+        layer.hidden = guide === 'none';
+        layer.width = canvas.width;
+        layer.height = canvas.height;
+        Object.assign(layer.style, { left: `${canvas.offsetLeft}px`, top: `${canvas.offsetTop}px`, width: `${canvas.offsetWidth}px`, height: `${canvas.offsetHeight}px` });
+        const ctx = layer.getContext('2d');
+        if (!ctx) return;
+        ctx.clearRect(0, 0, layer.width, layer.height);
+        if (guide === 'none') return;
+        const spacing = guideSpacing(canvas), scale = spacing / GUIDE_SPACING;
+        ctx.save();
+        ctx.lineWidth = scale;
+        if (guide === 'grid' || guide === 'coordinate') drawGuideLines(ctx, layer.width, layer.height, spacing, { style: 'rgba(59, 130, 246, 0.18)' });
+        else if (guide === 'ruled') drawGuideLines(ctx, layer.width, layer.height, spacing * 1.5, { vertical: false, style: 'rgba(59, 130, 246, 0.3)' });
+        else if (guide === 'dotted') {
+            ctx.fillStyle = 'rgba(75, 85, 99, 0.35)';
+            for (let y = spacing; y < layer.height; y += spacing) {
+                for (let x = spacing; x < layer.width; x += spacing) ctx.fillRect(x - scale, y - scale, 2 * scale, 2 * scale);
+            }
+        }
+        if (guide === 'coordinate') {
+            const [originX, originY] = guideOrigin(canvas, spacing);
+            ctx.strokeStyle = 'rgba(55, 65, 81, 0.6)';
+            ctx.lineWidth = 1.5 * scale;
+            ctx.beginPath();
+            ctx.moveTo(0, originY); ctx.lineTo(layer.width, originY);
+            ctx.moveTo(originX, 0); ctx.lineTo(originX, layer.height);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
 
-            event.preventDefault();
+    // 接近直线的笔画替换为首尾两点，两端取最近的格点；格点与辅助线同源，坐标系的原点也在格点上
+    function snapStroke(stroke, canvas) {
+        const { points } = stroke;
+        if (points.length < 2) return null;
+        const first = points[0], last = points[points.length - 1];
+        const length = Math.hypot(last[0] - first[0], last[1] - first[1]);
+        const spacing = guideSpacing(canvas);
+        if (length < spacing / 2) return null;
+        const straight = points.every(point => pointSegmentDistance(point, first, last) <= Math.max(length * SNAP_STRAIGHTNESS, 2));
+        if (!straight) return null;
+        const snap = ([x, y]) => [Math.round(x / spacing) * spacing, Math.round(y / spacing) * spacing];
+        return { ...stroke, points: [snap(first), snap(last)] };
+    }
 
-            event.stopPropagation(); // 阻止事件进一步冒泡
+    function snapLastStroke(board, state) {
+        if (!settings.snapToGrid || !SNAPPABLE_GUIDES.includes(settings.canvasGuide)) return;
+        const stroke = state.strokes[state.strokes.length - 1];
+        const snapped = stroke && snapStroke(stroke, state.canvas);
+        if (snapped) setBoardStrokes(board, [...state.strokes.slice(0, -1), snapped], 'snap');
+    }
 
-            // 呼出搜索栏
+    function updateGuideControls(toolbar) {
+        toolbar.querySelector('.guide-select').value = settings.canvasGuide;
+        const snap = toolbar.querySelector('.guide-snap');
+        snap.hidden = !SNAPPABLE_GUIDES.includes(settings.canvasGuide);
+        snap.classList.toggle('active', !!settings.snapToGrid);
+        snap.setAttribute('aria-pressed', String(!!settings.snapToGrid));
+    }
 
-            createSearchUI();
+    function attachCanvasGuide(board, toolbar) {
+        const canvas = board.querySelector('canvas');
+        if (!canvas) return;
+        const layer = document.createElement('canvas');
+        layer.className = 'canvas-guide';
+        layer.setAttribute('aria-hidden', 'true');
+        if (getComputedStyle(board).position === 'static') board.style.position = 'relative';
+        canvas.after(layer);
+        guideLayers.set(board, layer);
+        if (window.ResizeObserver) new ResizeObserver(() => renderGuide(board)).observe(canvas);
+
+        const select = document.createElement('select');
+        select.className = 'canvas-tool guide-select';
+        select.title = '辅助线（不会随作答提交）';
+        select.innerHTML = SETTING_FIELDS.canvasGuide.options.map(option => `<option value="${option.value}">${option.value === 'none' ? '无辅助线' : escapeHTML(option.label)}</option>`).join('');
+        select.addEventListener('change', () => updateSetting('canvasGuide', select.value).catch(err => console.error('切换辅助线失败:', err)));
+        const snap = document.createElement('button');
+        snap.type = 'button';
+        snap.className = 'canvas-tool guide-snap';
+        snap.title = '把接近直线的笔画拉直并吸附到格点';
+        snap.textContent = '📐 吸附';
+        snap.addEventListener('click', () => updateSetting('snapToGrid', !settings.snapToGrid).catch(err => console.error('切换直线吸附失败:', err)));
+        toolbar.append(select, snap);
+        updateGuideControls(toolbar);
+        renderGuide(board);
+    }
 
-        }
+    function initializeCanvasGuides() {
+        registerCanvasTool({ id: 'canvas-guides', attach: attachCanvasGuide });
+        onStrokesChange((board, state, reason) => { if (reason === 'draw') snapLastStroke(board, state); });
+        return {
+            onSettingsChange() {
+                document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(board => {
+                    if (!guideLayers.has(board)) return;
+                    renderGuide(board);
+                    updateGuideControls(canvasToolbars.get(board));
+                });
+            },
+        };
+    }
 
+    defineModule({
+        id: 'canvas-guides',
+        styles: `
+            .canvas-guide { position: absolute; pointer-events: none; }
+            .canvas-guide[hidden] { display: none; }
+            select.canvas-tool { padding-right: 6px; }
+        `,
+        init: initializeCanvasGuides,
     });
 
-}
-    function setupPillBehavior() {
-        const pillMenu = document.getElementById('pillMenu');
-        if (!pillMenu) return;
-        const rebootOverlay = document.getElementById('rebootOverlay'), scanline = document.getElementById('scanline');
-        const bookmarksBtn = pillMenu.querySelector('button[title="Bookmarks"]'), addBookmarkBtn = pillMenu.querySelector('button[title="Add to Bookmarks"]'), reloadBtn = pillMenu.querySelector('button[title="Reload"]'), settingsBtn = pillMenu.querySelector('button[title="Settings"]');
-        const searchBtn = pillMenu.querySelector('button[title="Search"]');
-        if (bookmarksBtn) { bookmarksBtn.addEventListener('click', (e) => { e.stopPropagation(); openFavoritesDrawer(); }); }
-        if (searchBtn) { searchBtn.addEventListener('click', (e) => { e.stopPropagation(); createSearchUI(); }); }
-        if (addBookmarkBtn) { const originalAddIconHTML = addBookmarkBtn.innerHTML; const checkmarkSVG = `<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>`; addBookmarkBtn.addEventListener('click', (e) => { e.stopPropagation(); addCurrentPathToFavorites(); addBookmarkBtn.innerHTML = checkmarkSVG; setTimeout(() => { addBookmarkBtn.innerHTML = originalAddIconHTML; }, 1000); }); }
-        if (reloadBtn) { const originalReloadIconHTML = reloadBtn.innerHTML; const loadingIconHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="animation: spin 1s linear infinite;"><path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.2"></path></svg>`; reloadBtn.addEventListener('click', async (e) => { e.stopPropagation(); if (reloadBtn.disabled) return; reloadBtn.disabled = true; reloadBtn.innerHTML = loadingIconHTML; try { const pathJSON = await GM_getValue(PATH_STORAGE_KEY, null); if (!pathJSON || pathJSON === 'null') { GM_notification({ title: '提示', text: '尚未记录任何路径可供回放。', timeout: 3000 }); return; } const path = JSON.parse(pathJSON); await replayPath(path); } catch (error) { console.error('路径回放失败:', error); } finally { reloadBtn.disabled = false; reloadBtn.innerHTML = originalReloadIconHTML; } }); }
-        if (settingsBtn) { settingsBtn.addEventListener('click', (e) => { e.stopPropagation(); window.location.hash = '#/settings/plugin'; }); }
-        let singleClickTimer = null, isAnimating = false;
-        function performLogoutRequest() { return new Promise((resolve) => { GM_xmlhttpRequest({ method: 'GET', url: 'https://bdfz.xnykcxt.com:5002/exam/login/api/logout', headers: { 'Accept': 'application/json, text/plain, */*', 'Cache-Control': 'no-cache' }, timeout: 5000, onload: (response) => { console.log('登出请求完成'); resolve(response); }, onerror: (error) => { console.warn('登出请求失败'); resolve(error); }, ontimeout: () => { console.warn('登出请求超时'); resolve(); } }); }); }
-        function initiateReboot() { isAnimating = true; pillMenu.classList.add('animating'); requestAnimationFrame(() => { pillMenu.style.animation = 'pill-implode 0.5s cubic-bezier(0.4, 0, 1, 1) forwards'; }); setTimeout(() => { requestAnimationFrame(() => { if (rebootOverlay) { rebootOverlay.style.animation = 'flash-reboot 0.8s ease-out forwards'; } setTimeout(() => { requestAnimationFrame(() => { if (scanline) { scanline.style.opacity = '1'; scanline.style.animation = 'scanline 0.6s ease-in forwards'; } }); }, 400); }); }, 300); setTimeout(() => { try { pillMenu.style.animation = ''; if (rebootOverlay) rebootOverlay.style.animation = ''; if (scanline) scanline.style.animation = ''; } catch (e) {} window.location.reload(); }, 900); }
-        function handleClick(e) {
-            if (isAnimating || e.target.closest('.pill-button') || e.target.closest('.message-text')) return;
-            if (pillMenu.classList.contains('show-message') || pillMenu.classList.contains('show-suggestion')) {
-                hidePillMessage();
-            }
-            clearTimeout(singleClickTimer);
-            singleClickTimer = setTimeout(() => { requestAnimationFrame(() => pillMenu.classList.toggle('expanded')); }, 200);
-        }
-        pillMenu.addEventListener('click', handleClick);
-        pillMenu.addEventListener('dblclick', async (e) => { e.stopPropagation(); e.preventDefault(); if (isAnimating || e.target.closest('.pill-button')) return; clearTimeout(singleClickTimer); try { await performLogoutRequest(); } catch (err) { console.warn('logout request failed:', err); } finally { initiateReboot(); } }, { passive: false });
-        ['mousedown', 'touchstart', 'touchend', 'touchmove'].forEach(evt => { pillMenu.addEventListener(evt, (ev) => { ev.stopPropagation(); }, { passive: false }); });
-        pillMenu.tabIndex = 0;
-        pillMenu.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); pillMenu.classList.toggle('expanded'); } else if ((e.key === 'Enter' && (e.ctrlKey || e.metaKey)) || e.key === 'F5') { e.preventDefault(); (async () => { if (isAnimating) return; await performLogoutRequest().catch(()=>{}); initiateReboot(); })(); } });
-        window.addEventListener('load', () => { setTimeout(() => { if (!pillMenu.classList.contains('expanded')) { pillMenu.style.willChange = 'auto'; } }, 1000); });
+    /* -------------------- 左侧菜单滑动指示条 -------------------- */
+    function setupMenuIndicator() {
+        const initialObserver = new MutationObserver((mutations, obs) => { const menu = document.querySelector('.menu'); if (menu) { setupSlidingIndicator(menu); obs.disconnect(); } });
+        initialObserver.observe(document.body, { childList: true, subtree: true });
+        function setupSlidingIndicator(menu) { if (menu.querySelector('.menu-active-indicator')) return; const indicator = document.createElement('div'); indicator.className = 'menu-active-indicator'; menu.prepend(indicator); const updateIndicator = () => { const activeElement = menu.querySelector('div.active'); if (activeElement) { indicator.style.top = `${activeElement.offsetTop}px`; indicator.style.height = `${activeElement.offsetHeight}px`; indicator.style.opacity = '1'; } else { indicator.style.opacity = '0'; } }; setTimeout(updateIndicator, 150); const menuObserver = new MutationObserver(() => updateIndicator()); menuObserver.observe(menu, { attributes: true, attributeFilter: ['class'], subtree: true }); window.addEventListener('resize', updateIndicator); }
+    }
+
+    defineModule({ id: 'menu-indicator', init: setupMenuIndicator });
+
+    /* -------------------- 自动登录 -------------------- */
+    function setupAutoLogin() {
+        window.addEventListener('load', function() {
+            if (location.pathname === '/stu/' && location.hash === '#/login') {
+                var loginButton = document.querySelector('.ant-btn-lg');
+                if (loginButton && loginButton.innerText.trim() === "开始使用") { console.log('找到了登录按钮，正在尝试点击...'); setTimeout(function() { loginButton.click(); }, settings.autoLoginDelay); }
+                else { console.log('未找到指定的登录按钮。'); }
+            } else { console.log('当前不是登录页，不执行自动登录。'); }
+        });
     }
 
+    // 只在页面加载时检查一次，开关变化在下次打开登录页时生效
+    defineModule({
+        id: 'auto-login',
+        init() { if (settings.autoLogin) setupAutoLogin(); },
+    });
+
     /* -------------------- 智能提示逻辑 -------------------- */
     let hintDismissTimer = null;
     let idleCheckTimer = null;
@@ -1130,9 +4019,10 @@ function setupMenuDoubleClick() {
             if (msgEl) msgEl.innerHTML = '';
         }
     }
-    async function setupSmartHints() {
+    function setupSmartHints() {
         const pillMenu = document.getElementById('pillMenu');
         if (!pillMenu) return;
+        let clickListener = null;
         const msgTextEl = pillMenu.querySelector('.message-text');
         const showPillMessage = ({ text, duration = 0, isSuggestion = false }) => {
             hidePillMessage();
@@ -1143,91 +4033,577 @@ function setupMenuDoubleClick() {
             }
         };
         const handleGreeting = async () => {
-            const greetingsDone = await GM_getValue(GREETINGS_DONE_KEY, false);
+            const greetingsDone = await readStore('greetingsDone');
             if (!greetingsDone) {
                 setTimeout(() => {
                     msgTextEl.onclick = () => { window.open('https://github.com/Jeremy-Cai/BDFZ-XNY', '_blank'); hidePillMessage(); };
                     showPillMessage({ text: '初次见面，请多关照', duration: 8000 });
-                    GM_setValue(GREETINGS_DONE_KEY, true);
+                    writeStore('greetingsDone', true);
                 }, 1500);
             }
         };
         const idleCheck = async () => {
             clearTimeout(idleCheckTimer);
+            if (!clickListener) return;
             idleCheckTimer = setTimeout(async () => {
                 const pillMenu = document.getElementById('pillMenu');
-// 如果Pill菜单不存在，或当前正在显示首次问候，则直接退出，不执行闲置检查
-if (!pillMenu || pillMenu.classList.contains('show-message')) {
-    return;
-}
+                // 如果Pill菜单不存在，或当前正在显示首次问候，则直接退出，不执行闲置检查
+                if (!pillMenu || pillMenu.classList.contains('show-message')) {
+                    return;
+                }
 
-const path = captureCurrentPath();
+                const path = captureCurrentPath();
                 const isAtRoot = !path || path.length < 2;
-                const pathExists = await GM_getValue(PATH_STORAGE_KEY, null);
+                const pathExists = !!(await readStore('lastPath'));
                 const reloadBtn = pillMenu.querySelector('button[title="Reload"]');
                 if (reloadBtn) reloadBtn.style.display = pathExists ? '' : 'none';
-                if (isAtRoot && !document.getElementById('favorites-drawer')?.classList.contains('open')) {
-                    showPillMessage({ text: '去哪里？', duration: 8000, isSuggestion: true });
+                if (isAtRoot && !document.querySelector('#favorites-drawer.open, #history-drawer.open')) {
+                    showPillMessage({ text: escapeHTML(settings.idleHintText), duration: 8000, isSuggestion: true });
                 }
-            }, 2000);
+            }, settings.idleHintDelay);
         };
-        window.addEventListener('load', () => {
+        const start = () => {
+            if (!clickListener) return; // 页面加载完成前已被关闭
             handleGreeting();
             idleCheck();
-        });
-        document.body.addEventListener('click', (event) => {
-            if (event.target.closest('.menu, .folder, .ant-tree-treenode, .drawer-overlay')) {
-                setTimeout(idleCheck, 500);
+        };
+        return {
+            enable() {
+                clickListener = (event) => {
+                    if (event.target.closest('.menu, .folder, .ant-tree-treenode, .drawer-overlay')) {
+                        setTimeout(idleCheck, 500);
+                    }
+                };
+                document.body.addEventListener('click', clickListener, true);
+                if (document.readyState === 'complete') start(); else window.addEventListener('load', start, { once: true });
+            },
+            disable() {
+                document.body.removeEventListener('click', clickListener, true);
+                clickListener = null;
+                clearTimeout(idleCheckTimer);
+                hidePillMessage();
+            }
+        };
+    }
+
+    // 依赖胶囊菜单，需排在 pill 模块之后初始化
+    defineModule({
+        id: 'hints',
+        setting: 'enableSmartHints',
+        styles: `
+            /* ========== Pill Hints CSS ========== */
+            .pill-message {
+                position: absolute;
+                left: 48px; /* 从圆形icon的边缘开始 */
+                top: 0;
+                height: 100%;
+                display: flex;
+                align-items: center;
+                padding-left: 12px; /* 文字与icon的间距 */
+                white-space: nowrap;
+                overflow: hidden;
+                max-width: 0;
+                opacity: 0;
+                transition: max-width 0.4s cubic-bezier(0.4, 0, 0.2, 1), opacity 0.3s ease;
+                will-change: max-width, opacity;
+                transform: translateZ(0);
+                color: #fff;
+                font-size: 14px;
+                pointer-events: none; /* 默认让鼠标事件穿透消息背景 */
             }
+            .pill-message .message-text {
+                pointer-events: auto; /* 恢复文本自身的点击能力 */
+            }
+            .pill-container.show-message, .pill-container.show-suggestion {
+                overflow: visible; /* 允许绝对定位的子元素溢出显示 */
+            }
+            .pill-container.show-message .pill-message, .pill-container.show-suggestion .pill-message {
+                max-width: 500px;
+                opacity: 1;
+            }
+            .pill-message .message-text {
+                cursor: pointer;
+                padding-right: 16px;
+            }
+            /* Suggestion state: show only specific buttons and hide others */
+            .pill-container.show-suggestion .pill-button {
+                display: none;
+            }
+            .pill-container.show-suggestion .pill-button[title="Bookmarks"],
+            .pill-container.show-suggestion .pill-button[title="Recent"],
+            .pill-container.show-suggestion .pill-button[title="Reload"] {
+                display: flex;
+            }
+        `,
+        init: setupSmartHints,
+    });
+
+    /* -------------------- 全局快捷键 -------------------- */
+    // 快捷键绑定到命令面板中的命令 ID；存储中只保存与默认值不同的绑定，空字符串表示取消绑定
+    const DEFAULT_HOTKEYS = {
+        'search.open': 'Ctrl+K',
+        'favorites.add': 'Ctrl+D',
+        'replay.last': 'Alt+ArrowLeft',
+        'page.hardRefresh': 'Ctrl+Shift+R',
+    };
+    const RESERVED_HOTKEYS = { '?': '显示快捷键列表', 'Escape': '关闭浮层' };
+    const HOTKEY_KEY_LABELS = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', ' ': 'Space' };
+    let hotkeys = { ...DEFAULT_HOTKEYS }; // 运行时缓存：命令 ID -> 组合键
+    let isRecordingHotkey = false; // 设置页录制快捷键时暂停全局响应
+
+    async function getHotkeys() { return { ...DEFAULT_HOTKEYS, ...(await readStore('hotkeys')) }; }
+
+    async function saveHotkey(commandId, combo) {
+        const overrides = await readStore('hotkeys');
+        if (combo === (DEFAULT_HOTKEYS[commandId] || '')) delete overrides[commandId]; else overrides[commandId] = combo;
+        await writeStore('hotkeys', overrides);
+        hotkeys = await getHotkeys();
+    }
+
+    // Mac 上的 Command 视同 Ctrl；单独按下修饰键时返回 null
+    function eventToHotkey(e) {
+        if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey) parts.push('Shift');
+        parts.push(e.key.length === 1 ? e.key.toUpperCase() : e.key);
+        return parts.join('+');
+    }
+
+    function formatHotkey(combo) { return combo.split('+').map(part => HOTKEY_KEY_LABELS[part] || part).join(' + '); }
+
+    // 返回错误提示，合法时返回 null；未带 Ctrl/Alt 的普通按键会和页面输入冲突，只允许功能键
+    function validateHotkey(commandId, combo) {
+        const parts = combo.split('+'), key = parts[parts.length - 1];
+        if (!parts.includes('Ctrl') && !parts.includes('Alt') && !/^F\d{1,2}$/.test(key)) return '需要包含 Ctrl 或 Alt（F1–F12 除外）。';
+        if (RESERVED_HOTKEYS[combo]) return `该按键已用于“${RESERVED_HOTKEYS[combo]}”。`;
+        const conflict = Object.keys(hotkeys).find(id => id !== commandId && hotkeys[id] === combo);
+        if (conflict) return `与“${commandRegistry.has(conflict) ? commandTitle(commandRegistry.get(conflict)) : conflict}”冲突。`;
+        return null;
+    }
+
+    function isEditableTarget(target) { return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)); }
+
+    function toggleHotkeyCheatsheet() {
+        const existing = document.getElementById('hotkey-cheatsheet');
+        if (existing) { existing.remove(); return; }
+        const overlay = document.createElement('div');
+        overlay.id = 'hotkey-cheatsheet';
+        overlay.className = 'hotkey-cheatsheet-overlay';
+        const rows = Array.from(commandRegistry.values()).filter(command => hotkeys[command.id]).map(command => `<div class="hotkey-cheatsheet-row"><span>${escapeHTML(commandTitle(command))}</span><kbd class="hotkey-keys">${escapeHTML(formatHotkey(hotkeys[command.id]))}</kbd></div>`);
+        Object.entries(RESERVED_HOTKEYS).forEach(([combo, label]) => rows.push(`<div class="hotkey-cheatsheet-row"><span>${label}</span><kbd class="hotkey-keys">${escapeHTML(formatHotkey(combo))}</kbd></div>`));
+        overlay.innerHTML = `<div class="hotkey-cheatsheet"><h2>键盘快捷键</h2>${rows.join('')}<div class="hotkey-cheatsheet-footer">可在插件设置中修改绑定；在搜索中输入 > 可执行全部命令。</div></div>`;
+        overlay.addEventListener('click', () => overlay.remove());
+        document.body.appendChild(overlay);
+    }
+
+    async function setupGlobalHotkeys() {
+        hotkeys = await getHotkeys();
+        // 捕获阶段监听，先于站点自身的键盘处理
+        document.addEventListener('keydown', (e) => {
+            if (isRecordingHotkey || e.isComposing) return;
+            const cheatsheet = document.getElementById('hotkey-cheatsheet');
+            if (cheatsheet && e.key === 'Escape') { cheatsheet.remove(); return; }
+            if (e.key === '?' && !e.ctrlKey && !e.metaKey && !e.altKey && !isEditableTarget(e.target)) { e.preventDefault(); toggleHotkeyCheatsheet(); return; }
+            const combo = eventToHotkey(e);
+            const commandId = combo && Object.keys(hotkeys).find(id => hotkeys[id] === combo);
+            const command = commandId && commandRegistry.get(commandId);
+            if (!command) return;
+            e.preventDefault();
+            e.stopPropagation();
+            if (cheatsheet) cheatsheet.remove();
+            Promise.resolve().then(() => command.run()).catch(err => console.error(`快捷键命令“${command.id}”执行失败:`, err));
         }, true);
     }
 
+    function renderHotkeySection(container) {
+        container.innerHTML = `
+            <h2 class="settings-section-title">快捷键</h2>
+            <div class="setting-text" style="padding-top:15px;"><p>点击按键后按下新的组合键即可修改，按 Esc 取消，按 Backspace 取消绑定。在页面任意位置按 ? 可查看全部快捷键。</p></div>
+            <div class="hotkey-list"></div>`;
+        const list = container.querySelector('.hotkey-list');
+        Array.from(commandRegistry.values()).forEach(command => {
+            const item = document.createElement('div');
+            item.className = 'hotkey-item';
+            item.innerHTML = `<div class="setting-text"><h3>${escapeHTML(commandTitle(command))}</h3><p class="hotkey-message"></p></div><div class="hotkey-controls"><button class="backup-btn hotkey-btn"></button><button class="backup-btn hotkey-reset">恢复默认</button></div>`;
+            const button = item.querySelector('.hotkey-btn'), resetBtn = item.querySelector('.hotkey-reset'), message = item.querySelector('.hotkey-message');
+            const refresh = () => {
+                const combo = hotkeys[command.id] || '';
+                button.textContent = combo ? formatHotkey(combo) : '未设置';
+                button.classList.toggle('unbound', !combo);
+                resetBtn.hidden = combo === (DEFAULT_HOTKEYS[command.id] || '');
+            };
+            const commit = async (combo) => {
+                const error = combo && validateHotkey(command.id, combo);
+                message.innerHTML = error ? `<span class="backup-error">${escapeHTML(error)}</span>` : '';
+                if (!error) await saveHotkey(command.id, combo);
+                refresh();
+            };
+            button.addEventListener('click', () => {
+                if (isRecordingHotkey) return;
+                isRecordingHotkey = true;
+                button.classList.add('recording');
+                button.textContent = '请按下组合键…';
+                message.innerHTML = '';
+                const onKeyDown = (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    if (e.key === 'Escape') return stop(null);
+                    if (e.key === 'Backspace' || e.key === 'Delete') return stop('');
+                    const combo = eventToHotkey(e);
+                    if (combo) stop(combo);
+                };
+                const stop = (combo) => {
+                    document.removeEventListener('keydown', onKeyDown, true);
+                    button.classList.remove('recording');
+                    isRecordingHotkey = false;
+                    if (combo === null) refresh(); else commit(combo);
+                };
+                document.addEventListener('keydown', onKeyDown, true);
+            });
+            resetBtn.addEventListener('click', () => commit(DEFAULT_HOTKEYS[command.id] || ''));
+            refresh();
+            list.appendChild(item);
+        });
+    }
 
-    function setupMenuIndicator() {
-        const initialObserver = new MutationObserver((mutations, obs) => { const menu = document.querySelector('.menu'); if (menu) { setupSlidingIndicator(menu); obs.disconnect(); } });
-        initialObserver.observe(document.body, { childList: true, subtree: true });
-        function setupSlidingIndicator(menu) { if (menu.querySelector('.menu-active-indicator')) return; const indicator = document.createElement('div'); indicator.className = 'menu-active-indicator'; menu.prepend(indicator); const updateIndicator = () => { const activeElement = menu.querySelector('div.active'); if (activeElement) { indicator.style.top = `${activeElement.offsetTop}px`; indicator.style.height = `${activeElement.offsetHeight}px`; indicator.style.opacity = '1'; } else { indicator.style.opacity = '0'; } }; setTimeout(updateIndicator, 150); const menuObserver = new MutationObserver(() => updateIndicator()); menuObserver.observe(menu, { attributes: true, attributeFilter: ['class'], subtree: true }); window.addEventListener('resize', updateIndicator); }
+    defineModule({
+        id: 'hotkeys',
+        styles: `
+    .hotkey-cheatsheet-overlay { position: fixed; inset: 0; background-color: rgba(255, 255, 255, 0.5); backdrop-filter: blur(12px); -webkit-backdrop-filter: blur(12px); z-index: 21000; display: flex; align-items: center; justify-content: center; }
+    .hotkey-cheatsheet { width: 90%; max-width: 480px; max-height: 70vh; overflow-y: auto; background-color: #f9f9f9; border-radius: 12px; box-shadow: 0 10px 30px rgba(0,0,0,0.15); padding: 20px 24px; }
+    .hotkey-cheatsheet h2 { margin: 0 0 12px; font-size: 1.05rem; color: #1f2937; }
+    .hotkey-cheatsheet-row { display: flex; justify-content: space-between; align-items: center; gap: 16px; padding: 6px 0; font-size: 0.9rem; color: #374151; }
+    .hotkey-cheatsheet-footer { margin-top: 12px; font-size: 0.75rem; color: #9ca3af; }
+    kbd.hotkey-keys { flex-shrink: 0; font-family: inherit; font-size: 0.8rem; padding: 2px 8px; border-radius: 6px; border: 1px solid #d1d5db; border-bottom-width: 2px; background-color: #fff; color: #1f2937; white-space: nowrap; }
+            .hotkey-item { display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 12px 0; border-bottom: 1px solid #eee; }
+            .hotkey-item .setting-text h3 { font-size: 1rem; margin: 0; }
+            .hotkey-item .setting-text p { font-size: 0.8rem; }
+            .hotkey-controls { display: flex; gap: 8px; flex-shrink: 0; }
+            .hotkey-btn { min-width: 120px; }
+            .hotkey-btn.recording { border-style: dashed; }
+            .hotkey-btn.unbound { color: #999; }
+        `,
+        async init() {
+            await setupGlobalHotkeys();
+            // 其他标签页改键后同步运行时缓存
+            GM_addValueChangeListener(STORAGE_KEYS.hotkeys, async (name, oldValue, newValue, remote) => {
+                if (remote) hotkeys = await getHotkeys();
+            });
+        },
+    });
+
+    /* -------------------- 数据导出与导入 -------------------- */
+    const BACKUP_FORMAT = 'pkus-xny-ultra-backup';
+    const BACKUP_SCHEMA_VERSION = 1; // 备份文件结构变化时递增，并在 validateBackupBundle 中兼容旧版本
+
+    async function buildBackupBundle() {
+        return {
+            format: BACKUP_FORMAT,
+            schemaVersion: BACKUP_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            data: {
+                favorites: await getFavorites(),
+                folders: await getFolders(),
+                lastPath: await readStore('lastPath'),
+                settings: await getSettings(),
+                greetingsDone: await readStore('greetingsDone'),
+            },
+        };
     }
 
-    function setupAutoLogin() {
-        window.addEventListener('load', function() {
-            if (location.pathname === '/stu/' && location.hash === '#/login') {
-                var loginButton = document.querySelector('.ant-btn-lg');
-                if (loginButton && loginButton.innerText.trim() === "开始使用") { console.log('找到了登录按钮，正在尝试点击...'); setTimeout(function() { loginButton.click(); }, 750); }
-                else { console.log('未找到指定的登录按钮。'); }
-            } else { console.log('当前不是登录页，不执行自动登录。'); }
+    // 校验备份文件并返回规范化后的数据；不合法时抛出附带中文说明的 Error
+    function validateBackupBundle(bundle) {
+        if (!bundle || typeof bundle !== 'object' || bundle.format !== BACKUP_FORMAT) throw new Error('这不是本插件导出的备份文件。');
+        if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) throw new Error('备份文件缺少有效的版本号。');
+        if (bundle.schemaVersion > BACKUP_SCHEMA_VERSION) throw new Error(`备份文件版本 (v${bundle.schemaVersion}) 高于当前脚本支持的版本 (v${BACKUP_SCHEMA_VERSION})，请先更新脚本。`);
+        const data = bundle.data;
+        if (!data || typeof data !== 'object') throw new Error('备份文件中没有数据。');
+        if (!Array.isArray(data.favorites)) throw new Error('收藏夹数据无效。');
+        const badIndex = data.favorites.findIndex(fav => !fav || typeof fav.title !== 'string' || !isValidPath(fav.path));
+        if (badIndex !== -1) throw new Error(`第 ${badIndex + 1} 条收藏的格式不正确。`);
+        const folders = data.folders === undefined ? [] : data.folders;
+        if (!Array.isArray(folders) || folders.some(f => !f || typeof f.id !== 'string' || typeof f.name !== 'string')) throw new Error('文件夹数据无效。');
+        if (data.lastPath != null && !isValidPath(data.lastPath)) throw new Error('上次访问路径的数据无效。');
+        if (data.settings !== undefined && (typeof data.settings !== 'object' || data.settings === null || Array.isArray(data.settings))) throw new Error('设置数据无效。');
+        // 未知的设置项（如其他版本的脚本新增或已删除的）直接丢弃；已知设置项按设置页的规则校验，不合法时拒绝导入，避免把脏数据写进存储
+        const settingsEntries = Object.entries(data.settings || {}).filter(([key]) => key in SETTING_FIELDS);
+        settingsEntries.forEach(([key, value]) => {
+            const error = validateSetting(SETTING_FIELDS[key], value);
+            if (error) throw new Error(`设置“${SETTING_FIELDS[key].title}”的值无效：${error}`);
         });
+        return {
+            exportedAt: typeof bundle.exportedAt === 'string' ? bundle.exportedAt : null,
+            favorites: data.favorites.map(normalizeFavorite),
+            folders: folders.map(f => ({ id: f.id, name: f.name, collapsed: !!f.collapsed })),
+            lastPath: data.lastPath || null,
+            settings: data.settings === undefined ? null : Object.fromEntries(settingsEntries),
+            greetingsDone: data.greetingsDone === undefined ? null : !!data.greetingsDone,
+        };
     }
 
-    function initializeHandwritingFixObserver() {
-        const containerSelector = 'body', canvasSelector = '.board.answerCanvas', fixedAttribute = 'data-tampermonkey-fixed';
-        function applyFix(element) { if (element.hasAttribute(fixedAttribute)) { return; } element.addEventListener('touchmove', function(event) { event.preventDefault(); event.stopPropagation(); }, { passive: false }); element.style.overscrollBehaviorY = 'contain'; element.setAttribute(fixedAttribute, 'true'); }
-        const container = document.querySelector(containerSelector);
-        if (!container) { setTimeout(initializeHandwritingFixObserver, 500); return; }
-        const observer = new MutationObserver(function(mutations) { for (const mutation of mutations) { if (mutation.addedNodes.length > 0) { mutation.addedNodes.forEach(node => { if (node.nodeType === 1) { if (node.matches(canvasSelector)) { applyFix(node); } node.querySelectorAll(canvasSelector).forEach(applyFix); } }); } } });
-        observer.observe(container, { childList: true, subtree: true });
-        document.querySelectorAll(canvasSelector).forEach(applyFix);
+    async function countDuplicateFavorites(imported) {
+        const known = new Set((await getFavorites()).map(fav => pathKey(fav.path)));
+        return imported.filter(fav => known.has(pathKey(fav.path))).length;
+    }
+
+    // mode 为 'merge' 时保留本地数据，仅追加路径不重复的收藏；为 'replace' 时整体覆盖
+    async function applyBackup(data, mode) {
+        let favorites, folders, added = 0, skipped = 0;
+        if (mode === 'replace') {
+            const seen = new Set();
+            favorites = data.favorites.filter(fav => { const key = pathKey(fav.path); if (seen.has(key)) { skipped++; return false; } seen.add(key); return true; });
+            folders = data.folders;
+            added = favorites.length;
+            await writeStore('lastPath', data.lastPath);
+            if (data.settings) await saveSettings({ ...DEFAULT_SETTINGS, ...data.settings });
+            if (data.greetingsDone !== null) await writeStore('greetingsDone', data.greetingsDone);
+        } else {
+            [favorites, folders] = await Promise.all([getFavorites(), getFolders()]);
+            // 同 id 或同名的文件夹视为同一个，其余作为新文件夹追加
+            const folderIdMap = new Map();
+            data.folders.forEach(folder => {
+                const existing = folders.find(f => f.id === folder.id) || folders.find(f => f.name === folder.name);
+                if (existing) { folderIdMap.set(folder.id, existing.id); return; }
+                folders.push(folder);
+                folderIdMap.set(folder.id, folder.id);
+            });
+            const known = new Set(favorites.map(fav => pathKey(fav.path)));
+            data.favorites.forEach(fav => {
+                const key = pathKey(fav.path);
+                if (known.has(key)) { skipped++; return; }
+                known.add(key);
+                favorites.push({ ...fav, folder: folderIdMap.get(fav.folder) || UNSORTED_FOLDER_ID });
+                added++;
+            });
+            if (data.lastPath && !(await readStore('lastPath'))) await writeStore('lastPath', data.lastPath);
+            if (data.settings) await saveSettings({ ...(await getSettings()), ...data.settings });
+            if (data.greetingsDone) await writeStore('greetingsDone', true);
+        }
+        await saveFavorites(favorites);
+        await saveFolders(folders);
+        return { added, skipped };
+    }
+
+    async function exportBackup() {
+        const bundle = await buildBackupBundle();
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `xny-ultra-backup-${bundle.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
     }
 
-    /* -------------------- 脚本主入口 -------------------- */
+    function renderBackupSection(container) {
+        container.innerHTML = `
+            <h2 class="settings-section-title">数据备份</h2>
+            <div class="setting-text" style="padding-top:15px;"><p>将收藏夹、文件夹、上次访问路径与以上设置导出为一个 JSON 文件，可在其他设备上导入。</p></div>
+            <div class="backup-actions"><button class="backup-btn export">导出备份</button><button class="backup-btn import">导入备份…</button><input type="file" accept="application/json,.json" hidden></div>
+            <div class="backup-preview" hidden></div>`;
+        const fileInput = container.querySelector('input[type="file"]');
+        const preview = container.querySelector('.backup-preview');
+        container.querySelector('.export').addEventListener('click', () => exportBackup().catch(err => { console.error('导出失败:', err); GM_notification({ title: '导出失败', text: err.message, timeout: 4000 }); }));
+        container.querySelector('.import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            preview.hidden = false;
+            let data;
+            try {
+                data = validateBackupBundle(JSON.parse(await file.text()));
+            } catch (err) {
+                preview.innerHTML = `<span class="backup-error">无法导入：${escapeHTML(err instanceof SyntaxError ? '文件不是有效的 JSON。' : err.message)}</span>`;
+                return;
+            }
+            const duplicates = await countDuplicateFavorites(data.favorites);
+            const exportedAt = data.exportedAt ? new Date(data.exportedAt).toLocaleString() : '未知时间';
+            preview.innerHTML = `
+                <div>备份导出于 ${escapeHTML(exportedAt)}，包含 ${data.favorites.length} 条收藏（其中 ${duplicates} 条与现有收藏路径重复）、${data.folders.length} 个文件夹${data.lastPath ? '、上次访问路径' : ''}${data.settings ? '、插件设置' : ''}。</div>
+                <div>“合并”会保留现有数据并跳过重复收藏；“替换”会用备份覆盖全部数据。</div>
+                <div class="backup-actions"><button class="backup-btn primary merge">合并</button><button class="backup-btn replace">替换</button><button class="backup-btn cancel">取消</button></div>`;
+            preview.querySelector('.cancel').addEventListener('click', () => { preview.hidden = true; preview.innerHTML = ''; });
+            preview.querySelectorAll('.merge, .replace').forEach(btn => btn.addEventListener('click', async () => {
+                const mode = btn.classList.contains('replace') ? 'replace' : 'merge';
+                if (mode === 'replace' && !confirm('替换将覆盖当前所有收藏、路径与设置，确定继续吗？')) return;
+                try {
+                    const { added, skipped } = await applyBackup(data, mode);
+                    GM_notification({ title: '导入完成', text: `已导入 ${added} 条收藏${skipped ? `，跳过 ${skipped} 条重复项` : ''}。`, timeout: 4000 });
+                    // 重新生成设置页，使开关状态与导入的设置一致
+                    destroySettingsPage();
+                    handleHashChange();
+                } catch (err) {
+                    console.error('导入失败:', err);
+                    preview.innerHTML = `<span class="backup-error">导入失败：${escapeHTML(err.message)}</span>`;
+                }
+            }));
+        });
+    }
+
+    /* -------------------- 设置页面逻辑 -------------------- */
+    let settingsPage = null;
+
+    function createSettingsPage() {
+        if (settingsPage) return;
+        settingsPage = document.createElement('div');
+        settingsPage.className = 'settings-page-container';
+        const content = `
+            <div class="settings-page-content">
+                <div class="settings-header"><h1>插件设置</h1><button class="close-btn">返回</button></div>
+                <div id="settings-list"></div>
+                <div id="settings-hotkeys"></div>
+                <div id="settings-backup"></div>
+                <div class="settings-footer">
+                    <p>This software is developed under the joint effort of @c-jeremy, Aaron Tang ("ts"), and @ZhongChuTaFei.</p>
+                    <p>Special credits given to Gemini 2.5 Pro & Claude 4.5 Sonnet.</p>
+                    <p>Special thanks to Geeker LStar, who although never contributed to this project, played a vital role in making this all possible.</p>
+                </div>
+            </div>`;
+        settingsPage.innerHTML = content;
+        document.body.appendChild(settingsPage);
+
+        const settingsList = settingsPage.querySelector('#settings-list');
+        SETTINGS_SCHEMA.forEach(section => {
+            const heading = document.createElement('h2');
+            heading.className = 'settings-section-title';
+            heading.textContent = section.title;
+            settingsList.appendChild(heading);
+            section.fields.forEach(field => settingsList.appendChild(createSettingItem(field)));
+        });
+        renderHotkeySection(settingsPage.querySelector('#settings-hotkeys'));
+        renderBackupSection(settingsPage.querySelector('#settings-backup'));
+        settingsPage.querySelector('.close-btn').addEventListener('click', () => { window.history.back(); });
+    }
+
+    function renderSettingControl(field) {
+        const id = `setting-${field.key}`;
+        switch (field.type) {
+            case 'boolean': return `<label class="toggle-switch"><input type="checkbox" id="${id}"><span class="toggle-slider"></span></label>`;
+            case 'number': return `<input type="number" class="setting-input" id="${id}" min="${field.min}" max="${field.max}" step="${field.step || 1}"><span class="setting-unit">${field.unit || ''}</span>`;
+            case 'enum': return `<select class="setting-input" id="${id}">${field.options.map(option => `<option value="${option.value}">${escapeHTML(option.label)}</option>`).join('')}</select>`;
+            case 'color': return `<input type="color" class="setting-input" id="${id}">`;
+            default: return `<input type="text" class="setting-input" id="${id}" maxlength="${field.maxLength}">`;
+        }
+    }
+
+    function readSettingControl(field, control) {
+        if (field.type === 'boolean') return control.checked;
+        if (field.type === 'number') return control.value === '' ? NaN : Number(control.value);
+        return field.type === 'text' ? control.value.trim() : control.value;
+    }
+
+    // 把控件、“恢复默认”按钮与错误提示同步为当前设置值
+    function syncSettingControl(key) {
+        const control = document.getElementById(`setting-${key}`);
+        if (!control) return;
+        const field = SETTING_FIELDS[key], item = control.closest('.setting-item');
+        if (field.type === 'boolean') control.checked = settings[key]; else control.value = String(settings[key]);
+        item.querySelector('.setting-reset').hidden = settings[key] === field.default;
+        item.querySelector('.setting-error').textContent = '';
+    }
+
+    function createSettingItem(field) {
+        const item = document.createElement('div');
+        item.className = 'setting-item';
+        item.innerHTML = `<div class="setting-text"><h3>${field.title}</h3><p>${field.desc}</p><p class="setting-error"></p></div><div class="setting-control"><button class="setting-reset" title="恢复默认值">恢复默认</button>${renderSettingControl(field)}</div>`;
+        const control = item.querySelector(`#setting-${field.key}`);
+        const showError = err => { item.querySelector('.setting-error').textContent = err.message; };
+        control.addEventListener('change', () => updateSetting(field.key, readSettingControl(field, control)).catch(showError));
+        item.querySelector('.setting-reset').addEventListener('click', () => updateSetting(field.key, field.default).catch(showError));
+        // 控件需挂到文档后才能通过 id 找到，这里先直接同步一次
+        if (field.type === 'boolean') control.checked = settings[field.key]; else control.value = String(settings[field.key]);
+        item.querySelector('.setting-reset').hidden = settings[field.key] === field.default;
+        return item;
+    }
+
+    function destroySettingsPage() {
+        if (settingsPage) { settingsPage.remove(); settingsPage = null; }
+        const appElement = document.querySelector('.app');
+        if (appElement) appElement.style.display = '';
+    }
+
+    function handleHashChange() {
+        if (window.location.hash === '#/settings/plugin') {
+            const appElement = document.querySelector('.app');
+            if (appElement) appElement.style.display = 'none';
+            createSettingsPage();
+        } else { destroySettingsPage(); }
+    }
+
+    function setupSettingsListener() {
+        window.addEventListener('hashchange', handleHashChange);
+        handleHashChange();
+    }
+
+    defineModule({
+        id: 'settings-page',
+        styles: `
+            /* ========== Settings Page CSS ========== */
+            .settings-page-container { font-family: 'Noto Serif SC', serif !important; position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: #fff; z-index: 20000; padding: 20px; box-sizing: border-box; display: flex; justify-content: center; align-items: flex-start; overflow-y: auto; }
+            .settings-page-content { max-width: 700px; width: 100%; margin-top: 5vh; }
+            .settings-header { display: flex; justify-content: space-between; align-items: center; border-bottom: 1px solid #000; padding-bottom: 15px; margin-bottom: 30px; }
+            .settings-header h1 { font-size: 2rem; font-weight: 700; margin: 0; }
+            .settings-header .close-btn { font-family: 'Noto Serif SC', serif !important; font-size: 1rem; color: #000; background: #eee; border: 1px solid #ccc; border-radius: 8px; padding: 8px 16px; cursor: pointer; transition: background-color 0.2s; }
+            .settings-header .close-btn:hover { background-color: #ddd; }
+            .setting-item { display: flex; justify-content: space-between; align-items: center; padding: 20px 0; border-bottom: 1px solid #eee; }
+            .setting-text h3 { font-size: 1.1rem; font-weight: 500; margin: 0 0 5px 0; }
+            .setting-text p { font-size: 0.9rem; color: #666; margin: 0; max-width: 450px; }
+            .setting-control { display: flex; align-items: center; gap: 10px; flex-shrink: 0; margin-left: 20px; }
+            .setting-control .toggle-switch { margin-left: 0; }
+            .setting-input { font-family: 'Noto Serif SC', serif !important; font-size: 0.95rem; color: #000; background: #fff; border: 1px solid #000; border-radius: 8px; padding: 6px 10px; }
+            .setting-input[type="number"] { width: 90px; }
+            .setting-input[type="color"] { width: 48px; height: 34px; padding: 2px; cursor: pointer; }
+            .setting-unit { font-size: 0.85rem; color: #666; }
+            .setting-unit:empty { display: none; }
+            .setting-reset { font-family: 'Noto Serif SC', serif !important; background: none; border: none; padding: 0; color: #666; font-size: 0.8rem; text-decoration: underline; cursor: pointer; }
+            .setting-text .setting-error { color: #b91c1c; margin-top: 5px; }
+            .setting-text .setting-error:empty { display: none; }
+            .toggle-switch { position: relative; display: inline-block; width: 50px; height: 28px; flex-shrink: 0; margin-left: 20px; }
+            .toggle-switch input { opacity: 0; width: 0; height: 0; }
+            .toggle-slider { position: absolute; cursor: pointer; top: 0; left: 0; right: 0; bottom: 0; background-color: #ccc; transition: .4s; border-radius: 28px; }
+            .toggle-slider:before { position: absolute; content: ""; height: 20px; width: 20px; left: 4px; bottom: 4px; background-color: white; transition: .4s; border-radius: 50%; box-shadow: 0 1px 3px rgba(0,0,0,0.2); }
+            input:checked + .toggle-slider { background-color: #000; }
+            input:checked + .toggle-slider:before { transform: translateX(22px); }
+            .settings-section-title { font-size: 1.3rem; font-weight: 700; margin: 40px 0 0; padding-bottom: 10px; border-bottom: 1px solid #000; }
+            .backup-actions { display: flex; flex-wrap: wrap; gap: 10px; padding: 20px 0; }
+            .backup-btn { font-family: 'Noto Serif SC', serif !important; font-size: 0.95rem; color: #000; background: #fff; border: 1px solid #000; border-radius: 8px; padding: 8px 16px; cursor: pointer; transition: background-color 0.2s; }
+            .backup-btn:hover { background-color: #eee; }
+            .backup-btn.primary { color: #fff; background-color: #000; }
+            .backup-btn.primary:hover { background-color: #333; }
+            .backup-preview { padding: 16px; background-color: #f5f5f5; border-radius: 8px; font-size: 0.9rem; line-height: 1.6; }
+            .backup-preview .backup-actions { padding-bottom: 0; }
+            .backup-error { color: #b91c1c; }
+            .settings-footer { text-align: justify; margin-top: 40px; padding: 20px; color: #999; font-size: 0.7rem; }
+            .settings-footer p { margin: 5px 0; }
+        `,
+        init() {
+            setupSettingsListener();
+            registerCommand({ id: 'settings.open', title: '打开插件设置', keywords: 'settings preferences', run: () => { window.location.hash = '#/settings/plugin'; } });
+            Object.values(SETTING_FIELDS).filter(field => field.type === 'boolean').map(field => field.key).forEach(key => registerCommand({
+                id: `settings.toggle.${key}`,
+                title: () => `${settings[key] ? '关闭' : '开启'}：${SETTING_FIELDS[key].title}`,
+                hint: '切换设置',
+                keywords: `toggle setting ${key}`,
+                run: () => updateSetting(key, !settings[key])
+            }));
+        },
+        // 设置可能来自命令面板或其他标签页，已打开的设置页随之刷新控件
+        onSettingsChange() { Object.keys(SETTING_FIELDS).forEach(syncSettingControl); },
+    });
+
+    /* -------------------- 启动 -------------------- */
+    // 样式在 document-start 时立即注入，其余初始化等存储迁移与设置读取完成后进行
+    injectModuleStyles();
+
     (async function main() {
+        await migrateStorage();
         settings = await getSettings();
-
-        // DEPRECATED: updateConditionalStyles(settings);
-        injectPillAndDrawers();
-        setupPillBehavior();
-        setupMenuIndicator();
-        attachGuardianListeners();
-        setupXHRInterceptor();
-        initializePdfIframeObserver();
-        initializeAnswerAreaObserver();
-        setupMenuDoubleClick();
-
-        if (settings.autoLogin) { setupAutoLogin(); }
-        if (settings.enableHandwritingFix) { initializeHandwritingFixObserver(); }
-        if (settings.enableSmartHints) { setupSmartHints(); }
-
-        setupSettingsListener();
+        await initModules();
+        syncModules();
+        watchSettingsAcrossTabs();
     })();
-
 })();
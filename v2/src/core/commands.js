@@ -0,0 +1,8 @@
+/* -------------------- 命令注册表 -------------------- */
+// 搜索浮层的命令模式（输入 “>”）与全局快捷键都从这里取命令。各模块在 init 中通过 registerCommand 注册：
+// { id, title, hint?, keywords?, run }，title 可以是函数（如随设置状态变化的“开启/关闭”），run 在浮层关闭后执行
+const commandRegistry = new Map();
+
+function registerCommand(command) { commandRegistry.set(command.id, command); }
+
+function commandTitle(command) { return typeof command.title === 'function' ? command.title() : command.title; }
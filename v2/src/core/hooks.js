@@ -0,0 +1,26 @@
+/* -------------------- 请求钩子注册表 -------------------- */
+// XHR 与 fetch 拦截器都从这里取钩子。各模块在 init 中通过 registerRequestHook 注册：
+//   id                钩子名，用于日志与调试面板
+//   match(url, method) 是否处理该请求
+//   setting           可选，控制启停的布尔设置键，每次请求时读取当前设置
+//   order             可选，数字小的先执行，默认 0；相同时按注册顺序
+//   onRequest(request) 可选，返回数据时请求不再发出，直接以该数据作为响应，后续钩子的 onRequest 不再执行
+//   onResponse(data, response) 可选，data 为解析后的 JSON；返回新数据时替换响应，返回 undefined 则保持不变
+// request 为 { url, method, transport, headers, body }，response 另带 status。单个钩子出错只记录日志，不影响其他钩子与站点
+const requestHooks = [];
+
+function registerRequestHook(hook) {
+    const index = requestHooks.findIndex(existing => existing.id === hook.id);
+    if (index !== -1) requestHooks.splice(index, 1);
+    requestHooks.push({ order: 0, ...hook });
+    // Array.prototype.sort 是稳定排序，order 相同的钩子保持注册顺序
+    requestHooks.sort((a, b) => a.order - b.order);
+}
+
+// 请求观察者：只读，在站点域名下的每个请求结束后（不论是否有钩子匹配）收到一份记录，用于网络面板等调试功能：
+// { url（绝对地址）, method, transport, headers, body, startedAt, duration, status, statusText, responseText, rawResponseText, local, error, hooks }
+// responseText 为站点实际收到的（经过钩子修改的）响应，rawResponseText 为服务器返回的原文；
+// local 表示由钩子在本地响应，error 为网络错误、超时或取消时的说明，hooks 为处理过该请求的钩子 id
+const requestObservers = [];
+
+function observeRequests(observer) { requestObservers.push(observer); }
@@ -0,0 +1,49 @@
+/* -------------------- IndexedDB：体积较大的缓存数据 -------------------- */
+const IDB_NAME = 'pkus-xny-ultra';
+const IDB_VERSION = 6;
+let idbPromise = null;
+
+// 新增对象仓库时提升 IDB_VERSION，并在 onupgradeneeded 中按 oldVersion 追加建表分支
+function openDatabase() {
+    if (!idbPromise) {
+        idbPromise = new Promise((resolve, reject) => {
+            let blocked = false;
+            const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) db.createObjectStore('catalogs', { keyPath: 'key' });
+                if (event.oldVersion < 2) db.createObjectStore('responses', { keyPath: 'key' });
+                if (event.oldVersion < 3) db.createObjectStore('pdfs', { keyPath: 'url' });
+                if (event.oldVersion < 4) db.createObjectStore('drafts', { keyPath: 'key' });
+                if (event.oldVersion < 5) request.transaction.objectStore('responses').createIndex('capturedAt', 'capturedAt');
+                if (event.oldVersion < 6) {
+                    const responses = request.transaction.objectStore('responses');
+                    responses.createIndex('kind', 'kind');
+                    responses.createIndex('catalogId', 'catalogId');
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // 其他标签页需要升级数据库时让出连接，下次访问再重新打开
+                db.onversionchange = () => { db.close(); idbPromise = null; };
+                if (blocked) db.close(); else resolve(db);
+            };
+            request.onerror = () => { idbPromise = null; reject(request.error); };
+            // 仍在使用旧版本的其他标签页不关闭连接时升级会一直等待：直接失败，由调用方按没有缓存处理
+            request.onblocked = () => { blocked = true; idbPromise = null; reject(new Error('数据库升级被其他标签页阻塞')); };
+        });
+    }
+    return idbPromise;
+}
+
+// 在单个事务中执行 operate(store)，事务完成后返回其请求的结果
+async function idbRun(storeName, mode, operate) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operate(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
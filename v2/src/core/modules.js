@@ -0,0 +1,36 @@
+/* -------------------- 功能模块 -------------------- */
+// 每个功能模块在自己的文件末尾调用 defineModule 自注册，启动时按打包顺序依次初始化：
+//   id                模块名，用于日志
+//   styles            可选，脚本一启动就注入的 CSS，避免页面先以原样式闪现
+//   setting           可选，控制启停的布尔设置键；省略则始终启用
+//   init()            启动时调用一次，用于注入 DOM、注册命令等，可以是 async；
+//                     返回 { enable, disable, onSettingsChange } 中的若干项时替换对应项，便于共享 init 中建立的闭包状态
+//   enable/disable()  需可重复调用；设置变化（包括其他标签页中的修改）后由 syncModules 调用，无需刷新页面
+//   onSettingsChange() 可选，任何设置保存后调用，用于同步界面
+const modules = [];
+
+function defineModule(module) { modules.push({ init() {}, enable() {}, disable() {}, ...module, active: false }); }
+
+// 单个模块初始化失败不影响其他模块
+async function initModules() {
+    for (const module of modules) {
+        try {
+            const controls = await module.init();
+            if (controls) Object.assign(module, controls);
+        }
+        catch (err) { console.error(`模块“${module.id}”初始化失败:`, err); }
+    }
+}
+
+function syncModules() {
+    modules.forEach(module => {
+        const wanted = !module.setting || !!settings[module.setting];
+        if (wanted !== module.active) {
+            try {
+                if (wanted) module.enable(); else module.disable();
+                module.active = wanted;
+            } catch (err) { console.error(`模块“${module.id}”${wanted ? '启用' : '停用'}失败:`, err); }
+        }
+        if (module.onSettingsChange) module.onSettingsChange();
+    });
+}
@@ -0,0 +1,60 @@
+/* -------------------- 设置项定义 -------------------- */
+// 纯数据与校验，不读写存储；v1 单功能脚本不打包此文件，由构建按其读取的设置项生成只含默认值的 DEFAULT_SETTINGS
+// 设置页按此结构分组渲染；type 决定控件与校验方式：boolean / number（min、max、step）/ enum（options）/ text（maxLength）/ color
+const SETTINGS_SCHEMA = [
+    {
+        title: '常规',
+        fields: [
+            { key: 'autoLogin', type: 'boolean', default: true, title: '自动登录', desc: '在登录页面自动点击“开始使用”，跳过手动操作。' },
+            { key: 'autoLoginDelay', type: 'number', default: 750, min: 0, max: 5000, step: 50, unit: '毫秒', title: '自动登录延迟', desc: '找到“开始使用”按钮后等待多久再点击。' },
+            { key: 'enableSmartHints', type: 'boolean', default: true, title: '智能提示', desc: '在您可能需要时（如首次使用、长时间停留），主动提示相关功能。' },
+            { key: 'idleHintDelay', type: 'number', default: 2000, min: 500, max: 60000, step: 500, unit: '毫秒', title: '闲置提示等待时间', desc: '停留在首页多久后显示“去哪里？”提示。' },
+            { key: 'idleHintText', type: 'text', default: '去哪里？', maxLength: 20, title: '闲置提示文字', desc: '闲置提示中显示的文字。' },
+        ],
+    },
+    {
+        title: '导航与搜索',
+        fields: [
+            { key: 'replayStepDelay', type: 'number', default: 250, min: 0, max: 3000, step: 50, unit: '毫秒', title: '回放步骤间隔', desc: '回放路径时每点击一级目录后等待页面响应的时间，网络较慢时可适当调大。' },
+            { key: 'replayProgressMode', type: 'enum', default: 'always', options: [{ value: 'always', label: '始终显示' }, { value: 'onFailure', label: '仅在出错时显示' }], title: '回放进度面板', desc: '回放路径时何时显示逐级进度面板。' },
+            { key: 'searchHighlightColor', type: 'color', default: '#2563eb', title: '搜索高亮颜色', desc: '搜索结果中匹配文字的颜色。' },
+        ],
+    },
+    {
+        title: '题目与资料',
+        fields: [
+            { key: 'enableHandwritingFix', type: 'boolean', default: true, title: '手写优化', desc: '防止在平板或手机上手写时，因误触导致页面滚动或刷新。' },
+            { key: 'stylusOnly', type: 'boolean', default: false, title: '仅手写笔书写', desc: '答题手写板只响应手写笔（如 Apple Pencil）与鼠标，忽略手指和手掌的触碰；页面其他位置仍可用手指滚动。也可在手写板上方快速切换。' },
+            { key: 'enableStrokeDrafts', type: 'boolean', default: true, title: '手写草稿', desc: '自动把手写板上的笔迹保存在本地，再次打开同一道题时可恢复未提交的草稿。' },
+            { key: 'canvasGuide', type: 'enum', default: 'none', options: [{ value: 'none', label: '无' }, { value: 'grid', label: '方格' }, { value: 'ruled', label: '横线' }, { value: 'dotted', label: '点阵' }, { value: 'coordinate', label: '坐标系' }], title: '手写板辅助线', desc: '在手写板上叠加辅助线，便于画坐标轴、对齐书写。辅助线只显示在屏幕上，不会随作答提交。也可在手写板上方切换。' },
+            { key: 'snapToGrid', type: 'boolean', default: false, title: '直线吸附网格', desc: '使用方格、点阵或坐标系时，把接近直线的笔画拉直，并把两端吸附到最近的格点。' },
+            { key: 'enableCanvasZoom', type: 'boolean', default: true, title: '双指缩放手写板', desc: '在手写板上用两根手指平移与缩放，便于书写较小的字；单指或手写笔照常书写。' },
+            { key: 'forceShowPDFButtons', type: 'boolean', default: true, title: '强制下载', desc: '确保PDF阅读器中的下载、打印等按钮始终可见。<br>开启则表示你愿意为所有下载行为负责，并且已经解除了下列开发者对你下载行为的责任。' },
+            { key: 'autoExpandAnswerArea', type: 'boolean', default: true, title: '自动展开答题区', desc: '在题目页面自动点击“显示答题区”按钮，免去手动操作。' },
+            { key: 'enablePdfLibrary', type: 'boolean', default: true, title: '资料库', desc: '记录打开过的PDF及其所在目录，可在“资料库”中直接重新打开。' },
+            { key: 'cachePdfFiles', type: 'boolean', default: false, title: '缓存PDF文件', desc: '同时把PDF文件保存到本地，重新打开时无需联网。会占用较多的浏览器存储空间。' },
+            { key: 'enableOfflineCache', type: 'boolean', default: true, title: '离线缓存', desc: '保存打开过的目录与题目，网络中断时以只读方式显示上次缓存的内容。' },
+            { key: 'enableMockEnhance', type: 'boolean', default: false, title: '图片极速上传', desc: '拦截增强图片请求，从而使上传图片用时减少80%以上。' },
+            { key: 'enableAnswerForce', type: 'boolean', default: false, title: '强制显示答案', desc: '自动修改题目数据，强制显示“查看答案”等通常被隐藏的按钮。<br>开启即表示你完全对你的行为负责。' },
+        ],
+    },
+    {
+        title: '调试',
+        fields: [
+            { key: 'networkLogLimit', type: 'number', default: 50, min: 10, max: 200, step: 10, unit: '条', title: '网络记录条数', desc: '网络面板最多保留最近多少个站点请求。' },
+        ],
+    },
+];
+const SETTING_FIELDS = Object.fromEntries(SETTINGS_SCHEMA.flatMap(section => section.fields).map(field => [field.key, field]));
+const DEFAULT_SETTINGS = Object.fromEntries(Object.values(SETTING_FIELDS).map(field => [field.key, field.default]));
+
+// 返回错误提示，合法时返回 null
+function validateSetting(field, value) {
+    switch (field.type) {
+        case 'boolean': return typeof value === 'boolean' ? null : '应为开或关。';
+        case 'number': return Number.isFinite(value) && value >= field.min && value <= field.max ? null : `请输入 ${field.min}–${field.max} 之间的数字。`;
+        case 'enum': return field.options.some(option => option.value === value) ? null : '请选择列表中的一项。';
+        case 'color': return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? null : '颜色格式应为 #RRGGBB。';
+        default: return typeof value === 'string' && value.trim() && value.length <= field.maxLength ? null : `请输入 1–${field.maxLength} 个字符。`;
+    }
+}
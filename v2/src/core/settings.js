@@ -0,0 +1,41 @@
+/* -------------------- 设置管理 -------------------- */
+let settings = {}; // 运行时缓存设置
+
+// 未知或不合法的保存值回退到默认值，避免旧版本或手动修改的数据导致功能异常
+async function getSettings() {
+    const saved = await readStore('settings');
+    const merged = { ...DEFAULT_SETTINGS, ...saved };
+    Object.values(SETTING_FIELDS).forEach(field => {
+        if (validateSetting(field, merged[field.key])) {
+            console.warn(`设置“${field.key}”的值无效，已使用默认值:`, merged[field.key]);
+            merged[field.key] = field.default;
+        }
+    });
+    return merged;
+}
+
+async function saveSettings(newSettings) {
+    await writeStore('settings', newSettings);
+    settings = newSettings;
+    syncModules();
+}
+
+// 其他标签页修改设置后，本页同步运行时设置并启停相应模块
+function watchSettingsAcrossTabs() {
+    GM_addValueChangeListener(STORAGE_KEYS.settings, async (name, oldValue, newValue, remote) => {
+        if (!remote) return;
+        settings = await getSettings();
+        syncModules();
+    });
+}
+
+// 设置页与命令面板共用；值不合法时抛出带提示文字的错误
+async function updateSetting(key, value) {
+    const field = SETTING_FIELDS[key];
+    const error = validateSetting(field, value);
+    if (error) throw new Error(error);
+    const newSettings = await getSettings();
+    newSettings[key] = value;
+    await saveSettings(newSettings);
+    GM_notification({ title: '设置已保存', text: field.type === 'boolean' ? `“${field.title}”已${value ? '开启' : '关闭'}。` : `“${field.title}”已更新。`, timeout: 2000 });
+}
@@ -0,0 +1,96 @@
+/* -------------------- 存储层：统一读写、版本迁移与损坏恢复 -------------------- */
+// 逻辑名称 → 实际的 GM 键名。键名沿用历史值以兼容已有数据，今后如需改名请通过迁移完成
+const STORAGE_KEYS = {
+    favorites: 'bdfz_path_favorites_v2',
+    folders: 'bdfz_favorite_folders_v1',
+    lastPath: 'bdfz_persistent_path_v3',
+    settings: 'bdfz_enhancer_settings_v3',
+    greetingsDone: 'bdfz_enhancer_greetings_done_v1',
+    history: 'bdfz_navigation_history_v1',
+    hotkeys: 'bdfz_hotkeys_v1',
+    pdfLibrary: 'bdfz_pdf_library_v1',
+};
+const STORAGE_SCHEMA_KEY = 'bdfz_storage_schema_version';
+const STORAGE_SCHEMA_VERSION = 2;
+const CORRUPTED_BACKUP_PREFIX = 'bdfz_corrupted_backup:';
+
+// 每个逻辑键的默认值与结构校验；解析失败或校验不通过都视为数据损坏
+const STORAGE_SCHEMAS = {
+    favorites: { fallback: () => [], validate: Array.isArray },
+    folders: { fallback: () => [], validate: Array.isArray },
+    lastPath: { fallback: () => null, validate: v => v === null || Array.isArray(v) },
+    settings: { fallback: () => ({}), validate: v => !!v && typeof v === 'object' && !Array.isArray(v) },
+    greetingsDone: { fallback: () => false, validate: v => typeof v === 'boolean' },
+    history: { fallback: () => ({ entries: [], cursor: null }), validate: v => !!v && Array.isArray(v.entries) },
+    hotkeys: { fallback: () => ({}), validate: v => !!v && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(combo => typeof combo === 'string') },
+    pdfLibrary: { fallback: () => [], validate: Array.isArray },
+};
+
+// 按版本号升序执行；每个迁移只负责从上一版本升到 version，失败时停在上一版本，下次启动重试
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: '旧版收藏（纯路径数组或缺少字段的对象）转换为带文件夹与标签的收藏对象',
+        async migrate() {
+            const migrated = [], invalid = [];
+            (await readStore('favorites')).forEach(entry => {
+                if (isValidPath(entry)) { migrated.push({ title: entry[entry.length - 1].text, path: entry }); }
+                else if (entry && isValidPath(entry.path)) { migrated.push({ ...entry, title: typeof entry.title === 'string' ? entry.title : entry.path[entry.path.length - 1].text }); }
+                else { invalid.push(entry); }
+            });
+            if (invalid.length > 0) await backupCorruptedValue(STORAGE_KEYS.favorites, JSON.stringify(invalid), `${invalid.length} 条无法识别的收藏`);
+            await writeStore('favorites', migrated.map(normalizeFavorite));
+            const lastPath = await readStore('lastPath');
+            if (lastPath !== null && !isValidPath(lastPath)) {
+                await backupCorruptedValue(STORAGE_KEYS.lastPath, JSON.stringify(lastPath), '路径格式不正确');
+                await writeStore('lastPath', null);
+            }
+        },
+    },
+    {
+        version: 2,
+        description: '为收藏补充 createdAt / lastOpenedAt 元数据',
+        async migrate() {
+            const favorites = await readStore('favorites');
+            await writeStore('favorites', favorites.map(fav => ({ createdAt: null, lastOpenedAt: null, ...fav })));
+        },
+    },
+];
+
+// 保留损坏的原始值而不是直接丢弃，便于用户或开发者事后手动恢复
+async function backupCorruptedValue(key, raw, reason) {
+    const backupKey = `${CORRUPTED_BACKUP_PREFIX}${key}:${Date.now()}`;
+    await GM_setValue(backupKey, typeof raw === 'string' ? raw : String(raw));
+    console.warn(`[Storage] “${key}” 数据损坏（${reason}），原始内容已备份至 ${backupKey}`);
+    GM_notification({ title: '数据已自动修复', text: `检测到无法识别的本地数据（${reason}），原始内容已另行备份。`, timeout: 5000 });
+}
+
+async function readStore(name) {
+    const { fallback, validate } = STORAGE_SCHEMAS[name];
+    const key = STORAGE_KEYS[name];
+    const raw = await GM_getValue(key, null);
+    if (raw === null || raw === undefined) return fallback();
+    let value, reason = null;
+    try {
+        value = typeof raw === 'string' ? JSON.parse(raw) : raw; // 早期版本直接存过布尔值
+        if (!validate(value)) reason = '结构不符合预期';
+    } catch (e) { reason = '无法解析 JSON'; }
+    if (reason === null) return value;
+    await backupCorruptedValue(key, raw, reason);
+    await writeStore(name, fallback());
+    return fallback();
+}
+
+async function writeStore(name, value) { await GM_setValue(STORAGE_KEYS[name], JSON.stringify(value)); }
+
+async function migrateStorage() {
+    let current = Number(await GM_getValue(STORAGE_SCHEMA_KEY, 0)) || 0;
+    if (current > STORAGE_SCHEMA_VERSION) { console.warn(`[Storage] 存储版本 v${current} 高于脚本支持的 v${STORAGE_SCHEMA_VERSION}，跳过迁移。`); return; }
+    for (const { version, description, migrate } of STORAGE_MIGRATIONS) {
+        if (version <= current) continue;
+        try { await migrate(); } catch (e) { console.error(`[Storage] 迁移至 v${version} 失败（${description}）:`, e); return; }
+        current = version;
+        await GM_setValue(STORAGE_SCHEMA_KEY, current);
+        console.log(`[Storage] 已迁移至 v${version}：${description}`);
+    }
+}
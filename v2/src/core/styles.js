@@ -0,0 +1,3 @@
+/* -------------------- 模块样式 -------------------- */
+// 单独成文件：没有样式的 v1 脚本不打包它，也就不必申请 GM_addStyle
+function injectModuleStyles() { modules.forEach(module => { if (module.styles) GM_addStyle(module.styles); }); }
@@ -0,0 +1,19 @@
+/* -------------------- 通用工具 -------------------- */
+function escapeHTML(str) { return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c])); }
+
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+function isValidPath(path) { return Array.isArray(path) && path.length > 0 && path.every(step => step && typeof step.selector === 'string' && typeof step.text === 'string'); }
+
+// 只比较选择器与文本，忽略收藏上的其他元数据
+function pathKey(path) { return JSON.stringify(path.map(step => [step.selector, step.text])); }
@@ -0,0 +1,6 @@
+/* -------------------- 启动（v1 单功能脚本） -------------------- */
+// v1 脚本没有设置页，也不读写存储，功能始终按默认设置运行
+let settings = { ...DEFAULT_SETTINGS };
+
+function start() { initModules().then(syncModules); }
+if (document.body) start(); else document.addEventListener('DOMContentLoaded', start, { once: true });
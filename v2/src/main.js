@@ -0,0 +1,11 @@
+/* -------------------- 启动 -------------------- */
+// 样式在 document-start 时立即注入，其余初始化等存储迁移与设置读取完成后进行
+injectModuleStyles();
+
+(async function main() {
+    await migrateStorage();
+    settings = await getSettings();
+    await initModules();
+    syncModules();
+    watchSettingsAcrossTabs();
+})();
@@ -0,0 +1,99 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 自动展开答题区 -------------------- */
+function initializeAnswerAreaObserver() {
+    // 1. 总开关由 syncModules 通过返回的 enable/disable 控制
+    let sentinelObserver = null;
+    let buttonObserver = null;
+
+
+    // 2. 核心功能：检查并点击按钮（保持不变）
+    function checkAndClickButtons() {
+        const buttons = document.querySelectorAll('button.ant-btn');
+        buttons.forEach(btn => {
+            if (btn.innerText.trim().endsWith('答题区') && !btn.classList.contains('ant-btn-primary')) {
+                btn.click();
+            }
+        });
+    }
+
+    // 3. 启动/停止核心功能的函数（保持不变）
+    function startFeature() {
+        if (buttonObserver) return;
+        checkAndClickButtons();
+        buttonObserver = new MutationObserver(checkAndClickButtons);
+        buttonObserver.observe(document.body, { childList: true, subtree: true });
+
+    }
+
+    function stopFeature() {
+        if (buttonObserver) {
+            buttonObserver.disconnect();
+            buttonObserver = null;
+        }
+
+    }
+
+    // 4. 新的、更精准的“哨兵”设置函数
+    function setupSentinel(contentElement) {
+        // 如果已存在哨兵，先断开，以防重复
+        if (sentinelObserver) {
+            sentinelObserver.disconnect();
+        }
+
+        // 创建哨兵，它的任务现在是观察 .content 内部
+        sentinelObserver = new MutationObserver(() => {
+            if (contentElement.querySelector('.top')) {
+                startFeature();
+            } else {
+                stopFeature();
+            }
+        });
+
+        // 启动哨兵
+        sentinelObserver.observe(contentElement, { childList: true, subtree: true });
+
+        // 立即检查一次初始状态
+        if (contentElement.querySelector('.top')) {
+            startFeature();
+        } else {
+            stopFeature();
+        }
+    }
+
+    // 5. 创建一个“容器”观察者，它的唯一任务是寻找 .content 元素
+    const containerObserver = new MutationObserver(() => {
+        const contentEl = document.querySelector('div.content');
+        if (contentEl) {
+            // 找到 .content 后，为它设置哨兵
+            setupSentinel(contentEl);
+            // 任务完成，断开这个容器观察者，因为它是一次性的
+            containerObserver.disconnect();
+        }
+    });
+
+    // 6. 启动流程
+    function enable() {
+        const initialContentEl = document.querySelector('div.content');
+        if (initialContentEl) {
+            // 如果 .content 已存在，直接设置哨兵
+            setupSentinel(initialContentEl);
+        } else {
+            // 如果不存在，则启动“容器”观察者去等待它出现
+            containerObserver.observe(document.body, { childList: true, subtree: true });
+        }
+    }
+
+    // 7. 关闭时断开全部观察者
+    function disable() {
+        containerObserver.disconnect();
+        if (sentinelObserver) {
+            sentinelObserver.disconnect();
+            sentinelObserver = null;
+        }
+        stopFeature();
+    }
+
+    return { enable, disable };
+}
+
+defineModule({ id: 'answer-area', setting: 'autoExpandAnswerArea', init: initializeAnswerAreaObserver });
@@ -0,0 +1,17 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 自动登录 -------------------- */
+function setupAutoLogin() {
+    window.addEventListener('load', function() {
+        if (location.pathname === '/stu/' && location.hash === '#/login') {
+            var loginButton = document.querySelector('.ant-btn-lg');
+            if (loginButton && loginButton.innerText.trim() === "开始使用") { console.log('找到了登录按钮，正在尝试点击...'); setTimeout(function() { loginButton.click(); }, settings.autoLoginDelay); }
+            else { console.log('未找到指定的登录按钮。'); }
+        } else { console.log('当前不是登录页，不执行自动登录。'); }
+    });
+}
+
+// 只在页面加载时检查一次，开关变化在下次打开登录页时生效
+defineModule({
+    id: 'auto-login',
+    init() { if (settings.autoLogin) setupAutoLogin(); },
+});
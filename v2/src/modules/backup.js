@@ -0,0 +1,149 @@
+/* -------------------- 数据导出与导入 -------------------- */
+const BACKUP_FORMAT = 'pkus-xny-ultra-backup';
+const BACKUP_SCHEMA_VERSION = 1; // 备份文件结构变化时递增，并在 validateBackupBundle 中兼容旧版本
+
+async function buildBackupBundle() {
+    return {
+        format: BACKUP_FORMAT,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: {
+            favorites: await getFavorites(),
+            folders: await getFolders(),
+            lastPath: await readStore('lastPath'),
+            settings: await getSettings(),
+            greetingsDone: await readStore('greetingsDone'),
+        },
+    };
+}
+
+// 校验备份文件并返回规范化后的数据；不合法时抛出附带中文说明的 Error
+function validateBackupBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BACKUP_FORMAT) throw new Error('这不是本插件导出的备份文件。');
+    if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) throw new Error('备份文件缺少有效的版本号。');
+    if (bundle.schemaVersion > BACKUP_SCHEMA_VERSION) throw new Error(`备份文件版本 (v${bundle.schemaVersion}) 高于当前脚本支持的版本 (v${BACKUP_SCHEMA_VERSION})，请先更新脚本。`);
+    const data = bundle.data;
+    if (!data || typeof data !== 'object') throw new Error('备份文件中没有数据。');
+    if (!Array.isArray(data.favorites)) throw new Error('收藏夹数据无效。');
+    const badIndex = data.favorites.findIndex(fav => !fav || typeof fav.title !== 'string' || !isValidPath(fav.path));
+    if (badIndex !== -1) throw new Error(`第 ${badIndex + 1} 条收藏的格式不正确。`);
+    const folders = data.folders === undefined ? [] : data.folders;
+    if (!Array.isArray(folders) || folders.some(f => !f || typeof f.id !== 'string' || typeof f.name !== 'string')) throw new Error('文件夹数据无效。');
+    if (data.lastPath != null && !isValidPath(data.lastPath)) throw new Error('上次访问路径的数据无效。');
+    if (data.settings !== undefined && (typeof data.settings !== 'object' || data.settings === null || Array.isArray(data.settings))) throw new Error('设置数据无效。');
+    // 未知的设置项（如其他版本的脚本新增或已删除的）直接丢弃；已知设置项按设置页的规则校验，不合法时拒绝导入，避免把脏数据写进存储
+    const settingsEntries = Object.entries(data.settings || {}).filter(([key]) => key in SETTING_FIELDS);
+    settingsEntries.forEach(([key, value]) => {
+        const error = validateSetting(SETTING_FIELDS[key], value);
+        if (error) throw new Error(`设置“${SETTING_FIELDS[key].title}”的值无效：${error}`);
+    });
+    return {
+        exportedAt: typeof bundle.exportedAt === 'string' ? bundle.exportedAt : null,
+        favorites: data.favorites.map(normalizeFavorite),
+        folders: folders.map(f => ({ id: f.id, name: f.name, collapsed: !!f.collapsed })),
+        lastPath: data.lastPath || null,
+        settings: data.settings === undefined ? null : Object.fromEntries(settingsEntries),
+        greetingsDone: data.greetingsDone === undefined ? null : !!data.greetingsDone,
+    };
+}
+
+async function countDuplicateFavorites(imported) {
+    const known = new Set((await getFavorites()).map(fav => pathKey(fav.path)));
+    return imported.filter(fav => known.has(pathKey(fav.path))).length;
+}
+
+// mode 为 'merge' 时保留本地数据，仅追加路径不重复的收藏；为 'replace' 时整体覆盖
+async function applyBackup(data, mode) {
+    let favorites, folders, added = 0, skipped = 0;
+    if (mode === 'replace') {
+        const seen = new Set();
+        favorites = data.favorites.filter(fav => { const key = pathKey(fav.path); if (seen.has(key)) { skipped++; return false; } seen.add(key); return true; });
+        folders = data.folders;
+        added = favorites.length;
+        await writeStore('lastPath', data.lastPath);
+        if (data.settings) await saveSettings({ ...DEFAULT_SETTINGS, ...data.settings });
+        if (data.greetingsDone !== null) await writeStore('greetingsDone', data.greetingsDone);
+    } else {
+        [favorites, folders] = await Promise.all([getFavorites(), getFolders()]);
+        // 同 id 或同名的文件夹视为同一个，其余作为新文件夹追加
+        const folderIdMap = new Map();
+        data.folders.forEach(folder => {
+            const existing = folders.find(f => f.id === folder.id) || folders.find(f => f.name === folder.name);
+            if (existing) { folderIdMap.set(folder.id, existing.id); return; }
+            folders.push(folder);
+            folderIdMap.set(folder.id, folder.id);
+        });
+        const known = new Set(favorites.map(fav => pathKey(fav.path)));
+        data.favorites.forEach(fav => {
+            const key = pathKey(fav.path);
+            if (known.has(key)) { skipped++; return; }
+            known.add(key);
+            favorites.push({ ...fav, folder: folderIdMap.get(fav.folder) || UNSORTED_FOLDER_ID });
+            added++;
+        });
+        if (data.lastPath && !(await readStore('lastPath'))) await writeStore('lastPath', data.lastPath);
+        if (data.settings) await saveSettings({ ...(await getSettings()), ...data.settings });
+        if (data.greetingsDone) await writeStore('greetingsDone', true);
+    }
+    await saveFavorites(favorites);
+    await saveFolders(folders);
+    return { added, skipped };
+}
+
+async function exportBackup() {
+    const bundle = await buildBackupBundle();
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `xny-ultra-backup-${bundle.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function renderBackupSection(container) {
+    container.innerHTML = `
+        <h2 class="settings-section-title">数据备份</h2>
+        <div class="setting-text" style="padding-top:15px;"><p>将收藏夹、文件夹、上次访问路径与以上设置导出为一个 JSON 文件，可在其他设备上导入。</p></div>
+        <div class="backup-actions"><button class="backup-btn export">导出备份</button><button class="backup-btn import">导入备份…</button><input type="file" accept="application/json,.json" hidden></div>
+        <div class="backup-preview" hidden></div>`;
+    const fileInput = container.querySelector('input[type="file"]');
+    const preview = container.querySelector('.backup-preview');
+    container.querySelector('.export').addEventListener('click', () => exportBackup().catch(err => { console.error('导出失败:', err); GM_notification({ title: '导出失败', text: err.message, timeout: 4000 }); }));
+    container.querySelector('.import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        preview.hidden = false;
+        let data;
+        try {
+            data = validateBackupBundle(JSON.parse(await file.text()));
+        } catch (err) {
+            preview.innerHTML = `<span class="backup-error">无法导入：${escapeHTML(err instanceof SyntaxError ? '文件不是有效的 JSON。' : err.message)}</span>`;
+            return;
+        }
+        const duplicates = await countDuplicateFavorites(data.favorites);
+        const exportedAt = data.exportedAt ? new Date(data.exportedAt).toLocaleString() : '未知时间';
+        preview.innerHTML = `
+            <div>备份导出于 ${escapeHTML(exportedAt)}，包含 ${data.favorites.length} 条收藏（其中 ${duplicates} 条与现有收藏路径重复）、${data.folders.length} 个文件夹${data.lastPath ? '、上次访问路径' : ''}${data.settings ? '、插件设置' : ''}。</div>
+            <div>“合并”会保留现有数据并跳过重复收藏；“替换”会用备份覆盖全部数据。</div>
+            <div class="backup-actions"><button class="backup-btn primary merge">合并</button><button class="backup-btn replace">替换</button><button class="backup-btn cancel">取消</button></div>`;
+        preview.querySelector('.cancel').addEventListener('click', () => { preview.hidden = true; preview.innerHTML = ''; });
+        preview.querySelectorAll('.merge, .replace').forEach(btn => btn.addEventListener('click', async () => {
+            const mode = btn.classList.contains('replace') ? 'replace' : 'merge';
+            if (mode === 'replace' && !confirm('替换将覆盖当前所有收藏、路径与设置，确定继续吗？')) return;
+            try {
+                const { added, skipped } = await applyBackup(data, mode);
+                GM_notification({ title: '导入完成', text: `已导入 ${added} 条收藏${skipped ? `，跳过 ${skipped} 条重复项` : ''}。`, timeout: 4000 });
+                // 重新生成设置页，使开关状态与导入的设置一致
+                destroySettingsPage();
+                handleHashChange();
+            } catch (err) {
+                console.error('导入失败:', err);
+                preview.innerHTML = `<span class="backup-error">导入失败：${escapeHTML(err.message)}</span>`;
+            }
+        }));
+    });
+}
@@ -0,0 +1,142 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 手写板辅助线 -------------------- */
+// 在站点画布上方叠一层不接收指针事件的画布绘制辅助线，提交的仍是站点画布，不含辅助线。
+// 辅助线按站点画布的像素坐标绘制，与笔画模型使用同一套坐标，直线吸附据此取格点
+const GUIDE_SPACING = 24; // 格距，按屏幕像素计
+const SNAP_STRAIGHTNESS = 0.06; // 笔画各点偏离首尾连线不超过其长度的这一比例时视为直线
+const SNAPPABLE_GUIDES = ['grid', 'dotted', 'coordinate'];
+const guideLayers = new WeakMap(); // 手写板 → 辅助线画布
+
+// 高分屏上画布像素多于屏幕像素，格距按比例放大；按未缩放时的显示宽度计算，双指缩放不改变格距。尚未布局时按 1:1
+function guideSpacing(canvas) {
+    return GUIDE_SPACING * (canvas.offsetWidth ? canvas.width / canvas.offsetWidth : 1);
+}
+
+// 坐标系的原点取最靠近画布中心的格点
+function guideOrigin(canvas, spacing) {
+    return [Math.round(canvas.width / 2 / spacing) * spacing, Math.round(canvas.height / 2 / spacing) * spacing];
+}
+
+function drawGuideLines(ctx, width, height, spacing, { vertical = true, style }) {
+    ctx.strokeStyle = style;
+    ctx.beginPath();
+    for (let y = spacing; y < height; y += spacing) { ctx.moveTo(0, y); ctx.lineTo(width, y); }
+    if (vertical) for (let x = spacing; x < width; x += spacing) { ctx.moveTo(x, 0); ctx.lineTo(x, height); }
+    ctx.stroke();
+}
+
+function renderGuide(board) {
+    const layer = guideLayers.get(board);
+    const canvas = board.querySelector('canvas:not(.canvas-guide)');
+    if (!layer || !canvas) return;
+    const guide = settings.canvasGuide;
+    layer.hidden = guide === 'none';
+    layer.width = canvas.width;
+    layer.height = canvas.height;
+    Object.assign(layer.style, { left: `${canvas.offsetLeft}px`, top: `${canvas.offsetTop}px`, width: `${canvas.offsetWidth}px`, height: `${canvas.offsetHeight}px` });
+    const ctx = layer.getContext('2d');
+    if (!ctx) return;
+    ctx.clearRect(0, 0, layer.width, layer.height);
+    if (guide === 'none') return;
+    const spacing = guideSpacing(canvas), scale = spacing / GUIDE_SPACING;
+    ctx.save();
+    ctx.lineWidth = scale;
+    if (guide === 'grid' || guide === 'coordinate') drawGuideLines(ctx, layer.width, layer.height, spacing, { style: 'rgba(59, 130, 246, 0.18)' });
+    else if (guide === 'ruled') drawGuideLines(ctx, layer.width, layer.height, spacing * 1.5, { vertical: false, style: 'rgba(59, 130, 246, 0.3)' });
+    else if (guide === 'dotted') {
+        ctx.fillStyle = 'rgba(75, 85, 99, 0.35)';
+        for (let y = spacing; y < layer.height; y += spacing) {
+            for (let x = spacing; x < layer.width; x += spacing) ctx.fillRect(x - scale, y - scale, 2 * scale, 2 * scale);
+        }
+    }
+    if (guide === 'coordinate') {
+        const [originX, originY] = guideOrigin(canvas, spacing);
+        ctx.strokeStyle = 'rgba(55, 65, 81, 0.6)';
+        ctx.lineWidth = 1.5 * scale;
+        ctx.beginPath();
+        ctx.moveTo(0, originY); ctx.lineTo(layer.width, originY);
+        ctx.moveTo(originX, 0); ctx.lineTo(originX, layer.height);
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+// 接近直线的笔画替换为首尾两点，两端取最近的格点；格点与辅助线同源，坐标系的原点也在格点上
+function snapStroke(stroke, canvas) {
+    const { points } = stroke;
+    if (points.length < 2) return null;
+    const first = points[0], last = points[points.length - 1];
+    const length = Math.hypot(last[0] - first[0], last[1] - first[1]);
+    const spacing = guideSpacing(canvas);
+    if (length < spacing / 2) return null;
+    const straight = points.every(point => pointSegmentDistance(point, first, last) <= Math.max(length * SNAP_STRAIGHTNESS, 2));
+    if (!straight) return null;
+    const snap = ([x, y]) => [Math.round(x / spacing) * spacing, Math.round(y / spacing) * spacing];
+    return { ...stroke, points: [snap(first), snap(last)] };
+}
+
+function snapLastStroke(board, state) {
+    if (!settings.snapToGrid || !SNAPPABLE_GUIDES.includes(settings.canvasGuide)) return;
+    const stroke = state.strokes[state.strokes.length - 1];
+    const snapped = stroke && snapStroke(stroke, state.canvas);
+    if (snapped) setBoardStrokes(board, [...state.strokes.slice(0, -1), snapped], 'snap');
+}
+
+function updateGuideControls(toolbar) {
+    toolbar.querySelector('.guide-select').value = settings.canvasGuide;
+    const snap = toolbar.querySelector('.guide-snap');
+    snap.hidden = !SNAPPABLE_GUIDES.includes(settings.canvasGuide);
+    snap.classList.toggle('active', !!settings.snapToGrid);
+    snap.setAttribute('aria-pressed', String(!!settings.snapToGrid));
+}
+
+function attachCanvasGuide(board, toolbar) {
+    const canvas = board.querySelector('canvas');
+    if (!canvas) return;
+    const layer = document.createElement('canvas');
+    layer.className = 'canvas-guide';
+    layer.setAttribute('aria-hidden', 'true');
+    if (getComputedStyle(board).position === 'static') board.style.position = 'relative';
+    canvas.after(layer);
+    guideLayers.set(board, layer);
+    if (window.ResizeObserver) new ResizeObserver(() => renderGuide(board)).observe(canvas);
+
+    const select = document.createElement('select');
+    select.className = 'canvas-tool guide-select';
+    select.title = '辅助线（不会随作答提交）';
+    select.innerHTML = SETTING_FIELDS.canvasGuide.options.map(option => `<option value="${option.value}">${option.value === 'none' ? '无辅助线' : escapeHTML(option.label)}</option>`).join('');
+    select.addEventListener('change', () => updateSetting('canvasGuide', select.value).catch(err => console.error('切换辅助线失败:', err)));
+    const snap = document.createElement('button');
+    snap.type = 'button';
+    snap.className = 'canvas-tool guide-snap';
+    snap.title = '把接近直线的笔画拉直并吸附到格点';
+    snap.textContent = '📐 吸附';
+    snap.addEventListener('click', () => updateSetting('snapToGrid', !settings.snapToGrid).catch(err => console.error('切换直线吸附失败:', err)));
+    toolbar.append(select, snap);
+    updateGuideControls(toolbar);
+    renderGuide(board);
+}
+
+function initializeCanvasGuides() {
+    registerCanvasTool({ id: 'canvas-guides', attach: attachCanvasGuide });
+    onStrokesChange((board, state, reason) => { if (reason === 'draw') snapLastStroke(board, state); });
+    return {
+        onSettingsChange() {
+            document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(board => {
+                if (!guideLayers.has(board)) return;
+                renderGuide(board);
+                updateGuideControls(canvasToolbars.get(board));
+            });
+        },
+    };
+}
+
+defineModule({
+    id: 'canvas-guides',
+    styles: `
+        .canvas-guide { position: absolute; pointer-events: none; }
+        .canvas-guide[hidden] { display: none; }
+        select.canvas-tool { padding-right: 6px; }
+    `,
+    init: initializeCanvasGuides,
+});
@@ -0,0 +1,135 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 手写笔画模型 -------------------- */
+// 站点自己负责在手写板上绘图；这里在画布上旁听指针事件，把每一笔记录为画布像素坐标下的点列与笔画样式，
+// 供草稿、撤销与橡皮擦等功能使用。需要改动笔画时用 setBoardStrokes 替换模型并重绘到站点的画布上，提交的内容随之一致。
+// 重绘前画布上已有的内容（如站点载入的已提交作答）在第一次落笔时保存为底图，重绘时先画回底图。
+// 笔画：{ points: [[x, y], ...], style: { color, width, cap, join, composite } }
+const strokeBoards = new WeakMap(); // 手写板 → { canvas, strokes, current, base }
+const strokeListeners = [];
+
+// listener(board, state, reason)：reason 为 'draw'（画完一笔）或调用 setBoardStrokes 时给出的原因
+function onStrokesChange(listener) { strokeListeners.push(listener); }
+
+function notifyStrokesChange(board, reason) {
+    const state = strokeBoards.get(board);
+    strokeListeners.forEach(listener => {
+        try { listener(board, state, reason); } catch (err) { console.error('笔画变化处理失败:', err); }
+    });
+}
+
+function getBoardStrokes(board) { const state = strokeBoards.get(board); return state ? state.strokes : []; }
+
+// 布局尚未完成（宽高为 0）时按 1:1 换算
+function canvasPointFromEvent(canvas, event) {
+    const rect = canvas.getBoundingClientRect();
+    const scaleX = rect.width ? canvas.width / rect.width : 1, scaleY = rect.height ? canvas.height / rect.height : 1;
+    return [Math.round((event.clientX - rect.left) * scaleX * 10) / 10, Math.round((event.clientY - rect.top) * scaleY * 10) / 10];
+}
+
+// 点到线段的距离，用于橡皮擦命中与直线判断
+function pointSegmentDistance([px, py], [ax, ay], [bx, by]) {
+    const dx = bx - ax, dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared)) : 0;
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// 画完一笔时读取站点为画布设置的样式，重绘时原样使用
+function currentStrokeStyle(canvas) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return { color: '#000000', width: 2, cap: 'round', join: 'round', composite: 'source-over' };
+    return { color: ctx.strokeStyle, width: ctx.lineWidth, cap: ctx.lineCap, join: ctx.lineJoin, composite: ctx.globalCompositeOperation };
+}
+
+function drawStroke(ctx, stroke) {
+    const [first, ...rest] = stroke.points;
+    if (!first) return;
+    ctx.save();
+    Object.assign(ctx, { strokeStyle: stroke.style.color, fillStyle: stroke.style.color, lineWidth: stroke.style.width, lineCap: stroke.style.cap, lineJoin: stroke.style.join, globalCompositeOperation: stroke.style.composite });
+    ctx.beginPath();
+    if (rest.length === 0) {
+        // 单击留下的点
+        ctx.arc(first[0], first[1], stroke.style.width / 2, 0, Math.PI * 2);
+        ctx.fill();
+    } else {
+        ctx.moveTo(first[0], first[1]);
+        rest.forEach(([x, y]) => ctx.lineTo(x, y));
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+// 模型中还没有笔画时，画布上的内容都来自站点；跨域图片污染画布时无法读取，此时没有底图
+function captureCanvasBase(state) {
+    if (state.base || state.strokes.length) return;
+    const ctx = state.canvas.getContext('2d');
+    try { state.base = ctx ? ctx.getImageData(0, 0, state.canvas.width, state.canvas.height) : null; } catch (e) { state.base = null; }
+}
+
+function renderBoardStrokes(board) {
+    const state = strokeBoards.get(board);
+    const ctx = state && state.canvas.getContext('2d');
+    if (!ctx) return;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, state.canvas.width, state.canvas.height);
+    const { base } = state;
+    if (base && base.width === state.canvas.width && base.height === state.canvas.height) ctx.putImageData(base, 0, 0);
+    ctx.restore();
+    state.strokes.forEach(stroke => drawStroke(ctx, stroke));
+}
+
+function setBoardStrokes(board, strokes, reason) {
+    const state = strokeBoards.get(board);
+    if (!state) return;
+    captureCanvasBase(state);
+    state.strokes = strokes;
+    state.current = null;
+    renderBoardStrokes(board);
+    notifyStrokesChange(board, reason);
+}
+
+// 记录一笔已经画在画布上的笔画（站点画的，或缩放时由脚本代画的）
+function addBoardStroke(board, stroke) {
+    const state = strokeBoards.get(board);
+    if (!state) return;
+    state.strokes.push(stroke);
+    notifyStrokesChange(board, 'draw');
+}
+
+function initializeStrokeModel() {
+    registerCanvasTool({
+        id: 'strokes',
+        attach(board) {
+            const canvas = board.querySelector('canvas');
+            if (!canvas) return;
+            const state = { canvas, strokes: [], current: null, base: null };
+            strokeBoards.set(board, state);
+            // 在画布上监听：被“仅手写笔书写”拦下的触碰到不了这里，也就不会被记录
+            canvas.addEventListener('pointerdown', event => {
+                if (state.current || event.button > 0) return;
+                captureCanvasBase(state);
+                state.current = { pointerId: event.pointerId, points: [canvasPointFromEvent(canvas, event)] };
+            });
+            canvas.addEventListener('pointermove', event => {
+                if (state.current && state.current.pointerId === event.pointerId) state.current.points.push(canvasPointFromEvent(canvas, event));
+            });
+            const finish = event => {
+                if (!state.current || state.current.pointerId !== event.pointerId) return;
+                const { points } = state.current;
+                state.current = null;
+                if (event.type !== 'pointercancel') addBoardStroke(board, { points, style: currentStrokeStyle(canvas) });
+            };
+            // 抬笔可能发生在画布之外；手写板被站点移除后不再需要监听
+            const finishOutside = event => {
+                if (!board.isConnected) { window.removeEventListener('pointerup', finishOutside); return; }
+                if (event.target !== canvas) finish(event);
+            };
+            canvas.addEventListener('pointerup', finish);
+            canvas.addEventListener('pointercancel', finish);
+            window.addEventListener('pointerup', finishOutside);
+        },
+    });
+}
+
+defineModule({ id: 'canvas-strokes', init: initializeStrokeModel });
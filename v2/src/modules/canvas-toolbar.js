@@ -0,0 +1,52 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 手写板工具栏 -------------------- */
+// 在每个答题手写板（.board.answerCanvas）前插入一条工具栏；手写板相关的功能在 init 中通过 registerCanvasTool 注册：
+// { id, attach(board, toolbar) }，attach 对页面上已有的和之后出现的每个手写板各调用一次，可在工具栏中添加控件
+const ANSWER_CANVAS_SELECTOR = '.board.answerCanvas';
+const canvasTools = [];
+const canvasToolbars = new WeakMap(); // 手写板 → 工具栏
+
+function attachCanvasTool(tool, board) {
+    try { tool.attach(board, canvasToolbars.get(board)); }
+    catch (err) { console.error(`手写板工具“${tool.id}”初始化失败:`, err); }
+}
+
+function setupCanvasBoard(board) {
+    if (canvasToolbars.has(board)) return;
+    const toolbar = document.createElement('div');
+    toolbar.className = 'canvas-toolbar';
+    board.before(toolbar);
+    canvasToolbars.set(board, toolbar);
+    canvasTools.forEach(tool => attachCanvasTool(tool, board));
+}
+
+function registerCanvasTool(tool) {
+    canvasTools.push(tool);
+    document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(board => { if (canvasToolbars.has(board)) attachCanvasTool(tool, board); });
+}
+
+function initializeCanvasToolbar() {
+    const observer = new MutationObserver(mutations => {
+        for (const mutation of mutations) {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== 1) return;
+                if (node.matches(ANSWER_CANVAS_SELECTOR)) setupCanvasBoard(node);
+                node.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(setupCanvasBoard);
+            });
+        }
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+    document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(setupCanvasBoard);
+}
+
+defineModule({
+    id: 'canvas-toolbar',
+    styles: `
+        .canvas-toolbar { display: flex; justify-content: flex-end; gap: 6px; margin-bottom: 6px; }
+        .canvas-toolbar:empty { display: none; }
+        .canvas-tool { display: inline-flex; align-items: center; gap: 4px; height: 28px; padding: 0 10px; border: 1px solid #e5e7eb; border-radius: 999px; background-color: #fff; color: #374151; font-size: 0.8rem; cursor: pointer; touch-action: manipulation; }
+        .canvas-tool.active { background-color: #111827; border-color: #111827; color: #fff; }
+        .canvas-tool:disabled { opacity: 0.4; cursor: default; }
+    `,
+    init: initializeCanvasToolbar,
+});
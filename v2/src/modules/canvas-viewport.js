@@ -0,0 +1,183 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 手写板双指缩放 -------------------- */
+// 两根手指同时按在手写板上时平移与缩放画布（以 CSS transform 作用于站点画布和辅助线层），单指或手写笔照常书写。
+// 站点如何把指针位置换算为画布坐标无从得知，因此缩放状态下的书写不交给站点，由脚本按缩放后的位置换算后画入笔画模型；
+// 未缩放时一切照旧。监听器须先于“仅手写笔书写”注册，这样开启该模式时手指仍可缩放
+const VIEWPORT_MAX_SCALE = 4;
+const viewports = new WeakMap(); // 手写板 → { scale, x, y, touches, gesture, gesturePointers, drawing, reset, touchAction }
+const syntheticPointerEvents = new WeakSet(); // 脚本发给站点的事件，不再拦截
+
+function isViewportZoomed(viewport) { return viewport.scale !== 1 || viewport.x !== 0 || viewport.y !== 0; }
+
+function viewportCanvas(board) { return board.querySelector('canvas'); }
+
+// 内容始终铺满手写板：缩放不小于 1，平移不露出画布以外的区域
+function clampViewport(viewport, width, height) {
+    viewport.scale = Math.min(VIEWPORT_MAX_SCALE, Math.max(1, viewport.scale));
+    viewport.x = Math.min(0, Math.max(width - width * viewport.scale, viewport.x));
+    viewport.y = Math.min(0, Math.max(height - height * viewport.scale, viewport.y));
+}
+
+function applyViewport(board) {
+    const viewport = viewports.get(board);
+    const transform = isViewportZoomed(viewport) ? `translate(${viewport.x}px, ${viewport.y}px) scale(${viewport.scale})` : '';
+    board.querySelectorAll('canvas').forEach(canvas => {
+        canvas.style.transform = transform;
+        canvas.style.transformOrigin = transform ? '0 0' : '';
+    });
+    board.classList.toggle('canvas-zoomed', !!transform);
+    viewport.reset.hidden = !transform;
+    viewport.reset.textContent = `🔍 ${Math.round(viewport.scale * 100)}%`;
+}
+
+function resetViewport(board) {
+    const viewport = viewports.get(board);
+    if (!viewport) return;
+    Object.assign(viewport, { scale: 1, x: 0, y: 0 });
+    applyViewport(board);
+}
+
+// 开启时双指手势由脚本处理，不交给浏览器缩放页面；关闭后恢复站点原有的 touch-action
+function applyViewportTouchAction(board) {
+    const viewport = viewports.get(board);
+    if (viewport) board.style.touchAction = settings.enableCanvasZoom ? 'none' : viewport.touchAction;
+}
+
+function touchMidpoint(points) { return [(points[0][0] + points[1][0]) / 2, (points[0][1] + points[1][1]) / 2]; }
+
+function touchDistance(points) { return Math.hypot(points[0][0] - points[1][0], points[0][1] - points[1][1]) || 1; }
+
+// 以两指中点为锚点：手势开始时中点下的画布内容在缩放、平移后仍位于当前中点下
+function updateGesture(board, viewport) {
+    const points = [...viewport.gesturePointers].map(id => viewport.touches.get(id));
+    const { gesture } = viewport;
+    const [midX, midY] = touchMidpoint(points);
+    const scale = Math.min(VIEWPORT_MAX_SCALE, Math.max(1, gesture.scale * touchDistance(points) / gesture.distance));
+    const localX = (gesture.mid[0] - gesture.origin[0] - gesture.x) / gesture.scale, localY = (gesture.mid[1] - gesture.origin[1] - gesture.y) / gesture.scale;
+    Object.assign(viewport, { scale, x: midX - gesture.origin[0] - scale * localX, y: midY - gesture.origin[1] - scale * localY });
+    const canvas = viewportCanvas(board);
+    clampViewport(viewport, canvas.offsetWidth, canvas.offsetHeight);
+    applyViewport(board);
+}
+
+// 第二根手指落下前，第一根手指可能已经开始书写（仅手写笔模式下手指不会书写）：通知站点取消这一笔，并按笔画模型重绘以去掉已画出的部分
+function startGesture(board, viewport, ids) {
+    const canvas = viewportCanvas(board);
+    const [firstId] = ids;
+    let drawn = false;
+    if (viewport.drawing) { viewport.drawing = null; drawn = true; }
+    else if (!isViewportZoomed(viewport) && !settings.stylusOnly) {
+        const [clientX, clientY] = viewport.touches.get(firstId);
+        const cancel = new PointerEvent('pointercancel', { pointerId: firstId, pointerType: 'touch', clientX, clientY, bubbles: true });
+        syntheticPointerEvents.add(cancel);
+        canvas.dispatchEvent(cancel);
+        drawn = true;
+    }
+    if (drawn) renderBoardStrokes(board);
+    const points = ids.map(id => viewport.touches.get(id));
+    const rect = canvas.getBoundingClientRect();
+    viewport.gesturePointers = new Set(ids);
+    viewport.gesture = { distance: touchDistance(points), mid: touchMidpoint(points), scale: viewport.scale, x: viewport.x, y: viewport.y, origin: [rect.left - viewport.x, rect.top - viewport.y] };
+}
+
+// 缩放状态下代替站点书写：按缩放后的位置换算坐标，沿用站点当前的画笔样式，画完后记入笔画模型
+function handleZoomedDrawing(board, viewport, event) {
+    const canvas = viewportCanvas(board);
+    const state = strokeBoards.get(board);
+    const ctx = canvas.getContext('2d');
+    if (!state || !ctx) return;
+    const { drawing } = viewport;
+    if (event.type === 'pointerdown') {
+        if (drawing || event.button > 0 || (settings.stylusOnly && event.pointerType === 'touch')) return;
+        captureCanvasBase(state);
+        viewport.drawing = { pointerId: event.pointerId, points: [canvasPointFromEvent(canvas, event)], style: currentStrokeStyle(canvas) };
+        return;
+    }
+    if (!drawing || drawing.pointerId !== event.pointerId) return;
+    if (event.type === 'pointermove') {
+        const point = canvasPointFromEvent(canvas, event);
+        drawStroke(ctx, { points: [drawing.points[drawing.points.length - 1], point], style: drawing.style });
+        drawing.points.push(point);
+    } else if (event.type === 'pointerup') {
+        viewport.drawing = null;
+        if (drawing.points.length === 1) drawStroke(ctx, drawing);
+        addBoardStroke(board, { points: drawing.points, style: drawing.style });
+    } else if (event.type === 'pointercancel') {
+        viewport.drawing = null;
+        renderBoardStrokes(board);
+    }
+}
+
+function attachCanvasViewport(board, toolbar) {
+    if (!viewportCanvas(board)) return;
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'canvas-tool canvas-zoom-reset';
+    reset.title = '恢复原始大小';
+    reset.hidden = true;
+    reset.addEventListener('click', () => resetViewport(board));
+    toolbar.append(reset);
+    const viewport = { scale: 1, x: 0, y: 0, touches: new Map(), gesture: null, gesturePointers: new Set(), drawing: null, reset, touchAction: board.style.touchAction };
+    viewports.set(board, viewport);
+    applyViewportTouchAction(board);
+
+    function stopEvent(event) {
+        if (!board.contains(event.target)) return;
+        if (event.cancelable) event.preventDefault();
+        event.stopImmediatePropagation();
+    }
+
+    function handlePointer(event) {
+        if (!settings.enableCanvasZoom || syntheticPointerEvents.has(event)) return;
+        const { pointerId: id, type } = event;
+        const ended = type === 'pointerup' || type === 'pointercancel';
+        if (event.pointerType === 'touch' && (type === 'pointerdown' || viewport.touches.has(id))) viewport.touches.set(id, [event.clientX, event.clientY]);
+        if (type === 'pointerdown' && event.pointerType === 'touch' && viewport.touches.size === 2 && !viewport.gesture) startGesture(board, viewport, [...viewport.touches.keys()]);
+        if (viewport.gesturePointers.has(id)) {
+            stopEvent(event);
+            if (type === 'pointermove' && viewport.gesture) updateGesture(board, viewport);
+            // 任一手指抬起即结束手势；另一根手指抬起前的事件同样不交给站点
+            if (ended) { viewport.gesture = null; viewport.gesturePointers.delete(id); }
+        } else if ((isViewportZoomed(viewport) || viewport.drawing) && !isErasing(board)) {
+            stopEvent(event);
+            handleZoomedDrawing(board, viewport, event);
+        }
+        if (ended) viewport.touches.delete(id);
+    }
+
+    // 站点若直接使用触摸或鼠标事件绘图，缩放与手势期间同样不交给站点（橡皮擦模式下由橡皮擦拦截）
+    function handleOtherInput(event) {
+        if (!settings.enableCanvasZoom || isErasing(board)) return;
+        if (viewport.gesturePointers.size || isViewportZoomed(viewport)) stopEvent(event);
+    }
+
+    ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(type => board.addEventListener(type, handlePointer, { capture: true, passive: false }));
+    ['touchstart', 'touchmove', 'touchend', 'touchcancel', 'mousedown', 'mousemove', 'mouseup'].forEach(type => board.addEventListener(type, handleOtherInput, { capture: true, passive: false }));
+    // 手指或笔可能在手写板之外抬起；手写板被站点移除后不再需要监听
+    const handleOutsideEnd = event => {
+        if (!board.isConnected) { ['pointerup', 'pointercancel'].forEach(type => window.removeEventListener(type, handleOutsideEnd)); return; }
+        if (!board.contains(event.target)) handlePointer(event);
+    };
+    ['pointerup', 'pointercancel'].forEach(type => window.addEventListener(type, handleOutsideEnd));
+}
+
+function initializeCanvasViewport() {
+    registerCanvasTool({ id: 'canvas-viewport', attach: attachCanvasViewport });
+    registerCommand({ id: 'canvas.resetZoom', title: '手写板恢复原始大小', keywords: 'zoom reset suofang', run: () => document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(resetViewport) });
+    return {
+        onSettingsChange() {
+            document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(board => {
+                if (!settings.enableCanvasZoom) resetViewport(board);
+                applyViewportTouchAction(board);
+            });
+        },
+    };
+}
+
+defineModule({
+    id: 'canvas-viewport',
+    styles: `
+        .board.answerCanvas.canvas-zoomed { overflow: hidden; }
+    `,
+    init: initializeCanvasViewport,
+});
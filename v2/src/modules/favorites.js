@@ -0,0 +1,306 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 收藏夹 -------------------- */
+const UNSORTED_FOLDER_ID = 'unsorted'; // 内置文件夹，不可删除；旧版收藏默认归入此处
+let favoritesDrawer, favoritesOverlay, favoritesList, favoritesFilterInput;
+
+// 兼容旧数据：没有 folder/tags 字段的收藏视为“未分类”、无标签，其余字段原样保留
+function normalizeFavorite(fav) { return { ...fav, folder: fav.folder || UNSORTED_FOLDER_ID, tags: normalizeTags(fav.tags || []), createdAt: fav.createdAt ?? null, lastOpenedAt: fav.lastOpenedAt ?? null }; }
+
+// 接受数组或以逗号、空格分隔的字符串，去掉前导 # 并去重
+function normalizeTags(input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(/[,，\s]+/);
+    return [...new Set(list.map(t => String(t).trim().replace(/^#/, '')).filter(Boolean))];
+}
+
+async function getFavorites() { return (await readStore('favorites')).map(normalizeFavorite); }
+
+async function saveFavorites(favorites) { await writeStore('favorites', favorites); }
+
+async function getFolders() {
+    const folders = (await readStore('folders')).filter(f => f && f.id);
+    if (!folders.some(f => f.id === UNSORTED_FOLDER_ID)) { folders.unshift({ id: UNSORTED_FOLDER_ID, name: '未分类', collapsed: false }); }
+    return folders;
+}
+
+async function saveFolders(folders) { await writeStore('folders', folders); }
+
+function openFavoritesDrawer() { favoritesFilterInput.value = ''; renderFavoritesList(); favoritesDrawer.classList.add('open'); favoritesOverlay.classList.add('visible'); }
+
+function closeFavoritesDrawer() { favoritesDrawer.classList.remove('open'); favoritesOverlay.classList.remove('visible'); }
+
+async function addCurrentPathToFavorites() { const path = captureCurrentPath(); if (!path || path.length === 0) { GM_notification({ title: '收藏失败', text: '无法捕获当前路径。', timeout: 4000 }); return; } if (path.length < 2 && (document.querySelector('.folderName') || document.querySelector('.ant-tree'))) { GM_notification({ title: '收藏失败', text: '请先进入一个具体的课程目录。', timeout: 4000 }); return; } const favorites = await getFavorites(); if (favorites.some(fav => pathKey(fav.path) === pathKey(path))) { GM_notification({ title: '提示', text: '该路径已在收藏夹中。', timeout: 3000 }); return; } favorites.push({ title: path[path.length - 1].text, path: path, folder: UNSORTED_FOLDER_ID, tags: [], createdAt: Date.now(), lastOpenedAt: null }); await saveFavorites(favorites); GM_notification({ title: '收藏成功！', text: `已将“${path[path.length - 1].text}”加入收藏夹。`, timeout: 3000 }); }
+
+async function deleteFavorite(index) { let f = await getFavorites(); f.splice(index, 1); await saveFavorites(f); renderFavoritesList(); }
+
+const ICON_EDIT = `<svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M17.414 2.586a2 2 0 00-2.828 0L7 10.172V13h2.828l7.586-7.586a2 2 0 000-2.828z"></path><path fill-rule="evenodd" d="M2 6a2 2 0 012-2h4a1 1 0 010 2H4v10h10v-4a1 1 0 112 0v4a2 2 0 01-2 2H4a2 2 0 01-2-2V6z" clip-rule="evenodd"></path></svg>`;
+const ICON_DELETE = `<svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"></path></svg>`;
+const ICON_TAG = `<svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M17.707 9.293a1 1 0 010 1.414l-7 7a1 1 0 01-1.414 0l-7-7A.997.997 0 012 10V5a3 3 0 013-3h5c.256 0 .512.098.707.293l7 7zM5 6a1 1 0 100-2 1 1 0 000 2z" clip-rule="evenodd"></path></svg>`;
+const ICON_FOLDER = `<svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M2 6a2 2 0 012-2h5l2 2h5a2 2 0 012 2v6a2 2 0 01-2 2H4a2 2 0 01-2-2V6z"></path></svg>`;
+const ICON_GRIP = `<svg class="icon" viewBox="0 0 20 20" fill="currentColor"><circle cx="7" cy="5" r="1.5"></circle><circle cx="13" cy="5" r="1.5"></circle><circle cx="7" cy="10" r="1.5"></circle><circle cx="13" cy="10" r="1.5"></circle><circle cx="7" cy="15" r="1.5"></circle><circle cx="13" cy="15" r="1.5"></circle></svg>`;
+
+// 用输入框临时替换 target；回车或失焦提交，Esc 放弃
+function startInlineEdit(target, { value = '', placeholder = '', onCommit }) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'title-edit-input';
+    input.value = value;
+    input.placeholder = placeholder;
+    target.replaceWith(input);
+    input.focus();
+    input.select();
+    let finished = false;
+    const finish = async (commit) => {
+        if (finished) return;
+        finished = true;
+        if (commit) await onCommit(input.value.trim());
+        if (input.isConnected) input.replaceWith(target);
+    };
+    input.addEventListener('click', e => e.stopPropagation());
+    input.addEventListener('keydown', e => { if (e.key === 'Enter') input.blur(); else if (e.key === 'Escape') { e.stopPropagation(); finish(false); } });
+    input.addEventListener('blur', () => finish(true));
+}
+
+// 空格分隔的多个条件需同时满足；以 # 开头的条件只匹配标签
+function matchesFavoriteFilter(fav, query) {
+    if (!query) return true;
+    return query.toLowerCase().split(/\s+/).every(token => {
+        if (token.startsWith('#')) { const tag = token.slice(1); return fav.tags.some(t => t.toLowerCase().includes(tag)); }
+        const fields = [fav.title, fav.path.map(p => p.text).join(' / '), ...fav.tags];
+        return fields.some(text => text.toLowerCase().includes(token) || (typeof PinyinMatch !== 'undefined' && PinyinMatch.match(text, token)));
+    });
+}
+
+async function renderFavoritesList() {
+    const [favorites, folders] = await Promise.all([getFavorites(), getFolders()]);
+    const query = favoritesFilterInput.value.trim();
+    favoritesList.innerHTML = '';
+    favoritesList.classList.toggle('favorites-filtering', !!query);
+    if (favorites.length === 0 && folders.length === 1) { favoritesList.innerHTML = '<li id="empty-favorites-msg" style="border:none;background:transparent;cursor:default;">您的收藏夹是空的<br>点击“+”按钮添加吧</li>'; return; }
+    const folderIds = new Set(folders.map(f => f.id));
+    const entries = favorites.map((fav, index) => ({ fav, index, folder: folderIds.has(fav.folder) ? fav.folder : UNSORTED_FOLDER_ID }));
+    let shown = 0;
+    folders.forEach(folder => {
+        const inFolder = entries.filter(e => e.folder === folder.id);
+        const matched = inFolder.filter(e => matchesFavoriteFilter(e.fav, query));
+        if (query && matched.length === 0) return;
+        favoritesList.appendChild(createFolderHeader(folder, inFolder.length));
+        if (folder.collapsed && !query) return;
+        if (inFolder.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'favorites-folder-empty';
+            empty.dataset.folder = folder.id;
+            empty.textContent = '拖动收藏到这里';
+            favoritesList.appendChild(empty);
+        }
+        matched.forEach(({ fav, index }) => favoritesList.appendChild(createFavoriteItem(fav, index, folders)));
+        shown += matched.length;
+    });
+    if (query && shown === 0) { favoritesList.innerHTML = '<li id="empty-favorites-msg" style="border:none;background:transparent;cursor:default;">没有符合条件的收藏</li>'; }
+}
+
+function createFolderHeader(folder, count) {
+    const li = document.createElement('li');
+    li.className = 'favorites-folder-header' + (folder.collapsed ? ' collapsed' : '');
+    li.dataset.folder = folder.id;
+    const isUnsorted = folder.id === UNSORTED_FOLDER_ID;
+    li.innerHTML = `<span class="folder-label"><span class="folder-caret">▾</span><span class="folder-name">${escapeHTML(folder.name)}</span><span class="folder-count">${count}</span></span>` +
+        (isUnsorted ? '' : `<div class="item-actions"><button class="action-btn edit" title="重命名文件夹">${ICON_EDIT}</button><button class="action-btn delete" title="删除文件夹（其中的收藏移入“未分类”）">${ICON_DELETE}</button></div>`);
+    li.addEventListener('click', async (e) => {
+        if (e.target.closest('.item-actions, input')) return;
+        const current = await getFolders();
+        const target = current.find(f => f.id === folder.id);
+        if (!target) return;
+        target.collapsed = !target.collapsed;
+        await saveFolders(current);
+        renderFavoritesList();
+    });
+    if (isUnsorted) return li;
+    li.querySelector('.edit').addEventListener('click', () => {
+        startInlineEdit(li.querySelector('.folder-name'), { value: folder.name, onCommit: async (name) => {
+            if (!name || name === folder.name) return;
+            const current = await getFolders();
+            const target = current.find(f => f.id === folder.id);
+            if (target) { target.name = name; await saveFolders(current); }
+            renderFavoritesList();
+        } });
+    });
+    li.querySelector('.delete').addEventListener('click', async () => {
+        if (!confirm(`删除文件夹“${folder.name}”？其中的收藏将移入“未分类”。`)) return;
+        const favorites = await getFavorites();
+        favorites.forEach(fav => { if (fav.folder === folder.id) fav.folder = UNSORTED_FOLDER_ID; });
+        await saveFavorites(favorites);
+        await saveFolders((await getFolders()).filter(f => f.id !== folder.id));
+        renderFavoritesList();
+    });
+    return li;
+}
+
+function createFavoriteItem(fav, index, folders) {
+    const li = document.createElement('li');
+    li.dataset.index = index;
+    const fullPath = fav.path.map(p => p.text).join(' / ');
+    const tagsHTML = fav.tags.length ? `<div class="item-tags">${fav.tags.map(t => `<span class="favorite-tag" data-tag="${escapeHTML(t)}">#${escapeHTML(t)}</span>`).join('')}</div>` : '';
+    li.innerHTML = `<span class="drag-handle" title="拖动排序">${ICON_GRIP}</span><div class="item-text-content"><span class="item-title">${escapeHTML(fav.title)}</span><span class="item-fullpath">${escapeHTML(fullPath)}</span>${tagsHTML}</div><div class="item-actions"><button class="action-btn tag" title="编辑标签">${ICON_TAG}</button><button class="action-btn move" title="移动到文件夹">${ICON_FOLDER}</button><button class="action-btn edit" title="编辑名称">${ICON_EDIT}</button><button class="action-btn delete" title="删除此收藏">${ICON_DELETE}</button></div>`;
+    const updateFavorite = async (mutate) => { const c = await getFavorites(); if (!c[index]) return; mutate(c[index]); await saveFavorites(c); renderFavoritesList(); };
+    li.addEventListener('click', async (e) => {
+        if (e.target.closest('.item-actions, .drag-handle, .favorite-tag, input, select')) return;
+        closeFavoritesDrawer();
+        updateFavorite(f => { f.lastOpenedAt = Date.now(); });
+        try { const lastClickedElement = await replayPath(fav.path); await checkForNextStep(lastClickedElement); } catch (error) { console.error("Replay or next step check failed:", error); }
+    });
+    li.querySelectorAll('.favorite-tag').forEach(chip => chip.addEventListener('click', () => { favoritesFilterInput.value = `#${chip.dataset.tag}`; renderFavoritesList(); }));
+    li.querySelector('.delete').addEventListener('click', () => deleteFavorite(index));
+    li.querySelector('.edit').addEventListener('click', () => {
+        startInlineEdit(li.querySelector('.item-title'), { value: fav.title, onCommit: async (title) => { if (title && title !== fav.title) await updateFavorite(f => { f.title = title; }); } });
+    });
+    li.querySelector('.tag').addEventListener('click', () => {
+        let tagsEl = li.querySelector('.item-tags');
+        if (!tagsEl) { tagsEl = document.createElement('div'); tagsEl.className = 'item-tags'; li.querySelector('.item-text-content').appendChild(tagsEl); }
+        startInlineEdit(tagsEl, { value: fav.tags.join(', '), placeholder: '用逗号或空格分隔多个标签', onCommit: async (value) => updateFavorite(f => { f.tags = normalizeTags(value); }) });
+    });
+    li.querySelector('.move').addEventListener('click', (e) => {
+        const moveBtn = e.currentTarget;
+        const select = document.createElement('select');
+        select.className = 'folder-select';
+        select.innerHTML = folders.map(f => `<option value="${escapeHTML(f.id)}"${f.id === fav.folder ? ' selected' : ''}>${escapeHTML(f.name)}</option>`).join('');
+        moveBtn.replaceWith(select);
+        select.focus();
+        select.addEventListener('click', ev => ev.stopPropagation());
+        select.addEventListener('change', () => updateFavorite(f => { f.folder = select.value; }));
+        select.addEventListener('blur', () => { if (select.isConnected) select.replaceWith(moveBtn); });
+    });
+    return li;
+}
+
+async function createFolder() {
+    const li = document.createElement('li');
+    li.className = 'favorites-folder-header';
+    const label = document.createElement('span');
+    li.appendChild(label);
+    favoritesList.prepend(li);
+    startInlineEdit(label, { placeholder: '新文件夹名称', onCommit: async (name) => {
+        if (name) {
+            const folders = await getFolders();
+            folders.push({ id: `f${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name, collapsed: false });
+            await saveFolders(folders);
+        }
+        renderFavoritesList();
+    } });
+}
+
+// 按 DOM 中的顺序与所在文件夹重写收藏数组；折叠或未渲染的收藏保持原有相对顺序
+async function commitFavoritesOrder() {
+    const [favorites, folders] = await Promise.all([getFavorites(), getFolders()]);
+    const grouped = new Map(folders.map(f => [f.id, []]));
+    const placed = new Set();
+    let currentFolder = UNSORTED_FOLDER_ID;
+    favoritesList.querySelectorAll(':scope > li').forEach(li => {
+        if (li.classList.contains('favorites-folder-header') && grouped.has(li.dataset.folder)) { currentFolder = li.dataset.folder; return; }
+        if (li.dataset.index === undefined) return;
+        const index = Number(li.dataset.index);
+        if (!favorites[index] || placed.has(index)) return;
+        placed.add(index);
+        favorites[index].folder = currentFolder;
+        grouped.get(currentFolder).push(favorites[index]);
+    });
+    favorites.forEach((fav, index) => { if (!placed.has(index)) grouped.get(grouped.has(fav.folder) ? fav.folder : UNSORTED_FOLDER_ID).push(fav); });
+    await saveFavorites([].concat(...grouped.values()));
+    renderFavoritesList();
+}
+
+// 基于 Pointer Events 的拖拽排序，手指与鼠标通用；拖到文件夹标题上即移入该文件夹
+function setupFavoritesDragAndDrop() {
+    let drag = null;
+    favoritesList.addEventListener('pointerdown', (e) => {
+        const handle = e.target.closest('.drag-handle');
+        const li = handle && handle.closest('li[data-index]');
+        if (!li) return;
+        e.preventDefault();
+        handle.setPointerCapture(e.pointerId);
+        li.classList.add('dragging');
+        drag = { li, pointerId: e.pointerId, scroller: favoritesList.closest('.drawer-content') };
+    });
+    favoritesList.addEventListener('pointermove', (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        e.preventDefault();
+        const bounds = drag.scroller.getBoundingClientRect();
+        if (e.clientY < bounds.top + 40) drag.scroller.scrollTop -= 10;
+        else if (e.clientY > bounds.bottom - 40) drag.scroller.scrollTop += 10;
+        const under = document.elementFromPoint(e.clientX, e.clientY);
+        const target = under && under.closest('#favorites-drawer .drawer-content li');
+        if (!target || target === drag.li || target.parentElement !== favoritesList) return;
+        if (target.classList.contains('favorites-folder-header')) { target.after(drag.li); return; }
+        if (target.classList.contains('favorites-folder-empty')) { target.before(drag.li); return; }
+        const rect = target.getBoundingClientRect();
+        if (e.clientY < rect.top + rect.height / 2) target.before(drag.li); else target.after(drag.li);
+    });
+    const endDrag = (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        drag.li.classList.remove('dragging');
+        drag = null;
+        commitFavoritesOrder();
+    };
+    favoritesList.addEventListener('pointerup', endDrag);
+    favoritesList.addEventListener('pointercancel', endDrag);
+}
+
+function initializeFavoritesDrawer() {
+    if (document.getElementById('favorites-drawer')) return;
+    favoritesOverlay = document.createElement('div'); favoritesOverlay.className = 'drawer-overlay'; favoritesDrawer = document.createElement('div'); favoritesDrawer.id = 'favorites-drawer'; favoritesDrawer.className = 'bottom-sheet-drawer'; favoritesDrawer.innerHTML = `<div class="drawer-header"><h2>收藏夹</h2></div><div class="favorites-toolbar"><input type="search" class="favorites-filter" placeholder="筛选：标题、路径或 #标签"><button class="favorites-new-folder">新建文件夹</button></div><div class="drawer-content"><ul></ul></div>`; favoritesList = favoritesDrawer.querySelector('.drawer-content ul'); favoritesFilterInput = favoritesDrawer.querySelector('.favorites-filter'); favoritesFilterInput.addEventListener('input', debounce(renderFavoritesList, 150)); favoritesDrawer.querySelector('.favorites-new-folder').addEventListener('click', createFolder); setupFavoritesDragAndDrop();
+    document.body.append(favoritesOverlay, favoritesDrawer);
+    favoritesOverlay.addEventListener('click', closeFavoritesDrawer);
+}
+
+// 抽屉的通用样式（.drawer-overlay、.bottom-sheet-drawer 等）也由本模块提供，历史记录与回放的抽屉共用
+defineModule({
+    id: 'favorites',
+    styles: `
+        /* ========== Favorites Drawer & Buttons CSS ========== */
+        .drawer-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: rgba(0, 0, 0, 0.4); backdrop-filter: blur(4px); z-index: 2147483647; opacity: 0; visibility: hidden; transition: opacity 0.3s ease, visibility 0.3s; }
+        .drawer-overlay.visible { opacity: 1; visibility: visible; }
+        .bottom-sheet-drawer { position: fixed; left: 0; bottom: 0; right: 0; max-height: 70%; background-color: #f9f9f9; border-top-left-radius: 16px; border-top-right-radius: 16px; box-shadow: 0 -4px 20px rgba(0,0,0,0.1); z-index: 2147483647; transform: translateY(100%); transition: transform 0.35s cubic-bezier(0.32, 0.72, 0, 1); display: flex; flex-direction: column; }
+        .bottom-sheet-drawer.open { transform: translateY(0); }
+        .drawer-header { padding: 12px 16px; text-align: center; flex-shrink: 0; position: relative; }
+        .drawer-header::before { content: ''; position: absolute; top: 8px; left: 50%; transform: translateX(-50%); width: 40px; height: 4px; background-color: #d1d5db; border-radius: 2px; }
+        .drawer-header h2 { margin: 12px 0 0; font-size: 1.1rem; font-weight: 600; color: #111827; }
+        .drawer-content { padding: 0 16px 16px; overflow-y: auto; } .drawer-content ul { list-style: none; margin: 0; padding: 0; }
+        #favorites-drawer .drawer-content li, #history-drawer .drawer-content li { background-color: #fff; border-radius: 12px; padding: 14px 12px 14px 16px; margin-top: 12px; cursor: pointer; border: 1px solid #f0f0f0; transition: transform 0.2s ease, box-shadow 0.2s ease; display: flex; align-items: center; justify-content: space-between; gap: 8px; }
+        #favorites-drawer .drawer-content li:hover, #history-drawer .drawer-content li:hover { transform: translateY(-2px) scale(1.01); box-shadow: 0 4px 15px rgba(0,0,0,0.08); }
+        .item-text-content { flex-grow: 1; min-width: 0; }
+        .item-title, #next-step-drawer .item-title { font-size: 1rem; font-weight: 500; color: #1f2937; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: block; }
+        .item-fullpath { font-size: 0.8rem; color: #6b7280; margin-top: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: block; }
+        .title-edit-input { width: 100%; border: 1px solid #3b82f6; border-radius: 6px; padding: 2px 4px; font-size: 1rem; font-weight: 500; color: #1f2937; outline: none; box-shadow: 0 0 0 2px rgba(59, 130, 246, 0.2); }
+        .item-actions { display: flex; align-items: center; flex-shrink: 0; }
+        .action-btn { background: none; border: none; color: #9ca3af; cursor: pointer; padding: 8px; line-height: 1; border-radius: 50%; }
+        .action-btn:hover { background-color: #f3f4f6; color: #374151; } .action-btn.delete:hover { color: #ef4444; }
+        .action-btn .icon { width: 20px; height: 20px; display: block; }
+        .favorites-toolbar { display: flex; gap: 8px; padding: 4px 16px 8px; flex-shrink: 0; }
+        .favorites-filter { flex-grow: 1; min-width: 0; height: 36px; border: 1px solid #e5e7eb; border-radius: 8px; padding: 0 10px; font-size: 0.9rem; color: #1f2937; background-color: #fff; outline: none; }
+        .favorites-filter:focus { border-color: #9ca3af; }
+        .favorites-new-folder { flex-shrink: 0; height: 36px; border: 1px solid #e5e7eb; border-radius: 8px; padding: 0 12px; font-size: 0.85rem; color: #374151; background-color: #fff; cursor: pointer; }
+        .favorites-new-folder:hover { background-color: #f3f4f6; }
+        #favorites-drawer .drawer-content li.favorites-folder-header { background-color: transparent; border: none; border-radius: 0; padding: 0 4px; margin-top: 16px; }
+        #favorites-drawer .drawer-content li.favorites-folder-header:hover { transform: none; box-shadow: none; }
+        #favorites-drawer .drawer-content li.favorites-folder-empty { background-color: transparent; border: 1px dashed #d1d5db; padding: 10px; margin-top: 8px; justify-content: center; font-size: 0.8rem; color: #9ca3af; cursor: default; }
+        #favorites-drawer .drawer-content li.favorites-folder-empty:hover { transform: none; box-shadow: none; }
+        #favorites-drawer .drawer-content li.dragging { opacity: 0.7; transform: scale(1.02); box-shadow: 0 8px 24px rgba(0,0,0,0.15); transition: none; }
+        .folder-label { flex-grow: 1; min-width: 0; display: flex; align-items: center; font-size: 0.85rem; font-weight: 600; color: #6b7280; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .folder-caret { display: inline-block; margin-right: 6px; transition: transform 0.2s ease; }
+        .favorites-folder-header.collapsed .folder-caret { transform: rotate(-90deg); }
+        .folder-count { margin-left: 6px; font-weight: 400; color: #9ca3af; }
+        .drag-handle { flex-shrink: 0; display: flex; padding: 4px 0; color: #d1d5db; cursor: grab; touch-action: none; }
+        .drag-handle .icon { width: 16px; height: 16px; display: block; }
+        .favorites-filtering .drag-handle { display: none; }
+        .item-tags { display: flex; flex-wrap: wrap; gap: 4px; margin-top: 6px; }
+        .favorite-tag { font-size: 0.7rem; color: #374151; background-color: #f3f4f6; border-radius: 999px; padding: 1px 8px; cursor: pointer; }
+        .favorite-tag:hover { background-color: #e5e7eb; }
+        .folder-select { height: 32px; border: 1px solid #3b82f6; border-radius: 6px; padding: 0 4px; font-size: 0.85rem; color: #1f2937; background-color: #fff; outline: none; }
+        .drawer-header-action { position: absolute; right: 16px; top: 16px; background: none; border: none; font-size: 0.85rem; color: #6b7280; cursor: pointer; padding: 4px 8px; border-radius: 6px; }
+        .drawer-header-action:hover { background-color: #f3f4f6; color: #111827; }
+    `,
+    init() {
+        initializeFavoritesDrawer();
+        registerCommand({ id: 'favorites.open', title: '打开收藏夹', keywords: 'bookmarks favorites', run: openFavoritesDrawer });
+        registerCommand({ id: 'favorites.add', title: '收藏当前位置', keywords: 'bookmark add favorite', run: addCurrentPathToFavorites });
+    },
+});
@@ -0,0 +1,20 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 手写优化 -------------------- */
+function initializeHandwritingFixObserver() {
+    const containerSelector = 'body', canvasSelector = '.board.answerCanvas', fixedAttribute = 'data-tampermonkey-fixed';
+    let observer = null, retryTimer = null;
+    function preventScroll(event) { event.preventDefault(); event.stopPropagation(); }
+    function applyFix(element) { if (element.hasAttribute(fixedAttribute)) { return; } element.addEventListener('touchmove', preventScroll, { passive: false }); element.style.overscrollBehaviorY = 'contain'; element.setAttribute(fixedAttribute, 'true'); }
+    function removeFix(element) { element.removeEventListener('touchmove', preventScroll, { passive: false }); element.style.overscrollBehaviorY = ''; element.removeAttribute(fixedAttribute); }
+    function enable() {
+        const container = document.querySelector(containerSelector);
+        if (!container) { retryTimer = setTimeout(enable, 500); return; }
+        observer = new MutationObserver(function(mutations) { for (const mutation of mutations) { if (mutation.addedNodes.length > 0) { mutation.addedNodes.forEach(node => { if (node.nodeType === 1) { if (node.matches(canvasSelector)) { applyFix(node); } node.querySelectorAll(canvasSelector).forEach(applyFix); } }); } } });
+        observer.observe(container, { childList: true, subtree: true });
+        document.querySelectorAll(canvasSelector).forEach(applyFix);
+    }
+    function disable() { clearTimeout(retryTimer); if (observer) { observer.disconnect(); observer = null; } document.querySelectorAll(`[${fixedAttribute}]`).forEach(removeFix); }
+    return { enable, disable };
+}
+
+defineModule({ id: 'handwriting', setting: 'enableHandwritingFix', init: initializeHandwritingFixObserver });
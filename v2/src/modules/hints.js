@@ -0,0 +1,131 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 智能提示逻辑 -------------------- */
+let hintDismissTimer = null;
+let idleCheckTimer = null;
+function hidePillMessage() {
+    clearTimeout(hintDismissTimer);
+    const pillMenu = document.getElementById('pillMenu');
+    if (pillMenu) {
+        pillMenu.classList.remove('show-message', 'show-suggestion');
+        const msgEl = pillMenu.querySelector('.message-text');
+        if (msgEl) msgEl.innerHTML = '';
+    }
+}
+function setupSmartHints() {
+    const pillMenu = document.getElementById('pillMenu');
+    if (!pillMenu) return;
+    let clickListener = null;
+    const msgTextEl = pillMenu.querySelector('.message-text');
+    const showPillMessage = ({ text, duration = 0, isSuggestion = false }) => {
+        hidePillMessage();
+        msgTextEl.innerHTML = text;
+        pillMenu.classList.add(isSuggestion ? 'show-suggestion' : 'show-message');
+        if (duration > 0) {
+            hintDismissTimer = setTimeout(hidePillMessage, duration);
+        }
+    };
+    const handleGreeting = async () => {
+        const greetingsDone = await readStore('greetingsDone');
+        if (!greetingsDone) {
+            setTimeout(() => {
+                msgTextEl.onclick = () => { window.open('https://github.com/Jeremy-Cai/BDFZ-XNY', '_blank'); hidePillMessage(); };
+                showPillMessage({ text: '初次见面，请多关照', duration: 8000 });
+                writeStore('greetingsDone', true);
+            }, 1500);
+        }
+    };
+    const idleCheck = async () => {
+        clearTimeout(idleCheckTimer);
+        if (!clickListener) return;
+        idleCheckTimer = setTimeout(async () => {
+            const pillMenu = document.getElementById('pillMenu');
+            // 如果Pill菜单不存在，或当前正在显示首次问候，则直接退出，不执行闲置检查
+            if (!pillMenu || pillMenu.classList.contains('show-message')) {
+                return;
+            }
+
+            const path = captureCurrentPath();
+            const isAtRoot = !path || path.length < 2;
+            const pathExists = !!(await readStore('lastPath'));
+            const reloadBtn = pillMenu.querySelector('button[title="Reload"]');
+            if (reloadBtn) reloadBtn.style.display = pathExists ? '' : 'none';
+            if (isAtRoot && !document.querySelector('#favorites-drawer.open, #history-drawer.open')) {
+                showPillMessage({ text: escapeHTML(settings.idleHintText), duration: 8000, isSuggestion: true });
+            }
+        }, settings.idleHintDelay);
+    };
+    const start = () => {
+        if (!clickListener) return; // 页面加载完成前已被关闭
+        handleGreeting();
+        idleCheck();
+    };
+    return {
+        enable() {
+            clickListener = (event) => {
+                if (event.target.closest('.menu, .folder, .ant-tree-treenode, .drawer-overlay')) {
+                    setTimeout(idleCheck, 500);
+                }
+            };
+            document.body.addEventListener('click', clickListener, true);
+            if (document.readyState === 'complete') start(); else window.addEventListener('load', start, { once: true });
+        },
+        disable() {
+            document.body.removeEventListener('click', clickListener, true);
+            clickListener = null;
+            clearTimeout(idleCheckTimer);
+            hidePillMessage();
+        }
+    };
+}
+
+// 依赖胶囊菜单，需排在 pill 模块之后初始化
+defineModule({
+    id: 'hints',
+    setting: 'enableSmartHints',
+    styles: `
+        /* ========== Pill Hints CSS ========== */
+        .pill-message {
+            position: absolute;
+            left: 48px; /* 从圆形icon的边缘开始 */
+            top: 0;
+            height: 100%;
+            display: flex;
+            align-items: center;
+            padding-left: 12px; /* 文字与icon的间距 */
+            white-space: nowrap;
+            overflow: hidden;
+            max-width: 0;
+            opacity: 0;
+            transition: max-width 0.4s cubic-bezier(0.4, 0, 0.2, 1), opacity 0.3s ease;
+            will-change: max-width, opacity;
+            transform: translateZ(0);
+            color: #fff;
+            font-size: 14px;
+            pointer-events: none; /* 默认让鼠标事件穿透消息背景 */
+        }
+        .pill-message .message-text {
+            pointer-events: auto; /* 恢复文本自身的点击能力 */
+        }
+        .pill-container.show-message, .pill-container.show-suggestion {
+            overflow: visible; /* 允许绝对定位的子元素溢出显示 */
+        }
+        .pill-container.show-message .pill-message, .pill-container.show-suggestion .pill-message {
+            max-width: 500px;
+            opacity: 1;
+        }
+        .pill-message .message-text {
+            cursor: pointer;
+            padding-right: 16px;
+        }
+        /* Suggestion state: show only specific buttons and hide others */
+        .pill-container.show-suggestion .pill-button {
+            display: none;
+        }
+        .pill-container.show-suggestion .pill-button[title="Bookmarks"],
+        .pill-container.show-suggestion .pill-button[title="Recent"],
+        .pill-container.show-suggestion .pill-button[title="Reload"] {
+            display: flex;
+        }
+    `,
+    init: setupSmartHints,
+});
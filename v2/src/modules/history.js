@@ -0,0 +1,133 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 导航历史 -------------------- */
+let historyDrawer, historyOverlay, historyList;
+const HISTORY_LIMIT = 50;
+let historyReplayTarget = null; // 正在通过历史记录回放的条目下标，回放结束后用实际路径更新该条目
+
+// entries 按时间从旧到新排列且路径互不重复；cursor 为 null 表示位于最新位置
+async function getHistory() {
+    const history = await readStore('history');
+    const entries = history.entries.filter(entry => entry && isValidPath(entry.path));
+    const cursor = Number.isInteger(history.cursor) && history.cursor < entries.length - 1 ? history.cursor : null;
+    return { entries, cursor };
+}
+
+function historyPosition(history) { return history.cursor ?? history.entries.length - 1; }
+
+function isPathPrefix(prefix, path) { return prefix.length < path.length && prefix.every((step, i) => pathKey([step]) === pathKey([path[i]])); }
+
+async function recordHistory(path) {
+    // 必须在第一个 await 之前读取，回放结束后 goToHistoryEntry 会立即清除该标记
+    const replayTarget = historyReplayTarget;
+    historyReplayTarget = null;
+    const history = await getHistory();
+    const now = Date.now();
+    if (replayTarget !== null && history.entries[replayTarget]) {
+        Object.assign(history.entries[replayTarget], { path, visitedAt: now });
+    } else {
+        const key = pathKey(path);
+        const last = history.entries[history.entries.length - 1];
+        // 沿最新位置继续深入时直接替换，避免一次逐级点击留下一串中间层级
+        if (history.cursor === null && last && isPathPrefix(last.path, path)) history.entries.pop();
+        history.entries = history.entries.filter(entry => pathKey(entry.path) !== key);
+        history.entries.push({ path, visitedAt: now });
+        history.entries = history.entries.slice(-HISTORY_LIMIT);
+        history.cursor = null;
+    }
+    await writeStore('history', history);
+    updateHistoryButtons(history);
+}
+
+async function goToHistoryEntry(index) {
+    const history = await getHistory();
+    const entry = history.entries[index];
+    if (!entry) return null;
+    history.cursor = index === history.entries.length - 1 ? null : index;
+    await writeStore('history', history);
+    updateHistoryButtons(history);
+    historyReplayTarget = index;
+    try { return await replayPath(entry.path); } finally { historyReplayTarget = null; }
+}
+
+async function navigateHistory(delta) {
+    const history = await getHistory();
+    const target = historyPosition(history) + delta;
+    if (target < 0 || target >= history.entries.length) { GM_notification({ title: '提示', text: delta < 0 ? '没有更早的访问记录。' : '已经是最新的位置。', timeout: 2000 }); return; }
+    await goToHistoryEntry(target);
+}
+
+function updateHistoryButtons(history) {
+    const pillMenu = document.getElementById('pillMenu');
+    if (!pillMenu) return;
+    const backBtn = pillMenu.querySelector('button[title="Back"]'), forwardBtn = pillMenu.querySelector('button[title="Forward"]');
+    if (backBtn) backBtn.disabled = historyPosition(history) <= 0;
+    if (forwardBtn) forwardBtn.disabled = history.cursor === null;
+}
+
+function formatRelativeTime(timestamp) {
+    const diff = Date.now() - timestamp;
+    if (diff < 60 * 1000) return '刚刚';
+    if (diff < 60 * 60 * 1000) return `${Math.floor(diff / 60000)} 分钟前`;
+    const date = new Date(timestamp), yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const time = date.toTimeString().slice(0, 5);
+    if (date.toDateString() === new Date().toDateString()) return `今天 ${time}`;
+    if (date.toDateString() === yesterday.toDateString()) return `昨天 ${time}`;
+    return `${date.getMonth() + 1}月${date.getDate()}日 ${time}`;
+}
+
+function openHistoryDrawer() { renderHistoryList(); historyDrawer.classList.add('open'); historyOverlay.classList.add('visible'); }
+
+function closeHistoryDrawer() { historyDrawer.classList.remove('open'); historyOverlay.classList.remove('visible'); }
+
+async function renderHistoryList() {
+    const history = await getHistory();
+    historyList.innerHTML = '';
+    if (history.entries.length === 0) { historyList.innerHTML = '<li id="empty-history-msg" style="border:none;background:transparent;cursor:default;">还没有访问记录</li>'; return; }
+    const position = historyPosition(history);
+    for (let index = history.entries.length - 1; index >= 0; index--) {
+        const entry = history.entries[index];
+        const li = document.createElement('li');
+        if (index === position) li.className = 'current';
+        li.innerHTML = `<div class="item-text-content"><span class="item-title">${escapeHTML(entry.path[entry.path.length - 1].text)}</span><span class="item-fullpath">${escapeHTML(entry.path.map(p => p.text).join(' / '))}</span></div><span class="history-time">${formatRelativeTime(entry.visitedAt)}</span>`;
+        li.addEventListener('click', async () => {
+            closeHistoryDrawer();
+            try { await checkForNextStep(await goToHistoryEntry(index)); } catch (error) { console.error("History navigation failed:", error); }
+        });
+        historyList.appendChild(li);
+    }
+}
+
+function initializeHistoryDrawer() {
+    if (document.getElementById('history-drawer')) return;
+    historyOverlay = document.createElement('div');
+    historyOverlay.className = 'drawer-overlay';
+    historyDrawer = document.createElement('div');
+    historyDrawer.id = 'history-drawer';
+    historyDrawer.className = 'bottom-sheet-drawer';
+    historyDrawer.innerHTML = `<div class="drawer-header"><h2>最近访问</h2><button class="drawer-header-action" title="清空访问记录">清空</button></div><div class="drawer-content"><ul></ul></div>`;
+    historyList = historyDrawer.querySelector('.drawer-content ul');
+    document.body.append(historyOverlay, historyDrawer);
+    historyOverlay.addEventListener('click', closeHistoryDrawer);
+    historyDrawer.querySelector('.drawer-header-action').addEventListener('click', async () => {
+        if (!confirm('清空全部访问记录？')) return;
+        const empty = { entries: [], cursor: null };
+        await writeStore('history', empty);
+        updateHistoryButtons(empty);
+        renderHistoryList();
+    });
+}
+
+defineModule({
+    id: 'history',
+    styles: `
+        #history-drawer .drawer-content li.current { border-color: #000; }
+        .history-time { flex-shrink: 0; font-size: 0.75rem; color: #9ca3af; }
+    `,
+    init() {
+        initializeHistoryDrawer();
+        registerCommand({ id: 'history.open', title: '查看最近访问', keywords: 'recent history', run: openHistoryDrawer });
+        registerCommand({ id: 'history.back', title: '后退到上一个位置', keywords: 'back history', run: () => navigateHistory(-1) });
+        registerCommand({ id: 'history.forward', title: '前进到下一个位置', keywords: 'forward history', run: () => navigateHistory(1) });
+    },
+});
@@ -0,0 +1,156 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 全局快捷键 -------------------- */
+// 快捷键绑定到命令面板中的命令 ID；存储中只保存与默认值不同的绑定，空字符串表示取消绑定
+const DEFAULT_HOTKEYS = {
+    'search.open': 'Ctrl+K',
+    'favorites.add': 'Ctrl+D',
+    'replay.last': 'Alt+ArrowLeft',
+    'page.hardRefresh': 'Ctrl+Shift+R',
+};
+const RESERVED_HOTKEYS = { '?': '显示快捷键列表', 'Escape': '关闭浮层' };
+const HOTKEY_KEY_LABELS = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', ' ': 'Space' };
+let hotkeys = { ...DEFAULT_HOTKEYS }; // 运行时缓存：命令 ID -> 组合键
+let isRecordingHotkey = false; // 设置页录制快捷键时暂停全局响应
+
+async function getHotkeys() { return { ...DEFAULT_HOTKEYS, ...(await readStore('hotkeys')) }; }
+
+async function saveHotkey(commandId, combo) {
+    const overrides = await readStore('hotkeys');
+    if (combo === (DEFAULT_HOTKEYS[commandId] || '')) delete overrides[commandId]; else overrides[commandId] = combo;
+    await writeStore('hotkeys', overrides);
+    hotkeys = await getHotkeys();
+}
+
+// Mac 上的 Command 视同 Ctrl；单独按下修饰键时返回 null
+function eventToHotkey(e) {
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    parts.push(e.key.length === 1 ? e.key.toUpperCase() : e.key);
+    return parts.join('+');
+}
+
+function formatHotkey(combo) { return combo.split('+').map(part => HOTKEY_KEY_LABELS[part] || part).join(' + '); }
+
+// 返回错误提示，合法时返回 null；未带 Ctrl/Alt 的普通按键会和页面输入冲突，只允许功能键
+function validateHotkey(commandId, combo) {
+    const parts = combo.split('+'), key = parts[parts.length - 1];
+    if (!parts.includes('Ctrl') && !parts.includes('Alt') && !/^F\d{1,2}$/.test(key)) return '需要包含 Ctrl 或 Alt（F1–F12 除外）。';
+    if (RESERVED_HOTKEYS[combo]) return `该按键已用于“${RESERVED_HOTKEYS[combo]}”。`;
+    const conflict = Object.keys(hotkeys).find(id => id !== commandId && hotkeys[id] === combo);
+    if (conflict) return `与“${commandRegistry.has(conflict) ? commandTitle(commandRegistry.get(conflict)) : conflict}”冲突。`;
+    return null;
+}
+
+function isEditableTarget(target) { return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)); }
+
+function toggleHotkeyCheatsheet() {
+    const existing = document.getElementById('hotkey-cheatsheet');
+    if (existing) { existing.remove(); return; }
+    const overlay = document.createElement('div');
+    overlay.id = 'hotkey-cheatsheet';
+    overlay.className = 'hotkey-cheatsheet-overlay';
+    const rows = Array.from(commandRegistry.values()).filter(command => hotkeys[command.id]).map(command => `<div class="hotkey-cheatsheet-row"><span>${escapeHTML(commandTitle(command))}</span><kbd class="hotkey-keys">${escapeHTML(formatHotkey(hotkeys[command.id]))}</kbd></div>`);
+    Object.entries(RESERVED_HOTKEYS).forEach(([combo, label]) => rows.push(`<div class="hotkey-cheatsheet-row"><span>${label}</span><kbd class="hotkey-keys">${escapeHTML(formatHotkey(combo))}</kbd></div>`));
+    overlay.innerHTML = `<div class="hotkey-cheatsheet"><h2>键盘快捷键</h2>${rows.join('')}<div class="hotkey-cheatsheet-footer">可在插件设置中修改绑定；在搜索中输入 > 可执行全部命令。</div></div>`;
+    overlay.addEventListener('click', () => overlay.remove());
+    document.body.appendChild(overlay);
+}
+
+async function setupGlobalHotkeys() {
+    hotkeys = await getHotkeys();
+    // 捕获阶段监听，先于站点自身的键盘处理
+    document.addEventListener('keydown', (e) => {
+        if (isRecordingHotkey || e.isComposing) return;
+        const cheatsheet = document.getElementById('hotkey-cheatsheet');
+        if (cheatsheet && e.key === 'Escape') { cheatsheet.remove(); return; }
+        if (e.key === '?' && !e.ctrlKey && !e.metaKey && !e.altKey && !isEditableTarget(e.target)) { e.preventDefault(); toggleHotkeyCheatsheet(); return; }
+        const combo = eventToHotkey(e);
+        const commandId = combo && Object.keys(hotkeys).find(id => hotkeys[id] === combo);
+        const command = commandId && commandRegistry.get(commandId);
+        if (!command) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (cheatsheet) cheatsheet.remove();
+        Promise.resolve().then(() => command.run()).catch(err => console.error(`快捷键命令“${command.id}”执行失败:`, err));
+    }, true);
+}
+
+function renderHotkeySection(container) {
+    container.innerHTML = `
+        <h2 class="settings-section-title">快捷键</h2>
+        <div class="setting-text" style="padding-top:15px;"><p>点击按键后按下新的组合键即可修改，按 Esc 取消，按 Backspace 取消绑定。在页面任意位置按 ? 可查看全部快捷键。</p></div>
+        <div class="hotkey-list"></div>`;
+    const list = container.querySelector('.hotkey-list');
+    Array.from(commandRegistry.values()).forEach(command => {
+        const item = document.createElement('div');
+        item.className = 'hotkey-item';
+        item.innerHTML = `<div class="setting-text"><h3>${escapeHTML(commandTitle(command))}</h3><p class="hotkey-message"></p></div><div class="hotkey-controls"><button class="backup-btn hotkey-btn"></button><button class="backup-btn hotkey-reset">恢复默认</button></div>`;
+        const button = item.querySelector('.hotkey-btn'), resetBtn = item.querySelector('.hotkey-reset'), message = item.querySelector('.hotkey-message');
+        const refresh = () => {
+            const combo = hotkeys[command.id] || '';
+            button.textContent = combo ? formatHotkey(combo) : '未设置';
+            button.classList.toggle('unbound', !combo);
+            resetBtn.hidden = combo === (DEFAULT_HOTKEYS[command.id] || '');
+        };
+        const commit = async (combo) => {
+            const error = combo && validateHotkey(command.id, combo);
+            message.innerHTML = error ? `<span class="backup-error">${escapeHTML(error)}</span>` : '';
+            if (!error) await saveHotkey(command.id, combo);
+            refresh();
+        };
+        button.addEventListener('click', () => {
+            if (isRecordingHotkey) return;
+            isRecordingHotkey = true;
+            button.classList.add('recording');
+            button.textContent = '请按下组合键…';
+            message.innerHTML = '';
+            const onKeyDown = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (e.key === 'Escape') return stop(null);
+                if (e.key === 'Backspace' || e.key === 'Delete') return stop('');
+                const combo = eventToHotkey(e);
+                if (combo) stop(combo);
+            };
+            const stop = (combo) => {
+                document.removeEventListener('keydown', onKeyDown, true);
+                button.classList.remove('recording');
+                isRecordingHotkey = false;
+                if (combo === null) refresh(); else commit(combo);
+            };
+            document.addEventListener('keydown', onKeyDown, true);
+        });
+        resetBtn.addEventListener('click', () => commit(DEFAULT_HOTKEYS[command.id] || ''));
+        refresh();
+        list.appendChild(item);
+    });
+}
+
+defineModule({
+    id: 'hotkeys',
+    styles: `
+.hotkey-cheatsheet-overlay { position: fixed; inset: 0; background-color: rgba(255, 255, 255, 0.5); backdrop-filter: blur(12px); -webkit-backdrop-filter: blur(12px); z-index: 21000; display: flex; align-items: center; justify-content: center; }
+.hotkey-cheatsheet { width: 90%; max-width: 480px; max-height: 70vh; overflow-y: auto; background-color: #f9f9f9; border-radius: 12px; box-shadow: 0 10px 30px rgba(0,0,0,0.15); padding: 20px 24px; }
+.hotkey-cheatsheet h2 { margin: 0 0 12px; font-size: 1.05rem; color: #1f2937; }
+.hotkey-cheatsheet-row { display: flex; justify-content: space-between; align-items: center; gap: 16px; padding: 6px 0; font-size: 0.9rem; color: #374151; }
+.hotkey-cheatsheet-footer { margin-top: 12px; font-size: 0.75rem; color: #9ca3af; }
+kbd.hotkey-keys { flex-shrink: 0; font-family: inherit; font-size: 0.8rem; padding: 2px 8px; border-radius: 6px; border: 1px solid #d1d5db; border-bottom-width: 2px; background-color: #fff; color: #1f2937; white-space: nowrap; }
+        .hotkey-item { display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 12px 0; border-bottom: 1px solid #eee; }
+        .hotkey-item .setting-text h3 { font-size: 1rem; margin: 0; }
+        .hotkey-item .setting-text p { font-size: 0.8rem; }
+        .hotkey-controls { display: flex; gap: 8px; flex-shrink: 0; }
+        .hotkey-btn { min-width: 120px; }
+        .hotkey-btn.recording { border-style: dashed; }
+        .hotkey-btn.unbound { color: #999; }
+    `,
+    async init() {
+        await setupGlobalHotkeys();
+        // 其他标签页改键后同步运行时缓存
+        GM_addValueChangeListener(STORAGE_KEYS.hotkeys, async (name, oldValue, newValue, remote) => {
+            if (remote) hotkeys = await getHotkeys();
+        });
+    },
+});
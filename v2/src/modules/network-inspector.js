@@ -0,0 +1,159 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 网络面板 -------------------- */
+// 记录拦截器看到的站点接口（/exam/...）请求，便于在不打开开发者工具的情况下准确报告站点问题
+let networkDrawer, networkOverlay, networkList, networkFilterInput, networkFailedOnlyInput;
+const NETWORK_BODY_LIMIT = 100000; // 单个请求体或响应体最多保留的字符数
+const networkLog = []; // 新的在前，条数上限由设置 networkLogLimit 决定
+const expandedNetworkEntries = new Set(); // 展开了详情的记录 id，重新渲染列表时保持展开
+let nextNetworkEntryId = 1;
+
+function isSiteApiRequest(record) {
+    try { return new URL(record.url).pathname.startsWith('/exam/'); } catch (e) { return false; }
+}
+
+function truncateBody(body) {
+    if (typeof body !== 'string' || body.length <= NETWORK_BODY_LIMIT) return body;
+    return `${body.slice(0, NETWORK_BODY_LIMIT)}\n…（已截断，共 ${body.length} 个字符）`;
+}
+
+function trimNetworkLog() {
+    networkLog.length = Math.min(networkLog.length, settings.networkLogLimit);
+    const ids = new Set(networkLog.map(entry => entry.id));
+    expandedNetworkEntries.forEach(id => { if (!ids.has(id)) expandedNetworkEntries.delete(id); });
+}
+
+function recordNetworkRequest(record) {
+    if (!isSiteApiRequest(record)) return;
+    // 只显示站点实际收到的响应，不另外保留钩子修改前的原文
+    networkLog.unshift({ ...record, id: nextNetworkEntryId++, body: truncateBody(record.body), responseText: truncateBody(record.responseText), rawResponseText: null });
+    trimNetworkLog();
+    if (networkDrawer && networkDrawer.classList.contains('open')) renderNetworkList();
+}
+
+function isFailedRequest(entry) { return !!entry.error || entry.status === 0 || entry.status >= 400; }
+
+// JSON 格式化显示，其他文本原样显示；FormData、Blob 等只显示类型
+function formatNetworkBody(body) {
+    if (body === null || body === undefined || body === '') return '（无）';
+    if (typeof body !== 'string') return `[${Object.prototype.toString.call(body).slice(8, -1)}]`;
+    try { return JSON.stringify(JSON.parse(body), null, 2); } catch (e) { return body; }
+}
+
+function shellQuote(value) { return `'${String(value).replace(/'/g, `'\\''`)}'`; }
+
+// Cookie 由浏览器管理，脚本取不到，也就不会出现在命令中
+function toCurlCommand(entry) {
+    const parts = ['curl', shellQuote(entry.url)];
+    if (entry.method !== 'GET') parts.push('-X', entry.method);
+    Object.entries(entry.headers).forEach(([name, value]) => parts.push('-H', shellQuote(`${name}: ${value}`)));
+    if (typeof entry.body === 'string' && entry.body) parts.push('--data-raw', shellQuote(entry.body));
+    return parts.join(' ');
+}
+
+function describeNetworkStatus(entry) {
+    if (entry.error) return entry.error;
+    if (entry.status === null || entry.status === undefined) return '等待响应';
+    return entry.local ? `${entry.status}（本地）` : String(entry.status);
+}
+
+function filterNetworkLog() {
+    const query = networkFilterInput.value.trim().toLowerCase();
+    return networkLog.filter(entry => {
+        if (networkFailedOnlyInput.checked && !isFailedRequest(entry)) return false;
+        return !query || `${entry.method} ${entry.url} ${describeNetworkStatus(entry)}`.toLowerCase().includes(query);
+    });
+}
+
+function renderNetworkDetails(entry) {
+    const headers = Object.entries(entry.headers).map(([name, value]) => `${name}: ${value}`).join('\n') || '（无）';
+    const hooks = entry.hooks.length ? `<p class="network-hooks">经过钩子：${entry.hooks.map(escapeHTML).join('、')}</p>` : '';
+    return `<div class="network-details">
+        <p class="network-url">${escapeHTML(entry.url)}</p>${hooks}
+        <h3>请求头</h3><pre>${escapeHTML(headers)}</pre>
+        <h3>请求体</h3><pre>${escapeHTML(formatNetworkBody(entry.body))}</pre>
+        <h3>响应</h3><pre class="network-response">${escapeHTML(formatNetworkBody(entry.responseText))}</pre>
+        <div class="network-actions"><button class="network-copy-curl">复制为 cURL</button></div>
+    </div>`;
+}
+
+function renderNetworkList() {
+    const entries = filterNetworkLog();
+    networkList.innerHTML = '';
+    if (entries.length === 0) { networkList.innerHTML = `<li class="network-empty">${networkLog.length ? '没有符合筛选条件的请求' : '还没有记录到站点请求'}</li>`; return; }
+    entries.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = `network-entry${isFailedRequest(entry) ? ' failed' : ''}`;
+        const path = entry.url.replace(window.location.origin, '');
+        li.innerHTML = `<div class="network-summary"><span class="network-method">${escapeHTML(entry.method)}</span><span class="network-path" title="${escapeHTML(entry.url)}">${escapeHTML(path)}</span><span class="network-status">${escapeHTML(describeNetworkStatus(entry))}</span><span class="network-duration">${entry.duration} ms</span></div>`;
+        if (expandedNetworkEntries.has(entry.id)) {
+            li.classList.add('expanded');
+            li.insertAdjacentHTML('beforeend', renderNetworkDetails(entry));
+            const copyBtn = li.querySelector('.network-copy-curl');
+            copyBtn.addEventListener('click', () => {
+                GM_setClipboard(toCurlCommand(entry), 'text');
+                copyBtn.textContent = '已复制';
+                setTimeout(() => { copyBtn.textContent = '复制为 cURL'; }, 1000);
+            });
+        }
+        li.querySelector('.network-summary').addEventListener('click', () => {
+            if (expandedNetworkEntries.has(entry.id)) expandedNetworkEntries.delete(entry.id); else expandedNetworkEntries.add(entry.id);
+            renderNetworkList();
+        });
+        networkList.appendChild(li);
+    });
+}
+
+function openNetworkInspector() { renderNetworkList(); networkDrawer.classList.add('open'); networkOverlay.classList.add('visible'); }
+
+function closeNetworkInspector() { networkDrawer.classList.remove('open'); networkOverlay.classList.remove('visible'); }
+
+function toggleNetworkInspector() { if (networkDrawer.classList.contains('open')) closeNetworkInspector(); else openNetworkInspector(); }
+
+function initializeNetworkInspector() {
+    if (document.getElementById('network-inspector-drawer')) return;
+    networkOverlay = document.createElement('div');
+    networkOverlay.className = 'drawer-overlay';
+    networkDrawer = document.createElement('div');
+    networkDrawer.id = 'network-inspector-drawer';
+    networkDrawer.className = 'bottom-sheet-drawer';
+    networkDrawer.innerHTML = `<div class="drawer-header"><h2>网络请求</h2><button class="drawer-header-action" title="清空请求记录">清空</button></div><div class="network-toolbar"><input type="search" class="network-filter" placeholder="筛选：地址、方法或状态码"><label><input type="checkbox" class="network-failed-only">仅显示失败</label></div><div class="drawer-content"><ul></ul></div>`;
+    networkList = networkDrawer.querySelector('.drawer-content ul');
+    networkFilterInput = networkDrawer.querySelector('.network-filter');
+    networkFailedOnlyInput = networkDrawer.querySelector('.network-failed-only');
+    document.body.append(networkOverlay, networkDrawer);
+    networkOverlay.addEventListener('click', closeNetworkInspector);
+    networkFilterInput.addEventListener('input', debounce(renderNetworkList, 150));
+    networkFailedOnlyInput.addEventListener('change', renderNetworkList);
+    networkDrawer.querySelector('.drawer-header-action').addEventListener('click', () => { networkLog.length = 0; expandedNetworkEntries.clear(); renderNetworkList(); });
+}
+
+defineModule({
+    id: 'network-inspector',
+    styles: `
+        .network-toolbar { display: flex; align-items: center; gap: 12px; padding: 0 16px 8px; font-size: 0.85rem; color: #374151; }
+        .network-filter { flex: 1; min-width: 0; height: 34px; padding: 0 12px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #fff; outline: none; }
+        .network-toolbar label { display: flex; align-items: center; gap: 4px; white-space: nowrap; cursor: pointer; }
+        #network-inspector-drawer .drawer-content li { background-color: #fff; border-radius: 12px; margin-top: 8px; border: 1px solid #f0f0f0; }
+        #network-inspector-drawer .drawer-content li.network-empty { border: none; background: transparent; padding: 12px 16px; color: #9ca3af; }
+        #network-inspector-drawer li.failed { border-color: #fecaca; }
+        .network-summary { display: flex; align-items: center; gap: 10px; padding: 10px 14px; cursor: pointer; font-size: 0.85rem; }
+        .network-method { flex-shrink: 0; font-weight: 600; color: #1f2937; }
+        .network-path { flex: 1; min-width: 0; font-family: monospace; color: #374151; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .network-status { flex-shrink: 0; color: #059669; }
+        li.failed .network-status { color: #b91c1c; }
+        .network-duration { flex-shrink: 0; width: 64px; text-align: right; color: #9ca3af; }
+        .network-details { padding: 0 14px 12px; border-top: 1px solid #f3f4f6; font-size: 0.8rem; color: #374151; }
+        .network-details h3 { margin: 10px 0 4px; font-size: 0.8rem; color: #6b7280; }
+        .network-details pre { max-height: 240px; overflow: auto; padding: 8px; border-radius: 6px; background-color: #f9fafb; font-size: 0.75rem; white-space: pre-wrap; word-break: break-all; }
+        .network-url { margin-top: 10px; font-family: monospace; word-break: break-all; }
+        .network-hooks { margin-top: 4px; color: #6b7280; }
+        .network-actions { margin-top: 10px; text-align: right; }
+        .network-copy-curl { padding: 4px 12px; border: 1px solid #e5e7eb; border-radius: 6px; background-color: #fff; cursor: pointer; }
+    `,
+    init() {
+        observeRequests(recordNetworkRequest);
+        initializeNetworkInspector();
+        registerCommand({ id: 'network.open', title: '打开网络面板', keywords: 'network inspector request debug', run: openNetworkInspector });
+    },
+    onSettingsChange() { trimNetworkLog(); },
+});
@@ -0,0 +1,210 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 离线缓存 -------------------- */
+// 把成功返回的目录（catalog/entity）与题目（/content）响应存入 IndexedDB；
+// 同样的请求失败时（断网、超时或服务器出错）打开只读的离线浏览抽屉，显示上次缓存的内容并标明缓存时间
+let offlineDrawer, offlineOverlay, offlineBody, offlineBadge;
+const OFFLINE_CACHE_LIMIT = 300; // 超出后删除最早缓存的记录
+
+// 返回 'catalog' / 'content'，其他请求返回 null
+function offlineResponseKind(url) {
+    if (url.pathname.includes('catalog/entity')) return 'catalog';
+    if (url.pathname.endsWith('/content')) return 'content';
+    return null;
+}
+
+function offlineCacheKey(url) { return `${url.pathname}${url.search}`; }
+
+function isOfflineFailure(record) { return !!record.error || record.status === 0 || record.status >= 500; }
+
+function formatCaptureDate(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}年${date.getMonth() + 1}月${date.getDate()}日 ${date.toTimeString().slice(0, 5)}`;
+}
+
+// 超出上限时沿 capturedAt 索引从最早的记录开始删除；只计数、只遍历键，不读出响应内容
+function saveOfflineResponse(record) {
+    return idbRun('responses', 'readwrite', store => {
+        store.put(record);
+        store.count().onsuccess = (event) => {
+            let excess = event.target.result - OFFLINE_CACHE_LIMIT;
+            if (excess <= 0) return;
+            store.index('capturedAt').openKeyCursor().onsuccess = (cursorEvent) => {
+                const cursor = cursorEvent.target.result;
+                if (!cursor || excess-- <= 0) return;
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+        };
+    });
+}
+
+function loadOfflineResponse(key) { return idbRun('responses', 'readonly', store => store.get(key)); }
+
+function loadOfflineCatalogs() { return idbRun('responses', 'readonly', store => store.index('kind').getAll('catalog')); }
+
+// 已缓存题目的目录 ID → 记录键；沿 catalogId 索引只遍历键，不读出题目内容，进入题目时再按键读取
+async function loadCachedContentKeys() {
+    const keys = new Map();
+    await idbRun('responses', 'readonly', store => {
+        store.index('catalogId').openKeyCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            keys.set(String(cursor.key), cursor.primaryKey);
+            cursor.continue();
+        };
+    });
+    return keys;
+}
+
+// 只缓存结构正确的成功响应；目录记下当时的主菜单与科目，题目记下所在的目录节点，供离线浏览时显示
+function captureOfflineResponse(url, kind, responseText) {
+    let data;
+    try { data = JSON.parse(responseText); } catch (e) { return; }
+    if (!data || !Array.isArray(data.extra)) return;
+    const record = { key: offlineCacheKey(url), kind, capturedAt: Date.now(), data };
+    if (kind === 'catalog') Object.assign(record, currentCatalogContext());
+    else {
+        const catalogIdMatch = url.pathname.match(/\/(\d+)\/content$/);
+        const selectedNode = document.querySelector('.ant-tree-node-selected');
+        record.catalogId = catalogIdMatch ? catalogIdMatch[1] : null;
+        record.title = selectedNode ? cleanInnerText(selectedNode) : `资源 ${record.catalogId ?? ''}`.trim();
+    }
+    saveOfflineResponse(record).catch(e => console.warn('[OfflineCache] 缓存写入失败:', e));
+}
+
+async function handleOfflineRequest(record) {
+    if (!settings.enableOfflineCache || record.local) return;
+    let url;
+    try { url = new URL(record.url); } catch (e) { return; }
+    const kind = offlineResponseKind(url);
+    if (!kind) return;
+    // 缓存服务器返回的原文，而不是经过“强制显示答案”等钩子修改后的内容
+    if (record.status === 200 && !record.error) { captureOfflineResponse(url, kind, record.rawResponseText); return; }
+    if (!isOfflineFailure(record)) return;
+    try {
+        const cached = await loadOfflineResponse(offlineCacheKey(url));
+        if (cached) openOfflineView(cached);
+        else console.warn('[OfflineCache] 请求失败且没有可用的离线缓存:', record.url);
+    } catch (e) { console.warn('[OfflineCache] 无法读取离线缓存:', e); }
+}
+
+/* -------------------- 离线浏览抽屉 -------------------- */
+function describeOfflineCatalog(record) { return record.mainMenu === '课程' ? record.subject : `${record.mainMenu} · ${record.subject}`; }
+
+// 题目正文可能是 HTML，离线浏览中只显示其文字
+function offlineQuestionText(content) {
+    const html = content.content ?? content.stem ?? '';
+    if (typeof html !== 'string' || !html) return '';
+    return new DOMParser().parseFromString(html, 'text/html').body.textContent.trim();
+}
+
+function setOfflineHeader(title, capturedAt) {
+    offlineDrawer.querySelector('.drawer-header h2').textContent = title;
+    offlineBadge.textContent = capturedAt ? `只读 · 缓存于 ${formatCaptureDate(capturedAt)}` : '只读';
+}
+
+async function renderOfflineIndex() {
+    const catalogs = (await loadOfflineCatalogs()).sort((a, b) => b.capturedAt - a.capturedAt);
+    setOfflineHeader('离线浏览', null);
+    offlineBody.innerHTML = catalogs.length ? '' : '<p class="offline-empty">还没有缓存任何目录。打开过的目录与题目会自动缓存。</p>';
+    catalogs.forEach(record => {
+        const button = document.createElement('button');
+        button.className = 'offline-link';
+        button.innerHTML = `<span>${escapeHTML(describeOfflineCatalog(record))}</span><span class="offline-meta">${formatCaptureDate(record.capturedAt)}</span>`;
+        button.addEventListener('click', () => renderOfflineCatalog(record));
+        offlineBody.appendChild(button);
+    });
+}
+
+async function renderOfflineCatalog(record) {
+    const contentKeys = await loadCachedContentKeys();
+    setOfflineHeader(describeOfflineCatalog(record), record.capturedAt);
+    offlineBody.innerHTML = '<button class="offline-back">‹ 全部缓存</button>';
+    offlineBody.querySelector('.offline-back').addEventListener('click', renderOfflineIndex);
+
+    function renderNodes(nodes) {
+        const ul = document.createElement('ul');
+        ul.className = 'offline-tree';
+        nodes.filter(node => node && typeof node.catalogName === 'string').forEach(node => {
+            const li = document.createElement('li');
+            const children = Array.isArray(node.childList) ? node.childList : [];
+            const contentKey = contentKeys.get(catalogNodeId(node));
+            if (contentKey) {
+                li.innerHTML = `<button class="offline-link">${escapeHTML(node.catalogName)}</button>`;
+                li.firstElementChild.addEventListener('click', () => {
+                    loadOfflineResponse(contentKey)
+                        .then(cached => { if (cached) renderOfflineContent(cached, record); })
+                        .catch(e => console.warn('[OfflineCache] 无法读取离线缓存:', e));
+                });
+            } else {
+                li.innerHTML = `<span class="offline-node">${escapeHTML(node.catalogName)}</span>${children.length ? '' : '<span class="offline-meta">未缓存</span>'}`;
+            }
+            if (children.length) li.appendChild(renderNodes(children));
+            ul.appendChild(li);
+        });
+        return ul;
+    }
+    offlineBody.appendChild(renderNodes(record.data.extra));
+}
+
+// catalogRecord 为进入该题目的目录，用于“返回”；直接因请求失败打开时为空
+function renderOfflineContent(record, catalogRecord) {
+    setOfflineHeader(record.title, record.capturedAt);
+    offlineBody.innerHTML = `<button class="offline-back">‹ ${catalogRecord ? escapeHTML(describeOfflineCatalog(catalogRecord)) : '全部缓存'}</button><ol class="offline-questions"></ol>`;
+    offlineBody.querySelector('.offline-back').addEventListener('click', () => (catalogRecord ? renderOfflineCatalog(catalogRecord) : renderOfflineIndex()));
+    const list = offlineBody.querySelector('.offline-questions');
+    record.data.extra.forEach((item, index) => {
+        const content = item && item.content && typeof item.content === 'object' ? item.content : {};
+        const li = document.createElement('li');
+        li.innerHTML = `<span class="offline-question-title">${escapeHTML(content.title || `第 ${index + 1} 题`)}</span><p>${escapeHTML(offlineQuestionText(content))}</p>`;
+        list.appendChild(li);
+    });
+}
+
+function openOfflineView(record) {
+    if (!record) renderOfflineIndex().catch(e => console.warn('[OfflineCache] 无法读取离线缓存:', e));
+    else if (record.kind === 'catalog') renderOfflineCatalog(record).catch(e => console.warn('[OfflineCache] 无法读取离线缓存:', e));
+    else renderOfflineContent(record, null);
+    offlineDrawer.classList.add('open');
+    offlineOverlay.classList.add('visible');
+}
+
+function closeOfflineView() { offlineDrawer.classList.remove('open'); offlineOverlay.classList.remove('visible'); }
+
+function initializeOfflineView() {
+    if (document.getElementById('offline-drawer')) return;
+    offlineOverlay = document.createElement('div');
+    offlineOverlay.className = 'drawer-overlay';
+    offlineDrawer = document.createElement('div');
+    offlineDrawer.id = 'offline-drawer';
+    offlineDrawer.className = 'bottom-sheet-drawer';
+    offlineDrawer.innerHTML = `<div class="drawer-header"><h2>离线浏览</h2><span class="offline-badge"></span></div><div class="drawer-content"></div>`;
+    offlineBody = offlineDrawer.querySelector('.drawer-content');
+    offlineBadge = offlineDrawer.querySelector('.offline-badge');
+    document.body.append(offlineOverlay, offlineDrawer);
+    offlineOverlay.addEventListener('click', closeOfflineView);
+}
+
+defineModule({
+    id: 'offline-cache',
+    styles: `
+        #offline-drawer .drawer-header { display: flex; align-items: center; justify-content: center; gap: 8px; flex-wrap: wrap; }
+        .offline-badge { padding: 2px 10px; border-radius: 999px; background-color: #fef3c7; color: #92400e; font-size: 0.75rem; white-space: nowrap; }
+        .offline-empty { padding: 16px 0; color: #9ca3af; text-align: center; }
+        .offline-link { display: flex; justify-content: space-between; gap: 12px; width: 100%; margin-top: 8px; padding: 10px 14px; border: 1px solid #f0f0f0; border-radius: 10px; background-color: #fff; color: #1f2937; text-align: left; cursor: pointer; }
+        .offline-back { margin-top: 4px; border: none; background: none; color: #6b7280; cursor: pointer; }
+        .offline-tree { list-style: none; margin: 0; padding-left: 16px; }
+        #offline-drawer .drawer-content > .offline-tree { padding-left: 0; }
+        .offline-tree .offline-node { display: inline-block; margin-top: 8px; padding: 0 4px; color: #374151; }
+        .offline-meta { margin-left: 8px; color: #9ca3af; font-size: 0.75rem; white-space: nowrap; }
+        .offline-questions { margin: 8px 0 0; padding-left: 20px; }
+        .offline-questions li { margin-top: 12px; color: #374151; }
+        .offline-question-title { font-weight: 600; color: #1f2937; }
+        .offline-questions p { margin-top: 4px; white-space: pre-wrap; }
+    `,
+    init() {
+        observeRequests(record => { handleOfflineRequest(record); });
+        initializeOfflineView();
+        registerCommand({ id: 'offline.open', title: '离线浏览已缓存的内容', keywords: 'offline cache', run: () => openOfflineView(null) });
+    },
+});
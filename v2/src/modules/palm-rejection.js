@@ -0,0 +1,61 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 仅手写笔书写（防误触） -------------------- */
+// 开启后手写板只响应手写笔与鼠标：手指与手掌的指针事件在手写板上被拦下，不会传到站点的绘图代码。
+// 监听器挂在手写板上并使用捕获阶段，只影响手写板内的触碰，页面其他位置仍可用手指滚动
+function initializePalmRejection() {
+    const rejectedPointers = new Set(); // 按下时被拦下的指针，其后续的移动与抬起一并拦下
+    const stylusTouches = new Set(); // 判定为手写笔的 Touch.identifier
+    let penDown = false;
+
+    function stopEvent(event) {
+        if (event.cancelable) event.preventDefault(); // pointerdown 上调用可同时阻止浏览器模拟出的鼠标事件
+        event.stopImmediatePropagation();
+    }
+
+    function handlePointer(event) {
+        if (event.pointerType === 'pen') penDown = event.type === 'pointerdown' || (penDown && event.type === 'pointermove');
+        if (event.type === 'pointerdown') {
+            if (!settings.stylusOnly || event.pointerType !== 'touch') return;
+            rejectedPointers.add(event.pointerId);
+        } else if (!rejectedPointers.has(event.pointerId)) return;
+        if (event.type === 'pointerup' || event.type === 'pointercancel') rejectedPointers.delete(event.pointerId);
+        stopEvent(event);
+    }
+
+    // 站点若直接使用触摸事件绘图：iPadOS 通过 Touch.touchType 区分手写笔，其他浏览器按是否有手写笔正在按下判断。
+    // 手写笔与手掌的触点出现在同一个事件中时无法拆分，此时放行以保证笔画连续
+    function handleTouch(event) {
+        const touches = [...(event.changedTouches || [])];
+        if (event.type === 'touchstart') touches.forEach(touch => { if (touch.touchType ? touch.touchType === 'stylus' : penDown) stylusTouches.add(touch.identifier); });
+        const fromStylus = touches.some(touch => stylusTouches.has(touch.identifier));
+        if (event.type === 'touchend' || event.type === 'touchcancel') touches.forEach(touch => stylusTouches.delete(touch.identifier));
+        if (settings.stylusOnly && !fromStylus) stopEvent(event);
+    }
+
+    function updateToggle(button) {
+        button.classList.toggle('active', !!settings.stylusOnly);
+        button.setAttribute('aria-pressed', String(!!settings.stylusOnly));
+    }
+
+    registerCanvasTool({
+        id: 'stylus-only',
+        attach(board, toolbar) {
+            ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(type => board.addEventListener(type, handlePointer, { capture: true, passive: false }));
+            ['touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(type => board.addEventListener(type, handleTouch, { capture: true, passive: false }));
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'canvas-tool stylus-toggle';
+            button.title = '开启后手指与手掌的触碰不会在手写板上留下笔迹';
+            button.textContent = '✍️ 仅手写笔';
+            updateToggle(button);
+            button.addEventListener('click', () => updateSetting('stylusOnly', !settings.stylusOnly).catch(err => console.error('切换仅手写笔模式失败:', err)));
+            toolbar.appendChild(button);
+        },
+    });
+
+    registerCommand({ id: 'canvas.stylusOnly', title: () => `${settings.stylusOnly ? '关闭' : '开启'}仅手写笔书写`, keywords: 'stylus pencil palm', run: () => updateSetting('stylusOnly', !settings.stylusOnly) });
+
+    return { onSettingsChange: () => document.querySelectorAll('.stylus-toggle').forEach(updateToggle) };
+}
+
+defineModule({ id: 'palm-rejection', init: initializePalmRejection });
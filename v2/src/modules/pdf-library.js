@@ -0,0 +1,228 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+// @connect *
+/* -------------------- 资料库 -------------------- */
+// 记录 PDF 查看器 iframe 中打开过的每个 PDF 及其所在的目录路径，可在“资料库”中直接重新打开；
+// 开启“缓存PDF文件”时同时把文件存入 IndexedDB（pdfs 仓库，按 PDF 地址存放 ArrayBuffer），重新打开时无需联网。
+// PDF 可能放在其他域名下，地址要到运行时才知道，因此 @connect 声明为 *
+let pdfLibraryDrawer, pdfLibraryOverlay, pdfLibraryList, pdfLibraryFilterInput, pdfViewerOverlay;
+const PDF_LIBRARY_LIMIT = 200;
+const PDF_CACHE_MAX_BYTES = 30 * 1024 * 1024; // 超过此大小的文件只记录地址
+let pdfViewerObjectUrl = null;
+let pdfLibraryWrites = Promise.resolve();
+const pdfDownloads = new Map(); // PDF 地址 → 进行中的缓存任务
+
+// 站点使用 PDF.js 查看器，PDF 地址在 file 参数中；也兼容直接以 PDF 地址作为 src 的 iframe
+function parsePdfViewerSrc(src) {
+    let viewerUrl;
+    try { viewerUrl = new URL(src, window.location.href); } catch (e) { return null; }
+    const file = viewerUrl.searchParams.get('file');
+    if (file) return file.startsWith('blob:') ? null : { url: new URL(file, viewerUrl).href, viewerUrl: viewerUrl.href };
+    if (/\.pdf$/i.test(viewerUrl.pathname)) return { url: viewerUrl.href, viewerUrl: null };
+    return null;
+}
+
+function pdfFileName(url) {
+    try { return decodeURIComponent(new URL(url).pathname.split('/').pop()) || url; } catch (e) { return url; }
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function getPdfLibrary() { return (await readStore('pdfLibrary')).filter(entry => entry && typeof entry.url === 'string'); }
+
+// 资料库的读-改-写都排进同一条队列：同一 iframe 可能同时触发插入与 src 变化两次记录，还有缓存完成后的大小更新，
+// 并发执行时后写入的会覆盖先写入的。update 收到当前列表，返回要保存的列表；返回 undefined 时不写入
+function updatePdfLibrary(update) {
+    const task = pdfLibraryWrites.then(async () => {
+        const library = await getPdfLibrary();
+        const updated = update(library);
+        if (updated) await writeStore('pdfLibrary', updated);
+    });
+    pdfLibraryWrites = task.catch(() => {});
+    return task;
+}
+
+function loadCachedPdf(url) { return idbRun('pdfs', 'readonly', store => store.get(url)); }
+
+// 用 GM_xmlhttpRequest 下载：不受跨域限制，也不经过站点与请求拦截器改写过的 fetch
+function downloadPdf(url) {
+    return new Promise((resolve, reject) => {
+        GM_xmlhttpRequest({
+            method: 'GET',
+            url,
+            responseType: 'arraybuffer',
+            onload: (response) => { if (response.status >= 200 && response.status < 300) resolve(response.response); else reject(new Error(`HTTP ${response.status}`)); },
+            onerror: () => reject(new Error('网络错误')),
+            ontimeout: () => reject(new Error('请求超时')),
+        });
+    });
+}
+
+async function downloadAndCachePdf(url) {
+    if (await loadCachedPdf(url)) return;
+    const data = await downloadPdf(url);
+    if (data.byteLength > PDF_CACHE_MAX_BYTES) { console.log(`[PdfLibrary] 文件过大（${formatFileSize(data.byteLength)}），只记录地址:`, url); return; }
+    await idbRun('pdfs', 'readwrite', store => store.put({ url, data, cachedAt: Date.now() }));
+    await updatePdfLibrary(library => {
+        const entry = library.find(item => item.url === url);
+        if (!entry) return undefined;
+        entry.size = data.byteLength;
+        return library;
+    });
+}
+
+// 同一个 PDF 同时只下载一次
+function cachePdfFile(url) {
+    if (!pdfDownloads.has(url)) pdfDownloads.set(url, downloadAndCachePdf(url).finally(() => pdfDownloads.delete(url)));
+    return pdfDownloads.get(url);
+}
+
+// 同一个 PDF 只保留一条记录，再次打开时更新路径并移到最前
+async function recordPdf(iframe) {
+    if (!settings.enablePdfLibrary || iframe.closest('#pdf-library-viewer')) return;
+    const pdf = parsePdfViewerSrc(iframe.getAttribute('src') || '');
+    if (!pdf) return;
+    const path = captureCurrentPath() || []; // 不在目录中打开的 PDF（如从收藏或其他页面）没有路径
+    let evicted = [];
+    await updatePdfLibrary(library => {
+        const existing = library.find(entry => entry.url === pdf.url);
+        const entry = {
+            size: null,
+            firstSeenAt: Date.now(),
+            ...existing,
+            ...pdf,
+            title: path.length > 2 ? path[path.length - 1].text : pdfFileName(pdf.url),
+            path,
+            lastSeenAt: Date.now(),
+        };
+        const updated = [entry, ...library.filter(item => item.url !== pdf.url)];
+        evicted = updated.slice(PDF_LIBRARY_LIMIT);
+        return updated.slice(0, PDF_LIBRARY_LIMIT);
+    });
+    await Promise.all(evicted.map(item => idbRun('pdfs', 'readwrite', store => store.delete(item.url))));
+    if (pdfLibraryDrawer && pdfLibraryDrawer.classList.contains('open')) renderPdfLibrary();
+    if (settings.cachePdfFiles) cachePdfFile(pdf.url).catch(e => console.warn('[PdfLibrary] PDF 缓存失败:', e));
+}
+
+function recordPdfSafely(iframe) { recordPdf(iframe).catch(e => console.warn('[PdfLibrary] 记录PDF失败:', e)); }
+
+function initializePdfRecorder() {
+    const observer = new MutationObserver(mutations => {
+        for (const mutation of mutations) {
+            if (mutation.type === 'attributes') { recordPdfSafely(mutation.target); continue; }
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== 1) return;
+                if (node.tagName === 'IFRAME') recordPdfSafely(node);
+                node.querySelectorAll('iframe').forEach(recordPdfSafely);
+            });
+        }
+    });
+    // 站点可能先插入空的 iframe 再设置 src，因此同时监听 src 的变化
+    observer.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['src'] });
+    document.querySelectorAll('iframe').forEach(recordPdfSafely);
+}
+
+/* -------------------- 资料库抽屉与查看器 -------------------- */
+function pdfDisplayPath(entry) { return entry.path.slice(1).map(step => step.text).join(' / ') || pdfFileName(entry.url); }
+
+async function renderPdfLibrary() {
+    const query = pdfLibraryFilterInput.value.trim().toLowerCase();
+    const library = await getPdfLibrary();
+    const entries = library.filter(entry => !query || `${entry.title} ${pdfDisplayPath(entry)} ${pdfFileName(entry.url)}`.toLowerCase().includes(query));
+    pdfLibraryList.innerHTML = '';
+    if (entries.length === 0) { pdfLibraryList.innerHTML = `<li class="pdf-library-empty">${library.length ? '没有符合筛选条件的资料' : '还没有打开过PDF'}</li>`; return; }
+    entries.forEach(entry => {
+        const li = document.createElement('li');
+        li.innerHTML = `<div class="item-text-content"><span class="item-title">${escapeHTML(entry.title)}</span><span class="item-fullpath">${escapeHTML(pdfDisplayPath(entry))}</span></div><span class="pdf-library-meta">${entry.size ? `已缓存 · ${formatFileSize(entry.size)}` : ''}</span><button class="pdf-library-remove" title="从资料库中移除">✕</button>`;
+        li.addEventListener('click', () => openPdfFromLibrary(entry).catch(e => console.error('打开资料失败:', e)));
+        li.querySelector('.pdf-library-remove').addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await updatePdfLibrary(library => library.filter(item => item.url !== entry.url));
+            await idbRun('pdfs', 'readwrite', store => store.delete(entry.url));
+            renderPdfLibrary();
+        });
+        pdfLibraryList.appendChild(li);
+    });
+}
+
+function closePdfViewer() {
+    if (pdfViewerOverlay) { pdfViewerOverlay.remove(); pdfViewerOverlay = null; }
+    if (pdfViewerObjectUrl) { URL.revokeObjectURL(pdfViewerObjectUrl); pdfViewerObjectUrl = null; }
+}
+
+// 优先打开本地缓存的文件；沿用站点的查看器，下载按钮等同样由“强制下载”处理
+async function openPdfFromLibrary(entry) {
+    closePdfLibrary();
+    closePdfViewer();
+    let fileUrl = entry.url;
+    const cached = await loadCachedPdf(entry.url).catch(() => null);
+    if (cached) fileUrl = pdfViewerObjectUrl = URL.createObjectURL(new Blob([cached.data], { type: 'application/pdf' }));
+    let src = fileUrl;
+    if (entry.viewerUrl) {
+        const viewerUrl = new URL(entry.viewerUrl);
+        viewerUrl.searchParams.set('file', fileUrl);
+        src = viewerUrl.href;
+    }
+    pdfViewerOverlay = document.createElement('div');
+    pdfViewerOverlay.id = 'pdf-library-viewer';
+    pdfViewerOverlay.innerHTML = `<div class="pdf-viewer-header"><span class="pdf-viewer-title"></span><button class="pdf-viewer-locate">在目录中打开</button><button class="pdf-viewer-close" title="关闭">✕</button></div><iframe></iframe>`;
+    pdfViewerOverlay.querySelector('.pdf-viewer-title').textContent = `${entry.title}${cached ? '（本地缓存）' : ''}`;
+    pdfViewerOverlay.querySelector('iframe').src = src;
+    pdfViewerOverlay.querySelector('.pdf-viewer-locate').hidden = entry.path.length === 0;
+    pdfViewerOverlay.querySelector('.pdf-viewer-close').addEventListener('click', closePdfViewer);
+    pdfViewerOverlay.querySelector('.pdf-viewer-locate').addEventListener('click', async () => {
+        closePdfViewer();
+        try { await replayPath(entry.path); } catch (err) { console.error('资料定位失败:', err); }
+    });
+    document.body.appendChild(pdfViewerOverlay);
+    await updatePdfLibrary(library => {
+        const stored = library.find(item => item.url === entry.url);
+        if (!stored) return undefined;
+        stored.lastOpenedAt = Date.now();
+        return library;
+    });
+}
+
+function openPdfLibrary() { renderPdfLibrary(); pdfLibraryDrawer.classList.add('open'); pdfLibraryOverlay.classList.add('visible'); }
+
+function closePdfLibrary() { pdfLibraryDrawer.classList.remove('open'); pdfLibraryOverlay.classList.remove('visible'); }
+
+function initializePdfLibraryDrawer() {
+    if (document.getElementById('pdf-library-drawer')) return;
+    pdfLibraryOverlay = document.createElement('div');
+    pdfLibraryOverlay.className = 'drawer-overlay';
+    pdfLibraryDrawer = document.createElement('div');
+    pdfLibraryDrawer.id = 'pdf-library-drawer';
+    pdfLibraryDrawer.className = 'bottom-sheet-drawer';
+    pdfLibraryDrawer.innerHTML = `<div class="drawer-header"><h2>资料库</h2></div><div class="pdf-library-toolbar"><input type="search" class="pdf-library-filter" placeholder="筛选：标题或路径"></div><div class="drawer-content"><ul></ul></div>`;
+    pdfLibraryList = pdfLibraryDrawer.querySelector('.drawer-content ul');
+    pdfLibraryFilterInput = pdfLibraryDrawer.querySelector('.pdf-library-filter');
+    pdfLibraryFilterInput.addEventListener('input', debounce(renderPdfLibrary, 150));
+    document.body.append(pdfLibraryOverlay, pdfLibraryDrawer);
+    pdfLibraryOverlay.addEventListener('click', closePdfLibrary);
+}
+
+defineModule({
+    id: 'pdf-library',
+    styles: `
+        .pdf-library-toolbar { padding: 0 16px 8px; }
+        .pdf-library-filter { width: 100%; height: 34px; padding: 0 12px; border: 1px solid #e5e7eb; border-radius: 8px; background-color: #fff; outline: none; }
+        #pdf-library-drawer .drawer-content li { background-color: #fff; border-radius: 12px; padding: 14px 12px 14px 16px; margin-top: 12px; cursor: pointer; border: 1px solid #f0f0f0; display: flex; align-items: center; justify-content: space-between; gap: 8px; }
+        #pdf-library-drawer .drawer-content li.pdf-library-empty { border: none; background: transparent; color: #9ca3af; cursor: default; }
+        .pdf-library-meta { flex-shrink: 0; font-size: 0.75rem; color: #9ca3af; }
+        .pdf-library-remove { flex-shrink: 0; border: none; background: none; color: #9ca3af; cursor: pointer; padding: 4px 6px; border-radius: 6px; }
+        .pdf-library-remove:hover { background-color: #f3f4f6; color: #111827; }
+        #pdf-library-viewer { position: fixed; inset: 0; z-index: 2147483647; display: flex; flex-direction: column; background-color: #fff; }
+        .pdf-viewer-header { display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #e5e7eb; }
+        .pdf-viewer-title { flex: 1; min-width: 0; font-weight: 500; color: #1f2937; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .pdf-viewer-header button { border: 1px solid #e5e7eb; border-radius: 6px; background-color: #fff; padding: 4px 10px; cursor: pointer; }
+        #pdf-library-viewer iframe { flex: 1; width: 100%; border: none; }
+    `,
+    init() {
+        initializePdfRecorder();
+        initializePdfLibraryDrawer();
+        registerCommand({ id: 'pdf.library', title: '打开资料库', keywords: 'pdf library ziliao', run: openPdfLibrary });
+    },
+});
@@ -0,0 +1,58 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- PDF 下载按钮 -------------------- */
+function initializePdfIframeObserver() {
+    const forceShowPDFButtonsCSS = '[hidden]:not(#errorWrapper), button.hidden, div#editorModeButtons.hidden { display: block !important; }';
+    const styleId = 'tampermonkey-pdf-button-fix';
+
+    function injectFix(iframe) {
+        // 再次确认设置是否开启，并确保iframe内容可访问
+        if (settings.forceShowPDFButtons && iframe.contentDocument) {
+            // 如果样式已注入，则不再重复操作
+            if (iframe.contentDocument.getElementById(styleId)) return;
+
+            const style = iframe.contentDocument.createElement('style');
+            style.id = styleId;
+            style.textContent = forceShowPDFButtonsCSS;
+            iframe.contentDocument.head.appendChild(style);
+        }
+    }
+
+    // 创建一个MutationObserver来监听iframe的动态添加
+    const observer = new MutationObserver(mutations => {
+        for (const mutation of mutations) {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === 1) { // 确保是元素节点
+                    if (node.tagName === 'IFRAME') {
+                        node.addEventListener('load', () => injectFix(node));
+                    }
+                    // 检查新添加的节点内部是否包含iframe
+                    node.querySelectorAll('iframe').forEach(iframe => {
+                        iframe.addEventListener('load', () => injectFix(iframe));
+                    });
+                }
+            });
+        }
+    });
+
+    observer.observe(document.body, { childList: true, subtree: true });
+
+    // 为脚本运行时页面上已经存在的iframe注入样式
+    document.querySelectorAll('iframe').forEach(iframe => {
+        if (iframe.contentDocument && iframe.contentDocument.readyState === 'complete') {
+            injectFix(iframe);
+        } else {
+            iframe.addEventListener('load', () => injectFix(iframe));
+        }
+    });
+
+    // 观察者始终运行（injectFix 自行检查开关）；切换开关时补注入或移除已加载 iframe 中的样式
+    return {
+        enable: () => document.querySelectorAll('iframe').forEach(injectFix),
+        disable: () => document.querySelectorAll('iframe').forEach(iframe => {
+            const style = iframe.contentDocument && iframe.contentDocument.getElementById(styleId);
+            if (style) style.remove();
+        })
+    };
+}
+
+defineModule({ id: 'pdf', setting: 'forceShowPDFButtons', init: initializePdfIframeObserver });
@@ -0,0 +1,189 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 胶囊菜单 -------------------- */
+function injectPill() {
+    if (!document.getElementById('rebootOverlay')) { const rebootOverlay = document.createElement('div'); rebootOverlay.className = 'reboot-overlay'; rebootOverlay.id = 'rebootOverlay'; document.documentElement.appendChild(rebootOverlay); }
+    if (!document.getElementById('scanline')) { const scanline = document.createElement('div'); scanline.className = 'scanline'; scanline.id = 'scanline'; document.documentElement.appendChild(scanline); }
+    if (!document.getElementById('pillMenu')) {
+        const pillHTML = `
+            <div class="pill-container" id="pillMenu" role="button" aria-label="Pill Menu">
+                <div class="pill-icon">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                        <line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line>
+                    </svg>
+                </div>
+                <div class="pill-message"><span class="message-text"></span></div>
+                <div class="pill-buttons" id="pillButtons">
+                    <button class="pill-button" title="Bookmarks" aria-label="Bookmarks"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path></svg></button>
+                    <button class="pill-button" title="Add to Bookmarks" aria-label="Add to Bookmarks"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path><line x1="12" y1="7" x2="12" y2="13"></line><line x1="9" y1="10" x2="15" y2="10"></line></svg></button>
+                    <button class="pill-button" title="Recent" aria-label="Recent"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg></button>
+                    <button class="pill-button" title="Library" aria-label="Library"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"></path><path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"></path></svg></button>
+                    <button class="pill-button" title="Offline" aria-label="Offline"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="1" y1="1" x2="23" y2="23"></line><path d="M16.72 11.06A10.94 10.94 0 0 1 19 12.55"></path><path d="M5 12.55a10.94 10.94 0 0 1 5.17-2.39"></path><path d="M10.71 5.05A16 16 0 0 1 22.58 9"></path><path d="M1.42 9a15.91 15.91 0 0 1 4.7-2.88"></path><path d="M8.53 16.11a6 6 0 0 1 6.95 0"></path><line x1="12" y1="20" x2="12.01" y2="20"></line></svg></button>
+                    <button class="pill-button" title="Back" aria-label="Back" disabled><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 18 9 12 15 6"></polyline></svg></button>
+                    <button class="pill-button" title="Forward" aria-label="Forward" disabled><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"></polyline></svg></button>
+                    <button class="pill-button" title="Search" aria-label="Search"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg></button>
+                    <button class="pill-button" title="Reload" aria-label="Reload"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.2"></path></svg></button>
+                    <button class="pill-button" title="Network" aria-label="Network"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="22 12 18 12 15 21 9 3 6 12 2 12"></polyline></svg></button>
+                    <button class="pill-button" title="Settings" aria-label="Settings"><svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12.22 2h-.44a2 2 0 0 0-2 2v.18a2 2 0 0 1-1 1.73l-.43.25a2 2 0 0 1-2 0l-.15-.08a2 2 0 0 0-2.73.73l-.22.38a2 2 0 0 0 .73 2.73l.15.1a2 2 0 0 1 1 1.72v.51a2 2 0 0 1-1 1.74l-.15.09a2 2 0 0 0-.73 2.73l.22.38a2 2 0 0 0 2.73.73l.15-.08a2 2 0 0 1 2 0l.43.25a2 2 0 0 1 1 1.73V20a2 2 0 0 0 2 2h.44a2 2 0 0 0 2-2v-.18a2 2 0 0 1 1-1.73l.43-.25a2 2 0 0 1 2 0l.15.08a2 2 0 0 0 2.73-.73l.22-.39a2 2 0 0 0-.73-2.73l-.15-.08a2 2 0 0 1-1-1.74v-.5a2 2 0 0 1 1-1.74l.15-.09a2 2 0 0 0 .73-2.73l-.22-.38a2 2 0 0 0-2.73-.73l-.15.08a2 2 0 0 1-2 0l-.43-.25a2 2 0 0 1-1-1.73V4a2 2 0 0 0-2-2z"></path><circle cx="12" cy="12" r="3"></circle></svg></button>
+                </div>
+            </div>`;
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = pillHTML;
+        document.body.appendChild(wrapper.firstElementChild);
+    }
+}
+
+async function replayLastPath() {
+    const path = await readStore('lastPath');
+    if (!path) { GM_notification({ title: '提示', text: '尚未记录任何路径可供回放。', timeout: 3000 }); return; }
+    await replayPath(path);
+}
+
+function setupPillBehavior() {
+    const pillMenu = document.getElementById('pillMenu');
+    if (!pillMenu) return;
+    const rebootOverlay = document.getElementById('rebootOverlay'), scanline = document.getElementById('scanline');
+    const bookmarksBtn = pillMenu.querySelector('button[title="Bookmarks"]'), addBookmarkBtn = pillMenu.querySelector('button[title="Add to Bookmarks"]'), reloadBtn = pillMenu.querySelector('button[title="Reload"]'), settingsBtn = pillMenu.querySelector('button[title="Settings"]');
+    const searchBtn = pillMenu.querySelector('button[title="Search"]');
+    if (bookmarksBtn) { bookmarksBtn.addEventListener('click', (e) => { e.stopPropagation(); openFavoritesDrawer(); }); }
+    if (searchBtn) { searchBtn.addEventListener('click', (e) => { e.stopPropagation(); createSearchUI(); }); }
+    const networkBtn = pillMenu.querySelector('button[title="Network"]');
+    if (networkBtn) { networkBtn.addEventListener('click', (e) => { e.stopPropagation(); toggleNetworkInspector(); }); }
+    const recentBtn = pillMenu.querySelector('button[title="Recent"]'), backBtn = pillMenu.querySelector('button[title="Back"]'), forwardBtn = pillMenu.querySelector('button[title="Forward"]');
+    if (recentBtn) { recentBtn.addEventListener('click', (e) => { e.stopPropagation(); openHistoryDrawer(); }); }
+    const libraryBtn = pillMenu.querySelector('button[title="Library"]');
+    if (libraryBtn) { libraryBtn.addEventListener('click', (e) => { e.stopPropagation(); openPdfLibrary(); }); }
+    const offlineBtn = pillMenu.querySelector('button[title="Offline"]');
+    if (offlineBtn) { offlineBtn.addEventListener('click', (e) => { e.stopPropagation(); openOfflineView(null); }); }
+    if (backBtn) { backBtn.addEventListener('click', (e) => { e.stopPropagation(); navigateHistory(-1).catch(err => console.error('后退失败:', err)); }); }
+    if (forwardBtn) { forwardBtn.addEventListener('click', (e) => { e.stopPropagation(); navigateHistory(1).catch(err => console.error('前进失败:', err)); }); }
+    getHistory().then(updateHistoryButtons);
+    if (addBookmarkBtn) { const originalAddIconHTML = addBookmarkBtn.innerHTML; const checkmarkSVG = `<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>`; addBookmarkBtn.addEventListener('click', (e) => { e.stopPropagation(); addCurrentPathToFavorites(); addBookmarkBtn.innerHTML = checkmarkSVG; setTimeout(() => { addBookmarkBtn.innerHTML = originalAddIconHTML; }, 1000); }); }
+    if (reloadBtn) { const originalReloadIconHTML = reloadBtn.innerHTML; const loadingIconHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="animation: spin 1s linear infinite;"><path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.2"></path></svg>`; reloadBtn.addEventListener('click', async (e) => { e.stopPropagation(); if (reloadBtn.disabled) return; reloadBtn.disabled = true; reloadBtn.innerHTML = loadingIconHTML; try { await replayLastPath(); } catch (error) { console.error('路径回放失败:', error); } finally { reloadBtn.disabled = false; reloadBtn.innerHTML = originalReloadIconHTML; } }); }
+    if (settingsBtn) { settingsBtn.addEventListener('click', (e) => { e.stopPropagation(); window.location.hash = '#/settings/plugin'; }); }
+    let singleClickTimer = null, isAnimating = false;
+    function performLogoutRequest() { return new Promise((resolve) => { GM_xmlhttpRequest({ method: 'GET', url: 'https://bdfz.xnykcxt.com:5002/exam/login/api/logout', headers: { 'Accept': 'application/json, text/plain, */*', 'Cache-Control': 'no-cache' }, timeout: 5000, onload: (response) => { console.log('登出请求完成'); resolve(response); }, onerror: (error) => { console.warn('登出请求失败'); resolve(error); }, ontimeout: () => { console.warn('登出请求超时'); resolve(); } }); }); }
+    function initiateReboot() { isAnimating = true; pillMenu.classList.add('animating'); requestAnimationFrame(() => { pillMenu.style.animation = 'pill-implode 0.5s cubic-bezier(0.4, 0, 1, 1) forwards'; }); setTimeout(() => { requestAnimationFrame(() => { if (rebootOverlay) { rebootOverlay.style.animation = 'flash-reboot 0.8s ease-out forwards'; } setTimeout(() => { requestAnimationFrame(() => { if (scanline) { scanline.style.opacity = '1'; scanline.style.animation = 'scanline 0.6s ease-in forwards'; } }); }, 400); }); }, 300); setTimeout(() => { try { pillMenu.style.animation = ''; if (rebootOverlay) rebootOverlay.style.animation = ''; if (scanline) scanline.style.animation = ''; } catch (e) {} window.location.reload(); }, 900); }
+    function handleClick(e) {
+        if (isAnimating || e.target.closest('.pill-button') || e.target.closest('.message-text')) return;
+        if (pillMenu.classList.contains('show-message') || pillMenu.classList.contains('show-suggestion')) {
+            hidePillMessage();
+        }
+        clearTimeout(singleClickTimer);
+        singleClickTimer = setTimeout(() => { requestAnimationFrame(() => pillMenu.classList.toggle('expanded')); }, 200);
+    }
+    pillMenu.addEventListener('click', handleClick);
+    registerCommand({ id: 'page.hardRefresh', title: '强制刷新页面', hint: '登出并重新加载，等同于双击胶囊', keywords: 'hard refresh reload logout', run: async () => { if (isAnimating) return; await performLogoutRequest().catch(() => {}); initiateReboot(); } });
+    pillMenu.addEventListener('dblclick', async (e) => { e.stopPropagation(); e.preventDefault(); if (isAnimating || e.target.closest('.pill-button')) return; clearTimeout(singleClickTimer); try { await performLogoutRequest(); } catch (err) { console.warn('logout request failed:', err); } finally { initiateReboot(); } }, { passive: false });
+    ['mousedown', 'touchstart', 'touchend', 'touchmove'].forEach(evt => { pillMenu.addEventListener(evt, (ev) => { ev.stopPropagation(); }, { passive: false }); });
+    pillMenu.tabIndex = 0;
+    pillMenu.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); pillMenu.classList.toggle('expanded'); } else if ((e.key === 'Enter' && (e.ctrlKey || e.metaKey)) || e.key === 'F5') { e.preventDefault(); (async () => { if (isAnimating) return; await performLogoutRequest().catch(()=>{}); initiateReboot(); })(); } });
+    window.addEventListener('load', () => { setTimeout(() => { if (!pillMenu.classList.contains('expanded')) { pillMenu.style.willChange = 'auto'; } }, 1000); });
+}
+
+defineModule({
+    id: 'pill',
+    styles: `
+        /* ========== Pill 样式（保留你原始的视觉和行为样式） ========== */
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+
+
+
+         /* [hidden]:not(#errorWrapper), button.hidden, div#editorModeButtons.hidden{display: block !important;}*/
+
+        .pill-container {
+            position: fixed;
+            bottom: 24px;
+            left: 55px;
+            background-color: #0a0a0a;
+            border-radius: 50px;
+            padding: 0;
+            display: flex;
+            align-items: center;
+            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+            transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+            cursor: pointer; /* 不可拖，改为 pointer */
+            color: #ffffff;
+            -webkit-user-select: none;
+            user-select: none;
+            z-index: 10000;
+            will-change: transform, padding;
+            transform: translateZ(0);
+            backface-visibility: hidden;
+            -webkit-font-smoothing: antialiased;
+        }
+
+        .pill-container.dragging { cursor: grabbing; transition: none; }
+        .pill-container.expanded { padding: 0 12px 0 0; }
+
+        .pill-icon {
+            width: 44px;
+            height: 44px;
+            transition: transform 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            color: white;
+            flex-shrink: 0;
+            will-change: transform;
+            transform: translateZ(0);
+        }
+        .pill-container.expanded .pill-icon { transform: rotate(45deg) translateZ(0); }
+
+        .pill-buttons {
+            display: flex;
+            align-items: center;
+            max-width: 0;
+            opacity: 0;
+            transition: max-width 0.4s cubic-bezier(0.4, 0, 0.2, 1),
+                        opacity 0.3s ease,
+                        padding-left 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+            will-change: max-width, opacity, transform;
+            overflow: hidden;
+            white-space: nowrap;
+            gap: 4px;
+            margin-left: 0;
+            transform: translateZ(0);
+        }
+        .pill-container.expanded .pill-buttons, .pill-container.show-suggestion .pill-buttons {
+            max-width: 560px;
+            opacity: 1;
+            margin-left: 8px;
+        }
+        .pill-container.show-suggestion .pill-buttons {
+            padding-left: 70px; /* 为文字“去哪里？”腾出空间 */
+        }
+
+        .pill-button {
+            background: transparent;
+            color: #ffffff;
+            border: none;
+            padding: 8px;
+            border-radius: 50%;
+            cursor: pointer;
+            transition: background 0.2s ease, display 0.2s;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            width: 36px;
+            height: 36px;
+            will-change: background;
+            transform: translateZ(0);
+        }
+        .pill-button:hover { background: rgba(255, 255, 255, 0.15); }
+        .pill-button:disabled { opacity: 0.35; cursor: default; background: transparent; }
+
+        /* 重启效果 */
+        .reboot-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: #0a0a0a; opacity: 0; pointer-events: none; z-index: 10001; will-change: opacity; transform: translateZ(0); }
+        @keyframes flash-reboot { 0% { opacity: 0; } 15% { opacity: 1; } 30% { opacity: 0; } 45% { opacity: 1; } 100% { opacity: 1; } }
+        @keyframes pill-implode { 0% { transform: scale(1) translateZ(0); opacity: 1; } 60% { transform: scale(1.15) translateZ(0); opacity: 1; } 100% { transform: scale(0) translateZ(0); opacity: 0; } }
+        @keyframes scanline { 0% { transform: translateY(-100%) translateZ(0); } 100% { transform: translateY(100vh) translateZ(0); } }
+        .scanline { position: fixed; top: 0; left: 0; width: 100%; height: 3px; background: linear-gradient(to bottom, transparent, rgba(0, 0, 0, 0.8), transparent); pointer-events: none; z-index: 10002; opacity: 0; will-change: transform, opacity; transform: translateZ(0); }
+        .pill-container.animating { will-change: transform, opacity; }
+        @keyframes spin { from { transform: rotate(0deg); } to { transform: rotate(360deg); } }
+    `,
+    init() {
+        injectPill();
+        setupPillBehavior();
+        registerCommand({ id: 'replay.last', title: '回放上次路径', hint: '回到上次离开时的目录', keywords: 'reload replay', run: replayLastPath });
+    },
+});
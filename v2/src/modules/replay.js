@@ -0,0 +1,342 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 路径记录与回放 -------------------- */
+let lastKnownPath = null;
+let nextStepDrawer, nextStepOverlay, nextStepList;
+
+function cleanInnerText(el) { if (!el) return ""; const clone = el.cloneNode(true); clone.querySelectorAll("i, svg, path").forEach(n => n.remove()); return clone.textContent.trim(); }
+
+// 树节点步骤额外记录目录 ID，回放时优先按 ID 定位，文本仅作为后备
+function captureCurrentPath() {
+    let path = [];
+    const root = document.querySelector('div.menu > div.active');
+    if (root) { path.push({ selector: "div.menu > div", text: cleanInnerText(root) }); }
+    const activeFolder = document.querySelector('div.folderName.active');
+    if (activeFolder) { path.push({ selector: "div.folderName", text: cleanInnerText(activeFolder) }); }
+    const searchContext = activeFolder ? (activeFolder.closest('div.infinite-list-wrapper') || document) : document;
+    const catalog = getActiveCatalog();
+    // 按元素而非文本去重，同名的不同章节各自保留
+    new Set(searchContext.querySelectorAll("span.ant-tree-node-content-wrapper-open, span.ant-tree-node-content-wrapper.ant-tree-node-selected")).forEach(node => {
+        const text = cleanInnerText(node);
+        if (!text) return;
+        const step = { selector: "span.ant-tree-node-content-wrapper", text: text };
+        const catalogNode = catalog && catalogNodeAt(catalog.nodes, treeIndexPath(node));
+        if (catalogNode && catalogNode.catalogName === text && catalogNodeId(catalogNode) !== null) { step.catalogId = catalogNodeId(catalogNode); }
+        path.push(step);
+    });
+    return path.length > 0 ? path : null;
+}
+
+/* -------------------- 目录 ID 定位 -------------------- */
+function catalogKey(mainMenu, subject) { return `${mainMenu}/${subject}`; }
+
+function catalogNodeId(node) { const id = node.id ?? node.catalogId; return id === undefined || id === null ? null : String(id); }
+
+// 当前主菜单与科目对应的目录树；尚未拦截到时返回 null
+function getActiveCatalog() {
+    const activeMainMenu = document.querySelector('.menu > div.active');
+    const activeSubject = document.querySelector('.folderName.active');
+    if (!activeSubject) return null;
+    return catalogIndex.get(catalogKey(activeMainMenu ? cleanInnerText(activeMainMenu) : '课程', cleanInnerText(activeSubject))) || null;
+}
+
+// antd 树按目录数据的顺序渲染，因此 DOM 中各层 <li> 的序号即目录数据中的下标
+function treeIndexPath(wrapper) {
+    const indices = [];
+    let li = wrapper.closest('li[role="treeitem"]');
+    while (li) {
+        indices.unshift(Array.prototype.indexOf.call(li.parentElement.children, li));
+        li = li.parentElement.closest('li[role="treeitem"]');
+    }
+    return indices;
+}
+
+function catalogNodeAt(nodes, indexPath) {
+    let node = null;
+    for (const index of indexPath) {
+        if (!Array.isArray(nodes) || !nodes[index]) return null;
+        node = nodes[index];
+        nodes = node.childList;
+    }
+    return node;
+}
+
+function findCatalogIndexPath(nodes, id, prefix = []) {
+    if (!Array.isArray(nodes)) return null;
+    for (let i = 0; i < nodes.length; i++) {
+        if (!nodes[i]) continue;
+        if (catalogNodeId(nodes[i]) === id) return [...prefix, i];
+        const found = findCatalogIndexPath(nodes[i].childList, id, [...prefix, i]);
+        if (found) return found;
+    }
+    return null;
+}
+
+// 返回 { element } 表示已定位；{ missing: true } 表示目录已加载但不含该 ID；null 表示目录或树尚未就绪
+function locateByCatalogId(catalogId) {
+    const catalog = getActiveCatalog();
+    if (!catalog) return null;
+    const indexPath = findCatalogIndexPath(catalog.nodes, catalogId);
+    if (!indexPath) return { missing: true };
+    const activeFolder = document.querySelector('div.folderName.active');
+    const context = activeFolder ? (activeFolder.closest('div.infinite-list-wrapper') || document) : document;
+    let list = context.querySelector('ul.ant-tree');
+    let li = null;
+    for (const index of indexPath) {
+        li = list && list.children[index];
+        if (!li) return null;
+        list = li.querySelector(':scope > ul.ant-tree-child-tree');
+    }
+    const wrapper = li.querySelector(':scope > span.ant-tree-node-content-wrapper');
+    const expected = catalogNodeAt(catalog.nodes, indexPath).catalogName;
+    return wrapper && cleanInnerText(wrapper) === expected ? { element: wrapper } : null;
+}
+
+// 文本后备：优先在上一步节点的子树中查找，找不到再扩大到整个页面
+function findStepCandidates(step, previous) {
+    const matches = root => Array.from(root.querySelectorAll(step.selector)).filter(node => cleanInnerText(node) === step.text);
+    const previousItem = previous && previous.closest('li[role="treeitem"]');
+    const scoped = previousItem ? matches(previousItem).filter(node => node !== previous) : [];
+    return scoped.length > 0 ? scoped : matches(document);
+}
+
+function describeTreeNode(node) {
+    const trail = [];
+    let li = node.closest('li[role="treeitem"]');
+    while (li) {
+        const wrapper = li.querySelector(':scope > span.ant-tree-node-content-wrapper');
+        if (wrapper) trail.unshift(cleanInnerText(wrapper));
+        li = li.parentElement.closest('li[role="treeitem"]');
+    }
+    return trail.join(' / ') || cleanInnerText(node);
+}
+
+// 同名节点无法自动区分时，弹出抽屉让用户选择；点击遮罩或取消回放视为不选
+function chooseAmongCandidates(text, candidates, replay) {
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.className = 'drawer-overlay';
+        const drawer = document.createElement('div');
+        drawer.id = 'disambiguation-drawer';
+        drawer.className = 'bottom-sheet-drawer';
+        drawer.innerHTML = `<div class="drawer-header"><h2>有 ${candidates.length} 个“${escapeHTML(text)}”，请选择</h2></div><div class="drawer-content"><ul></ul></div>`;
+        const list = drawer.querySelector('ul');
+        let settled = false;
+        const finish = (choice) => {
+            if (settled) return;
+            settled = true;
+            replay.cancelChoice = null;
+            drawer.classList.remove('open');
+            overlay.classList.remove('visible');
+            setTimeout(() => { drawer.remove(); overlay.remove(); }, 350);
+            resolve(choice);
+        };
+        candidates.forEach(candidate => {
+            const li = document.createElement('li');
+            li.innerHTML = `<span class="item-title">${escapeHTML(text)}</span><span class="item-fullpath">${escapeHTML(describeTreeNode(candidate))}</span>`;
+            li.addEventListener('click', () => finish(candidate));
+            list.appendChild(li);
+        });
+        overlay.addEventListener('click', () => finish(null));
+        replay.cancelChoice = () => finish(null);
+        document.body.append(overlay, drawer);
+        requestAnimationFrame(() => { drawer.classList.add('open'); overlay.classList.add('visible'); });
+    });
+}
+
+async function resolveStep(step, previous, replay) {
+    for (let i = 0; i < 50 && !replay.cancelled; i++) {
+        if (step.catalogId) {
+            const located = locateByCatalogId(step.catalogId);
+            if (located && located.element) return located.element;
+            // 目录尚未加载时先等待，避免过早退回到文本匹配
+            if (!located && i < 20) { await new Promise(r => setTimeout(r, 100)); continue; }
+        }
+        const candidates = findStepCandidates(step, previous);
+        if (candidates.length === 1) return candidates[0];
+        if (candidates.length > 1) return chooseAmongCandidates(step.text, candidates, replay);
+        await new Promise(r => setTimeout(r, 100));
+    }
+    return null;
+}
+
+/* -------------------- 回放进度面板 -------------------- */
+let activeReplay = null; // 同一时间只允许一个回放，新的回放会取消旧的
+
+function createReplayProgress(path, replay) {
+    document.getElementById('replay-progress')?.remove();
+    const panel = document.createElement('div');
+    panel.id = 'replay-progress';
+    panel.className = 'replay-progress';
+    panel.innerHTML = `<div class="replay-progress-header"><span class="replay-progress-title">正在回放路径</span><button class="replay-progress-close" title="取消回放">✕</button></div><ol class="replay-steps">${path.map(step => `<li class="replay-step"><span class="replay-step-icon"></span><span class="replay-step-text">${escapeHTML(step.text)}</span></li>`).join('')}</ol><div class="replay-progress-footer"></div>`;
+    document.body.appendChild(panel);
+    // “仅在出错时显示”模式下面板先保持隐藏，等到需要用户决定时再出现
+    const show = () => requestAnimationFrame(() => panel.classList.add('visible'));
+    if (settings.replayProgressMode === 'always') show();
+    const title = panel.querySelector('.replay-progress-title');
+    const footer = panel.querySelector('.replay-progress-footer');
+    const stepItems = panel.querySelectorAll('.replay-step');
+    let settleDecision = null;
+    const close = (delay) => setTimeout(() => { panel.classList.remove('visible'); setTimeout(() => panel.remove(), 300); }, delay);
+    const abort = () => {
+        replay.cancelled = true;
+        if (settleDecision) settleDecision('cancel');
+        if (replay.cancelChoice) replay.cancelChoice();
+    };
+    panel.querySelector('.replay-progress-close').addEventListener('click', abort);
+    return {
+        // 取消回放；正在等待用户决定或选择同名节点时按“放弃”结束等待，让回放走完收尾
+        abort,
+        setStatus(index, status) {
+            stepItems[index].className = `replay-step ${status}`;
+            if (status === 'active' && stepItems[index].scrollIntoView) stepItems[index].scrollIntoView({ block: 'nearest' });
+        },
+        // 失败时暂停回放，等待用户选择：continue（已手动点击，从下一步继续）、retry 或 cancel
+        waitForDecision(index, step) {
+            show();
+            title.textContent = `第 ${index + 1} 步未找到`;
+            footer.innerHTML = `<p>找不到“${escapeHTML(step.text)}”。可先在页面上手动点击该项，再选择“从此处继续”。</p><div class="replay-progress-actions"><button data-action="continue">从此处继续</button><button data-action="retry">重试</button><button data-action="cancel">放弃</button></div>`;
+            return new Promise(resolve => {
+                settleDecision = (decision) => {
+                    settleDecision = null;
+                    footer.innerHTML = '';
+                    title.textContent = '正在回放路径';
+                    resolve(decision);
+                };
+                footer.querySelectorAll('button').forEach(btn => btn.addEventListener('click', () => settleDecision && settleDecision(btn.dataset.action)));
+            });
+        },
+        finish(success) {
+            title.textContent = success ? '已到达' : '回放已取消';
+            close(success ? 1200 : 600);
+        },
+    };
+}
+
+// 用户手动点击后，页面上处于激活/选中状态的同类节点即视为该步骤的结果
+function findManuallySelected(step) {
+    return Array.from(document.querySelectorAll(step.selector)).find(node => node.classList.contains('active') || node.classList.contains('ant-tree-node-selected')) || null;
+}
+
+async function replayPath(path) {
+    if (activeReplay) activeReplay.progress.abort();
+    const replay = { cancelled: false, progress: null, cancelChoice: null };
+    activeReplay = replay;
+    const progress = replay.progress = createReplayProgress(path, replay);
+    const cancel = () => { progress.finish(false); throw new Error('Replay cancelled'); };
+    let lastClickedElement = null, completed = false;
+    try {
+        const btn = Array.from(document.querySelectorAll("button span")).find(s => s.innerText.trim() === "开始使用");
+        if (btn) { btn.click(); await new Promise(r => setTimeout(r, 500)); }
+        for (let index = 0; index < path.length;) {
+            const step = path[index];
+            progress.setStatus(index, 'active');
+            const node = await resolveStep(step, lastClickedElement, replay);
+            if (replay.cancelled) cancel();
+            if (!node) {
+                progress.setStatus(index, 'failed');
+                const decision = await progress.waitForDecision(index, step);
+                if (decision === 'retry') continue;
+                if (decision !== 'continue' || replay.cancelled) cancel();
+                lastClickedElement = findManuallySelected(step) || lastClickedElement;
+            } else {
+                node.click();
+                lastClickedElement = node;
+                await new Promise(r => setTimeout(r, settings.replayStepDelay));
+            }
+            progress.setStatus(index, 'done');
+            index++;
+        }
+        progress.finish(true);
+        completed = true;
+        return lastClickedElement;
+    } finally {
+        if (activeReplay === replay) {
+            activeReplay = null;
+            // 回放过程中的中间位置不记录，只在到达终点后保存一次
+            if (completed) savePathImmediately("回放完成");
+        }
+    }
+}
+
+function openNextStepDrawer(children) { renderNextStepList(children); nextStepDrawer.classList.add('open'); nextStepOverlay.classList.add('visible'); }
+
+function closeNextStepDrawer() { nextStepDrawer.classList.remove('open'); nextStepOverlay.classList.remove('visible'); }
+
+function renderNextStepList(children) { nextStepList.innerHTML = ''; children.forEach(childElement => { const li = document.createElement('li'); li.innerHTML = `<span class="item-title">${cleanInnerText(childElement)}</span>`; li.addEventListener('click', () => { childElement.click(); closeNextStepDrawer(); }); nextStepList.appendChild(li); }); }
+
+async function checkForNextStep(lastElement) {
+    if (!lastElement) return;
+    const parentLi = lastElement.closest('li[role="treeitem"]');
+    if (!parentLi) { console.log("下一步检测：未能找到父级 treeitem 容器。"); return; }
+    const childTree = parentLi.querySelector('ul.ant-tree-child-tree');
+    if (childTree && childTree.children.length > 0) {
+        const childrenWrappers = Array.from(childTree.querySelectorAll(':scope > li > span.ant-tree-node-content-wrapper'));
+        if (childrenWrappers.length > 0) { console.log(`下一步检测：找到 ${childrenWrappers.length} 个子节点，准备弹出抽屉。`); openNextStepDrawer(childrenWrappers); }
+    } else { console.log("下一步检测：未找到子节点或子节点列表为空。"); }
+}
+
+function savePathImmediately(reason = "常规") {
+    if (activeReplay) return;
+    const path = captureCurrentPath();
+    if (path && JSON.stringify(path) !== JSON.stringify(lastKnownPath)) {
+        lastKnownPath = path;
+        writeStore('lastPath', path);
+        recordHistory(path);
+        console.log(`💾 路径已保存 (${reason}):`, path);
+    }
+}
+
+function attachGuardianListeners() {
+    window.addEventListener('beforeunload', () => savePathImmediately("页面卸载"));
+    document.body.addEventListener('click', (event) => {
+        const navContainer = event.target.closest('.menu-wrap, .folder-wrap');
+        if (navContainer) {
+            setTimeout(() => savePathImmediately("点击导航"), 100);
+        }
+    });
+    const leftPanel = document.querySelector('.stu-course-wrap');
+    if (leftPanel) { leftPanel.addEventListener('mouseleave', () => savePathImmediately("鼠标离开")); }
+    else { const observer = new MutationObserver((mutations, obs) => { const panel = document.querySelector('.stu-course-wrap'); if (panel) { panel.addEventListener('mouseleave', () => savePathImmediately("鼠标离开 (延迟附加)")); obs.disconnect(); } }); observer.observe(document.body, { childList: true, subtree: true }); }
+}
+
+function initializeNextStepDrawer() {
+    if (document.getElementById('next-step-drawer')) return;
+    nextStepOverlay = document.createElement('div'); nextStepOverlay.className = 'drawer-overlay'; nextStepDrawer = document.createElement('div'); nextStepDrawer.id = 'next-step-drawer'; nextStepDrawer.className = 'bottom-sheet-drawer'; nextStepDrawer.innerHTML = `<div class="drawer-header"><h2>下一步…</h2></div><div class="drawer-content"><ul></ul></div>`; nextStepList = nextStepDrawer.querySelector('.drawer-content ul');
+    document.body.append(nextStepOverlay, nextStepDrawer);
+    nextStepOverlay.addEventListener('click', closeNextStepDrawer);
+}
+
+defineModule({
+    id: 'replay',
+    styles: `
+        #next-step-drawer .drawer-content li, #disambiguation-drawer .drawer-content li { background-color: #fff; border-radius: 10px; padding: 16px; margin-top: 10px; cursor: pointer; border: 1px solid #f0f0f0; transition: background-color 0.2s ease; }
+        #next-step-drawer .drawer-content li:hover, #disambiguation-drawer .drawer-content li:hover { background-color: #f3f4f6; }
+        .replay-progress { position: fixed; left: 55px; bottom: 80px; width: 300px; max-width: calc(100vw - 70px); background-color: #0a0a0a; color: #fff; border-radius: 14px; padding: 12px 14px; box-shadow: 0 4px 16px rgba(0,0,0,0.2); z-index: 10000; font-size: 13px; opacity: 0; transform: translateY(8px); transition: opacity 0.25s ease, transform 0.25s ease; }
+        .replay-progress.visible { opacity: 1; transform: translateY(0); }
+        .replay-progress-header { display: flex; align-items: center; justify-content: space-between; margin-bottom: 8px; }
+        .replay-progress-title { font-weight: 600; }
+        .replay-progress-close { background: none; border: none; color: #9ca3af; cursor: pointer; font-size: 14px; padding: 2px 6px; border-radius: 6px; }
+        .replay-progress-close:hover { color: #fff; background-color: rgba(255,255,255,0.15); }
+        .replay-steps { list-style: none; margin: 0; padding: 0; max-height: 200px; overflow-y: auto; }
+        .replay-step { display: flex; align-items: center; gap: 8px; padding: 3px 0; color: #6b7280; }
+        .replay-step-text { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .replay-step-icon { flex-shrink: 0; width: 14px; height: 14px; border-radius: 50%; border: 1.5px solid currentColor; display: flex; align-items: center; justify-content: center; font-size: 10px; line-height: 1; }
+        .replay-step.active { color: #fff; }
+        .replay-step.active .replay-step-icon { border-color: #fff; border-top-color: transparent; animation: spin 0.8s linear infinite; }
+        .replay-step.done { color: #d1d5db; }
+        .replay-step.done .replay-step-icon { border: none; background-color: #22c55e; color: #fff; }
+        .replay-step.done .replay-step-icon::after { content: '✓'; }
+        .replay-step.failed { color: #fca5a5; }
+        .replay-step.failed .replay-step-icon { border: none; background-color: #ef4444; color: #fff; }
+        .replay-step.failed .replay-step-icon::after { content: '✕'; }
+        .replay-progress-footer p { margin: 10px 0 0; color: #d1d5db; line-height: 1.5; }
+        .replay-progress-actions { display: flex; gap: 6px; margin-top: 10px; }
+        .replay-progress-actions button { flex: 1; background-color: rgba(255,255,255,0.12); color: #fff; border: none; border-radius: 8px; padding: 6px 8px; font-size: 12px; cursor: pointer; }
+        .replay-progress-actions button:hover { background-color: rgba(255,255,255,0.22); }
+        .replay-progress-actions button[data-action="continue"] { background-color: #fff; color: #0a0a0a; }
+    `,
+    init() {
+        initializeNextStepDrawer();
+        attachGuardianListeners();
+    },
+});
@@ -0,0 +1,383 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 题目数据修改 -------------------- */
+// --- 安全的题目内容修改函数 ---
+function modifyContentData(data) {
+    try {
+        // 安全检查：验证数据来源和完整性
+        if (!data || !Array.isArray(data.extra)) {
+            console.warn('[Security] Invalid data structure for content modification');
+            return data;
+        }
+
+        // 安全检查：记录修改操作
+        const modificationLog = [];
+
+        data.extra.forEach((item, index) => {
+            if (item && item.content) {
+                const content = item.content;
+
+                // 安全检查：验证内容对象
+                if (typeof content !== 'object' || content === null) {
+                    console.warn(`[Security] Invalid content at index ${index}`);
+                    return;
+                }
+
+                // 受控的答案功能启用列表
+                const controlledKeysToEnable = [
+                    "previewAnswer", "answerWayHandle", "answerWayPhoto",
+                    "answerWayTalking", "answerWayVideo", "answerWayKeyboard",
+                    "questionTalkingSwitch"
+                ];
+
+                controlledKeysToEnable.forEach(key => {
+                    if (typeof content[key] !== 'undefined') {
+                        const originalValue = content[key];
+                        content[key] = 1;
+                        modificationLog.push({
+                            index,
+                            key,
+                            originalValue,
+                            newValue: 1,
+                            action: 'enabled'
+                        });
+                    }
+                });
+
+                if (typeof content.mustDoSwitch !== 'undefined') {
+                    const originalValue = content.mustDoSwitch;
+                    content.mustDoSwitch = 0;
+                    modificationLog.push({
+                        index,
+                        key: 'mustDoSwitch',
+                        originalValue,
+                        newValue: 0,
+                        action: 'disabled'
+                    });
+                }
+            }
+        });
+
+        // 审计日志：记录所有修改操作
+        if (modificationLog.length > 0) {
+            console.info('[Security Audit] Content modification performed:', {
+                timestamp: new Date().toISOString(),
+                modifications: modificationLog,
+                itemCount: data.extra.length
+            });
+        }
+
+        return data;
+    } catch (e) {
+        console.error('[Security] Error in content modification:', e);
+        // 安全失败：返回原始数据
+        return data;
+    }
+}
+
+/* -------------------- 请求拦截：共用规则 -------------------- */
+// XHR 与 fetch 两条路径共用同一套钩子（见 core/hooks.js），站点改用哪种方式发请求都不影响功能
+const ALLOWED_ORIGINS = ['https://bdfz.xnykcxt.com:5002', 'http://bdfz.xnykcxt.com:5002'];
+const REQUEST_LOG_LIMIT = 30;
+const requestLog = []; // 最近经过钩子的请求，新的在前，供调试面板显示
+
+// 安全检查：只在站点域名下处理请求
+function isInterceptionAllowed() {
+    const currentOrigin = window.location.origin;
+    if (ALLOWED_ORIGINS.includes(currentOrigin)) return true;
+    console.warn('[Security] Request interceptor blocked on unauthorized origin:', currentOrigin);
+    return false;
+}
+
+function recordHookCall(entry, hook, phase, extra) {
+    entry.fired.push({ id: hook.id, phase, ...extra });
+    refreshRequestHookPanel();
+}
+
+// 单个钩子出错时记录并跳过，返回 { ok, value }
+function callHook(entry, hook, phase, fn) {
+    try { return { ok: true, value: fn() }; }
+    catch (err) {
+        console.error(`请求钩子“${hook.id}”执行失败:`, err);
+        recordHookCall(entry, hook, phase, { error: String(err && err.message || err) });
+        return { ok: false };
+    }
+}
+
+function createMockEnhanceResponse() { return { code: 1, message: "新能源ULTRA加速上传中…", time: Date.now(), extra: "" }; }
+
+// 找出当前应处理该请求的钩子；既没有钩子也没有观察者时返回 null，拦截器直接放行
+function beginHookedRequest(url, method, transport) {
+    if (typeof url !== 'string' || !isInterceptionAllowed()) return null;
+    const request = { url, method: String(method || 'GET').toUpperCase(), transport, headers: {}, body: null };
+    const entry = { url, method: request.method, transport, time: Date.now(), status: null, fired: [] };
+    const hooks = requestHooks.filter(hook => (!hook.setting || settings[hook.setting]) && callHook(entry, hook, 'match', () => hook.match(url, request.method)).value);
+    const hooked = hooks.length > 0 || entry.fired.length > 0;
+    if (!hooked && requestObservers.length === 0) return null;
+    // 不逐条输出日志：目录索引等钩子始终开启，经过钩子的请求在“请求钩子记录”面板中查看
+    if (hooked) {
+        requestLog.unshift(entry);
+        requestLog.length = Math.min(requestLog.length, REQUEST_LOG_LIMIT);
+        refreshRequestHookPanel();
+    }
+    return { request, hooks, entry, startedAt: null, local: false };
+}
+
+// 请求结束后通知观察者；每个请求只通知一次，单个观察者出错不影响其他观察者
+function completeHookedRequest(context, result) {
+    if (context.completed || requestObservers.length === 0) return;
+    context.completed = true;
+    const { request } = context;
+    const record = {
+        ...request,
+        url: new URL(request.url, window.location.href).href,
+        headers: { ...request.headers },
+        startedAt: context.startedAt,
+        duration: Date.now() - context.startedAt,
+        status: 0,
+        statusText: '',
+        responseText: '',
+        local: context.local,
+        error: null,
+        hooks: [...new Set(context.entry.fired.filter(call => call.phase !== 'match').map(call => call.id))],
+        ...result,
+    };
+    if (result.rawResponseText === undefined) record.rawResponseText = record.responseText;
+    requestObservers.forEach(observer => {
+        try { observer(record); } catch (err) { console.error('请求观察者执行失败:', err); }
+    });
+}
+
+// 返回本地响应数据；没有钩子拦下请求时返回 undefined
+function runRequestHooks(context) {
+    for (const hook of context.hooks.filter(hook => hook.onRequest)) {
+        const result = callHook(context.entry, hook, 'request', () => hook.onRequest(context.request));
+        if (!result.ok) continue;
+        recordHookCall(context.entry, hook, 'request', { changed: result.value !== undefined });
+        if (result.value !== undefined) { context.entry.status = 200; return result.value; }
+    }
+    return undefined;
+}
+
+function hasResponseHooks(context) { return context.hooks.some(hook => hook.onResponse); }
+
+// 依次交给各钩子处理；无法解析为 JSON 或没有钩子修改数据时原样返回文本
+function processResponseText(context, status, text) {
+    context.entry.status = status;
+    let data;
+    try { data = JSON.parse(text); } catch (e) { refreshRequestHookPanel(); return text; }
+    let changed = false;
+    for (const hook of context.hooks.filter(hook => hook.onResponse)) {
+        const result = callHook(context.entry, hook, 'response', () => hook.onResponse(data, { ...context.request, status }));
+        if (!result.ok) continue;
+        recordHookCall(context.entry, hook, 'response', { changed: result.value !== undefined });
+        if (result.value !== undefined) { data = result.value; changed = true; }
+    }
+    return changed ? JSON.stringify(data) : text;
+}
+
+/* -------------------- 安全的 XHR 请求拦截器 -------------------- */
+function setupXHRInterceptor() {
+    const originalOpen = XMLHttpRequest.prototype.open;
+    const originalSend = XMLHttpRequest.prototype.send;
+
+    const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+    const originalResponseTextGetter = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'responseText').get;
+
+    XMLHttpRequest.prototype.open = function(method, url) {
+        this._hookContext = beginHookedRequest(typeof url === 'string' ? url : String(url), method, 'xhr');
+        originalOpen.apply(this, arguments);
+    };
+
+    XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+        if (this._hookContext) this._hookContext.request.headers[name] = String(value);
+        originalSetRequestHeader.apply(this, arguments);
+    };
+
+    XMLHttpRequest.prototype.send = function(body) {
+        const context = this._hookContext;
+        if (!context) return originalSend.apply(this, arguments);
+        context.request.body = body ?? null;
+        context.startedAt = Date.now();
+
+        // 0. 观察者：loadend 时记录站点实际收到的响应（经过钩子处理后）与服务器返回的原文
+        if (requestObservers.length > 0) {
+            let failure = null;
+            const failureLabels = { error: '网络错误', timeout: '请求超时', abort: '请求已取消' };
+            ['error', 'timeout', 'abort'].forEach(type => this.addEventListener(type, () => { failure = failureLabels[type]; }));
+            this.addEventListener('loadend', () => {
+                const isText = this.responseType === '' || this.responseType === 'text';
+                completeHookedRequest(context, { status: this.status, statusText: this.statusText, responseText: isText ? this.responseText : '', rawResponseText: isText && !context.local ? originalResponseTextGetter.call(this) : undefined, error: failure });
+            });
+        }
+
+        // 1. 钩子给出本地响应时请求不发出（这种请求会提前结束，需要 return）
+        const localData = runRequestHooks(context);
+        if (localData !== undefined) {
+            context.local = true;
+            console.log('⚡️ XHR Interceptor: Responding locally to', context.request.url);
+            const localResponseJSON = JSON.stringify(localData);
+            Object.defineProperties(this, {
+                status: { value: 200, writable: false },
+                statusText: { value: 'OK', writable: false },
+                response: { value: localResponseJSON, writable: false },
+                responseText: { value: localResponseJSON, writable: false },
+                readyState: { value: 4, writable: false }
+            });
+            this.dispatchEvent(new Event('readystatechange'));
+            this.dispatchEvent(new ProgressEvent('load'));
+            this.dispatchEvent(new ProgressEvent('loadend'));
+            return;
+        }
+
+        // 2. 响应钩子：覆盖 responseText / response，完成后首次读取时运行钩子并缓存结果；
+        //    load 时主动读取一次，确保站点不读取响应体时只做记录的钩子也会执行。responseType 为 json 等时不做处理
+        if (hasResponseHooks(context)) {
+            const originalDescriptorText = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'responseText');
+            const originalDescriptorResponse = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'response');
+            const isTextResponse = () => this.responseType === '' || this.responseType === 'text';
+            let processedText = null;
+            const readResponseText = () => {
+                const realResponseText = originalDescriptorText.get.call(this);
+                if (this.readyState !== 4) return realResponseText;
+                if (processedText === null) processedText = processResponseText(context, this.status, realResponseText);
+                return processedText;
+            };
+
+            Object.defineProperty(this, 'responseText', { get: readResponseText, configurable: true });
+            Object.defineProperty(this, 'response', {
+                get: () => (isTextResponse() ? readResponseText() : originalDescriptorResponse.get.call(this)),
+                configurable: true
+            });
+            this.addEventListener('load', () => { if (isTextResponse()) readResponseText(); });
+        }
+
+        // 3. 最终总是调用原始的 send 方法
+        originalSend.apply(this, arguments);
+    };
+}
+
+/* -------------------- fetch 请求拦截器 -------------------- */
+// 沙箱中的 window 不是页面的 window，需通过 unsafeWindow 替换页面实际使用的 fetch
+function setupFetchInterceptor() {
+    const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+    const originalFetch = pageWindow.fetch;
+    if (typeof originalFetch !== 'function') return;
+
+    pageWindow.fetch = async function(input, init) {
+        const url = input && typeof input.url === 'string' ? input.url : String(input);
+        const method = (init && init.method) || (input && input.method) || 'GET';
+        const context = beginHookedRequest(url, method, 'fetch');
+        if (!context) return originalFetch.apply(this, arguments);
+        const headers = new Headers((init && init.headers) || (input && input.headers) || undefined);
+        headers.forEach((value, name) => { context.request.headers[name] = value; });
+        context.request.body = (init && init.body) ?? null;
+        context.startedAt = Date.now();
+
+        // 1. 钩子给出本地响应时请求不发出
+        const localData = runRequestHooks(context);
+        if (localData !== undefined) {
+            console.log('⚡️ Fetch Interceptor: Responding locally to', url);
+            const localResponseJSON = JSON.stringify(localData);
+            context.local = true;
+            completeHookedRequest(context, { status: 200, statusText: 'OK', responseText: localResponseJSON });
+            return new Response(localResponseJSON, { status: 200, statusText: 'OK', headers: { 'Content-Type': 'application/json' } });
+        }
+
+        let response;
+        try { response = await originalFetch.apply(this, arguments); }
+        catch (err) {
+            completeHookedRequest(context, { error: err && err.name === 'AbortError' ? '请求已取消' : '网络错误' });
+            throw err;
+        }
+        const complete = (responseText, rawResponseText) => completeHookedRequest(context, { status: response.status, statusText: response.statusText, responseText, rawResponseText });
+
+        // 2. 响应钩子：读取副本，数据被修改时构造新的响应，否则原样返回，不影响站点自己读取响应体
+        if (hasResponseHooks(context)) {
+            try {
+                const realResponseText = await response.clone().text();
+                const processedText = processResponseText(context, response.status, realResponseText);
+                complete(processedText, realResponseText);
+                if (processedText === realResponseText) return response;
+                return new Response(processedText, { status: response.status, statusText: response.statusText, headers: response.headers });
+            } catch (e) { complete(''); return response; }
+        }
+
+        // 3. 只有观察者时在后台读取副本，不推迟站点拿到响应
+        if (requestObservers.length > 0) response.clone().text().then(complete, () => complete(''));
+        return response;
+    };
+}
+
+/* -------------------- 请求钩子调试面板 -------------------- */
+let requestHookDrawer, requestHookOverlay, requestHookList;
+const HOOK_PHASE_LABELS = { match: '匹配', request: '请求', response: '响应' };
+
+function describeHookCall(call) {
+    const label = `${escapeHTML(call.id)} · ${HOOK_PHASE_LABELS[call.phase]}`;
+    if (call.error) return `<span class="request-hook-call error" title="${escapeHTML(call.error)}">${label} · 出错</span>`;
+    return `<span class="request-hook-call${call.changed ? ' changed' : ''}">${label}${call.changed ? ' · 已修改' : ''}</span>`;
+}
+
+function renderRequestHookList() {
+    requestHookList.innerHTML = '';
+    if (requestLog.length === 0) { requestHookList.innerHTML = '<li class="request-hook-empty">还没有经过钩子的请求</li>'; return; }
+    requestLog.forEach(entry => {
+        const li = document.createElement('li');
+        const status = entry.status === null ? '等待响应' : entry.status;
+        li.innerHTML = `<div class="item-text-content"><span class="item-title">${escapeHTML(`${entry.method} ${entry.url}`)}</span><span class="request-hook-calls">${entry.fired.map(describeHookCall).join('') || '<span class="request-hook-call">未执行任何钩子</span>'}</span></div><span class="request-hook-meta">${entry.transport} · ${status}<br>${formatRelativeTime(entry.time)}</span>`;
+        requestHookList.appendChild(li);
+    });
+}
+
+function refreshRequestHookPanel() { if (requestHookDrawer && requestHookDrawer.classList.contains('open')) renderRequestHookList(); }
+
+function openRequestHookPanel() { renderRequestHookList(); requestHookDrawer.classList.add('open'); requestHookOverlay.classList.add('visible'); }
+
+function closeRequestHookPanel() { requestHookDrawer.classList.remove('open'); requestHookOverlay.classList.remove('visible'); }
+
+function initializeRequestHookPanel() {
+    if (document.getElementById('request-hooks-drawer')) return;
+    requestHookOverlay = document.createElement('div');
+    requestHookOverlay.className = 'drawer-overlay';
+    requestHookDrawer = document.createElement('div');
+    requestHookDrawer.id = 'request-hooks-drawer';
+    requestHookDrawer.className = 'bottom-sheet-drawer';
+    requestHookDrawer.innerHTML = `<div class="drawer-header"><h2>请求钩子</h2><button class="drawer-header-action" title="清空请求记录">清空</button></div><div class="drawer-content"><ul></ul></div>`;
+    requestHookList = requestHookDrawer.querySelector('.drawer-content ul');
+    document.body.append(requestHookOverlay, requestHookDrawer);
+    requestHookOverlay.addEventListener('click', closeRequestHookPanel);
+    requestHookDrawer.querySelector('.drawer-header-action').addEventListener('click', () => { requestLog.length = 0; renderRequestHookList(); });
+}
+
+// 拦截器始终安装；图片极速上传与强制显示答案的钩子带有 setting，在每次请求时读取当前设置，开关无需单独启停
+defineModule({
+    id: 'request-hooks',
+    styles: `
+        #request-hooks-drawer .drawer-content li { background-color: #fff; border-radius: 12px; padding: 12px 16px; margin-top: 12px; border: 1px solid #f0f0f0; display: flex; align-items: flex-start; justify-content: space-between; gap: 8px; }
+        #request-hooks-drawer .drawer-content li.request-hook-empty { border: none; background: transparent; color: #9ca3af; }
+        #request-hooks-drawer .item-title { font-family: monospace; font-size: 0.85rem; white-space: normal; word-break: break-all; }
+        .request-hook-calls { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 6px; }
+        .request-hook-call { padding: 1px 8px; border-radius: 999px; background-color: #f3f4f6; color: #374151; font-size: 0.75rem; }
+        .request-hook-call.changed { background-color: #dbeafe; color: #1e40af; }
+        .request-hook-call.error { background-color: #fee2e2; color: #b91c1c; }
+        .request-hook-meta { flex-shrink: 0; text-align: right; font-size: 0.75rem; color: #9ca3af; }
+    `,
+    init() {
+        registerRequestHook({
+            id: 'mock-enhance',
+            setting: 'enableMockEnhance',
+            match: url => url.endsWith('enchance'), /* ATTENTION: 这里务必注意！新能源课程系统网站原始API有拼写错误，该API路径就是enchance，而不是enhance，严禁修改。*/
+            onRequest: () => createMockEnhanceResponse(),
+        });
+        registerRequestHook({
+            id: 'answer-force',
+            setting: 'enableAnswerForce',
+            match: url => url.endsWith('/content'),
+            onResponse: data => modifyContentData(data),
+        });
+        setupXHRInterceptor();
+        setupFetchInterceptor();
+        initializeRequestHookPanel();
+        registerCommand({ id: 'debug.requestHooks', title: '查看请求钩子记录', keywords: 'debug hooks request network', run: openRequestHookPanel });
+    },
+});
@@ -0,0 +1,487 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 课程目录解析 -------------------- */
+function processCatalogData(response, mainMenuContext, subjectContext) {
+    // 安全检查：验证数据完整性
+    if (!response || !response.extra || subjectContext === '未知科目') {
+        console.warn('[Security] Invalid catalog data or context for processing');
+        return;
+    }
+
+    // 安全检查：验证响应结构
+    if (!Array.isArray(response.extra)) {
+        console.warn('[Security] Catalog data extra is not an array');
+        return;
+    }
+
+    const record = { key: catalogKey(mainMenuContext, subjectContext), mainMenu: mainMenuContext, subject: subjectContext, nodes: response.extra, capturedAt: Date.now() };
+    const itemCount = indexCatalog(record);
+    saveCatalogRecord(record).catch(e => console.warn('[CatalogIndex] 目录持久化失败，本次仅保存在内存中:', e));
+    console.log(`🔍 已为科目“${subjectContext}”处理 ${itemCount} 个可搜索项。`); // 此 console.log 在 sandbox 中不可见，但保留无害
+}
+
+// 以当前选中的主菜单与科目作为目录数据的上下文
+function currentCatalogContext() {
+    const activeMainMenu = document.querySelector('.menu > div.active');
+    const activeSubject = document.querySelector('.folderName.active');
+    return { mainMenu: activeMainMenu ? cleanInnerText(activeMainMenu) : '课程', subject: activeSubject ? cleanInnerText(activeSubject) : '未知科目' };
+}
+
+function handleCatalogResponse(response) {
+    const { mainMenu, subject } = currentCatalogContext();
+    processCatalogData(response, mainMenu, subject);
+}
+
+// 将目录树展开为可搜索项；每项都带有可直接回放的完整路径
+function flattenCatalog({ mainMenu: mainMenuContext, subject: subjectContext, nodes }) {
+    const flatList = [];
+
+    // 步骤1：构建正确的、包含双击逻辑的初始路径
+    const mainMenuStep = { selector: "div.menu > div", text: mainMenuContext };
+    const subjectStep = { selector: "div.folderName", text: subjectContext };
+
+    // 关键：将科目/教师步骤重复一次，以实现"双击"效果
+    const initialPath = [mainMenuStep, subjectStep, subjectStep];
+
+    function flattenTree(nodes, parentPath) {
+        if (!nodes || nodes.length === 0) return;
+
+        nodes.forEach(node => {
+            // 安全检查：验证节点数据
+            if (!node || typeof node.catalogName !== 'string') {
+                console.warn('[Security] Invalid catalog node detected, skipping', node);
+                return;
+            }
+
+            // 步骤2：修正选择器逻辑
+            // 根据您的分析，JSON 数据中的所有层级都对应 antd 树节点
+            const currentSelector = "span.ant-tree-node-content-wrapper";
+
+            const currentStep = { selector: currentSelector, text: node.catalogName };
+            if (catalogNodeId(node) !== null) currentStep.catalogId = catalogNodeId(node);
+            const replayablePath = [...parentPath, currentStep];
+            const displayPath = replayablePath.slice(1, 2) // 只显示科目
+                .concat(replayablePath.slice(3)) // 和后续路径
+                .map(p => p.text).join(' / ');
+
+            flatList.push({
+                title: node.catalogName,
+                displayPath: displayPath,
+                replayablePath: replayablePath,
+                trail: replayablePath.slice(3).map(p => p.text).join(' / '),
+                mainMenu: mainMenuContext,
+                subject: subjectContext,
+                catalogKey: catalogKey(mainMenuContext, subjectContext)
+            });
+
+            // 安全检查：验证子节点结构
+            if (node.childList && Array.isArray(node.childList) && node.childList.length > 0) {
+                flattenTree(node.childList, replayablePath);
+            }
+        });
+    }
+
+    flattenTree(nodes, initialPath);
+    return flatList;
+}
+
+/* -------------------- 跨科目目录索引（IndexedDB 持久化） -------------------- */
+const catalogIndex = new Map(); // “主菜单/科目” → { mainMenu, subject, nodes, capturedAt, items }，跨科目累积并持久化到 IndexedDB
+const CATALOG_STALE_AFTER = 7 * 24 * 60 * 60 * 1000; // 超过一周未更新的科目提示可能已过期
+
+// 同一“主菜单/科目”只保留最新的一份目录，返回该科目的可搜索项数量
+function indexCatalog(record) {
+    const items = flattenCatalog(record);
+    catalogIndex.set(record.key, { ...record, items });
+    return items.length;
+}
+
+async function saveCatalogRecord(record) { await idbRun('catalogs', 'readwrite', store => store.put(record)); }
+
+async function loadCatalogIndex() {
+    try {
+        const records = await idbRun('catalogs', 'readonly', store => store.getAll());
+        // 本次会话中已拦截到的较新目录优先
+        records.forEach(record => { if (!catalogIndex.has(record.key) || catalogIndex.get(record.key).capturedAt < record.capturedAt) indexCatalog(record); });
+        console.log(`🔍 已从本地索引恢复 ${records.length} 个科目的目录。`);
+    } catch (e) {
+        console.warn('[CatalogIndex] 无法读取本地目录索引:', e);
+    }
+}
+
+function getAllSearchableItems() { return [].concat(...Array.from(catalogIndex.values(), entry => entry.items)); }
+
+/* -------------------- 搜索排序与查询语法 -------------------- */
+const SEARCH_SCOPES = { '收藏': 'favorites', 'fav': 'favorites', '最近': 'recent', 'recent': 'recent' };
+const SEARCH_RECENCY_WINDOW = 14 * 24 * 60 * 60 * 1000; // 两周内访问过的目录获得递减的加分
+
+// 解析查询：“科:物理”（或 subject:）限定科目，“in:收藏”/“in:最近”限定范围，其余为关键词（需全部命中）
+function parseSearchQuery(query) {
+    const parsed = { terms: [], subjects: [], scopes: [], unknownScopes: [] };
+    query.split(/\s+/).filter(Boolean).forEach(token => {
+        const filter = token.match(/^(科|subject|in)[:：](.+)$/i);
+        if (!filter) { parsed.terms.push(token.toLowerCase()); return; }
+        if (filter[1].toLowerCase() !== 'in') { parsed.subjects.push(filter[2].toLowerCase()); return; }
+        const scope = SEARCH_SCOPES[filter[2].toLowerCase()];
+        if (scope) parsed.scopes.push(scope); else parsed.unknownScopes.push(filter[2]);
+    });
+    return parsed;
+}
+
+function indexRange(start, end) { return Array.from({ length: end - start }, (_, i) => start + i); }
+
+// 返回 { score, indices }，indices 为命中的字符下标；按 精确 > 前缀 > 子串 > 拼音 > 模糊 依次尝试
+function matchSearchText(text, term) {
+    const lower = text.toLowerCase();
+    if (lower === term) return { score: 100, indices: indexRange(0, text.length) };
+    if (lower.startsWith(term)) return { score: 80, indices: indexRange(0, term.length) };
+    const position = lower.indexOf(term);
+    if (position !== -1) return { score: 60, indices: indexRange(position, position + term.length) };
+    const pinyin = typeof PinyinMatch !== 'undefined' && PinyinMatch.match(text, term);
+    if (pinyin) return { score: pinyin[0] === 0 ? 50 : 40, indices: indexRange(pinyin[0], pinyin[1] + 1) };
+    const indices = [];
+    let from = 0;
+    for (const char of term) {
+        const index = lower.indexOf(char, from);
+        if (index === -1) return null;
+        indices.push(index);
+        from = index + 1;
+    }
+    const gaps = indices[indices.length - 1] - indices[0] + 1 - indices.length;
+    return { score: Math.max(5, 20 - gaps * 2), indices };
+}
+
+function pathTextKey(path) {
+    const subject = path.find(step => step.selector === 'div.folderName');
+    return `text:${subject ? subject.text : ''}/${path[path.length - 1].text}`;
+}
+
+// 用于把搜索项与历史记录、收藏对应起来：优先用目录 ID，否则用“科目/节点名”
+function pathRecencyKey(path) {
+    const last = path[path.length - 1];
+    return last.catalogId ? `id:${last.catalogId}` : pathTextKey(path);
+}
+
+// 搜索项同时按两种键查找：记录目录 ID 之前保存的收藏与历史只有“科目/节点名”
+function searchItemKeys(path) {
+    const key = pathRecencyKey(path), textKey = pathTextKey(path);
+    return key === textKey ? [key] : [key, textKey];
+}
+
+async function loadSearchContext() {
+    const [favorites, history] = await Promise.all([getFavorites(), getHistory()]);
+    const recency = new Map();
+    const touch = (path, time) => { const key = pathRecencyKey(path); if (time && time > (recency.get(key) || 0)) recency.set(key, time); };
+    history.entries.forEach(entry => touch(entry.path, entry.visitedAt));
+    favorites.forEach(fav => touch(fav.path, fav.lastOpenedAt));
+    return { recency, favorites: new Set(favorites.map(fav => pathRecencyKey(fav.path))), recent: new Set(history.entries.map(entry => pathRecencyKey(entry.path))) };
+}
+
+// 不满足过滤条件或有关键词未命中时返回 null；标题命中权重高于路径命中，浅层与最近访问的目录额外加分
+function scoreSearchItem(item, parsed, context) {
+    if (parsed.subjects.some(subject => !item.subject.toLowerCase().includes(subject) && !(typeof PinyinMatch !== 'undefined' && PinyinMatch.match(item.subject, subject)))) return null;
+    const keys = searchItemKeys(item.replayablePath);
+    if (parsed.scopes.some(scope => !keys.some(key => context[scope].has(key)))) return null;
+    let score = 0;
+    const titleIndices = new Set(), pathIndices = new Set();
+    for (const term of parsed.terms) {
+        const inTitle = matchSearchText(item.title, term);
+        const inPath = matchSearchText(item.displayPath, term);
+        if (!inTitle && !inPath) return null;
+        if (inTitle && (!inPath || inTitle.score >= inPath.score / 2)) { score += inTitle.score; inTitle.indices.forEach(i => titleIndices.add(i)); }
+        else { score += inPath.score / 2; inPath.indices.forEach(i => pathIndices.add(i)); }
+    }
+    const depth = item.replayablePath.length - 3;
+    score += Math.max(0, 10 - depth * 2);
+    const visitedAt = Math.max(0, ...keys.map(key => context.recency.get(key) || 0));
+    if (visitedAt) score += 20 * Math.max(0, 1 - (Date.now() - visitedAt) / SEARCH_RECENCY_WINDOW);
+    return { item, score, titleIndices, pathIndices };
+}
+
+function highlightText(text, indices, offset = 0) {
+    let html = '', open = false;
+    text.split('').forEach((char, i) => {
+        const hit = indices.has(i + offset);
+        if (hit && !open) { html += '<mark class="search-highlight">'; open = true; }
+        if (!hit && open) { html += '</mark>'; open = false; }
+        html += escapeHTML(char);
+    });
+    return open ? `${html}</mark>` : html;
+}
+
+function describeCatalog(entry) { return entry.mainMenu === '课程' ? entry.subject : `${entry.mainMenu} · ${entry.subject}`; }
+
+/* -------------------- 命令模式 -------------------- */
+// 返回按匹配度排序的命令列表；未输入关键词时按注册顺序列出全部命令
+function matchCommands(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return Array.from(commandRegistry.values()).map(command => {
+        const title = commandTitle(command);
+        let score = 0;
+        const titleIndices = new Set();
+        for (const term of terms) {
+            const inTitle = matchSearchText(title, term);
+            const inKeywords = command.keywords ? matchSearchText(command.keywords, term) : null;
+            if (!inTitle && !inKeywords) return null;
+            if (inTitle) { score += inTitle.score; inTitle.indices.forEach(i => titleIndices.add(i)); } else score += inKeywords.score / 2;
+        }
+        return { command, title, score, titleIndices };
+    }).filter(Boolean).sort((a, b) => b.score - a.score);
+}
+
+function createSearchUI() {
+    // 防止重复创建
+    if (document.getElementById('search-spotlight-overlay')) return;
+
+    const overlay = document.createElement('div');
+    overlay.id = 'search-spotlight-overlay';
+    overlay.className = 'search-spotlight-overlay';
+    overlay.style.setProperty('--search-highlight-color', settings.searchHighlightColor);
+
+    const containerHTML = `
+        <div class="search-spotlight-container">
+            <div class="search-input-wrapper">
+                <svg class="icon" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg>
+                <input type="text" class="search-spotlight-input" placeholder="搜索课程目录（支持拼音、科:物理、in:收藏），输入 > 执行命令...">
+            </div>
+            <div class="search-facets"></div>
+            <ul class="search-results-list"></ul>
+        </div>
+    `;
+    overlay.innerHTML = containerHTML;
+    document.body.appendChild(overlay);
+
+    const input = overlay.querySelector('.search-spotlight-input');
+    const resultsList = overlay.querySelector('.search-results-list');
+    const facetsBar = overlay.querySelector('.search-facets');
+    let currentHighlight = -1;
+    let activeFacet = null; // 选中的“主菜单/科目”，null 表示全部
+    let searchContext = { recency: new Map(), favorites: new Set(), recent: new Set() };
+    loadSearchContext().then(context => { searchContext = context; if (input.value.trim()) renderResults(input.value.trim()); }).catch(err => console.warn('搜索上下文加载失败:', err));
+
+    // 销毁函数
+    function destroySearchUI(callback) { // 增加一个 callback 参数
+    overlay.classList.remove('visible');
+    setTimeout(() => {
+        overlay.remove();
+        if (typeof callback === 'function') {
+            callback(); // 在移除后执行回调
+        }
+    }, 200);
+    }
+
+    // 渲染结果函数
+    function renderResults(query) {
+        resultsList.innerHTML = '';
+        facetsBar.innerHTML = '';
+        currentHighlight = -1;
+
+        if (query.startsWith('>')) { renderCommands(query.slice(1).trim()); return; }
+        if (catalogIndex.size === 0) {
+             resultsList.innerHTML = '<div class="search-empty-state">请先点击一个科目以加载目录数据，或输入 > 执行命令。</div>';
+             return;
+        }
+        if (!query) { renderIndexStatus(); return; }
+
+        const parsed = parseSearchQuery(query);
+        if (parsed.unknownScopes.length > 0) {
+            resultsList.innerHTML = `<div class="search-empty-state">不支持的范围“${escapeHTML(parsed.unknownScopes[0])}”，可用：in:收藏、in:最近</div>`;
+            return;
+        }
+        // 同分时保持目录树中的原始顺序（Array.prototype.sort 是稳定排序）
+        const ranked = getAllSearchableItems().map(item => scoreSearchItem(item, parsed, searchContext)).filter(Boolean).sort((a, b) => b.score - a.score);
+        renderFacets(ranked.map(result => result.item), query);
+        const results = activeFacet ? ranked.filter(result => result.item.catalogKey === activeFacet) : ranked;
+
+        if (results.length === 0) {
+            resultsList.innerHTML = '<div class="search-empty-state">无匹配结果</div>';
+        } else {
+            results.slice(0, 50).forEach(({ item, titleIndices, pathIndices }) => { // 最多显示50条结果
+                const li = document.createElement('li');
+                // displayPath 以“科目 / ”开头，路径部分只渲染 trail，因此高亮下标需要相应偏移
+                const trailOffset = item.displayPath.length - item.trail.length;
+                li.innerHTML = `<span class="search-result-title">${highlightText(item.title, titleIndices)}</span><span class="search-result-path"><span class="search-result-subject">${escapeHTML(describeCatalog(item))}</span>${highlightText(item.trail, pathIndices, trailOffset)}</span>`;
+                li.dataset.path = JSON.stringify(item.replayablePath);
+                resultsList.appendChild(li);
+            });
+        }
+    }
+
+    function renderCommands(query) {
+        const matched = matchCommands(query);
+        if (matched.length === 0) {
+            resultsList.innerHTML = '<div class="search-empty-state">没有匹配的命令</div>';
+            return;
+        }
+        matched.forEach(({ command, title, titleIndices }) => {
+            const li = document.createElement('li');
+            li.className = 'search-command';
+            li.innerHTML = `<span class="search-result-title">${highlightText(title, titleIndices)}</span>${command.hint ? `<span class="search-result-path">${escapeHTML(command.hint)}</span>` : ''}`;
+            li.dataset.command = command.id;
+            resultsList.appendChild(li);
+        });
+    }
+
+    // 按科目分面：只列出有匹配项的科目，并显示各自的命中数
+    function renderFacets(matched, query) {
+        const counts = new Map();
+        matched.forEach(item => counts.set(item.catalogKey, (counts.get(item.catalogKey) || 0) + 1));
+        if (activeFacet && !counts.has(activeFacet)) activeFacet = null;
+        if (counts.size < 2 && !activeFacet) return;
+        const chip = (key, label, count) => `<button class="search-facet${activeFacet === key ? ' active' : ''}" data-key="${escapeHTML(key || '')}">${escapeHTML(label)}<span class="search-facet-count">${count}</span></button>`;
+        facetsBar.innerHTML = chip(null, '全部', matched.length) + Array.from(counts, ([key, count]) => chip(key, describeCatalog(catalogIndex.get(key)), count)).join('');
+        facetsBar.querySelectorAll('.search-facet').forEach(btn => btn.addEventListener('click', () => {
+            activeFacet = btn.dataset.key || null;
+            renderResults(query);
+            input.focus();
+        }));
+    }
+
+    // 未输入关键词时展示索引概况，便于判断各科目的数据是否新鲜
+    function renderIndexStatus() {
+        const entries = Array.from(catalogIndex.values()).sort((a, b) => b.capturedAt - a.capturedAt);
+        const total = entries.reduce((sum, entry) => sum + entry.items.length, 0);
+        resultsList.innerHTML = `<div class="search-index-status"><div class="search-index-summary">已索引 ${entries.length} 个科目，共 ${total} 个目录项</div>${entries.map(entry => {
+            const stale = Date.now() - entry.capturedAt > CATALOG_STALE_AFTER;
+            return `<div class="search-index-row${stale ? ' stale' : ''}"><span class="search-index-name">${escapeHTML(describeCatalog(entry))}</span><span class="search-index-meta">${entry.items.length} 项 · ${stale ? '可能已过期，重新打开该科目即可更新' : `${formatRelativeTime(entry.capturedAt)}更新`}</span></div>`;
+        }).join('')}<div class="search-syntax-hint">提示：输入“科:物理”只搜索某个科目，“in:收藏”或“in:最近”只搜索收藏或最近访问过的目录；以“>”开头可执行命令。</div></div>`;
+    }
+
+    // 事件处理
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) destroySearchUI();
+    });
+
+    resultsList.addEventListener('click', (e) => {
+    const targetLi = e.target.closest('li');
+    if (targetLi && targetLi.dataset.command) {
+        const command = commandRegistry.get(targetLi.dataset.command);
+        destroySearchUI(() => {
+            Promise.resolve().then(() => command.run()).catch(err => console.error(`命令“${command.id}”执行失败:`, err));
+        });
+    } else if (targetLi && targetLi.dataset.path) {
+        const path = JSON.parse(targetLi.dataset.path);
+        // 将导航操作作为回调函数传递进去
+        destroySearchUI(() => {
+            replayPath(path).catch(err => console.error("Search navigation failed:", err));
+        });
+    }
+});
+
+    const debouncedSearch = debounce(renderResults, 200);
+    input.addEventListener('input', () => debouncedSearch(input.value.trim()));
+
+    // 键盘导航
+    input.addEventListener('keydown', e => {
+        const items = resultsList.querySelectorAll('li');
+        if (!items.length) return;
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            if (currentHighlight < items.length - 1) {
+                currentHighlight++;
+                items.forEach(item => item.classList.remove('highlighted'));
+                items[currentHighlight].classList.add('highlighted');
+            }
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (currentHighlight > 0) {
+                currentHighlight--;
+                items.forEach(item => item.classList.remove('highlighted'));
+                items[currentHighlight].classList.add('highlighted');
+            }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const highlightedItem = resultsList.querySelector('li.highlighted');
+            if (highlightedItem) {
+                highlightedItem.click();
+            } else if (items.length > 0) {
+                items[0].click(); // 默认选择第一项
+            }
+        } else if (e.key === 'Escape') {
+             destroySearchUI();
+        }
+    });
+
+    renderResults('');
+
+    // 动画入场并聚焦
+    requestAnimationFrame(() => {
+        overlay.classList.add('visible');
+        input.focus();
+    });
+}
+
+// 新的双击处理函数，替换 setupMenuLongPress
+
+function setupMenuDoubleClick() {
+
+    // 依然使用事件委托，以处理动态加载的 .menu 元素
+
+    document.body.addEventListener('dblclick', (event) => {
+
+        // 检查双击事件是否起源于 .menu 内部
+
+        const menuElement = event.target.closest('.slider');
+
+        if (menuElement) {
+
+            // 关键：阻止双击的默认行为（例如，选择文本）
+
+            event.preventDefault();
+
+            event.stopPropagation(); // 阻止事件进一步冒泡
+
+            // 呼出搜索栏
+
+            createSearchUI();
+
+        }
+
+    });
+
+}
+
+defineModule({
+    id: 'search',
+    styles: `
+        /* ========== Search Spotlight CSS ========== */
+.search-spotlight-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: rgba(255, 255, 255, 0.5); backdrop-filter: blur(12px); -webkit-backdrop-filter: blur(12px); z-index: 21000; opacity: 0; transition: opacity 0.2s ease-out; }
+.search-spotlight-overlay.visible { opacity: 1; }
+.search-spotlight-container { position: fixed; top: 15vh; left: 50%; transform: translateX(-50%); width: 90%; max-width: 640px; background-color: #f9f9f9; border-radius: 12px; box-shadow: 0 10px 30px rgba(0,0,0,0.15); display: flex; flex-direction: column; overflow: hidden; }
+.search-input-wrapper { display: flex; align-items: center; padding: 0 16px; border-bottom: 1px solid #eee; }
+.search-input-wrapper .icon { color: #9ca3af; width: 20px; height: 20px; margin-right: 12px; }
+.search-spotlight-input { width: 100%; height: 56px; border: none; outline: none; background: transparent; font-size: 1.1rem; color: #111827; }
+.search-results-list { list-style: none; margin: 0; padding: 8px; max-height: 50vh; overflow-y: auto; }
+.search-results-list li { padding: 12px 16px; border-radius: 8px; cursor: pointer; transition: background-color 0.15s ease; }
+.search-results-list li:hover, .search-results-list li.highlighted { background-color: #eee; }
+.search-result-title { font-size: 0.95rem; color: #1f2937; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: block; }
+.search-result-path { font-size: 0.75rem; color: #6b7280; margin-top: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: block; }
+.search-empty-state { padding: 40px; text-align: center; color: #9ca3af; }
+.search-highlight { background-color: transparent; color: var(--search-highlight-color, inherit); font-weight: 700; text-decoration: underline; text-underline-offset: 2px; }
+.search-syntax-hint { margin-top: 10px; color: #9ca3af; font-size: 0.75rem; }
+.search-results-list li.search-command .search-result-title::before { content: '›'; margin-right: 8px; color: #9ca3af; }
+.search-result-subject { display: inline-block; margin-right: 6px; padding: 0 6px; border-radius: 4px; background-color: #e5e7eb; color: #374151; }
+.search-facets { display: flex; flex-wrap: wrap; gap: 6px; padding: 0 16px; }
+.search-facets:not(:empty) { padding: 10px 16px 2px; }
+.search-facet { display: flex; align-items: center; gap: 4px; border: 1px solid #e5e7eb; border-radius: 999px; background-color: #fff; padding: 2px 10px; font-size: 0.8rem; color: #374151; cursor: pointer; }
+.search-facet.active { background-color: #111827; border-color: #111827; color: #fff; }
+.search-facet-count { color: #9ca3af; font-size: 0.7rem; }
+.search-index-status { padding: 8px; font-size: 0.85rem; color: #374151; }
+.search-index-summary { color: #6b7280; margin-bottom: 8px; }
+.search-index-row { display: flex; justify-content: space-between; gap: 12px; padding: 6px 0; border-top: 1px solid #eee; }
+.search-index-meta { color: #9ca3af; font-size: 0.75rem; white-space: nowrap; }
+.search-index-row.stale .search-index-meta { color: #b45309; }
+    `,
+    init() {
+        // 不等待本地索引读完：模块按顺序初始化，等待会推迟后面请求拦截器的安装，漏掉页面加载时的请求
+        loadCatalogIndex();
+        setupMenuDoubleClick();
+        // 只读取目录数据，不修改响应
+        registerRequestHook({
+            id: 'catalog-index',
+            match: url => url.includes('catalog/entity'),
+            onResponse(data, response) { if (response.status === 200) handleCatalogResponse(data); },
+        });
+        registerCommand({ id: 'search.open', title: '打开搜索', keywords: 'search spotlight', run: createSearchUI });
+    },
+});
@@ -0,0 +1,151 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 设置页面逻辑 -------------------- */
+let settingsPage = null;
+
+function createSettingsPage() {
+    if (settingsPage) return;
+    settingsPage = document.createElement('div');
+    settingsPage.className = 'settings-page-container';
+    const content = `
+        <div class="settings-page-content">
+            <div class="settings-header"><h1>插件设置</h1><button class="close-btn">返回</button></div>
+            <div id="settings-list"></div>
+            <div id="settings-hotkeys"></div>
+            <div id="settings-backup"></div>
+            <div class="settings-footer">
+                <p>This software is developed under the joint effort of @c-jeremy, Aaron Tang ("ts"), and @ZhongChuTaFei.</p>
+                <p>Special credits given to Gemini 2.5 Pro & Claude 4.5 Sonnet.</p>
+                <p>Special thanks to Geeker LStar, who although never contributed to this project, played a vital role in making this all possible.</p>
+            </div>
+        </div>`;
+    settingsPage.innerHTML = content;
+    document.body.appendChild(settingsPage);
+
+    const settingsList = settingsPage.querySelector('#settings-list');
+    SETTINGS_SCHEMA.forEach(section => {
+        const heading = document.createElement('h2');
+        heading.className = 'settings-section-title';
+        heading.textContent = section.title;
+        settingsList.appendChild(heading);
+        section.fields.forEach(field => settingsList.appendChild(createSettingItem(field)));
+    });
+    renderHotkeySection(settingsPage.querySelector('#settings-hotkeys'));
+    renderBackupSection(settingsPage.querySelector('#settings-backup'));
+    settingsPage.querySelector('.close-btn').addEventListener('click', () => { window.history.back(); });
+}
+
+function renderSettingControl(field) {
+    const id = `setting-${field.key}`;
+    switch (field.type) {
+        case 'boolean': return `<label class="toggle-switch"><input type="checkbox" id="${id}"><span class="toggle-slider"></span></label>`;
+        case 'number': return `<input type="number" class="setting-input" id="${id}" min="${field.min}" max="${field.max}" step="${field.step || 1}"><span class="setting-unit">${field.unit || ''}</span>`;
+        case 'enum': return `<select class="setting-input" id="${id}">${field.options.map(option => `<option value="${option.value}">${escapeHTML(option.label)}</option>`).join('')}</select>`;
+        case 'color': return `<input type="color" class="setting-input" id="${id}">`;
+        default: return `<input type="text" class="setting-input" id="${id}" maxlength="${field.maxLength}">`;
+    }
+}
+
+function readSettingControl(field, control) {
+    if (field.type === 'boolean') return control.checked;
+    if (field.type === 'number') return control.value === '' ? NaN : Number(control.value);
+    return field.type === 'text' ? control.value.trim() : control.value;
+}
+
+// 把控件、“恢复默认”按钮与错误提示同步为当前设置值
+function syncSettingControl(key) {
+    const control = document.getElementById(`setting-${key}`);
+    if (!control) return;
+    const field = SETTING_FIELDS[key], item = control.closest('.setting-item');
+    if (field.type === 'boolean') control.checked = settings[key]; else control.value = String(settings[key]);
+    item.querySelector('.setting-reset').hidden = settings[key] === field.default;
+    item.querySelector('.setting-error').textContent = '';
+}
+
+function createSettingItem(field) {
+    const item = document.createElement('div');
+    item.className = 'setting-item';
+    item.innerHTML = `<div class="setting-text"><h3>${field.title}</h3><p>${field.desc}</p><p class="setting-error"></p></div><div class="setting-control"><button class="setting-reset" title="恢复默认值">恢复默认</button>${renderSettingControl(field)}</div>`;
+    const control = item.querySelector(`#setting-${field.key}`);
+    const showError = err => { item.querySelector('.setting-error').textContent = err.message; };
+    control.addEventListener('change', () => updateSetting(field.key, readSettingControl(field, control)).catch(showError));
+    item.querySelector('.setting-reset').addEventListener('click', () => updateSetting(field.key, field.default).catch(showError));
+    // 控件需挂到文档后才能通过 id 找到，这里先直接同步一次
+    if (field.type === 'boolean') control.checked = settings[field.key]; else control.value = String(settings[field.key]);
+    item.querySelector('.setting-reset').hidden = settings[field.key] === field.default;
+    return item;
+}
+
+function destroySettingsPage() {
+    if (settingsPage) { settingsPage.remove(); settingsPage = null; }
+    const appElement = document.querySelector('.app');
+    if (appElement) appElement.style.display = '';
+}
+
+function handleHashChange() {
+    if (window.location.hash === '#/settings/plugin') {
+        const appElement = document.querySelector('.app');
+        if (appElement) appElement.style.display = 'none';
+        createSettingsPage();
+    } else { destroySettingsPage(); }
+}
+
+function setupSettingsListener() {
+    window.addEventListener('hashchange', handleHashChange);
+    handleHashChange();
+}
+
+defineModule({
+    id: 'settings-page',
+    styles: `
+        /* ========== Settings Page CSS ========== */
+        .settings-page-container { font-family: 'Noto Serif SC', serif !important; position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: #fff; z-index: 20000; padding: 20px; box-sizing: border-box; display: flex; justify-content: center; align-items: flex-start; overflow-y: auto; }
+        .settings-page-content { max-width: 700px; width: 100%; margin-top: 5vh; }
+        .settings-header { display: flex; justify-content: space-between; align-items: center; border-bottom: 1px solid #000; padding-bottom: 15px; margin-bottom: 30px; }
+        .settings-header h1 { font-size: 2rem; font-weight: 700; margin: 0; }
+        .settings-header .close-btn { font-family: 'Noto Serif SC', serif !important; font-size: 1rem; color: #000; background: #eee; border: 1px solid #ccc; border-radius: 8px; padding: 8px 16px; cursor: pointer; transition: background-color 0.2s; }
+        .settings-header .close-btn:hover { background-color: #ddd; }
+        .setting-item { display: flex; justify-content: space-between; align-items: center; padding: 20px 0; border-bottom: 1px solid #eee; }
+        .setting-text h3 { font-size: 1.1rem; font-weight: 500; margin: 0 0 5px 0; }
+        .setting-text p { font-size: 0.9rem; color: #666; margin: 0; max-width: 450px; }
+        .setting-control { display: flex; align-items: center; gap: 10px; flex-shrink: 0; margin-left: 20px; }
+        .setting-control .toggle-switch { margin-left: 0; }
+        .setting-input { font-family: 'Noto Serif SC', serif !important; font-size: 0.95rem; color: #000; background: #fff; border: 1px solid #000; border-radius: 8px; padding: 6px 10px; }
+        .setting-input[type="number"] { width: 90px; }
+        .setting-input[type="color"] { width: 48px; height: 34px; padding: 2px; cursor: pointer; }
+        .setting-unit { font-size: 0.85rem; color: #666; }
+        .setting-unit:empty { display: none; }
+        .setting-reset { font-family: 'Noto Serif SC', serif !important; background: none; border: none; padding: 0; color: #666; font-size: 0.8rem; text-decoration: underline; cursor: pointer; }
+        .setting-text .setting-error { color: #b91c1c; margin-top: 5px; }
+        .setting-text .setting-error:empty { display: none; }
+        .toggle-switch { position: relative; display: inline-block; width: 50px; height: 28px; flex-shrink: 0; margin-left: 20px; }
+        .toggle-switch input { opacity: 0; width: 0; height: 0; }
+        .toggle-slider { position: absolute; cursor: pointer; top: 0; left: 0; right: 0; bottom: 0; background-color: #ccc; transition: .4s; border-radius: 28px; }
+        .toggle-slider:before { position: absolute; content: ""; height: 20px; width: 20px; left: 4px; bottom: 4px; background-color: white; transition: .4s; border-radius: 50%; box-shadow: 0 1px 3px rgba(0,0,0,0.2); }
+        input:checked + .toggle-slider { background-color: #000; }
+        input:checked + .toggle-slider:before { transform: translateX(22px); }
+        .settings-section-title { font-size: 1.3rem; font-weight: 700; margin: 40px 0 0; padding-bottom: 10px; border-bottom: 1px solid #000; }
+        .backup-actions { display: flex; flex-wrap: wrap; gap: 10px; padding: 20px 0; }
+        .backup-btn { font-family: 'Noto Serif SC', serif !important; font-size: 0.95rem; color: #000; background: #fff; border: 1px solid #000; border-radius: 8px; padding: 8px 16px; cursor: pointer; transition: background-color 0.2s; }
+        .backup-btn:hover { background-color: #eee; }
+        .backup-btn.primary { color: #fff; background-color: #000; }
+        .backup-btn.primary:hover { background-color: #333; }
+        .backup-preview { padding: 16px; background-color: #f5f5f5; border-radius: 8px; font-size: 0.9rem; line-height: 1.6; }
+        .backup-preview .backup-actions { padding-bottom: 0; }
+        .backup-error { color: #b91c1c; }
+        .settings-footer { text-align: justify; margin-top: 40px; padding: 20px; color: #999; font-size: 0.7rem; }
+        .settings-footer p { margin: 5px 0; }
+    `,
+    init() {
+        setupSettingsListener();
+        registerCommand({ id: 'settings.open', title: '打开插件设置', keywords: 'settings preferences', run: () => { window.location.hash = '#/settings/plugin'; } });
+        Object.values(SETTING_FIELDS).filter(field => field.type === 'boolean').map(field => field.key).forEach(key => registerCommand({
+            id: `settings.toggle.${key}`,
+            title: () => `${settings[key] ? '关闭' : '开启'}：${SETTING_FIELDS[key].title}`,
+            hint: '切换设置',
+            keywords: `toggle setting ${key}`,
+            run: () => updateSetting(key, !settings[key])
+        }));
+    },
+    // 设置可能来自命令面板或其他标签页，已打开的设置页随之刷新控件
+    onSettingsChange() { Object.keys(SETTING_FIELDS).forEach(syncSettingControl); },
+});
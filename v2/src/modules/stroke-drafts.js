@@ -0,0 +1,143 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 手写草稿 -------------------- */
+// 每画完一笔就把手写板上的笔画存入 IndexedDB（drafts 仓库），按“所在目录节点 + 第几个手写板”区分题目；
+// 同一道题的手写板再次出现时在工具栏中询问是否恢复。恢复前的新笔画不会覆盖已保存的草稿
+const DRAFT_SAVE_DELAY = 300;
+const DRAFT_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 超过 30 天未更新的草稿在启动时清理
+const draftBoards = new WeakMap(); // 手写板 → { key, title, status, pending, save }
+const pendingDraftSaves = new Set(); // 尚未写入的保存，页面关闭前立即写入
+
+function loadDraft(key) { return idbRun('drafts', 'readonly', store => store.get(key)); }
+
+function deleteDraft(key) { return idbRun('drafts', 'readwrite', store => store.delete(key)); }
+
+function formatDraftTime(timestamp) { return new Date(timestamp).toTimeString().slice(0, 5); }
+
+// 题目以当前选中的目录节点标识：有目录 ID 时用 ID，否则用完整路径文字；尚未选中任何节点时返回 null
+function draftQuestionKey(board) {
+    const selected = document.querySelector('.ant-tree-node-selected');
+    const path = captureCurrentPath();
+    if (!selected || !path) return null;
+    const text = cleanInnerText(selected);
+    const step = path.find(item => item.text === text && item.selector.startsWith('span'));
+    if (!step) return null;
+    const index = [...document.querySelectorAll(ANSWER_CANVAS_SELECTOR)].indexOf(board);
+    const question = board.closest('.question');
+    const heading = question && question.querySelector('h3');
+    return {
+        key: `${step.catalogId ?? path.map(item => item.text).join('/')}#${index}`,
+        title: heading && heading.textContent.trim() ? `${text} · ${heading.textContent.trim()}` : `${text} · 第 ${index + 1} 个手写板`,
+    };
+}
+
+function setDraftStatus(draft, text) {
+    draft.status.textContent = text;
+    draft.status.hidden = !text || !settings.enableStrokeDrafts;
+}
+
+async function saveDraft(board, draft) {
+    pendingDraftSaves.delete(draft.flush);
+    const state = strokeBoards.get(board);
+    if (!state) return;
+    if (state.strokes.length === 0) { await deleteDraft(draft.key); setDraftStatus(draft, ''); return; }
+    const savedAt = Date.now();
+    await idbRun('drafts', 'readwrite', store => store.put({ key: draft.key, title: draft.title, strokes: state.strokes, width: state.canvas.width, height: state.canvas.height, savedAt }));
+    setDraftStatus(draft, `草稿已保存 ${formatDraftTime(savedAt)}`);
+}
+
+// 画布尺寸与保存时不同（如窗口宽度变化）时按比例缩放
+function scaleDraftStrokes(record, canvas) {
+    const scaleX = record.width ? canvas.width / record.width : 1, scaleY = record.height ? canvas.height / record.height : 1;
+    if (scaleX === 1 && scaleY === 1) return record.strokes;
+    return record.strokes.map(stroke => ({
+        points: stroke.points.map(([x, y]) => [x * scaleX, y * scaleY]),
+        style: { ...stroke.style, width: stroke.style.width * Math.min(scaleX, scaleY) },
+    }));
+}
+
+function showDraftPrompt(board, draft, record, toolbar) {
+    draft.pending = true;
+    const prompt = document.createElement('span');
+    prompt.className = 'draft-prompt';
+    prompt.innerHTML = `<span>有 ${formatDraftTime(record.savedAt)} 保存的草稿</span><button type="button" class="canvas-tool draft-restore">恢复</button><button type="button" class="canvas-tool draft-discard">丢弃</button>`;
+    prompt.querySelector('.draft-restore').addEventListener('click', () => {
+        prompt.remove();
+        draft.pending = false;
+        const state = strokeBoards.get(board);
+        if (state) setBoardStrokes(board, [...scaleDraftStrokes(record, state.canvas), ...state.strokes], 'restore');
+    });
+    prompt.querySelector('.draft-discard').addEventListener('click', async () => {
+        prompt.remove();
+        try { await deleteDraft(draft.key); } catch (err) { console.error('丢弃草稿失败:', err); }
+        draft.pending = false;
+        // 询问期间画的笔画照常保存
+        if (getBoardStrokes(board).length) draft.save(); else setDraftStatus(draft, '');
+    });
+    toolbar.prepend(prompt);
+}
+
+async function attachStrokeDrafts(board, toolbar) {
+    const question = draftQuestionKey(board);
+    if (!question || !strokeBoards.has(board)) return;
+    const status = document.createElement('span');
+    status.className = 'draft-status';
+    status.hidden = true;
+    toolbar.prepend(status);
+    const draft = { ...question, status, pending: false };
+    draft.flush = () => saveDraft(board, draft).catch(err => console.error('草稿保存失败:', err));
+    const save = debounce(draft.flush, DRAFT_SAVE_DELAY);
+    draft.save = () => { pendingDraftSaves.add(draft.flush); save(); };
+    draftBoards.set(board, draft);
+    if (!settings.enableStrokeDrafts) return;
+    const record = await loadDraft(draft.key);
+    if (record && record.strokes.length && board.isConnected) showDraftPrompt(board, draft, record, toolbar);
+}
+
+async function clearAllDrafts() {
+    if (!confirm('确定要删除所有题目的手写草稿吗？')) return;
+    await idbRun('drafts', 'readwrite', store => store.clear());
+    document.querySelectorAll('.draft-prompt').forEach(prompt => prompt.remove());
+    document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(board => {
+        const draft = draftBoards.get(board);
+        if (draft) { draft.pending = false; setDraftStatus(draft, ''); }
+    });
+}
+
+async function pruneDrafts() {
+    const expiredBefore = Date.now() - DRAFT_MAX_AGE;
+    const records = await idbRun('drafts', 'readonly', store => store.getAll());
+    const expired = records.filter(record => !(record.savedAt > expiredBefore));
+    if (expired.length) await idbRun('drafts', 'readwrite', store => { expired.forEach(record => store.delete(record.key)); });
+}
+
+function initializeStrokeDrafts() {
+    registerCanvasTool({
+        id: 'stroke-drafts',
+        attach(board, toolbar) { attachStrokeDrafts(board, toolbar).catch(err => console.error('读取手写草稿失败:', err)); },
+    });
+    onStrokesChange(board => {
+        const draft = draftBoards.get(board);
+        if (draft && !draft.pending && settings.enableStrokeDrafts) draft.save();
+    });
+    window.addEventListener('pagehide', () => { [...pendingDraftSaves].forEach(flush => flush()); });
+    pruneDrafts().catch(err => console.warn('[StrokeDrafts] 清理过期草稿失败:', err));
+    registerCommand({ id: 'canvas.clearDrafts', title: '删除所有手写草稿', keywords: 'draft handwriting caogao', run: clearAllDrafts });
+
+    return {
+        onSettingsChange() {
+            document.querySelectorAll('.draft-status').forEach(status => { status.hidden = !status.textContent || !settings.enableStrokeDrafts; });
+            if (settings.enableStrokeDrafts) return;
+            document.querySelectorAll('.draft-prompt').forEach(prompt => prompt.remove());
+            document.querySelectorAll(ANSWER_CANVAS_SELECTOR).forEach(board => { const draft = draftBoards.get(board); if (draft) draft.pending = false; });
+        },
+    };
+}
+
+defineModule({
+    id: 'stroke-drafts',
+    styles: `
+        .draft-status { align-self: center; margin-right: auto; color: #9ca3af; font-size: 0.75rem; }
+        .draft-prompt { display: inline-flex; align-items: center; gap: 6px; margin-right: auto; color: #374151; font-size: 0.8rem; }
+    `,
+    init: initializeStrokeDrafts,
+});
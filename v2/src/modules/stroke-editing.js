@@ -0,0 +1,124 @@
+// @match *://bdfz.xnykcxt.com:5002/stu/*
+/* -------------------- 撤销与橡皮擦 -------------------- */
+// 以整笔为单位撤销、重做与擦除：改动笔画模型后重绘到站点的画布上，提交的仍是站点自己的画布。
+// Ctrl+Z / Ctrl+Shift+Z 作用于最近落笔的手写板；焦点在输入框中时不处理，不影响输入框自身的撤销，因此不放进全局快捷键
+const STROKE_HISTORY_LIMIT = 100;
+const ERASER_RADIUS = 8; // 画布像素，另加笔画自身宽度的一半
+const strokeHistories = new WeakMap(); // 手写板 → { undo, redo, last, erasing, gestureRecorded, controls }
+let activeStrokeBoard = null;
+
+function strokeHitTest(stroke, point) {
+    const reach = ERASER_RADIUS + stroke.style.width / 2;
+    const { points } = stroke;
+    if (points.length === 1) return Math.hypot(point[0] - points[0][0], point[1] - points[0][1]) <= reach;
+    return points.slice(1).some((next, index) => pointSegmentDistance(point, points[index], next) <= reach);
+}
+
+function isErasing(board) { const history = strokeHistories.get(board); return !!(history && history.erasing); }
+
+function updateHistoryControls(history) {
+    if (!history.controls) return;
+    const { undo, redo, eraser } = history.controls;
+    undo.disabled = history.undo.length === 0;
+    redo.disabled = history.redo.length === 0;
+    eraser.classList.toggle('active', history.erasing);
+    eraser.setAttribute('aria-pressed', String(history.erasing));
+}
+
+// 撤销、重做以外的每次改动记为一步；一次橡皮擦拖动中擦掉的多笔合为一步，画完后被吸附拉直的一笔与画这一笔合为一步
+function recordStrokeChange(board, state, reason) {
+    const history = strokeHistories.get(board);
+    if (!history) return;
+    if (!['undo', 'redo', 'snap'].includes(reason) && !(reason === 'erase' && history.gestureRecorded)) {
+        history.undo.push(history.last);
+        if (history.undo.length > STROKE_HISTORY_LIMIT) history.undo.shift();
+        history.redo = [];
+        if (reason === 'erase') history.gestureRecorded = true;
+    }
+    history.last = state.strokes.slice();
+    updateHistoryControls(history);
+}
+
+function undoStrokes(board = activeStrokeBoard) {
+    const history = board && strokeHistories.get(board);
+    if (!history || history.undo.length === 0) return false;
+    history.redo.push(history.last);
+    setBoardStrokes(board, history.undo.pop(), 'undo');
+    return true;
+}
+
+function redoStrokes(board = activeStrokeBoard) {
+    const history = board && strokeHistories.get(board);
+    if (!history || history.redo.length === 0) return false;
+    history.undo.push(history.last);
+    setBoardStrokes(board, history.redo.pop(), 'redo');
+    return true;
+}
+
+function createHistoryButton(className, label, title) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `canvas-tool ${className}`;
+    button.title = title;
+    button.textContent = label;
+    return button;
+}
+
+function attachStrokeEditing(board, toolbar) {
+    const canvas = board.querySelector('canvas');
+    if (!canvas || !strokeBoards.has(board)) return;
+    const history = { undo: [], redo: [], last: getBoardStrokes(board).slice(), erasing: false, gestureRecorded: false, controls: null };
+    strokeHistories.set(board, history);
+    let eraserPointer = null;
+
+    function eraseAt(event) {
+        const point = canvasPointFromEvent(canvas, event);
+        const strokes = getBoardStrokes(board);
+        const remaining = strokes.filter(stroke => !strokeHitTest(stroke, point));
+        if (remaining.length !== strokes.length) setBoardStrokes(board, remaining, 'erase');
+    }
+
+    // 橡皮擦模式下手写板上的指针、触摸与鼠标事件都不交给站点，避免留下笔迹
+    function handleEraserEvent(event) {
+        if (event.type === 'pointerdown') activeStrokeBoard = board;
+        if (!history.erasing) return;
+        if (event.cancelable) event.preventDefault();
+        event.stopImmediatePropagation();
+        if (event.type === 'pointerdown' && eraserPointer === null) {
+            eraserPointer = event.pointerId;
+            history.gestureRecorded = false;
+            eraseAt(event);
+        } else if (event.type === 'pointermove' && event.pointerId === eraserPointer) eraseAt(event);
+        else if ((event.type === 'pointerup' || event.type === 'pointercancel') && event.pointerId === eraserPointer) eraserPointer = null;
+    }
+    ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'touchstart', 'touchmove', 'touchend', 'mousedown', 'mousemove', 'mouseup'].forEach(type => board.addEventListener(type, handleEraserEvent, { capture: true, passive: false }));
+
+    const undo = createHistoryButton('stroke-undo', '↶ 撤销', '撤销上一笔（Ctrl+Z）');
+    const redo = createHistoryButton('stroke-redo', '↷ 重做', '重做（Ctrl+Shift+Z）');
+    const eraser = createHistoryButton('stroke-eraser', '🧽 橡皮擦', '开启后划过的笔画整笔擦除');
+    undo.addEventListener('click', () => undoStrokes(board));
+    redo.addEventListener('click', () => redoStrokes(board));
+    eraser.addEventListener('click', () => { history.erasing = !history.erasing; updateHistoryControls(history); });
+    toolbar.append(undo, redo, eraser);
+    history.controls = { undo, redo, eraser };
+    updateHistoryControls(history);
+}
+
+function isStrokeUndoKey(event) { return (event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'z'; }
+
+function initializeStrokeEditing() {
+    registerCanvasTool({ id: 'stroke-editing', attach: attachStrokeEditing });
+    onStrokesChange((board, state, reason) => {
+        if (reason === 'draw') activeStrokeBoard = board;
+        recordStrokeChange(board, state, reason);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.isComposing || !isStrokeUndoKey(e) || isEditableTarget(e.target)) return;
+        if (!activeStrokeBoard || !activeStrokeBoard.isConnected) return;
+        if (e.shiftKey ? redoStrokes() : undoStrokes()) e.preventDefault();
+    });
+    registerCommand({ id: 'canvas.undo', title: '撤销手写板上的上一笔', keywords: 'undo handwriting chexiao', run: () => undoStrokes() });
+    registerCommand({ id: 'canvas.redo', title: '重做手写板上的笔画', keywords: 'redo handwriting chongzuo', run: () => redoStrokes() });
+}
+
+defineModule({ id: 'stroke-editing', init: initializeStrokeEditing });
@@ -0,0 +1,2 @@
+/* -------------------- 启动 -------------------- */
+injectModuleStyles();
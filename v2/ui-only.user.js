@@ -1,168 +1,217 @@
 // ==UserScript==
 // @name         新能源课程系统 - 黑白UI（仅样式）
 // @namespace    http://tampermonkey.net/
-// @version      2.0-ui
-// @license      MIT
+// @version      2.1.0
+// @license      GPL-3.0-only
 // @description  仅应用黑白配色与字体，不包含任何功能性改动（按钮、菜单、设置等）。
 // @author       c-jeremy
 // @match        *://bdfz.xnykcxt.com:5002/stu/*
 // @grant        GM_addStyle
 // @run-at       document-start
 // ==/UserScript==
+// 本文件由 v2/build.js 从 v2/src 生成，请勿直接修改
 
 (function() {
-  'use strict';
+    'use strict';
 
-  GM_addStyle(`
-    /* ========== 全局 / 纯黑背景样式（来自 v2/main.js） ========== */
-    @import url('https://fonts.googleapis.com/css2?family=Noto+Serif+SC:wght@400;500;700&display=swap');
+    /* -------------------- 功能模块 -------------------- */
+    // 每个功能模块在自己的文件末尾调用 defineModule 自注册，启动时按打包顺序依次初始化：
+    //   id                模块名，用于日志
+    //   styles            可选，脚本一启动就注入的 CSS，避免页面先以原样式闪现
+    //   setting           可选，控制启停的布尔设置键；省略则始终启用
+    //   init()            启动时调用一次，用于注入 DOM、注册命令等，可以是 async；
+    //                     返回 { enable, disable, onSettingsChange } 中的若干项时替换对应项，便于共享 init 中建立的闭包状态
+    //   enable/disable()  需可重复调用；设置变化（包括其他标签页中的修改）后由 syncModules 调用，无需刷新页面
+    //   onSettingsChange() 可选，任何设置保存后调用，用于同步界面
+    const modules = [];
 
-    /* ---- 全局与基础样式 ---- */
-    body * {
-      font-family: 'Noto Serif SC', serif !important;
-    }
-    body, body html {
-      background-color: #fff !important;
-    }
+    function defineModule(module) { modules.push({ init() {}, enable() {}, disable() {}, ...module, active: false }); }
 
-    /* ---- 按背景颜色分组 ---- */
-    /* 白色背景 */
-    body .app,
-    body .folder,
-    body .treeBox,
-    body .wrap,
-    body .ant-tree-node-selected,
-    body .ant-tree-node-content-wrapper-open,
-    body .ant-tree-treenode-selected {
-      background-color: #ffffff !important;
-    }
-    body .tag, body .time {
-      display: none !important;
+    // 单个模块初始化失败不影响其他模块
+    async function initModules() {
+        for (const module of modules) {
+            try {
+                const controls = await module.init();
+                if (controls) Object.assign(module, controls);
+            }
+            catch (err) { console.error(`模块“${module.id}”初始化失败:`, err); }
+        }
     }
 
-    /* 黑色背景 */
-    body .slider,
-    body .put,
-    body .ant-tag-has-color,
-    body .sideActive {
-      background-color: #000000 !important;
+    function syncModules() {
+        modules.forEach(module => {
+            const wanted = !module.setting || !!settings[module.setting];
+            if (wanted !== module.active) {
+                try {
+                    if (wanted) module.enable(); else module.disable();
+                    module.active = wanted;
+                } catch (err) { console.error(`模块“${module.id}”${wanted ? '启用' : '停用'}失败:`, err); }
+            }
+            if (module.onSettingsChange) module.onSettingsChange();
+        });
     }
 
-    /* 浅灰色背景 */
-    body .score,
-    body .tips,
-    body .maxAvgScore {
-      background-color: #eee !important;
-      color: #000000 !important;
-      font-size: 15px !important;
-    }
+    /* -------------------- 模块样式 -------------------- */
+    // 单独成文件：没有样式的 v1 脚本不打包它，也就不必申请 GM_addStyle
+    function injectModuleStyles() { modules.forEach(module => { if (module.styles) GM_addStyle(module.styles); }); }
 
-    /* 中灰色背景 */
-    body .swiper-box,
-    body .swiper-container {
-      background-color: #ddd !important;
-    }
+    /* -------------------- 全局黑白主题 -------------------- */
+    // 只有样式，没有行为；ui-only 脚本只包含此模块
+    defineModule({
+        id: 'theme',
+        styles: `
+            /* ========== 全局 / 纯黑背景样式（来自你的脚本） ========== */
+            @import url('https://fonts.googleapis.com/css2?family=Noto+Serif+SC:wght@400;500;700&display=swap');
 
-    /* ---- 按组件/功能分类 ---- */
-    /* 按钮 */
-    body .ant-btn-danger {
-      background-color: #fff !important;
-      color: #000 !important;
-      border-color: #000000 !important;
-      border-width: 1px !important;
-      border-style: solid !important;
-    }
-    body .ant-btn-primary {
-      background-color: #fff !important;
-      border-color: #000000 !important;
-      color: #000 !important;
-    }
+            /* ---- 全局与基础样式 ---- */
+            body * {
+                font-family: 'Noto Serif SC', serif !important;
+            }
+            body, body html {
+                background-color: #fff !important;
+            }
 
-    /* 侧边栏与菜单 (带平滑移动动画) */
-    body .menu {
-      position: relative !important;
-      background-color: #000000 !important;
-      color: rgba(255, 255, 255, 0.7) !important;
-    }
-    body .menu div {
-      position: relative;
-      z-index: 1;
-      transition: color 0.4s ease;
-      border-radius: 8px !important;
-    }
-    body .menu div.active {
-      background-color: transparent !important;
-      color: #ffffff !important;
-      font-weight: 500 !important;
-    }
-    .menu-active-indicator {
-      position: absolute !important;
-      z-index: 0;
-      left: 4px !important;
-      right: 4px !important;
-      background-color: #333 !important;
-      border-radius: 8px !important;
-      transition:
-        top 0.4s cubic-bezier(0.65, 0, 0.35, 1),
-        height 0.4s cubic-bezier(0.65, 0, 0.35, 1) !important;
-    }
+            /* ---- 按背景颜色分组 ---- */
+            /* 白色背景 */
+            body .app,
+            body .folder,
+            body .treeBox,
+            body .wrap,
+            body .ant-tree-node-selected,
+            body .ant-tree-node-content-wrapper-open,
+            body .ant-tree-treenode-selected {
+                background-color: #ffffff !important;
+            }
+            body .tag, body .time {
+                display: none !important;
+            }
 
-    body .put {
-      z-index: 190 !important;
-    }
+            /* 黑色背景 */
+            body .slider,
+            body .put,
+            body .ant-tag-has-color,
+            body .sideActive {
+                background-color: #000000 !important;
+            }
 
-    /* 文件树 */
-    body .treeBox {
-      border-color: #000000 !important;
-      border-width: 1px !important;
-      border-style: solid !important;
-    }
-    body .ant-tree.ant-tree-directory .ant-tree-child-tree > li.ant-tree-treenode-selected > span.ant-tree-node-content-wrapper::before,
-    body .ant-tree.ant-tree-directory > li.ant-tree-treenode-selected > span.ant-tree-node-content-wrapper::before {
-      background-color: #eee !important;
-      border-radius: 5px !important;
-      font-weight: 500 !important;
-    }
-    body .wrap .nav .treeBox .folder .folderName[data-v-56a2485d]:hover {
-      color: #fff !important;
-      background-color: #eee !important;
-    }
+            /* 浅灰色背景 */
+            body .score,
+            body .tips,
+            body .maxAvgScore {
+                background-color: #eee !important;
+                color: #000000 !important;
+                font-size: 15px !important;
+            }
 
-    /* 弹窗 */
-    body .ant-modal-content {
-      background-color: rgba(255, 255, 255, 0.6) !important;
-      -webkit-backdrop-filter: blur(10px) !important;
-      backdrop-filter: blur(10px) !important;
-      border-radius: 12px !important;
-    }
-    body .ant-modal-header {
-      background-color: rgba(255, 255, 255, 0.6) !important;
-      backdrop-filter: blur(10px) !important;
-      border-bottom: 1px solid #000;
-      border-radius: 12px 12px 0 0;
-    }
+            /* 中灰色背景 */
+            body .swiper-box,
+            body .swiper-container {
+                background-color: #ddd !important;
+            }
 
-    /* 分数显示 */
-    body .scoreRate {
-      background-color: #eee !important;
-      color: #000000 !important;
-      font-size: 15px !important;
-      margin-top: 1.5rem;
-      border-left-width: 2px;
-      border-left-style: solid;
-      border-left-color: currentColor;
-      padding-left: 1.5rem;
-      border-radius: 0px !important;
-    }
+            /* ---- 按组件/功能分类 ---- */
+            /* 按钮 */
+            body .ant-btn-danger {
+                background-color: #fff !important;
+                color: #000 !important;
+                border-color: #000000 !important;
+                border-width: 1px !important;
+                border-style: solid !important;
+            }
+            body .ant-btn-primary {
+                background-color: #fff !important;
+                border-color: #000000 !important;
+                color: #000 !important;
+            }
 
-    /* 其他独立元素 */
-    body .ant-row-flex, body .tips1, body .name-box { color: #000 !important; }
-    body .folderName { color: #000000 !important; }
-    body .folderName.active {
-      background-color: #eeeeee !important;
-      color: #000000 !important;
-    }
-    body .ant-badge { color: #000000 !important; }
-    body .title { background-color: transparent !important; }
-  `);
-})();
\ No newline at end of file
+            /* 侧边栏与菜单 (带平滑移动动画) */
+            body .menu {
+                position: relative !important;
+                background-color: #000000 !important;
+                color: rgba(255, 255, 255, 0.7) !important;
+            }
+            body .menu div {
+                position: relative;
+                z-index: 1;
+                transition: color 0.4s ease;
+                border-radius: 8px !important;
+            }
+            body .menu div.active {
+                background-color: transparent !important;
+                color: #ffffff !important;
+                font-weight: 500 !important;
+            }
+            .menu-active-indicator {
+                position: absolute !important;
+                z-index: 0;
+                left: 4px !important;
+                right: 4px !important;
+                background-color: #333 !important;
+                border-radius: 8px !important;
+                transition: top 0.4s cubic-bezier(0.65, 0, 0.35, 1),
+                            height 0.4s cubic-bezier(0.65, 0, 0.35, 1) !important;
+            }
+
+            body .put {
+                z-index: 190 !important;
+            }
+
+            /* 文件树 */
+            body .treeBox {
+                border-color: #000000 !important;
+                border-width: 1px !important;
+                border-style: solid !important;
+            }
+            body .ant-tree.ant-tree-directory .ant-tree-child-tree > li.ant-tree-treenode-selected > span.ant-tree-node-content-wrapper::before,
+            body .ant-tree.ant-tree-directory > li.ant-tree-treenode-selected > span.ant-tree-node-content-wrapper::before {
+                background-color: #eee !important;
+                border-radius: 5px !important;
+                font-weight: 500 !important;
+            }
+            body .wrap .nav .treeBox .folder .folderName[data-v-56a2485d]:hover {
+                color: #fff !important;
+                background-color: #eee !important;
+            }
+
+            /* 弹窗 */
+            body .ant-modal-content {
+                background-color: rgba(255, 255, 255, 0.6) !important;
+                -webkit-backdrop-filter: blur(10px) !important;
+                backdrop-filter: blur(10px) !important;
+                border-radius: 12px !important;
+            }
+            body .ant-modal-header {
+                background-color: rgba(255, 255, 255, 0.6) !important;
+                backdrop-filter: blur(10px) !important;
+                border-bottom: 1px solid #000;
+                border-radius: 12px 12px 0 0;
+            }
+
+            /* 分数显示 */
+            body .scoreRate {
+                background-color: #eee !important;
+                color: #000000 !important;
+                font-size: 15px !important;
+                margin-top: 1.5rem;
+                border-left-width: 2px;
+                border-left-style: solid;
+                border-left-color: currentColor;
+                padding-left: 1.5rem;
+                border-radius: 0px !important;
+            }
+
+            /* 其他独立元素 */
+            body .ant-row-flex, body .tips1, body .name-box { color: #000 !important; }
+            body .folderName { color: #000000 !important; }
+            body .folderName.active {
+                background-color: #eeeeee !important;
+                color: #000000 !important;
+            }
+            body .ant-badge { color: #000000 !important; }
+            body .title { background-color: transparent !important; }
+        `,
+    });
+
+    /* -------------------- 启动 -------------------- */
+    injectModuleStyles();
+})();